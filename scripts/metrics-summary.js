@@ -0,0 +1,260 @@
+#!/usr/bin/env node
+
+const AWS = require('aws-sdk');
+const fs = require('fs');
+const readline = require('readline');
+
+/**
+ * Script de Resumo de Métricas
+ *
+ * Coleta as métricas em Embedded Metric Format (EMF) escritas nos
+ * logs das Lambdas (ver src/utils/metrics.js) e mostra um resumo
+ * por métrica e dimensões: amostras, soma, média, mínimo, máximo e p95,
+ * mais as taxas de falha de arquivos, linhas, API e SNS.
+ *
+ * Fontes:
+ * - Sem argumentos: log groups /aws/lambda/<serviço>-<stage>-* no
+ *   CloudWatch Logs do LocalStack, dos últimos --since minutos (padrão 60)
+ * - Arquivos: node scripts/metrics-summary.js saida.log [outro.log]
+ * - Entrada padrão: serverless logs -f dataProcessor --stage local | node scripts/metrics-summary.js -
+ *
+ * Uso: npm run metrics [-- --since=15] [-- --function=dataProcessor]
+ */
+
+// Configurar AWS SDK para LocalStack
+const awsConfig = {
+  endpoint: process.env.AWS_ENDPOINT_URL || 'http://localhost:4566',
+  region: process.env.AWS_REGION || 'us-east-1',
+  accessKeyId: process.env.AWS_ACCESS_KEY_ID || 'test',
+  secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY || 'test'
+};
+
+const cloudwatchLogs = new AWS.CloudWatchLogs(awsConfig);
+
+const SERVICE_NAME = process.env.SERVICE_NAME || 'data-processing-service';
+const STAGE = process.env.STAGE || 'local';
+
+// Cores para output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m'
+};
+
+function log(color, message) {
+  console.log(`${color}${message}${colors.reset}`);
+}
+
+/**
+ * Ler opções --nome=valor da linha de comando
+ * @returns {{ options: Object, files: Array<string> }} Opções e arquivos
+ */
+function parseArgs() {
+  const options = {};
+  const files = [];
+
+  process.argv.slice(2).forEach((arg) => {
+    const match = /^--([^=]+)=(.*)$/.exec(arg);
+    if (match) {
+      options[match[1]] = match[2];
+    } else {
+      files.push(arg);
+    }
+  });
+
+  return { options, files };
+}
+
+/**
+ * Extrair documento EMF de uma linha de log
+ *
+ * A linha pode ter prefixos (timestamp, request id) antes do JSON,
+ * como na saída de `serverless logs`.
+ *
+ * @param {string} line - Linha de log
+ * @returns {Object|null} Documento EMF
+ */
+function parseEmfLine(line) {
+  const start = line.indexOf('{"_aws"');
+  if (start === -1) return null;
+
+  try {
+    const document = JSON.parse(line.slice(start));
+    return document._aws && Array.isArray(document._aws.CloudWatchMetrics) ? document : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Ler linhas de arquivos ou da entrada padrão ("-")
+ * @param {Array<string>} files - Caminhos dos arquivos
+ * @returns {Promise<Array<string>>} Linhas
+ */
+async function readLines(files) {
+  const lines = [];
+
+  for (const file of files) {
+    const input = file === '-' ? process.stdin : fs.createReadStream(file);
+    const reader = readline.createInterface({ input, crlfDelay: Infinity });
+    for await (const line of reader) {
+      lines.push(line);
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Buscar linhas EMF nos log groups das Lambdas no LocalStack
+ * @param {number} sinceMinutes - Janela de tempo
+ * @param {string} functionName - Filtrar por uma função (opcional)
+ * @returns {Promise<Array<string>>} Linhas
+ */
+async function fetchLines(sinceMinutes, functionName) {
+  const prefix = `/aws/lambda/${SERVICE_NAME}-${STAGE}-${functionName || ''}`;
+  const startTime = Date.now() - sinceMinutes * 60 * 1000;
+  const lines = [];
+
+  const { logGroups } = await cloudwatchLogs.describeLogGroups({ logGroupNamePrefix: prefix }).promise();
+
+  for (const { logGroupName } of logGroups) {
+    let nextToken;
+    do {
+      const result = await cloudwatchLogs.filterLogEvents({
+        logGroupName,
+        startTime,
+        nextToken
+      }).promise();
+
+      result.events.forEach(event => lines.push(event.message));
+      nextToken = result.nextToken;
+    } while (nextToken);
+  }
+
+  log(colors.yellow, `📥 ${logGroups.length} log groups lidos (${prefix}*)`);
+  return lines;
+}
+
+/**
+ * Agregar valores por métrica e dimensões
+ * @param {Array<Object>} documents - Documentos EMF
+ * @returns {Map<string, Object>} Séries { name, unit, dimensions, values }
+ */
+function aggregate(documents) {
+  const series = new Map();
+
+  documents.forEach((document) => {
+    document._aws.CloudWatchMetrics.forEach(({ Dimensions, Metrics }) => {
+      const dimensionKeys = (Dimensions[0] || []).filter(key => key !== 'Handler');
+      const dimensions = dimensionKeys.map(key => `${key}=${document[key]}`).join(', ');
+
+      Metrics.forEach(({ Name, Unit }) => {
+        const key = `${document.Handler}|${Name}|${dimensions}`;
+        if (!series.has(key)) {
+          series.set(key, { handler: document.Handler, name: Name, unit: Unit, dimensions, values: [] });
+        }
+        series.get(key).values.push(...[].concat(document[Name]));
+      });
+    });
+  });
+
+  return series;
+}
+
+/**
+ * Percentil de uma lista de valores
+ * @param {Array<number>} values - Valores
+ * @param {number} percentile - Percentil (0-100)
+ * @returns {number} Valor do percentil
+ */
+function percentileOf(values, percentile) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const index = Math.min(sorted.length - 1, Math.ceil((percentile / 100) * sorted.length) - 1);
+  return sorted[Math.max(0, index)];
+}
+
+/**
+ * Somar uma métrica em todas as séries (opcionalmente filtrando)
+ * @param {Map<string, Object>} series - Séries agregadas
+ * @param {string} name - Nome da métrica
+ * @param {Function} filter - Filtro por série (opcional)
+ * @returns {number} Soma
+ */
+function total(series, name, filter = () => true) {
+  let sum = 0;
+  series.forEach((serie) => {
+    if (serie.name === name && filter(serie)) {
+      sum += serie.values.reduce((acc, value) => acc + value, 0);
+    }
+  });
+  return sum;
+}
+
+/**
+ * Formatar taxa
+ * @param {number} part - Ocorrências
+ * @param {number} whole - Total
+ * @returns {string} Percentual ou N/A
+ */
+function rate(part, whole) {
+  return whole > 0 ? `${((part / whole) * 100).toFixed(2)}% (${part}/${whole})` : 'N/A';
+}
+
+async function summarize() {
+  const { options, files } = parseArgs();
+
+  try {
+    const lines = files.length > 0
+      ? await readLines(files)
+      : await fetchLines(Number(options.since) || 60, options.function);
+
+    const documents = lines.map(parseEmfLine).filter(Boolean);
+    if (documents.length === 0) {
+      log(colors.yellow, '⚠️ Nenhuma métrica encontrada nos logs');
+      return;
+    }
+
+    const series = aggregate(documents);
+
+    log(colors.blue, `\n📊 MÉTRICAS (${documents.length} documentos EMF)\n`);
+    console.table([...series.values()]
+      .sort((a, b) => `${a.handler}${a.name}${a.dimensions}`.localeCompare(`${b.handler}${b.name}${b.dimensions}`))
+      .map(({ handler, name, unit, dimensions, values }) => ({
+        handler,
+        metric: name,
+        dimensions: dimensions || '-',
+        unit,
+        samples: values.length,
+        sum: Number(values.reduce((acc, value) => acc + value, 0).toFixed(2)),
+        avg: Number((values.reduce((acc, value) => acc + value, 0) / values.length).toFixed(2)),
+        min: Math.min(...values),
+        max: Math.max(...values),
+        p95: percentileOf(values, 95)
+      })));
+
+    const filesProcessed = total(series, 'FilesProcessed');
+    const filesFailed = total(series, 'FilesFailed');
+    const rowsProcessed = total(series, 'RowsProcessed');
+    const rowsRejected = total(series, 'RowsRejected');
+    const apiRequests = total(series, 'ApiRequests');
+    const apiErrors = total(series, 'ApiRequests', serie => /StatusCode=5/.test(serie.dimensions));
+    const snsPublished = total(series, 'SnsPublished');
+    const snsFailures = total(series, 'SnsPublishFailures');
+
+    log(colors.blue, '\n📋 TAXAS DE FALHA:');
+    log(colors.green, `Arquivos com falha:       ${rate(filesFailed, filesProcessed + filesFailed)}`);
+    log(colors.green, `Linhas rejeitadas:        ${rate(rowsRejected, rowsProcessed + rowsRejected)}`);
+    log(colors.green, `Requisições da API 5xx:   ${rate(apiErrors, apiRequests)}`);
+    log(colors.green, `Publicações SNS com falha: ${rate(snsFailures, snsPublished + snsFailures)}\n`);
+
+  } catch (error) {
+    log(colors.red, `\n❌ Erro ao coletar métricas: ${error.message}\n`);
+    process.exit(1);
+  }
+}
+
+// Executar resumo
+summarize();
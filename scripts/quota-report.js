@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+
+const AWS = require('aws-sdk');
+
+/**
+ * Script de Consulta de Cotas da API
+ *
+ * Mostra os contadores de cota diária por cliente (requisições
+ * aceitas, recusadas e uso da cota) gravados pelo limitador da API
+ * (ver src/utils/rateLimit.js) na tabela de estado. Com --client,
+ * mostra também os token buckets do cliente por rota.
+ *
+ * Uso: npm run quotas [-- --date=2024-01-31] [-- --client=key:local-dev]
+ */
+
+// Configurar AWS SDK para LocalStack
+const awsConfig = {
+  endpoint: process.env.AWS_ENDPOINT_URL || 'http://localhost:4566',
+  region: process.env.AWS_REGION || 'us-east-1',
+  accessKeyId: process.env.AWS_ACCESS_KEY_ID || 'test',
+  secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY || 'test'
+};
+
+const dynamodb = new AWS.DynamoDB.DocumentClient(awsConfig);
+
+const STATE_TABLE_NAME = process.env.STATE_TABLE_NAME || 'ProcessingState-local';
+
+// Cores para output
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m'
+};
+
+function log(color, message) {
+  console.log(`${color}${message}${colors.reset}`);
+}
+
+/**
+ * Ler opções --nome=valor da linha de comando
+ * @returns {Object} Opções
+ */
+function parseArgs() {
+  const options = {};
+
+  process.argv.slice(2).forEach((arg) => {
+    const match = /^--([^=]+)=(.*)$/.exec(arg);
+    if (match) {
+      options[match[1]] = match[2];
+    }
+  });
+
+  return options;
+}
+
+/**
+ * Buscar todos os itens de uma partição da tabela de estado
+ * @param {string} pk - Chave de partição
+ * @returns {Promise<Array<Object>>} Itens
+ */
+async function queryPartition(pk) {
+  const items = [];
+  let lastKey;
+
+  do {
+    const result = await dynamodb.query({
+      TableName: STATE_TABLE_NAME,
+      KeyConditionExpression: 'pk = :pk',
+      ExpressionAttributeValues: { ':pk': pk },
+      ExclusiveStartKey: lastKey
+    }).promise();
+
+    items.push(...result.Items);
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+
+  return items;
+}
+
+async function report() {
+  const options = parseArgs();
+  const date = options.date || new Date().toISOString().slice(0, 10);
+
+  try {
+    const counters = (await queryPartition(`quota#${date}`))
+      .filter(item => !options.client || item.sk === options.client);
+
+    log(colors.blue, `\n📊 COTAS DIÁRIAS (${date}, UTC)\n`);
+    if (counters.length === 0) {
+      log(colors.yellow, '⚠️ Nenhuma requisição contada nesse dia');
+    } else {
+      console.table(counters
+        .sort((a, b) => (b.request_count || 0) - (a.request_count || 0))
+        .map(item => ({
+          client: item.sk,
+          requests: item.request_count || 0,
+          rejected: item.rejected_count || 0,
+          daily_quota: item.daily_quota,
+          used: item.daily_quota ? `${(((item.request_count || 0) / item.daily_quota) * 100).toFixed(1)}%` : '-',
+          last_request_at: item.last_request_at || '-'
+        })));
+    }
+
+    if (options.client) {
+      const buckets = await queryPartition(`ratelimit#${options.client}`);
+      const now = Date.now();
+
+      log(colors.blue, `\n🪣 TOKEN BUCKETS (${options.client})\n`);
+      if (buckets.length === 0) {
+        log(colors.yellow, '⚠️ Nenhum bucket ativo para o cliente');
+      } else {
+        console.table(buckets.map(item => ({
+          route: item.sk,
+          tokens: Number(item.tokens.toFixed(2)),
+          capacity: item.capacity,
+          idle_seconds: Math.round((now - item.refilled_at) / 1000)
+        })));
+      }
+    }
+    console.log();
+
+  } catch (error) {
+    log(colors.red, `\n❌ Erro ao consultar cotas: ${error.message}\n`);
+    process.exit(1);
+  }
+}
+
+// Executar consulta
+report();
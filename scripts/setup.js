@@ -117,7 +117,7 @@ async function setup() {
 
     log(colors.blue, '📋 Próximos passos:\n');
     log(colors.yellow, '1. Testar o pipeline:');
-    console.log('   npm test\n');
+    console.log('   npm run test:pipeline\n');
     log(colors.yellow, '2. Ver logs do LocalStack:');
     console.log('   docker-compose logs -f localstack\n');
     log(colors.yellow, '3. Fazer upload de arquivo CSV:');
@@ -3,6 +3,8 @@
 const AWS = require('aws-sdk');
 const fs = require('fs');
 const path = require('path');
+const { queryByCategoria, queryBySourceFile } = require('../src/utils/dynamodb');
+const { getJob } = require('../src/utils/jobs');
 
 /**
  * Script de Teste Automatizado do Pipeline
@@ -11,7 +13,8 @@ const path = require('path');
  * 1. Upload de CSV para S3
  * 2. Trigger automático da Lambda
  * 3. Verificação de dados no DynamoDB
- * 4. Teste de API REST
+ * 4. Consultas pelos índices secundários (GSI)
+ * 5. Teste de API REST
  */
 
 // Configurar AWS SDK para LocalStack
@@ -110,8 +113,76 @@ async function testPipeline() {
       log(colors.red, '❌ Nenhum registro encontrado no DynamoDB\n');
     }
 
-    // Teste 6: Invocar Lambda manualmente
-    log(colors.yellow, '[TESTE 6] Testando invocação manual da Lambda...');
+    // Teste 6: Verificar consultas pelos índices secundários
+    log(colors.yellow, '[TESTE 6] Verificando índices secundários (GSI)...');
+    const porCategoria = await queryByCategoria('Periféricos', { limit: 10 });
+    const categoriaOk = porCategoria.page.index === 'categoria-index'
+      && porCategoria.items.length > 0
+      && porCategoria.items.every(item => item.categoria === 'Periféricos')
+      && porCategoria.items.every((item, i, items) => i === 0 || items[i - 1].preco <= item.preco);
+
+    if (categoriaOk) {
+      log(colors.green, `✅ categoria-index: ${porCategoria.items.length} registros em "Periféricos", ordenados por preço`);
+    } else {
+      log(colors.red, '❌ categoria-index não retornou os registros esperados');
+    }
+
+    // Percorrer todas as páginas do arquivo para validar o cursor
+    const porArquivo = [];
+    let cursor = null;
+    let pages = 0;
+    do {
+      const page = await queryBySourceFile('input/produtos.csv', { limit: 4, cursor });
+      porArquivo.push(...page.items);
+      cursor = page.page.next_cursor;
+      pages++;
+    } while (cursor);
+
+    const expectedRows = csvContent.trim().split('\n').length - 1;
+    if (porArquivo.length === expectedRows && porArquivo.every(item => item.source_file === 'input/produtos.csv')) {
+      log(colors.green, `✅ source_file-index: ${porArquivo.length} registros em ${pages} páginas\n`);
+    } else {
+      log(colors.red, `❌ source_file-index retornou ${porArquivo.length} registros (esperados ${expectedRows})\n`);
+    }
+
+    // Teste 7: Verificar arquivamento do arquivo processado
+    log(colors.yellow, '[TESTE 7] Verificando arquivamento em processed/...');
+    let archived = false;
+    let jobOk = false;
+    try {
+      const tagging = await s3.getObjectTagging({
+        Bucket: BUCKET_NAME,
+        Key: 'processed/produtos.csv'
+      }).promise();
+      const manifestObject = await s3.getObject({
+        Bucket: BUCKET_NAME,
+        Key: 'processed/produtos.csv.manifest.json'
+      }).promise();
+      const manifest = JSON.parse(manifestObject.Body.toString('utf-8'));
+      const status = tagging.TagSet.find(tag => tag.Key === 'status');
+
+      archived = manifest.status === 'processed' && status && status.Value === 'processed';
+      if (archived) {
+        log(colors.green, `✅ Arquivo arquivado (execução ${manifest.run_id}, ${manifest.records_processed} registros, ${manifest.duration_ms} ms)`);
+      } else {
+        log(colors.red, '❌ Manifesto ou tags do arquivo arquivado inválidos');
+      }
+
+      // O job da execução deve estar concluído, com os mesmos contadores
+      const job = await getJob(manifest.run_id);
+      jobOk = Boolean(job) && job.state === 'COMPLETED' && job.records_processed === manifest.records_processed;
+      if (jobOk) {
+        log(colors.green, `✅ Job ${job.job_id} concluído (${job.records_processed} registros)\n`);
+      } else {
+        log(colors.red, `❌ Job da execução ${manifest.run_id} não encontrado ou não concluído\n`);
+      }
+    } catch (error) {
+      log(colors.red, `❌ Arquivo arquivado não encontrado: ${error.message}\n`);
+    }
+
+    // Teste 8: Invocar Lambda manualmente (o arquivo já saiu de input/,
+    // então o evento deve ser ignorado)
+    log(colors.yellow, '[TESTE 8] Testando invocação manual da Lambda...');
     try {
       const testEvent = {
         Records: [{
@@ -143,6 +214,10 @@ async function testPipeline() {
     log(colors.green, '✅ Bucket S3 existe');
     log(colors.green, '✅ Arquivo CSV enviado');
     log(colors.green, `✅ ${itemCount} registros processados no DynamoDB`);
+    log(categoriaOk ? colors.green : colors.red, `${categoriaOk ? '✅' : '❌'} Consulta por categoria (GSI)`);
+    log(colors.green, `✅ ${porArquivo.length} registros consultados por arquivo de origem (GSI)`);
+    log(archived ? colors.green : colors.red, `${archived ? '✅' : '❌'} Arquivo arquivado em processed/ com manifesto`);
+    log(jobOk ? colors.green : colors.red, `${jobOk ? '✅' : '❌'} Job de ingestão registrado`);
     log(colors.green, '\n🎉 Todos os testes concluídos com sucesso!\n');
 
   } catch (error) {
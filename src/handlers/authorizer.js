@@ -0,0 +1,90 @@
+const { authenticate } = require('../utils/auth');
+const { header } = require('../utils/http');
+const log = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+/**
+ * Lambda Handler: API Authorizer
+ *
+ * Authorizer do tipo REQUEST do API Gateway (também usado pelo
+ * serverless-offline). Autentica a requisição por JWT
+ * (Authorization: Bearer) ou API key (x-api-key), ver utils/auth.
+ *
+ * Credencial ausente ou inválida: o API Gateway responde 401. O
+ * motivo fica apenas no log. Com credencial válida, a política
+ * libera a API e o contexto leva a identidade aos handlers
+ * (event.requestContext.authorizer):
+ * { principal, auth_type, scopes } (escopos separados por espaço)
+ *
+ * A exigência de escopo é feita por rota, em cada handler
+ * (ver requireScope em utils/http).
+ *
+ * @param {Object} event - Evento de authorizer REQUEST
+ * @param {Object} context - Contexto da execução Lambda
+ * @returns {Promise<Object>} Política IAM com principalId e context
+ */
+exports.handler = async (event, context) => {
+  log.setContext({
+    handler: 'authorizer',
+    request_id: context.awsRequestId || context.requestId,
+    correlation_id: header(event, 'X-Correlation-Id')
+      || (event.requestContext && event.requestContext.requestId)
+  });
+
+  try {
+    const identity = authenticate(event.headers || {});
+
+    log.info('Cliente autenticado', {
+      principal: identity.principal,
+      auth_type: identity.type,
+      scopes: identity.scopes,
+      method: event.httpMethod,
+      path: event.path
+    });
+    metrics.putMetric('AuthSucceeded', 1, 'Count', { AuthType: identity.type });
+
+    return {
+      principalId: identity.principal,
+      policyDocument: {
+        Version: '2012-10-17',
+        Statement: [{
+          Action: 'execute-api:Invoke',
+          Effect: 'Allow',
+          Resource: apiResource(event.methodArn)
+        }]
+      },
+      context: {
+        principal: identity.principal,
+        auth_type: identity.type,
+        scopes: identity.scopes.join(' ')
+      }
+    };
+
+  } catch (error) {
+    if (error.code !== 'Unauthorized') {
+      log.error('Erro no authorizer', { error });
+    } else {
+      log.warn('Autenticação recusada', { reason: error.message, method: event.httpMethod, path: event.path });
+    }
+    metrics.putMetric('AuthFailed', 1, 'Count');
+
+    // Mensagem exigida pelo API Gateway para responder 401
+    throw new Error('Unauthorized');
+  } finally {
+    metrics.flush();
+  }
+};
+
+/**
+ * Montar recurso da política cobrindo todos os métodos da API
+ *
+ * A identidade não depende da rota, então a mesma política vale para
+ * qualquer rota (permite cache do authorizer).
+ *
+ * @param {string} methodArn - arn:aws:execute-api:<região>:<conta>:<api>/<stage>/<método>/<rota>
+ * @returns {string} ARN com curinga após o stage
+ */
+function apiResource(methodArn = '') {
+  const [apiArn, stage] = methodArn.split('/');
+  return stage ? `${apiArn}/${stage}/*` : methodArn;
+}
@@ -0,0 +1,280 @@
+const {
+  putNewItems,
+  transactPutItems,
+  CURRENT_SORT_KEY
+} = require('../utils/dynamodb');
+const { getSchema, hasSchema, validate, DEFAULT_DATASET } = require('../utils/schema');
+const { response, errorResponse, queryParameter, header, rawBody, startRequest, identity, requireScope } = require('../utils/http');
+const { checkRateLimit } = require('../utils/rateLimit');
+const log = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const { v4: uuidv4 } = require('uuid');
+
+// Máximo de itens por requisição
+const MAX_BATCH_ITEMS = parseInt(process.env.MAX_BATCH_ITEMS) || 1000;
+
+// Máximo de itens no modo atômico (limite de TransactWriteItems)
+const ATOMIC_MAX_ITEMS = 100;
+
+/**
+ * Lambda Handler: Batch Create Records API
+ *
+ * Endpoint REST para criar vários registros em uma requisição
+ *
+ * Endpoint: POST /records/batch[?dataset=<dataset>][&mode=atomic]
+ * Body: array JSON de registros, ou NDJSON (um registro por linha,
+ *       Content-Type: application/x-ndjson)
+ *
+ * Modos:
+ * - partial (padrão): cada item válido é gravado com escrita
+ *   condicional; itens inválidos ou com id já existente (conflict,
+ *   como em POST /records) são reportados sem impedir os demais
+ * - atomic: até 100 itens gravados em uma transação; qualquer item
+ *   inválido ou id já existente cancela a requisição inteira
+ *
+ * Resposta: lista de resultados por item { index, id, status, error }
+ * - 200: todos os itens gravados
+ * - 207: parte dos itens gravados
+ * - 400/409: nenhum item gravado
+ *
+ * @param {Object} event - Evento API Gateway
+ * @param {Object} context - Contexto da execução Lambda
+ * @returns {Promise<Object>} Resposta HTTP
+ */
+exports.handler = async (event, context) => {
+  const correlationId = startRequest('batchCreateRecords', event, context);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return response(200, { message: 'CORS preflight successful' });
+  }
+
+  const forbidden = requireScope(event, 'records:write');
+  if (forbidden) return forbidden;
+
+  const throttled = await checkRateLimit(event);
+  if (throttled) return throttled;
+
+  try {
+    // 1. Validar método e parâmetros
+    if (event.httpMethod !== 'POST') {
+      return errorResponse(405, 'Method Not Allowed', 'Apenas POST é permitido');
+    }
+
+    const mode = queryParameter(event, 'mode') || 'partial';
+    if (mode !== 'partial' && mode !== 'atomic') {
+      return errorResponse(400, 'Validation Error', 'Parâmetro "mode" deve ser "partial" ou "atomic"');
+    }
+
+    const dataset = queryParameter(event, 'dataset') || DEFAULT_DATASET;
+    if (!hasSchema(dataset)) {
+      return errorResponse(400, 'Unknown Dataset', `Dataset "${dataset}" não possui schema`);
+    }
+
+    // 2. Parsear body (array JSON ou NDJSON)
+    const { entries, error: bodyError } = parseEntries(event);
+    if (bodyError) {
+      return bodyError;
+    }
+
+    if (entries.length === 0) {
+      return errorResponse(400, 'Validation Error', 'Nenhum registro enviado');
+    }
+    if (entries.length > MAX_BATCH_ITEMS) {
+      return errorResponse(413, 'Payload Too Large', `Máximo de ${MAX_BATCH_ITEMS} registros por requisição`);
+    }
+    if (mode === 'atomic' && entries.length > ATOMIC_MAX_ITEMS) {
+      return errorResponse(400, 'Validation Error', `Modo atômico aceita no máximo ${ATOMIC_MAX_ITEMS} registros`);
+    }
+
+    log.info('Registros recebidos', { count: entries.length, mode, dataset });
+
+    // 3. Validar cada item
+    const schema = getSchema(dataset);
+    const createdAt = new Date().toISOString();
+    const createdBy = identity(event).principal;
+    const seenIds = new Set();
+    const results = [];
+    const valid = [];
+
+    entries.forEach(({ index, data, error }) => {
+      if (error) {
+        results.push({ index, id: null, status: 'invalid', error });
+        return;
+      }
+
+      if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        results.push({ index, id: null, status: 'invalid', error: 'Registro deve ser um objeto' });
+        return;
+      }
+
+      const id = data.id || uuidv4();
+      const validation = validate(schema, { ...data, id });
+
+      if (!validation.valid) {
+        results.push({ index, id: String(id), status: 'invalid', error: validation.errors });
+        return;
+      }
+
+      if (seenIds.has(validation.value.id)) {
+        results.push({ index, id: validation.value.id, status: 'invalid', error: 'Id duplicado na requisição' });
+        return;
+      }
+      seenIds.add(validation.value.id);
+
+      const item = {
+        ...validation.value,
+        timestamp: CURRENT_SORT_KEY,
+        version: 1,
+        dataset,
+        source: 'API',
+        created_at: createdAt,
+        created_by: createdBy,
+        request_id: context.awsRequestId || context.requestId,
+        correlation_id: correlationId
+      };
+
+      const result = { index, id: item.id, status: 'pending', error: null };
+      results.push(result);
+      valid.push({ item, result });
+    });
+
+    // 4. Gravar
+    if (mode === 'atomic') {
+      const invalidCount = results.length - valid.length;
+      if (invalidCount > 0) {
+        valid.forEach(({ result }) => { result.status = 'skipped'; });
+        return batchResponse(400, mode, results, 'Nenhum registro gravado: há itens inválidos');
+      }
+
+      try {
+        await transactPutItems(valid.map(({ item }) => item), { mustNotExist: true });
+        valid.forEach(({ result }) => { result.status = 'created'; });
+      } catch (error) {
+        if (error.code !== 'TransactionCanceledException') {
+          throw error;
+        }
+
+        valid.forEach(({ result }, i) => {
+          const reason = error.cancellationReasons[i];
+          if (reason === 'ConditionalCheckFailed') {
+            result.status = 'conflict';
+            result.error = `Registro "${result.id}" já existe`;
+          } else {
+            result.status = 'skipped';
+          }
+        });
+        return batchResponse(409, mode, results, 'Nenhum registro gravado: transação cancelada');
+      }
+    } else if (valid.length > 0) {
+      const resultByItem = new Map(valid.map(({ item, result }) => [item, result]));
+      const { conflicts, failed } = await putNewItems(valid.map(({ item }) => item));
+
+      valid.forEach(({ result }) => { result.status = 'created'; });
+      conflicts.forEach((item) => {
+        const result = resultByItem.get(item);
+        result.status = 'conflict';
+        result.error = `Registro "${result.id}" já existe`;
+      });
+      failed.forEach(({ item, error }) => {
+        const result = resultByItem.get(item);
+        result.status = 'failed';
+        result.error = error;
+      });
+    }
+
+    const created = results.filter(result => result.status === 'created');
+
+    // 5. Retornar resultado por item
+    if (created.length === results.length) {
+      return batchResponse(200, mode, results, 'Registros criados com sucesso');
+    }
+    if (created.length > 0) {
+      return batchResponse(207, mode, results, 'Registros criados parcialmente');
+    }
+    if (results.every(result => result.status === 'conflict')) {
+      return batchResponse(409, mode, results, 'Nenhum registro gravado: ids já existentes');
+    }
+    return batchResponse(400, mode, results, 'Nenhum registro gravado');
+
+  } catch (error) {
+    log.error('Erro ao criar registros em lote', { error, duration_ms: log.elapsed() });
+
+    return errorResponse(500, 'Internal Server Error', error.message);
+  }
+};
+
+/**
+ * Parsear registros do body (array JSON ou NDJSON)
+ *
+ * Em NDJSON, linhas com JSON inválido viram entradas com erro,
+ * sem invalidar as demais.
+ *
+ * @param {Object} event - Evento API Gateway
+ * @returns {{ entries: Array<Object>, error: Object|null }} Entradas { index, data, error }
+ */
+function parseEntries(event) {
+  const body = rawBody(event).trim();
+  const contentType = (header(event, 'Content-Type') || '').toLowerCase();
+  const isNdjson = contentType.includes('ndjson') || contentType.includes('jsonl')
+    || (!contentType.includes('json') && !body.startsWith('['));
+
+  if (!isNdjson) {
+    let data;
+    try {
+      data = JSON.parse(body);
+    } catch (parseError) {
+      return { entries: [], error: errorResponse(400, 'Invalid JSON', 'Body da requisição não é um JSON válido') };
+    }
+
+    if (!Array.isArray(data)) {
+      return { entries: [], error: errorResponse(400, 'Invalid JSON', 'Body deve ser um array JSON ou NDJSON') };
+    }
+
+    return { entries: data.map((item, index) => ({ index, data: item, error: null })), error: null };
+  }
+
+  const entries = body
+    .split(/\r?\n/)
+    .map((line, lineIndex) => ({ line: line.trim(), lineIndex }))
+    .filter(({ line }) => line !== '')
+    .map(({ line, lineIndex }, index) => {
+      try {
+        return { index, data: JSON.parse(line), error: null };
+      } catch (parseError) {
+        return { index, data: null, error: `Linha ${lineIndex + 1}: JSON inválido` };
+      }
+    });
+
+  return { entries, error: null };
+}
+
+/**
+ * Montar resposta do lote com contadores
+ * @param {number} statusCode - Status HTTP
+ * @param {string} mode - Modo de escrita
+ * @param {Array<Object>} results - Resultados por item
+ * @param {string} message - Mensagem descritiva
+ * @returns {Object} Resposta HTTP
+ */
+function batchResponse(statusCode, mode, results, message) {
+  const created = results.filter(result => result.status === 'created').length;
+
+  log.info('Lote processado', {
+    status_code: statusCode,
+    mode,
+    total: results.length,
+    created,
+    duration_ms: log.elapsed()
+  });
+  metrics.putMetric('RecordsCreated', created, 'Count', { Mode: mode });
+  metrics.putMetric('RecordsRejected', results.length - created, 'Count', { Mode: mode });
+
+  return response(statusCode, {
+    message,
+    mode,
+    total: results.length,
+    created,
+    rejected: results.length - created,
+    results
+  });
+}
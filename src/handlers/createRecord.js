@@ -1,146 +1,183 @@
-const { putItem } = require('../utils/dynamodb');
-const { publishMessage } = require('../utils/sns');
-const { v4: uuidv4 } = require('uuid');
+const { putItem, isConditionalCheckFailed, CURRENT_SORT_KEY } = require('../utils/dynamodb');
+const { getSchema, hasSchema, validate, DEFAULT_DATASET } = require('../utils/schema');
+const {
+  response, errorResponse, parseJsonBody, queryParameter, header, startRequest, identity, requireScope, etag
+} = require('../utils/http');
+const { checkRateLimit } = require('../utils/rateLimit');
+const {
+  requestHash, acquireIdempotencyKey, completionTransactItem, releaseIdempotencyKey, IDEMPOTENCY_COMPLETED
+} = require('../utils/idempotency');
+const log = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const { v4: uuidv4, v5: uuidv5 } = require('uuid');
+
+// Namespace dos ids derivados da Idempotency-Key (UUID v5)
+const IDEMPOTENT_ID_NAMESPACE = '3f8a2c1e-6d4b-4e0a-9b7c-2a5d8e1f4c90';
+
+// Valor aceito no header Idempotency-Key: ASCII visível, até 255 caracteres
+const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
 
 /**
  * Lambda Handler: Create Record API
- * 
+ *
  * Endpoint REST para criar registros diretamente no DynamoDB
  * via requisição HTTP POST
- * 
- * Endpoint: POST /records
- * Body: JSON com dados do registro
- * 
+ *
+ * Endpoint: POST /records[?dataset=<dataset>]
+ * Body: JSON com dados do registro, validado pelo schema do dataset
+ *
+ * Retorna 409 se já existir um registro com o id informado (inclusive
+ * removido e ainda não apagado: use POST /records/{id}/restore).
+ *
+ * Header opcional Idempotency-Key: uma nova requisição do mesmo
+ * cliente com a mesma chave e o mesmo corpo repete a resposta 201
+ * original (header Idempotency-Replayed: true) sem criar outro
+ * registro; com outro corpo, 422; enquanto a primeira ainda executa,
+ * 409. Sem id no corpo, o id do registro é derivado da chave. A
+ * resposta é guardada na mesma transação que cria o registro, então
+ * um registro criado sempre tem a resposta pronta para repetição.
+ *
  * @param {Object} event - Evento API Gateway
  * @param {Object} context - Contexto da execução Lambda
  * @returns {Promise<Object>} Resposta HTTP
  */
 exports.handler = async (event, context) => {
-  console.log('🌐 Lambda API Handler iniciada');
-  console.log('📋 Evento recebido:', JSON.stringify(event, null, 2));
-
-  // Headers CORS para permitir requisições cross-origin
-  const headers = {
-    'Content-Type': 'application/json',
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type'
-  };
+  const correlationId = startRequest('createRecord', event, context);
 
   // Tratar preflight request (OPTIONS)
   if (event.httpMethod === 'OPTIONS') {
-    return {
-      statusCode: 200,
-      headers,
-      body: JSON.stringify({ message: 'CORS preflight successful' })
-    };
+    return response(200, { message: 'CORS preflight successful' });
   }
 
+  const forbidden = requireScope(event, 'records:write');
+  if (forbidden) return forbidden;
+
+  const throttled = await checkRateLimit(event);
+  if (throttled) return throttled;
+
   try {
     // 1. Validar método HTTP
     if (event.httpMethod !== 'POST') {
-      return {
-        statusCode: 405,
-        headers,
-        body: JSON.stringify({
-          error: 'Method Not Allowed',
-          message: 'Apenas POST é permitido'
-        })
-      };
+      return errorResponse(405, 'Method Not Allowed', 'Apenas POST é permitido');
     }
 
     // 2. Parsear body da requisição
-    let body;
-    try {
-      body = typeof event.body === 'string' 
-        ? JSON.parse(event.body) 
-        : event.body;
-    } catch (parseError) {
-      return {
-        statusCode: 400,
-        headers,
-        body: JSON.stringify({
-          error: 'Invalid JSON',
-          message: 'Body da requisição não é um JSON válido'
-        })
-      };
+    const { body, error: bodyError } = parseJsonBody(event);
+    if (bodyError) {
+      return bodyError;
     }
 
-    // 3. Validar campos obrigatórios
-    if (!body.nome) {
-      return {
-        statusCode: 400,
-        headers,
-        body: JSON.stringify({
-          error: 'Validation Error',
-          message: 'Campo "nome" é obrigatório'
-        })
-      };
+    // 3. Validar contra o schema do dataset
+    const dataset = queryParameter(event, 'dataset') || DEFAULT_DATASET;
+
+    if (!hasSchema(dataset)) {
+      return errorResponse(400, 'Unknown Dataset', `Dataset "${dataset}" não possui schema`);
     }
 
-    // 4. Criar registro enriquecido
-    const itemId = body.id || uuidv4();
-    const timestamp = Date.now();
+    const client = identity(event).principal;
+    const idempotencyKey = header(event, 'Idempotency-Key');
 
+    if (idempotencyKey !== undefined && !IDEMPOTENCY_KEY_PATTERN.test(idempotencyKey)) {
+      return errorResponse(400, 'Invalid Idempotency-Key', 'Idempotency-Key deve ter de 1 a 255 caracteres ASCII visíveis');
+    }
+
+    const itemId = body.id
+      || (idempotencyKey ? uuidv5(`${client}:${idempotencyKey}`, IDEMPOTENT_ID_NAMESPACE) : uuidv4());
+    const { valid, value, errors } = validate(getSchema(dataset), { ...body, id: itemId });
+
+    if (!valid) {
+      return errorResponse(400, 'Validation Error', 'Registro inválido', { details: errors });
+    }
+
+    // 4. Reservar a Idempotency-Key (ou responder pela requisição anterior)
+    const hash = idempotencyKey ? requestHash({ dataset, body }) : null;
+    if (idempotencyKey) {
+      const { acquired, entry } = await acquireIdempotencyKey(client, idempotencyKey, hash);
+      if (!acquired) {
+        return idempotentResponse(entry, hash, idempotencyKey);
+      }
+    }
+
+    // 5. Criar registro enriquecido
     const item = {
-      id: itemId,
-      timestamp: timestamp,
-      nome: body.nome,
-      categoria: body.categoria || 'API',
-      preco: parseFloat(body.preco) || 0,
-      estoque: parseInt(body.estoque) || 0,
+      ...value,
+      timestamp: CURRENT_SORT_KEY,
+      version: 1,
+      dataset,
       source: 'API',
       created_at: new Date().toISOString(),
-      created_by: event.requestContext?.identity?.sourceIp || 'unknown',
-      request_id: context.requestId
+      created_by: client,
+      request_id: context.awsRequestId || context.requestId,
+      correlation_id: correlationId
+    };
+
+    log.debug('Criando registro', { record_id: itemId, dataset, item });
+
+    const responseBody = {
+      message: 'Registro criado com sucesso',
+      id: itemId,
+      data: item
     };
 
-    console.log('📝 Criando registro:', JSON.stringify(item));
-
-    // 5. Salvar no DynamoDB
-    await putItem(item);
-
-    // 6. Publicar notificação SNS
-    const topicArn = process.env.TOPIC_ARN;
-    if (topicArn) {
-      await publishMessage(
-        topicArn,
-        {
-          event_type: 'RECORD_CREATED_VIA_API',
-          record_id: itemId,
-          record_name: body.nome,
-          created_at: item.created_at
-        },
-        'New Record Created via API',
-        {
-          event_type: 'api_creation',
-          record_id: itemId
-        }
-      );
+    // 6. Salvar no DynamoDB (falha se o id já existir), guardando na
+    // mesma transação a resposta para repetições com a Idempotency-Key
+    try {
+      await putItem(item, {
+        mustNotExist: true,
+        transactItems: idempotencyKey
+          ? [completionTransactItem(client, idempotencyKey, hash, 201, responseBody)]
+          : []
+      });
+    } catch (error) {
+      const [recordReason, keyReason] = error.cancellationReasons || [];
+
+      // A chave não é mais desta requisição (lease vencido e assumido
+      // por outra): não liberar a reserva da outra requisição
+      if (keyReason === 'ConditionalCheckFailed') {
+        return errorResponse(409, 'Conflict', 'Requisição com a mesma Idempotency-Key em andamento');
+      }
+      if (idempotencyKey) {
+        await releaseIdempotencyKey(client, idempotencyKey);
+      }
+      if (isConditionalCheckFailed(error) || recordReason === 'ConditionalCheckFailed') {
+        return errorResponse(409, 'Conflict', `Registro "${itemId}" já existe`);
+      }
+      throw error;
     }
 
+    log.info('Registro criado', { record_id: itemId, dataset, duration_ms: log.elapsed() });
+    metrics.putMetric('RecordsCreated', 1, 'Count', { Dataset: dataset });
+
     // 7. Retornar resposta de sucesso
-    return {
-      statusCode: 201,
-      headers,
-      body: JSON.stringify({
-        message: 'Registro criado com sucesso',
-        id: itemId,
-        timestamp: timestamp,
-        data: item
-      })
-    };
+    return response(201, responseBody, { ETag: etag(item.version) });
 
   } catch (error) {
-    console.error('❌ Erro ao criar registro:', error);
-    
-    return {
-      statusCode: 500,
-      headers,
-      body: JSON.stringify({
-        error: 'Internal Server Error',
-        message: error.message
-      })
-    };
+    log.error('Erro ao criar registro', { error, duration_ms: log.elapsed() });
+
+    return errorResponse(500, 'Internal Server Error', error.message);
   }
 };
+
+/**
+ * Responder a uma requisição cuja Idempotency-Key já está em uso
+ * @param {Object} entry - Entrada de idempotência existente
+ * @param {string} hash - Hash da requisição atual
+ * @param {string} idempotencyKey - Valor do header Idempotency-Key
+ * @returns {Object} Resposta original (repetida), 422 ou 409
+ */
+function idempotentResponse(entry, hash, idempotencyKey) {
+  if (entry && entry.request_hash !== hash) {
+    log.warn('Idempotency-Key reutilizada com outro corpo', { idempotency_key: idempotencyKey });
+    return errorResponse(422, 'Unprocessable Entity', 'Idempotency-Key já usada com outro corpo de requisição');
+  }
+
+  if (!entry || entry.status !== IDEMPOTENCY_COMPLETED) {
+    return errorResponse(409, 'Conflict', 'Requisição com a mesma Idempotency-Key em andamento');
+  }
+
+  const body = JSON.parse(entry.response_body);
+
+  log.info('Resposta idempotente repetida', { idempotency_key: idempotencyKey, record_id: body.id });
+  metrics.putMetric('IdempotentReplays', 1, 'Count');
+  return response(entry.status_code, body, { 'Idempotency-Replayed': 'true', ETag: etag(body.data.version) });
+}
@@ -1,122 +1,376 @@
-const { getObject } = require('../utils/s3');
-const { putItem } = require('../utils/dynamodb');
-const { publishMessage } = require('../utils/sns');
+const { headObject, getObjectStream } = require('../utils/s3');
+const { getReader, supportedExtensions } = require('../readers');
+const { upsertRecords, CURRENT_SORT_KEY } = require('../utils/dynamodb');
+const { publishMessage, outboxEvent, publishOutboxEntry } = require('../utils/sns');
+const { outboxTransactItem } = require('../utils/outbox');
+const {
+  getCheckpoint,
+  saveCheckpoint,
+  clearCheckpoint,
+  acquireLedgerEntry,
+  releaseLedgerEntry,
+  completeLedgerEntry,
+  failLedgerEntry,
+  LEDGER_COMPLETED
+} = require('../utils/processingState');
+const { invokeAsync } = require('../utils/lambda');
+const { sendMessage } = require('../utils/sqs');
+const { saveReportPart, writeErrorReport } = require('../utils/errorReport');
+const { transitionObject, writeManifest } = require('../utils/lifecycle');
+const { createJob, updateJob, JOB_STATES } = require('../utils/jobs');
+const { getSchema, datasetFromKey, validate } = require('../utils/schema');
+const log = require('../utils/logger');
+const metrics = require('../utils/metrics');
 const { v4: uuidv4 } = require('uuid');
 
+// Versão do processador registrada nos itens e nos manifestos
+const PROCESSOR_VERSION = '1.0.0';
+
+// Quantidade máxima de erros de linha incluídos na notificação e na resposta
+const MAX_REPORTED_ERRORS = 20;
+
+// Salvar checkpoint a cada N linhas confirmadas
+const CHECKPOINT_INTERVAL = parseInt(process.env.CHECKPOINT_INTERVAL) || 500;
+
+// Registros acumulados antes de cada escrita em lote
+const WRITE_BUFFER_SIZE = parseInt(process.env.WRITE_BUFFER_SIZE) || 100;
+
+// Lotes BatchWriteItem (e novas versões de registros) gravados em paralelo
+const WRITE_CONCURRENCY = parseInt(process.env.WRITE_CONCURRENCY) || 4;
+
+// Tempo mínimo restante (ms) para continuar processando antes do timeout
+const TIMEOUT_SAFETY_MS = parseInt(process.env.TIMEOUT_SAFETY_MS) || 10000;
+
+// Tamanho máximo de arquivos que precisam ser lidos inteiros (JSON, XLSX)
+const MAX_DOCUMENT_BYTES = parseInt(process.env.MAX_DOCUMENT_BYTES) || 50 * 1024 * 1024;
+
+// Concessão do ledger quando o contexto não informa o tempo restante
+const DEFAULT_LEASE_MS = 15 * 60 * 1000;
+
 /**
  * Lambda Handler: Data Processor
- * 
- * Função principal que processa arquivos CSV do S3:
+ *
+ * Função principal que processa arquivos do S3:
  * 1. Recebe evento de criação de arquivo no S3
- * 2. Lê e parseia o arquivo CSV
- * 3. Valida e transforma os dados
- * 4. Salva cada registro no DynamoDB
- * 5. Publica notificação SNS ao concluir
- * 
- * @param {Object} event - Evento S3 trigger
+ * 2. Escolhe o leitor do formato (CSV, NDJSON, JSON ou XLSX) pela
+ *    extensão ou Content-Type e lê o arquivo via stream
+ * 3. Valida e converte os dados com o schema do dataset
+ *    (input/<dataset>/... ou DEFAULT_DATASET)
+ * 4. Salva os registros no DynamoDB (upsertRecords: leitura em lote
+ *    das versões atuais; ids novos gravados em lote na versão 1; ids
+ *    existentes alterados ganham nova versão e linha de histórico;
+ *    linhas sem alteração não são regravadas; ids removidos pela API
+ *    são rejeitados até serem restaurados)
+ * 5. Grava as linhas rejeitadas em errors/<chave>.csv (ou .ndjson),
+ *    com a linha original e o motivo da rejeição
+ * 6. Publica notificação SNS ao concluir, com o link do relatório
+ *    (gravada na outbox na mesma transação que conclui o job)
+ *
+ * O arquivo percorre os prefixos input/ → processing/ → processed/
+ * (ou failed/), com as tags run_id e status, e ao ser arquivado
+ * recebe um manifesto JSON com o resumo da execução.
+ *
+ * Cada execução é registrada como um job (GET /jobs/{run_id}),
+ * atualizado a cada checkpoint e ao final do processamento.
+ *
+ * Execuções que falham são enviadas para a dead-letter queue
+ * (DLQ_URL) com um evento { retry } pronto para ser reenviado pela
+ * função redriveFailed. A nova tentativa mantém a identidade do
+ * objeto original, então retoma do último checkpoint; registros já
+ * salvos nas mesmas chaves não mudam e não são regravados.
+ *
+ * Em CSV e NDJSON o uso de memória não depende do tamanho do arquivo;
+ * JSON e XLSX são carregados inteiros (até MAX_DOCUMENT_BYTES). O
+ * progresso é salvo periodicamente em checkpoints; se o tempo da
+ * invocação estiver acabando, a função salva o checkpoint e agenda
+ * uma nova invocação (evento { continuation }) que retoma a leitura
+ * a partir do último registro confirmado.
+ *
+ * O reprocessamento é idempotente: cada objeto (bucket, key, ETag e
+ * versão) é registrado em um ledger e entregas duplicadas do mesmo
+ * evento são ignoradas. Os registros usam chave determinística
+ * (id de origem + CURRENT_SORT_KEY), então reenviar um arquivo
+ * gera novas versões dos itens alterados em vez de duplicá-los.
+ *
+ * @param {Object} event - Evento S3 trigger, de continuação ou de nova tentativa
  * @param {Object} context - Contexto da execução Lambda
  * @returns {Promise<Object>} Resultado do processamento
  */
 exports.handler = async (event, context) => {
-  console.log('🚀 Lambda Data Processor iniciada');
-  console.log('📋 Evento recebido:', JSON.stringify(event, null, 2));
+  const requestId = context.awsRequestId || context.requestId;
+  let run = null;
+  let source = null;
+  let progress = null;
+
+  log.setContext({ handler: 'dataProcessor', request_id: requestId });
+  log.debug('Evento recebido', { event });
 
   try {
-    // Extrair informações do evento S3
-    const record = event.Records[0];
-    const bucket = record.s3.bucket.name;
-    const key = decodeURIComponent(record.s3.object.key.replace(/\+/g, ' '));
-    
-    console.log(`📁 Processando arquivo: s3://${bucket}/${key}`);
-
-    // 1. Ler arquivo CSV do S3
-    const csvContent = await getObject(bucket, key);
-    console.log(`📄 Conteúdo do arquivo lido (${csvContent.length} bytes)`);
-
-    // 2. Parsear CSV manualmente (sem dependência externa de csv-parser)
-    const lines = csvContent.trim().split('\n');
-    const headers = lines[0].split(',').map(h => h.trim());
-    
-    console.log(`📊 Headers encontrados: ${headers.join(', ')}`);
-    console.log(`📈 Total de linhas (incluindo header): ${lines.length}`);
-
-    const records = [];
-    let processedCount = 0;
-    let errorCount = 0;
-
-    // 3. Processar cada linha do CSV
-    for (let i = 1; i < lines.length; i++) {
-      const line = lines[i].trim();
-      
-      // Pular linhas vazias
-      if (!line) continue;
+    run = parseRunEvent(event);
+    const { bucket } = run;
 
-      try {
-        const values = line.split(',').map(v => v.trim());
-        
-        // Criar objeto a partir dos headers e values
-        const record = {};
-        headers.forEach((header, index) => {
-          record[header] = values[index];
-        });
-
-        // Validar registro
-        if (!record.id || !record.nome) {
-          console.warn(`⚠️ Linha ${i + 1}: Dados incompletos, pulando...`);
-          errorCount++;
-          continue;
-        }
+    log.addContext({
+      correlation_id: run.correlationId,
+      run_id: run.runId,
+      bucket,
+      key: run.inputKey,
+      attempt: run.attempt
+    });
+    // Marcadores de "pasta" (input/<dataset>/) também disparam o evento
+    if (run.inputKey.endsWith('/')) {
+      log.info('Chave de pasta, ignorando');
+      return {
+        statusCode: 200,
+        body: JSON.stringify({ message: 'Chave de pasta ignorada', file: run.inputKey, skipped: true })
+      };
+    }
 
-        // 4. Enriquecer dados
-        const enrichedRecord = {
-          id: String(record.id),
-          timestamp: Date.now(),
-          nome: record.nome,
-          categoria: record.categoria || 'Sem categoria',
-          preco: parseFloat(record.preco) || 0,
-          estoque: parseInt(record.estoque) || 0,
-          source_file: key,
-          processed_at: new Date().toISOString(),
-          processor_version: '1.0.0'
+    log.info('Processando arquivo', { current_key: run.currentKey, continuation: run.continuation });
+
+    // 1. Buscar metadados do objeto e registrar no ledger
+    let metadata;
+    try {
+      metadata = await headObject(bucket, run.currentKey);
+    } catch (error) {
+      // Arquivo já foi movido: evento (ou continuação) duplicado de
+      // um arquivo já tratado
+      if (error.code === 'NotFound') {
+        log.info('Arquivo não está mais no local esperado, ignorando', { current_key: run.currentKey });
+        return {
+          statusCode: 200,
+          body: JSON.stringify({
+            message: 'Arquivo já movido, evento duplicado ignorado',
+            file: run.inputKey,
+            skipped: true
+          })
         };
+      }
+      throw error;
+    }
+
+    // Correlation id informado no upload (x-amz-meta-correlation-id)
+    const uploadCorrelationId = metadata.Metadata && metadata.Metadata['correlation-id'];
+    if (!run.continuation && !run.retryOf && uploadCorrelationId) {
+      run.correlationId = uploadCorrelationId;
+      log.addContext({ correlation_id: run.correlationId });
+    }
 
-        // 5. Salvar no DynamoDB
-        await putItem(enrichedRecord);
-        records.push(enrichedRecord);
-        processedCount++;
-        
-        console.log(`✅ Linha ${i + 1} processada: ${record.nome}`);
+    const reader = getReader(run.inputKey, metadata.ContentType);
+    if (!reader) {
+      const error = new Error(`Formato de arquivo não suportado: ${run.inputKey} (extensões aceitas: ${supportedExtensions().join(', ')})`);
+      error.code = 'UnsupportedFormat';
+      throw error;
+    }
+    if (!reader.seekable && metadata.ContentLength > MAX_DOCUMENT_BYTES) {
+      throw new Error(`Arquivo ${reader.name.toUpperCase()} excede o tamanho máximo de ${MAX_DOCUMENT_BYTES} bytes`);
+    }
+
+    const leaseMs = typeof context.getRemainingTimeInMillis === 'function'
+      ? context.getRemainingTimeInMillis()
+      : DEFAULT_LEASE_MS;
+    // A identidade do objeto é a do arquivo original em input/, que
+    // a continuação recebe pronta (a cópia em processing/ tem outra versão)
+    const object = run.source
+      || { bucket, key: run.inputKey, etag: metadata.ETag, versionId: metadata.VersionId };
+    const lease = await acquireLedgerEntry(object, leaseMs);
 
-      } catch (error) {
-        console.error(`❌ Erro ao processar linha ${i + 1}:`, error.message);
-        errorCount++;
+    if (!lease.acquired) {
+      log.info('Objeto já processado ou em processamento, ignorando', { status: lease.entry.status });
+
+      // Reenvio de um arquivo idêntico já processado: apenas arquivar
+      if (lease.entry.status === LEDGER_COMPLETED && !run.continuation) {
+        await transitionObject(bucket, run.currentKey, 'processed', run.runId);
       }
+
+      return {
+        statusCode: 200,
+        body: JSON.stringify({
+          message: 'Arquivo já processado, evento duplicado ignorado',
+          file: run.inputKey,
+          status: lease.entry.status,
+          skipped: true
+        })
+      };
     }
 
-    // 6. Publicar notificação SNS
-    const topicArn = process.env.TOPIC_ARN;
-    const notification = {
-      event_type: 'DATA_PROCESSING_COMPLETED',
-      file: key,
+    source = object;
+
+    // Mover para processing/ (a continuação já recebe o arquivo lá)
+    if (!run.continuation) {
+      run.currentKey = await transitionObject(bucket, run.currentKey, 'processing', run.runId);
+    }
+
+    // Checkpoint de execução anterior, se houver
+    const checkpoint = await getCheckpoint(source);
+
+    progress = createProgress(checkpoint, datasetFromKey(run.inputKey), reader);
+    progress.jobId = run.runId;
+    progress.correlationId = run.correlationId;
+
+    // Registrar (ou retomar) o job da execução
+    if (run.continuation) {
+      await updateJob(run.runId, { state: JOB_STATES.RUNNING }, requestId);
+    } else {
+      await createJob({
+        job_id: run.runId,
+        correlation_id: run.correlationId,
+        state: JOB_STATES.RUNNING,
+        bucket,
+        file: run.inputKey,
+        current_key: run.currentKey,
+        etag: source.etag,
+        version_id: source.versionId || null,
+        format: reader.name,
+        dataset: progress.dataset,
+        started_at: run.startedAt,
+        attempt: run.attempt,
+        retry_of: run.retryOf,
+        ...jobProgress(progress)
+      }, requestId);
+    }
+    run.jobCreated = true;
+
+    if (checkpoint) {
+      log.info('Retomando do checkpoint', { resume_at: progress.resumeAt });
+    }
+    log.info('Lendo arquivo', {
+      format: reader.name,
+      size_bytes: metadata.ContentLength,
+      dataset: progress.dataset
+    });
+
+    // 2. Ler e parsear o arquivo via stream. Formatos com retomada por
+    // offset continuam do byte salvo (nada a ler se já está no fim);
+    // os demais são relidos do início e pulam os registros já gravados
+    const start = reader.seekable ? progress.resumeAt.offset : 0;
+    const stream = start < metadata.ContentLength
+      ? getObjectStream(bucket, run.currentKey, { start })
+      : [];
+    const parser = reader.createParser({ resumeAt: progress.resumeAt, state: progress.readerState });
+    let interrupted = false;
+
+    for await (const chunk of stream) {
+      if (!await processEntries(parser.write(chunk), progress, parser, source, context)) {
+        interrupted = true;
+        break;
+      }
+    }
+
+    if (!interrupted) {
+      interrupted = !await processEntries(await parser.end(), progress, parser, source, context);
+    }
+
+    await flushWrites(progress);
+
+    // 3. Tempo esgotando: salvar checkpoint e agendar continuação
+    if (interrupted) {
+      progress.continuations++;
+      await checkpointProgress(progress, parser, source);
+      await releaseLedgerEntry(source);
+      await invokeAsync(context.functionName, toContinuationEvent(run, source));
+
+      const partial = {
+        statusCode: 202,
+        body: JSON.stringify({
+          message: 'Processamento parcial, continuação agendada',
+          file: run.inputKey,
+          run_id: run.runId,
+          resume_at: progress.resumeAt,
+          records_processed: progress.processedCount,
+          records_failed: progress.errorCount
+        })
+      };
+
+      log.info('Processamento interrompido, continuação agendada', {
+        resume_at: progress.resumeAt,
+        records_processed: progress.processedCount,
+        records_failed: progress.errorCount,
+        duration_ms: log.elapsed()
+      });
+      return partial;
+    }
+
+    const { processedCount, errorCount, totalRows, rowErrors } = progress;
+
+    // 4. Gravar relatório de linhas rejeitadas
+    syncReaderState(progress, parser);
+    const errorReport = await writeErrorReport(bucket, run.inputKey, progress.report, errorCount);
+    if (errorReport) {
+      log.info('Relatório de linhas rejeitadas gravado', { rows: errorReport.rows, report_key: errorReport.key });
+    }
+
+    // 5. Arquivar em processed/ com o manifesto da execução
+    run.currentKey = await transitionObject(bucket, run.currentKey, 'processed', run.runId);
+    const manifestKey = await writeManifest(bucket, run.currentKey, buildManifest(run, source, 'processed', {
+      format: reader.name,
+      dataset: progress.dataset,
+      records_processed: processedCount,
+      records_failed: errorCount,
+      total_records: totalRows,
+      continuations: progress.continuations,
+      error_report: errorReport ? errorReport.key : null
+    }));
+
+    if (checkpoint || progress.checkpointed) {
+      await clearCheckpoint(source);
+    }
+
+    await completeLedgerEntry(source, {
+      records_processed: processedCount,
+      records_failed: errorCount,
+      total_records: totalRows,
+      error_report: errorReport ? errorReport.key : null,
+      archived_key: run.currentKey
+    });
+
+    const finishedAt = new Date();
+    const durationMs = finishedAt.getTime() - new Date(run.startedAt).getTime();
+
+    // 6. Notificação SNS: gravada na outbox na mesma transação que
+    // conclui o job e publicada em seguida (se a publicação falhar ou
+    // a execução cair antes dela, a drainOutbox reenvia; a ingestão já
+    // está concluída e não deve ser marcada como falha por isso)
+    const notification = outboxNotification('DATA_PROCESSING_COMPLETED', {
+      file: run.inputKey,
       bucket: bucket,
+      run_id: run.runId,
+      archived_key: run.currentKey,
+      manifest_key: manifestKey,
+      format: reader.name,
       records_processed: processedCount,
       records_failed: errorCount,
-      total_records: lines.length - 1,
+      total_records: totalRows,
+      errors: rowErrors,
+      error_report: errorReport,
       processed_at: new Date().toISOString(),
-      lambda_request_id: context.requestId
-    };
+      lambda_request_id: requestId
+    }, {
+      correlationId: run.correlationId,
+      attributes: {
+        file_name: run.inputKey,
+        records_count: String(processedCount)
+      }
+    });
 
-    if (topicArn) {
-      await publishMessage(
-        topicArn,
-        notification,
-        'Data Processing Completed',
-        {
-          event_type: 'processing_completed',
-          file_name: key,
-          records_count: String(processedCount)
-        }
-      );
+    await updateJob(run.runId, {
+      state: JOB_STATES.COMPLETED,
+      ...jobProgress(progress),
+      current_key: run.currentKey,
+      error_report: errorReport ? errorReport.key : null,
+      manifest_key: manifestKey,
+      finished_at: finishedAt.toISOString(),
+      duration_ms: durationMs
+    }, undefined, { transactItems: notification ? [outboxTransactItem(notification)] : [] });
+
+    metrics.putMetric('FilesProcessed', 1, 'Count', { Dataset: progress.dataset, Format: reader.name });
+    metrics.putMetric('FileProcessingTime', durationMs, 'Milliseconds', { Dataset: progress.dataset, Format: reader.name });
+
+    if (notification) {
+      try {
+        await publishOutboxEntry(notification);
+      } catch (notifyError) {
+        log.error('Erro ao enviar notificação de conclusão', { error: notifyError });
+      }
     }
 
     // 7. Retornar resultado
@@ -124,45 +378,644 @@ exports.handler = async (event, context) => {
       statusCode: 200,
       body: JSON.stringify({
         message: 'Processamento concluído com sucesso',
-        file: key,
+        file: run.inputKey,
+        run_id: run.runId,
+        archived_key: run.currentKey,
+        format: reader.name,
         records_processed: processedCount,
         records_failed: errorCount,
-        total_records: lines.length - 1,
-        success_rate: ((processedCount / (lines.length - 1)) * 100).toFixed(2) + '%'
+        total_records: totalRows,
+        success_rate: totalRows > 0
+          ? ((processedCount / totalRows) * 100).toFixed(2) + '%'
+          : 'N/A',
+        errors: rowErrors,
+        error_report: errorReport
       })
     };
 
-    console.log('✅ Processamento concluído:', result.body);
+    log.info('Processamento concluído', {
+      format: reader.name,
+      records_processed: processedCount,
+      records_failed: errorCount,
+      total_records: totalRows,
+      duration_ms: log.elapsed()
+    });
     return result;
 
   } catch (error) {
-    console.error('❌ Erro fatal no processamento:', error);
-    
-    // Publicar notificação de erro
-    try {
-      const topicArn = process.env.TOPIC_ARN;
-      if (topicArn) {
-        await publishMessage(
-          topicArn,
+    log.error('Erro fatal no processamento', { error, duration_ms: log.elapsed() });
+    metrics.putMetric('FilesFailed', 1, 'Count', { ErrorCode: error.code || 'Error' });
+
+    // Arquivar em failed/ com o manifesto da execução
+    let failedKey = null;
+    if (run && !run.currentKey.startsWith('processed/')) {
+      try {
+        run.currentKey = failedKey = await transitionObject(run.bucket, run.currentKey, 'failed', run.runId);
+        await writeManifest(run.bucket, failedKey, buildManifest(run, source, 'failed', {
+          error: error.message,
+          error_code: error.code
+        }));
+      } catch (archiveError) {
+        log.error('Erro ao mover arquivo para failed/', { error: archiveError });
+      }
+    }
+
+    // Notificação de erro, gravada na outbox junto com a falha do job
+    const notification = outboxNotification('DATA_PROCESSING_FAILED', {
+      bucket: run ? run.bucket : null,
+      file: run ? run.inputKey : null,
+      run_id: run ? run.runId : null,
+      attempt: run ? run.attempt : null,
+      archived_key: failedKey,
+      error: error.message,
+      error_code: error.code,
+      processed_at: new Date().toISOString()
+    }, {
+      correlationId: run ? run.correlationId : requestId,
+      attributes: run ? { file_name: run.inputKey } : {}
+    });
+    let notificationStored = false;
+
+    // Registrar falha no job (criando-o se a falha ocorreu antes)
+    if (run) {
+      try {
+        await recordJobFailure(run, source, error, requestId, notification ? [outboxTransactItem(notification)] : []);
+        notificationStored = Boolean(notification);
+      } catch (jobError) {
+        log.error('Erro ao registrar falha no job', { error: jobError });
+      }
+    }
+
+    // Liberar o objeto para nova tentativa
+    if (source) {
+      try {
+        await failLedgerEntry(source, error.message);
+      } catch (ledgerError) {
+        log.error('Erro ao registrar falha no ledger', { error: ledgerError });
+      }
+    }
+
+    // Enviar para a dead-letter queue, permitindo nova tentativa
+    if (run && process.env.DLQ_URL) {
+      try {
+        await sendMessage(
+          process.env.DLQ_URL,
           {
-            event_type: 'DATA_PROCESSING_FAILED',
+            run_id: run.runId,
+            correlation_id: run.correlationId,
+            bucket: run.bucket,
+            file: run.inputKey,
+            attempt: run.attempt,
             error: error.message,
-            stack: error.stack,
-            processed_at: new Date().toISOString()
+            error_code: error.code || null,
+            failed_at: new Date().toISOString(),
+            event: toRetryEvent(run, source)
           },
-          'Data Processing Failed'
+          {
+            run_id: run.runId,
+            correlation_id: run.correlationId,
+            attempt: run.attempt
+          }
         );
+        metrics.putMetric('IngestionsDeadLettered', 1, 'Count');
+      } catch (queueError) {
+        log.error('Erro ao enviar evento para a DLQ', { error: queueError });
+      }
+    }
+
+    // Publicar notificação de erro (sem job gravado, direto com outbox)
+    if (notification) {
+      try {
+        if (notificationStored) {
+          await publishOutboxEntry(notification);
+        } else {
+          await publishMessage(notification.topic_arn, notification.message, notification.subject,
+            notification.attributes, { outbox: true });
+        }
+      } catch (notifyError) {
+        log.error('Erro ao enviar notificação de falha', { error: notifyError });
       }
-    } catch (notifyError) {
-      console.error('❌ Erro ao enviar notificação de falha:', notifyError);
     }
 
     return {
       statusCode: 500,
       body: JSON.stringify({
         message: 'Erro no processamento',
-        error: error.message
+        error: error.message,
+        error_code: error.code,
+        run_id: run ? run.runId : null,
+        archived_key: failedKey
       })
     };
+  } finally {
+    putRowMetrics(progress);
+    metrics.flush();
   }
 };
+
+/**
+ * Extrair dados da execução do evento recebido
+ *
+ * Um evento S3 inicia uma nova execução para o arquivo em input/;
+ * um evento { continuation } retoma a execução já em andamento,
+ * com o arquivo em processing/; um evento { retry } (reenviado da
+ * dead-letter queue) inicia uma nova execução para o arquivo em
+ * failed/, com a identidade do objeto original.
+ *
+ * O correlation id acompanha o arquivo em todas as execuções
+ * (continuações e novas tentativas); em um evento S3 ele é o run id,
+ * até ser substituído pelo informado no upload, se houver.
+ *
+ * @param {Object} event - Evento S3 trigger, de continuação ou de nova tentativa
+ * @returns {Object} Execução ({ bucket, inputKey, currentKey, runId, correlationId, startedAt, source, continuation, attempt, retryOf })
+ */
+function parseRunEvent(event) {
+  if (event.continuation) {
+    const { bucket, input_key, current_key, run_id, correlation_id, started_at, source, attempt } = event.continuation;
+    return {
+      bucket,
+      inputKey: input_key,
+      currentKey: current_key,
+      runId: run_id,
+      correlationId: correlation_id || run_id,
+      startedAt: started_at,
+      source,
+      continuation: true,
+      attempt: attempt || 0,
+      retryOf: null
+    };
+  }
+
+  if (event.retry) {
+    const { bucket, input_key, current_key, source, attempt, retry_of, correlation_id } = event.retry;
+    const runId = uuidv4();
+    return {
+      bucket,
+      inputKey: input_key,
+      currentKey: current_key,
+      runId,
+      correlationId: correlation_id || runId,
+      startedAt: new Date().toISOString(),
+      source: source || null,
+      continuation: false,
+      attempt,
+      retryOf: retry_of
+    };
+  }
+
+  const record = event.Records[0];
+  const key = decodeURIComponent(record.s3.object.key.replace(/\+/g, ' '));
+  const runId = uuidv4();
+
+  return {
+    bucket: record.s3.bucket.name,
+    inputKey: key,
+    currentKey: key,
+    runId,
+    correlationId: runId,
+    startedAt: new Date().toISOString(),
+    source: null,
+    continuation: false,
+    attempt: 0,
+    retryOf: null
+  };
+}
+
+/**
+ * Montar evento de continuação da execução
+ * @param {Object} run - Execução em andamento
+ * @param {Object} source - Objeto de origem ({ bucket, key, etag, versionId })
+ * @returns {Object} Evento para a próxima invocação
+ */
+function toContinuationEvent(run, source) {
+  return {
+    continuation: {
+      bucket: run.bucket,
+      input_key: run.inputKey,
+      current_key: run.currentKey,
+      run_id: run.runId,
+      correlation_id: run.correlationId,
+      started_at: run.startedAt,
+      source,
+      attempt: run.attempt
+    }
+  };
+}
+
+/**
+ * Montar evento de nova tentativa de uma execução que falhou
+ *
+ * O evento aponta para onde o arquivo está agora (normalmente
+ * failed/) e leva a identidade do objeto original, usada pelo
+ * ledger e pelo checkpoint.
+ *
+ * @param {Object} run - Execução que falhou
+ * @param {Object} source - Objeto de origem (null se não chegou a ser registrado)
+ * @returns {Object} Evento para reenvio ao dataProcessor
+ */
+function toRetryEvent(run, source) {
+  return {
+    retry: {
+      bucket: run.bucket,
+      input_key: run.inputKey,
+      current_key: run.currentKey,
+      source,
+      attempt: run.attempt + 1,
+      retry_of: run.runId,
+      correlation_id: run.correlationId
+    }
+  };
+}
+
+/**
+ * Montar manifesto da execução
+ * @param {Object} run - Execução
+ * @param {Object} source - Objeto de origem (null se não chegou a ser registrado)
+ * @param {string} status - Resultado (processed ou failed)
+ * @param {Object} summary - Contadores ou dados do erro
+ * @returns {Object} Manifesto
+ */
+function buildManifest(run, source, status, summary) {
+  const finishedAt = new Date();
+
+  return {
+    run_id: run.runId,
+    correlation_id: run.correlationId,
+    status,
+    source: {
+      bucket: run.bucket,
+      key: run.inputKey,
+      etag: source ? source.etag : null,
+      version_id: source ? source.versionId || null : null
+    },
+    archived_key: run.currentKey,
+    ...summary,
+    started_at: run.startedAt,
+    finished_at: finishedAt.toISOString(),
+    duration_ms: finishedAt.getTime() - new Date(run.startedAt).getTime(),
+    processor_version: PROCESSOR_VERSION
+  };
+}
+
+/**
+ * Registrar métricas das linhas tratadas nesta invocação
+ *
+ * RowsProcessed e RowsRejected contam só o que esta invocação leu
+ * (continuações somam as suas); RowsPerSecond é a vazão da invocação.
+ *
+ * @param {Object} progress - Estado de progresso (null se a leitura não começou)
+ */
+function putRowMetrics(progress) {
+  if (!progress) return;
+
+  const dimensions = { Dataset: progress.dataset, Format: progress.format };
+  const rows = progress.rowsWritten + progress.rowsRejected;
+  const seconds = log.elapsed() / 1000;
+
+  metrics.putMetric('RowsProcessed', progress.rowsWritten, 'Count', dimensions);
+  metrics.putMetric('RowsRejected', progress.rowsRejected, 'Count', dimensions);
+  if (rows > 0 && seconds > 0) {
+    metrics.putMetric('RowsPerSecond', Math.round(rows / seconds), 'Count/Second', dimensions);
+  }
+}
+
+/**
+ * Extrair campos de progresso gravados no job
+ * @param {Object} progress - Estado de progresso
+ * @returns {Object} Contadores, amostra de erros e posição de leitura
+ */
+function jobProgress(progress) {
+  return {
+    records_processed: progress.processedCount,
+    records_failed: progress.errorCount,
+    total_records: progress.totalRows,
+    errors: progress.rowErrors,
+    continuations: progress.continuations,
+    resume_at: progress.resumeAt
+  };
+}
+
+/**
+ * Marcar job como falho
+ *
+ * Se a falha ocorreu antes do job ser criado (ex: formato não
+ * suportado), o job é criado já no estado FAILED.
+ *
+ * @param {Object} run - Execução
+ * @param {Object} source - Objeto de origem (null se não chegou a ser registrado)
+ * @param {Error} error - Erro da execução
+ * @param {string} requestId - Request id da invocação
+ * @param {Array<Object>} transactItems - Escritas na mesma transação (ex: outbox)
+ */
+async function recordJobFailure(run, source, error, requestId, transactItems = []) {
+  const finishedAt = new Date();
+  const failure = {
+    state: JOB_STATES.FAILED,
+    current_key: run.currentKey,
+    error: error.message,
+    error_code: error.code || null,
+    finished_at: finishedAt.toISOString(),
+    duration_ms: finishedAt.getTime() - new Date(run.startedAt).getTime()
+  };
+
+  if (run.jobCreated) {
+    await updateJob(run.runId, failure, undefined, { transactItems });
+    return;
+  }
+
+  await createJob({
+    job_id: run.runId,
+    correlation_id: run.correlationId,
+    bucket: run.bucket,
+    file: run.inputKey,
+    etag: source ? source.etag : null,
+    version_id: source ? source.versionId || null : null,
+    started_at: run.startedAt,
+    attempt: run.attempt,
+    retry_of: run.retryOf,
+    ...failure
+  }, requestId, { transactItems });
+}
+
+/**
+ * Montar entrada da outbox para uma notificação do processamento
+ *
+ * Sem TOPIC_ARN não há notificação; um payload fora do schema do
+ * evento é registrado no log e também não impede o processamento.
+ *
+ * @param {string} eventType - Tipo do evento (EVENT_CATALOG)
+ * @param {Object} data - Payload do evento
+ * @param {Object} options - Opções do envelope (ver eventMessage)
+ * @returns {Object|null} Entrada da outbox
+ */
+function outboxNotification(eventType, data, options) {
+  const topicArn = process.env.TOPIC_ARN;
+  if (!topicArn) return null;
+
+  try {
+    return outboxEvent(topicArn, eventType, data, options);
+  } catch (error) {
+    log.error('Erro ao montar notificação', { event_type: eventType, error });
+    return null;
+  }
+}
+
+/**
+ * Montar estado de progresso, a partir do checkpoint se houver
+ * @param {Object} checkpoint - Checkpoint salvo (opcional)
+ * @param {string} dataset - Dataset (schema) do arquivo
+ * @param {Object} reader - Leitor do formato do arquivo
+ * @returns {Object} Estado de progresso do processamento
+ */
+function createProgress(checkpoint, dataset, reader) {
+  return {
+    dataset,
+    format: reader.name,
+    schema: getSchema(dataset),
+    readerState: checkpoint ? checkpoint.reader_state : {},
+    resumeAt: checkpoint ? checkpoint.resume_at : { offset: 0, line: 1 },
+    processedCount: checkpoint ? checkpoint.records_processed : 0,
+    errorCount: checkpoint ? checkpoint.records_failed : 0,
+    totalRows: checkpoint ? checkpoint.total_records : 0,
+    rowErrors: checkpoint ? checkpoint.errors : [],
+    report: {
+      format: reader.reportFormat,
+      columns: checkpoint ? checkpoint.report_columns : null,
+      parts: checkpoint ? checkpoint.report_parts : [],
+      rows: []
+    },
+    continuations: checkpoint ? checkpoint.continuations : 0,
+    pendingResumeAt: checkpoint ? checkpoint.resume_at : { offset: 0, line: 1 },
+    pending: [],
+    rowsSinceCheckpoint: 0,
+    rowsWritten: 0,
+    rowsRejected: 0,
+    checkpointed: false
+  };
+}
+
+/**
+ * Converter estado de progresso em checkpoint persistível
+ * @param {Object} progress - Estado de progresso
+ * @returns {Object} Checkpoint
+ */
+function toCheckpoint(progress) {
+  return {
+    format: progress.format,
+    resume_at: progress.resumeAt,
+    reader_state: progress.readerState,
+    records_processed: progress.processedCount,
+    records_failed: progress.errorCount,
+    total_records: progress.totalRows,
+    errors: progress.rowErrors,
+    report_columns: progress.report.columns,
+    report_parts: progress.report.parts,
+    continuations: progress.continuations
+  };
+}
+
+/**
+ * Copiar o estado do leitor para o progresso (e o delimitador do
+ * CSV de origem para o relatório de erros)
+ * @param {Object} progress - Estado de progresso
+ * @param {Object} parser - Parser do leitor
+ */
+function syncReaderState(progress, parser) {
+  progress.readerState = parser.state();
+  progress.report.delimiter = progress.readerState.delimiter;
+}
+
+/**
+ * Salvar checkpoint do progresso
+ *
+ * As linhas rejeitadas até aqui são gravadas antes como uma parte
+ * do relatório de erros, já que o checkpoint guarda só uma amostra.
+ * O job da execução recebe os contadores atualizados.
+ *
+ * @param {Object} progress - Estado de progresso
+ * @param {Object} parser - Parser do leitor
+ * @param {Object} source - Objeto de origem ({ bucket, key, etag, versionId })
+ */
+async function checkpointProgress(progress, parser, source) {
+  syncReaderState(progress, parser);
+  await saveReportPart(source.bucket, source.key, progress.report);
+  await saveCheckpoint(source, toCheckpoint(progress));
+  await updateJob(progress.jobId, jobProgress(progress));
+}
+
+/**
+ * Registrar linha rejeitada
+ *
+ * A linha original vai para o relatório de erros; apenas uma amostra
+ * dos erros é mantida para a notificação e a resposta.
+ *
+ * @param {Object} progress - Estado de progresso
+ * @param {Object} entry - Entrada rejeitada ({ line, raw, columns })
+ * @param {Array<Object>} rowErrors - Erros no formato { line, column, field, message }
+ */
+function rejectRow(progress, entry, rowErrors) {
+  progress.errorCount++;
+  progress.rowsRejected++;
+  rowErrors.forEach((rowError) => {
+    if (progress.rowErrors.length < MAX_REPORTED_ERRORS) {
+      progress.rowErrors.push(rowError);
+    }
+  });
+
+  if (!progress.report.columns && entry.columns) {
+    progress.report.columns = entry.columns;
+  }
+  progress.report.rows.push({
+    line: entry.line,
+    error: rowErrors.map(rowError => rowError.message).join('; '),
+    raw: entry.raw
+  });
+}
+
+/**
+ * Processar entradas emitidas pelo leitor do formato
+ *
+ * Registros válidos são acumulados e gravados em lote. A posição
+ * de retomada só avança depois que o lote que contém o registro foi
+ * gravado, então um checkpoint nunca aponta além do que foi salvo.
+ *
+ * @param {Array<Object>} entries - Entradas { line, record, error, columns, resumeAt }
+ * @param {Object} progress - Estado de progresso
+ * @param {Object} parser - Parser do leitor (para salvar seu estado no checkpoint)
+ * @param {Object} source - Objeto de origem ({ bucket, key, etag, versionId })
+ * @param {Object} context - Contexto da execução Lambda
+ * @returns {Promise<boolean>} false se o processamento deve ser interrompido
+ */
+async function processEntries(entries, progress, parser, source, context) {
+  for (const entry of entries) {
+    // Entradas sem registro nem erro apenas avançam a posição (ex: header CSV)
+    if (!entry.record && !entry.error) {
+      progress.pendingResumeAt = entry.resumeAt;
+      if (progress.pending.length === 0) {
+        progress.resumeAt = entry.resumeAt;
+      }
+      continue;
+    }
+
+    processEntry(entry, progress, source.key);
+    progress.totalRows++;
+    progress.pendingResumeAt = entry.resumeAt;
+    progress.rowsSinceCheckpoint++;
+
+    if (progress.pending.length >= WRITE_BUFFER_SIZE) {
+      await flushWrites(progress);
+    }
+
+    if (progress.rowsSinceCheckpoint >= CHECKPOINT_INTERVAL) {
+      await flushWrites(progress);
+      await checkpointProgress(progress, parser, source);
+      progress.rowsSinceCheckpoint = 0;
+      progress.checkpointed = true;
+    }
+
+    if (typeof context.getRemainingTimeInMillis === 'function'
+      && context.getRemainingTimeInMillis() < TIMEOUT_SAFETY_MS) {
+      await flushWrites(progress);
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Validar e enriquecer um registro lido do arquivo, enfileirando-o para escrita
+ * @param {Object} entry - Entrada emitida pelo leitor
+ * @param {Object} progress - Estado de progresso
+ * @param {string} key - Chave do arquivo de origem
+ */
+function processEntry(entry, progress, key) {
+  const { record, error: parseError, columns = [] } = entry;
+
+  if (parseError) {
+    log.warn('Linha rejeitada pelo leitor', {
+      line: parseError.line,
+      column: parseError.column,
+      position: parseError.position,
+      reason: parseError.message
+    });
+    rejectRow(progress, entry, [parseError]);
+    return;
+  }
+
+  // Validar registro contra o schema do dataset
+  const { valid, value, errors } = validate(progress.schema, record);
+
+  if (!valid) {
+    log.warn('Linha rejeitada pelo schema', { line: entry.line, errors });
+    rejectRow(progress, entry, errors.map(e => ({
+      line: entry.line,
+      column: columns.indexOf(e.field) + 1 || null,
+      field: e.field,
+      message: e.message
+    })));
+    return;
+  }
+
+  // Enriquecer dados (chave determinística: a mesma linha de origem
+  // sempre corresponde ao mesmo item)
+  const enrichedRecord = {
+    ...value,
+    timestamp: CURRENT_SORT_KEY,
+    version: 1,
+    dataset: progress.dataset,
+    source: 'S3',
+    source_file: key,
+    processed_at: new Date().toISOString(),
+    processor_version: PROCESSOR_VERSION,
+    correlation_id: progress.correlationId
+  };
+
+  progress.pending.push({ entry, item: enrichedRecord });
+}
+
+/**
+ * Gravar registros pendentes no DynamoDB
+ *
+ * Atualiza os contadores com o resultado real da escrita: itens
+ * que falharam após todas as tentativas, ou cujo registro foi
+ * removido pela API, contam como erro da linha de origem.
+ *
+ * @param {Object} progress - Estado de progresso
+ */
+async function flushWrites(progress) {
+  const pending = progress.pending;
+  progress.pending = [];
+
+  if (pending.length > 0) {
+    const entryByItem = new Map(pending.map(({ entry, item }) => [item, entry]));
+    const { written, deleted, failed } = await upsertRecords(pending.map(({ item }) => item), {
+      concurrency: WRITE_CONCURRENCY,
+      supersededBy: 'S3'
+    });
+
+    progress.processedCount += written;
+    progress.rowsWritten += written;
+
+    failed.forEach(({ item, error }) => {
+      const entry = entryByItem.get(item);
+      log.error('Erro ao salvar linha', { line: entry.line, reason: error });
+      rejectRow(progress, entry, [{ line: entry.line, column: null, message: error }]);
+    });
+
+    deleted.forEach((item) => {
+      const entry = entryByItem.get(item);
+      log.warn('Linha rejeitada: registro removido', { line: entry.line, record_id: item.id });
+      rejectRow(progress, entry, [{
+        line: entry.line,
+        column: null,
+        field: 'id',
+        message: `Registro "${item.id}" foi removido; restaure-o (POST /records/{id}/restore) antes de reenviá-lo`
+      }]);
+    });
+
+    log.info('Lote gravado', { written, deleted: deleted.length, failed: failed.length });
+  }
+
+  progress.resumeAt = progress.pendingResumeAt;
+}
@@ -0,0 +1,83 @@
+const {
+  getItem, softDeleteRecord, isDeleted, isVersionConflict, recordVersion, CURRENT_SORT_KEY, DELETED_RETENTION_DAYS
+} = require('../utils/dynamodb');
+const {
+  response, errorResponse, pathParameter, startRequest, identity, requireScope, ifMatches
+} = require('../utils/http');
+const { checkRateLimit } = require('../utils/rateLimit');
+const log = require('../utils/logger');
+
+/**
+ * Lambda Handler: Delete Record API
+ *
+ * Endpoint REST para remover um registro
+ *
+ * Endpoint: DELETE /records/{id}
+ *
+ * A remoção é lógica: o registro ganha deleted_at e deleted_by,
+ * some das leituras e pode ser restaurado (POST /records/{id}/restore)
+ * por DELETED_RETENTION_DAYS dias, até ser apagado pelo TTL da tabela.
+ * O evento RECORD_DELETED só é publicado nessa limpeza.
+ *
+ * Com If-Match, só remove se a versão atual corresponder ao ETag
+ * (412 caso contrário; 409 se o registro mudar antes da remoção).
+ *
+ * @param {Object} event - Evento API Gateway
+ * @param {Object} context - Contexto da execução Lambda
+ * @returns {Promise<Object>} Resposta HTTP (204 sem body)
+ */
+exports.handler = async (event, context) => {
+  const correlationId = startRequest('deleteRecord', event, context);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return response(200, { message: 'CORS preflight successful' });
+  }
+
+  const forbidden = requireScope(event, 'records:write');
+  if (forbidden) return forbidden;
+
+  const throttled = await checkRateLimit(event);
+  if (throttled) return throttled;
+
+  try {
+    const id = pathParameter(event, 'id');
+
+    const existing = await getItem(id, CURRENT_SORT_KEY);
+    if (!existing || isDeleted(existing)) {
+      return errorResponse(404, 'Not Found', `Registro "${id}" não encontrado`);
+    }
+
+    const version = recordVersion(existing);
+    if (!ifMatches(event, version)) {
+      return errorResponse(412, 'Precondition Failed', `Registro "${id}" não corresponde ao If-Match`, {
+        current_version: version
+      });
+    }
+
+    let saved;
+    try {
+      saved = await softDeleteRecord(existing, {
+        deletedBy: identity(event).principal,
+        correlationId
+      });
+    } catch (error) {
+      if (isVersionConflict(error)) {
+        return errorResponse(409, 'Conflict', `Registro "${id}" foi alterado ou removido por outra requisição`);
+      }
+      throw error;
+    }
+
+    log.info('Registro removido', {
+      record_id: id,
+      version: saved.version,
+      retention_days: DELETED_RETENTION_DAYS,
+      duration_ms: log.elapsed()
+    });
+    return response(204);
+
+  } catch (error) {
+    log.error('Erro ao remover registro', { error, duration_ms: log.elapsed() });
+
+    return errorResponse(500, 'Internal Server Error', error.message);
+  }
+};
@@ -0,0 +1,94 @@
+const { publishBatch } = require('../utils/sns');
+const {
+  listPendingNotifications,
+  removeNotification,
+  recordNotificationFailure
+} = require('../utils/outbox');
+const log = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+// Máximo de notificações tratadas por execução
+const DEFAULT_MAX_MESSAGES = 100;
+
+/**
+ * Lambda Handler: Drain Outbox
+ *
+ * Reenvia ao SNS as notificações guardadas na outbox (ver
+ * utils/outbox), das mais antigas para as mais novas, pulando as que
+ * ainda aguardam o backoff. As publicadas são removidas; as que
+ * falharem de novo permanecem, com o número de tentativas, o último
+ * erro e a próxima tentativa, ou, após OUTBOX_MAX_ATTEMPTS falhas,
+ * são movidas para outbox#dead (contadas em `dead`).
+ *
+ * Executada periodicamente (schedule) ou sob demanda:
+ * serverless invoke -f drainOutbox --stage local [--data '{"max_messages": 10}']
+ *
+ * @param {Object} event - { max_messages } (opcional)
+ * @param {Object} context - Contexto da execução Lambda
+ * @returns {Promise<Object>} Resumo do reenvio
+ */
+exports.handler = async (event = {}, context) => {
+  log.setContext({ handler: 'drainOutbox', request_id: context.awsRequestId || context.requestId });
+
+  const maxMessages = parseInt(event.max_messages) || DEFAULT_MAX_MESSAGES;
+  const summary = { pending: 0, published: 0, failed: 0, dead: 0 };
+
+  try {
+    const entries = await listPendingNotifications(maxMessages);
+    summary.pending = entries.length;
+
+    // Agrupar por tópico (PublishBatch publica em um tópico por chamada)
+    const byTopic = new Map();
+    entries.forEach((entry) => {
+      if (!byTopic.has(entry.topic_arn)) byTopic.set(entry.topic_arn, []);
+      byTopic.get(entry.topic_arn).push(entry);
+    });
+
+    for (const [topicArn, topicEntries] of byTopic) {
+      const messages = topicEntries.map(entry => ({
+        id: entry.sk,
+        message: entry.message,
+        subject: entry.subject,
+        attributes: entry.attributes
+      }));
+      const entryByMessage = new Map(messages.map((message, index) => [message, topicEntries[index]]));
+
+      const { failed } = await publishBatch(topicArn, messages);
+      const failedMessages = new Map(failed.map(({ message, error }) => [message, error]));
+
+      for (const message of messages) {
+        const entry = entryByMessage.get(message);
+        if (failedMessages.has(message)) {
+          const { parked } = await recordNotificationFailure(entry, failedMessages.get(message));
+          summary[parked ? 'dead' : 'failed']++;
+        } else {
+          await removeNotification(entry);
+          summary.published++;
+        }
+      }
+    }
+
+    log.info('Outbox processada', { ...summary, duration_ms: log.elapsed() });
+    return {
+      statusCode: 200,
+      body: JSON.stringify({
+        message: 'Outbox processada',
+        ...summary
+      })
+    };
+
+  } catch (error) {
+    log.error('Erro ao processar a outbox', { error, ...summary, duration_ms: log.elapsed() });
+
+    return {
+      statusCode: 500,
+      body: JSON.stringify({
+        message: 'Erro ao processar a outbox',
+        error: error.message,
+        ...summary
+      })
+    };
+  } finally {
+    metrics.flush();
+  }
+};
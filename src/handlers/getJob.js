@@ -0,0 +1,46 @@
+const { getJob } = require('../utils/jobs');
+const { response, errorResponse, pathParameter, startRequest, requireScope } = require('../utils/http');
+const { checkRateLimit } = require('../utils/rateLimit');
+const log = require('../utils/logger');
+
+/**
+ * Lambda Handler: Get Job API
+ *
+ * Endpoint REST para consultar um job de ingestão pelo id
+ * (run_id da execução do dataProcessor)
+ *
+ * Endpoint: GET /jobs/{id}
+ *
+ * @param {Object} event - Evento API Gateway
+ * @param {Object} context - Contexto da execução Lambda
+ * @returns {Promise<Object>} Resposta HTTP
+ */
+exports.handler = async (event, context) => {
+  startRequest('getJob', event, context);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return response(200, { message: 'CORS preflight successful' });
+  }
+
+  const forbidden = requireScope(event, 'jobs:read');
+  if (forbidden) return forbidden;
+
+  const throttled = await checkRateLimit(event);
+  if (throttled) return throttled;
+
+  try {
+    const id = pathParameter(event, 'id');
+    const job = await getJob(id);
+
+    if (!job) {
+      return errorResponse(404, 'Not Found', `Job "${id}" não encontrado`);
+    }
+
+    return response(200, { data: job });
+
+  } catch (error) {
+    log.error('Erro ao buscar job', { error, duration_ms: log.elapsed() });
+
+    return errorResponse(500, 'Internal Server Error', error.message);
+  }
+};
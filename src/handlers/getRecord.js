@@ -0,0 +1,52 @@
+const { getItem, isDeleted, recordVersion, CURRENT_SORT_KEY } = require('../utils/dynamodb');
+const {
+  response, errorResponse, pathParameter, queryParameter, startRequest, requireScope, etag
+} = require('../utils/http');
+const { checkRateLimit } = require('../utils/rateLimit');
+const log = require('../utils/logger');
+
+/**
+ * Lambda Handler: Get Record API
+ *
+ * Endpoint REST para buscar um registro pelo id
+ *
+ * Endpoint: GET /records/{id}
+ *
+ * Devolve a versão atual, com o header ETag (usado em If-Match).
+ * Registros removidos (deleted_at) respondem 404, a menos que a
+ * query string tenha include_deleted=true.
+ *
+ * @param {Object} event - Evento API Gateway
+ * @param {Object} context - Contexto da execução Lambda
+ * @returns {Promise<Object>} Resposta HTTP
+ */
+exports.handler = async (event, context) => {
+  startRequest('getRecord', event, context);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return response(200, { message: 'CORS preflight successful' });
+  }
+
+  const forbidden = requireScope(event, 'records:read');
+  if (forbidden) return forbidden;
+
+  const throttled = await checkRateLimit(event);
+  if (throttled) return throttled;
+
+  try {
+    const id = pathParameter(event, 'id');
+    const item = await getItem(id, CURRENT_SORT_KEY);
+    const includeDeleted = queryParameter(event, 'include_deleted') === 'true';
+
+    if (!item || (isDeleted(item) && !includeDeleted)) {
+      return errorResponse(404, 'Not Found', `Registro "${id}" não encontrado`);
+    }
+
+    return response(200, { data: item }, { ETag: etag(recordVersion(item)) });
+
+  } catch (error) {
+    log.error('Erro ao buscar registro', { error, duration_ms: log.elapsed() });
+
+    return errorResponse(500, 'Internal Server Error', error.message);
+  }
+};
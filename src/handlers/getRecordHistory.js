@@ -0,0 +1,89 @@
+const { getItem, listRecordHistory, recordVersion, CURRENT_SORT_KEY } = require('../utils/dynamodb');
+const { response, errorResponse, pathParameter, queryParameter, startRequest, requireScope } = require('../utils/http');
+const { checkRateLimit } = require('../utils/rateLimit');
+const log = require('../utils/logger');
+
+// Limite padrão e máximo de versões por página
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Lambda Handler: Get Record History API
+ *
+ * Endpoint REST para listar as versões anteriores de um registro,
+ * da mais nova para a mais antiga. Cada versão traz o registro como
+ * era (`data`), quando e por quem foi substituída e as alterações
+ * feitas pela versão seguinte (`changes`: { campo: { old, new } }).
+ * Registros removidos mantêm o histórico até a limpeza pelo TTL
+ * (`deleted_at` na resposta).
+ *
+ * Endpoint: GET /records/{id}/history
+ * Query string:
+ * - limit: versões por página (1-100, padrão 20)
+ * - cursor: valor de page.next_cursor da página anterior
+ *
+ * @param {Object} event - Evento API Gateway
+ * @param {Object} context - Contexto da execução Lambda
+ * @returns {Promise<Object>} Resposta HTTP
+ */
+exports.handler = async (event, context) => {
+  startRequest('getRecordHistory', event, context);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return response(200, { message: 'CORS preflight successful' });
+  }
+
+  const forbidden = requireScope(event, 'records:read');
+  if (forbidden) return forbidden;
+
+  const throttled = await checkRateLimit(event);
+  if (throttled) return throttled;
+
+  try {
+    // 1. Validar parâmetros
+    const id = pathParameter(event, 'id');
+    const limitParam = queryParameter(event, 'limit');
+    const limit = limitParam === undefined ? DEFAULT_LIMIT : Number(limitParam);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return errorResponse(400, 'Validation Error', `Parâmetro "limit" deve ser um inteiro entre 1 e ${MAX_LIMIT}`);
+    }
+
+    // 2. Buscar versão atual e página do histórico
+    const current = await getItem(id, CURRENT_SORT_KEY);
+
+    let result;
+    try {
+      result = await listRecordHistory(id, { limit, cursor: queryParameter(event, 'cursor') });
+    } catch (error) {
+      if (error.code === 'InvalidCursor') {
+        return errorResponse(400, 'Validation Error', error.message);
+      }
+      throw error;
+    }
+
+    if (!current && result.items.length === 0) {
+      return errorResponse(404, 'Not Found', `Registro "${id}" não encontrado`);
+    }
+
+    return response(200, {
+      id,
+      current_version: current ? recordVersion(current) : null,
+      deleted_at: (current && current.deleted_at) || null,
+      count: result.items.length,
+      versions: result.items.map(row => ({
+        version: row.version,
+        superseded_at: row.superseded_at,
+        superseded_by: row.superseded_by,
+        changes: row.changes,
+        data: row.data
+      })),
+      page: result.page
+    });
+
+  } catch (error) {
+    log.error('Erro ao listar histórico do registro', { error, duration_ms: log.elapsed() });
+
+    return errorResponse(500, 'Internal Server Error', error.message);
+  }
+};
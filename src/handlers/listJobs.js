@@ -0,0 +1,85 @@
+const { listJobs, JOB_STATES } = require('../utils/jobs');
+const { response, errorResponse, queryParameter, startRequest, requireScope } = require('../utils/http');
+const { checkRateLimit } = require('../utils/rateLimit');
+const log = require('../utils/logger');
+
+// Limite padrão e máximo de jobs por página
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/**
+ * Lambda Handler: List Jobs API
+ *
+ * Endpoint REST para acompanhar os jobs de ingestão, do mais
+ * recente para o mais antigo
+ *
+ * Endpoint: GET /jobs
+ * Query string:
+ * - limit: itens por página (1-200, padrão 50)
+ * - cursor: valor de page.next_cursor da página anterior
+ * - state: RUNNING, COMPLETED ou FAILED
+ * - file: chave do arquivo de entrada (ex: input/produtos.csv)
+ *
+ * @param {Object} event - Evento API Gateway
+ * @param {Object} context - Contexto da execução Lambda
+ * @returns {Promise<Object>} Resposta HTTP
+ */
+exports.handler = async (event, context) => {
+  startRequest('listJobs', event, context);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return response(200, { message: 'CORS preflight successful' });
+  }
+
+  const forbidden = requireScope(event, 'jobs:read');
+  if (forbidden) return forbidden;
+
+  const throttled = await checkRateLimit(event);
+  if (throttled) return throttled;
+
+  try {
+    // 1. Validar parâmetros
+    const limitParam = queryParameter(event, 'limit');
+    const limit = limitParam === undefined ? DEFAULT_LIMIT : Number(limitParam);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return errorResponse(400, 'Validation Error', `Parâmetro "limit" deve ser um inteiro entre 1 e ${MAX_LIMIT}`);
+    }
+
+    const state = queryParameter(event, 'state') || undefined;
+    const states = Object.values(JOB_STATES);
+    if (state !== undefined && !states.includes(state)) {
+      return errorResponse(400, 'Validation Error', `Parâmetro "state" deve ser um de: ${states.join(', ')}`);
+    }
+
+    const file = queryParameter(event, 'file') || undefined;
+
+    // 2. Buscar página
+    let result;
+    try {
+      result = await listJobs({
+        limit,
+        cursor: queryParameter(event, 'cursor'),
+        state,
+        file
+      });
+    } catch (error) {
+      if (error.code === 'InvalidCursor') {
+        return errorResponse(400, 'Validation Error', error.message);
+      }
+      throw error;
+    }
+
+    return response(200, {
+      count: result.items.length,
+      items: result.items,
+      page: result.page,
+      filters: { state: state || null, file: file || null }
+    });
+
+  } catch (error) {
+    log.error('Erro ao listar jobs', { error, duration_ms: log.elapsed() });
+
+    return errorResponse(500, 'Internal Server Error', error.message);
+  }
+};
@@ -0,0 +1,114 @@
+const { listRecords } = require('../utils/dynamodb');
+const { response, errorResponse, queryParameter, startRequest, requireScope } = require('../utils/http');
+const { checkRateLimit } = require('../utils/rateLimit');
+const log = require('../utils/logger');
+
+// Limite padrão e máximo de itens por página
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+// Filtros de igualdade aceitos na query string
+const EQUALITY_FILTERS = ['categoria', 'source', 'source_file', 'dataset'];
+
+/**
+ * Lambda Handler: List Records API
+ *
+ * Endpoint REST para listar registros com paginação por cursor
+ *
+ * Endpoint: GET /records
+ * Query string:
+ * - limit: itens por página (1-1000, padrão 100)
+ * - cursor: valor de page.next_cursor da página anterior
+ * - categoria, source, source_file, dataset: filtros de igualdade
+ * - preco_min, preco_max: faixa de preço
+ * - sort: campo de ordenação; order: asc (padrão) ou desc
+ * - include_deleted: true para incluir registros removidos
+ *
+ * @param {Object} event - Evento API Gateway
+ * @param {Object} context - Contexto da execução Lambda
+ * @returns {Promise<Object>} Resposta HTTP
+ */
+exports.handler = async (event, context) => {
+  startRequest('listRecords', event, context);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return response(200, { message: 'CORS preflight successful' });
+  }
+
+  const forbidden = requireScope(event, 'records:read');
+  if (forbidden) return forbidden;
+
+  const throttled = await checkRateLimit(event);
+  if (throttled) return throttled;
+
+  try {
+    // 1. Validar parâmetros
+    const limitParam = queryParameter(event, 'limit');
+    const limit = limitParam === undefined ? DEFAULT_LIMIT : Number(limitParam);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return errorResponse(400, 'Validation Error', `Parâmetro "limit" deve ser um inteiro entre 1 e ${MAX_LIMIT}`);
+    }
+
+    const filters = {};
+    EQUALITY_FILTERS.forEach((field) => {
+      const value = queryParameter(event, field);
+      if (value !== undefined && value !== '') {
+        filters[field] = value;
+      }
+    });
+
+    for (const field of ['preco_min', 'preco_max']) {
+      const value = queryParameter(event, field);
+      if (value === undefined || value === '') continue;
+
+      if (!Number.isFinite(Number(value))) {
+        return errorResponse(400, 'Validation Error', `Parâmetro "${field}" deve ser um número`);
+      }
+      filters[field] = Number(value);
+    }
+
+    if (queryParameter(event, 'include_deleted') === 'true') {
+      filters.include_deleted = true;
+    }
+
+    const sort = queryParameter(event, 'sort');
+    const order = queryParameter(event, 'order') || 'asc';
+
+    if (sort !== undefined && !/^[a-z_]+$/.test(sort)) {
+      return errorResponse(400, 'Validation Error', 'Parâmetro "sort" deve ser o nome de um campo');
+    }
+    if (order !== 'asc' && order !== 'desc') {
+      return errorResponse(400, 'Validation Error', 'Parâmetro "order" deve ser "asc" ou "desc"');
+    }
+
+    // 2. Buscar página
+    let result;
+    try {
+      result = await listRecords({
+        limit,
+        cursor: queryParameter(event, 'cursor'),
+        filters,
+        sort,
+        order
+      });
+    } catch (error) {
+      if (error.code === 'InvalidCursor') {
+        return errorResponse(400, 'Validation Error', error.message);
+      }
+      throw error;
+    }
+
+    return response(200, {
+      count: result.items.length,
+      items: result.items,
+      page: result.page,
+      filters
+    });
+
+  } catch (error) {
+    log.error('Erro ao listar registros', { error, duration_ms: log.elapsed() });
+
+    return errorResponse(500, 'Internal Server Error', error.message);
+  }
+};
@@ -0,0 +1,126 @@
+const { receiveMessages, deleteMessage } = require('../utils/sqs');
+const { invokeAsync } = require('../utils/lambda');
+const log = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+// Máximo de novas tentativas por arquivo; eventos que já atingiram
+// o limite permanecem na fila para análise manual
+const MAX_REDRIVE_ATTEMPTS = parseInt(process.env.MAX_REDRIVE_ATTEMPTS) || 3;
+
+// Máximo de mensagens tratadas por execução
+const DEFAULT_MAX_MESSAGES = 100;
+
+// Tempo (s) em que as mensagens recebidas ficam ocultas na fila,
+// evitando que a mesma execução as receba de novo
+const VISIBILITY_TIMEOUT = 300;
+
+/**
+ * Lambda Handler: Redrive Failed Ingestions
+ *
+ * Reenvia ao dataProcessor os eventos de ingestões que falharam,
+ * lidos da dead-letter queue (DLQ_URL).
+ *
+ * Cada mensagem traz o evento { retry } e o número da tentativa.
+ * Mensagens com tentativas abaixo de MAX_REDRIVE_ATTEMPTS são
+ * reenviadas (invocação assíncrona) e removidas da fila; se a nova
+ * tentativa falhar, o dataProcessor devolve o evento à fila com a
+ * tentativa incrementada. As demais permanecem na fila.
+ *
+ * A nova tentativa é idempotente em relação aos registros já
+ * gravados: ela retoma do último checkpoint do arquivo e os registros
+ * usam chave determinística, então nada é duplicado.
+ *
+ * Uso: serverless invoke -f redriveFailed --stage local [--data '{"max_messages": 10}']
+ *
+ * @param {Object} event - { max_messages } (opcional)
+ * @param {Object} context - Contexto da execução Lambda
+ * @returns {Promise<Object>} Resumo do reenvio
+ */
+exports.handler = async (event = {}, context) => {
+  log.setContext({ handler: 'redriveFailed', request_id: context.awsRequestId || context.requestId });
+  log.info('Reenvio iniciado');
+
+  const queueUrl = process.env.DLQ_URL;
+  const functionName = process.env.DATA_PROCESSOR_FUNCTION;
+  const maxMessages = parseInt(event.max_messages) || DEFAULT_MAX_MESSAGES;
+
+  const summary = { received: 0, redriven: 0, exhausted: 0, invalid: 0, runs: [] };
+
+  try {
+    while (summary.received < maxMessages) {
+      const messages = await receiveMessages(queueUrl, {
+        maxMessages: Math.min(10, maxMessages - summary.received),
+        visibilityTimeout: VISIBILITY_TIMEOUT
+      });
+
+      if (messages.length === 0) break;
+      summary.received += messages.length;
+
+      for (const message of messages) {
+        let deadLetter;
+        try {
+          deadLetter = JSON.parse(message.Body);
+        } catch (parseError) {
+          deadLetter = null;
+        }
+
+        if (!deadLetter || !deadLetter.event || !deadLetter.event.retry) {
+          log.warn('Mensagem sem evento de nova tentativa, mantida na fila', { message_id: message.MessageId });
+          summary.invalid++;
+          continue;
+        }
+
+        if (deadLetter.attempt >= MAX_REDRIVE_ATTEMPTS) {
+          log.warn('Limite de tentativas atingido, mantido na fila', {
+            key: deadLetter.file,
+            correlation_id: deadLetter.correlation_id,
+            attempt: deadLetter.attempt,
+            max_attempts: MAX_REDRIVE_ATTEMPTS
+          });
+          summary.exhausted++;
+          continue;
+        }
+
+        await invokeAsync(functionName, deadLetter.event);
+        await deleteMessage(queueUrl, message.ReceiptHandle);
+
+        log.info('Nova tentativa agendada', {
+          key: deadLetter.file,
+          correlation_id: deadLetter.correlation_id,
+          failed_run_id: deadLetter.run_id,
+          attempt: deadLetter.event.retry.attempt
+        });
+        summary.redriven++;
+        summary.runs.push({
+          file: deadLetter.file,
+          failed_run_id: deadLetter.run_id,
+          attempt: deadLetter.event.retry.attempt
+        });
+      }
+    }
+
+    log.info('Reenvio concluído', { ...summary, duration_ms: log.elapsed() });
+    return {
+      statusCode: 200,
+      body: JSON.stringify({
+        message: 'Reenvio concluído',
+        max_attempts: MAX_REDRIVE_ATTEMPTS,
+        ...summary
+      })
+    };
+
+  } catch (error) {
+    log.error('Erro no reenvio', { error, ...summary, duration_ms: log.elapsed() });
+
+    return {
+      statusCode: 500,
+      body: JSON.stringify({
+        message: 'Erro no reenvio',
+        error: error.message,
+        ...summary
+      })
+    };
+  } finally {
+    metrics.flush();
+  }
+};
@@ -0,0 +1,93 @@
+const {
+  getItem, restoreRecord, isDeleted, isVersionConflict, recordVersion, CURRENT_SORT_KEY
+} = require('../utils/dynamodb');
+const {
+  response, errorResponse, pathParameter, startRequest, identity, requireScope, etag, ifMatches
+} = require('../utils/http');
+const { checkRateLimit } = require('../utils/rateLimit');
+const log = require('../utils/logger');
+
+/**
+ * Lambda Handler: Restore Record API
+ *
+ * Endpoint REST para restaurar um registro removido (DELETE
+ * /records/{id}) antes da limpeza pelo TTL da tabela
+ *
+ * Endpoint: POST /records/{id}/restore
+ *
+ * Grava uma nova versão sem deleted_at, deleted_by e purge_at
+ * (a remoção e a restauração ficam no histórico). 404 se o registro
+ * não existe ou já foi apagado; 409 se não está removido. Com
+ * If-Match, a versão removida precisa corresponder ao ETag (412).
+ *
+ * @param {Object} event - Evento API Gateway
+ * @param {Object} context - Contexto da execução Lambda
+ * @returns {Promise<Object>} Resposta HTTP
+ */
+exports.handler = async (event, context) => {
+  const correlationId = startRequest('restoreRecord', event, context);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return response(200, { message: 'CORS preflight successful' });
+  }
+
+  const forbidden = requireScope(event, 'records:write');
+  if (forbidden) return forbidden;
+
+  const throttled = await checkRateLimit(event);
+  if (throttled) return throttled;
+
+  try {
+    const id = pathParameter(event, 'id');
+
+    const existing = await getItem(id, CURRENT_SORT_KEY);
+    if (!existing) {
+      return errorResponse(404, 'Not Found', `Registro "${id}" não encontrado`);
+    }
+
+    if (!isDeleted(existing)) {
+      return errorResponse(409, 'Conflict', `Registro "${id}" não está removido`);
+    }
+
+    const version = recordVersion(existing);
+    if (!ifMatches(event, version)) {
+      return errorResponse(412, 'Precondition Failed', `Registro "${id}" não corresponde ao If-Match`, {
+        current_version: version
+      });
+    }
+
+    let saved;
+    try {
+      saved = await restoreRecord(existing, {
+        restoredBy: identity(event).principal,
+        correlationId
+      });
+    } catch (error) {
+      if (isVersionConflict(error)) {
+        return errorResponse(409, 'Conflict', `Registro "${id}" foi alterado por outra requisição`, {
+          expected_version: error.expectedVersion
+        });
+      }
+      throw error;
+    }
+
+    log.info('Registro restaurado', {
+      record_id: id,
+      version: saved.version,
+      deleted_at: existing.deleted_at,
+      duration_ms: log.elapsed()
+    });
+
+    return response(200, {
+      message: 'Registro restaurado com sucesso',
+      id,
+      version: saved.version,
+      data: saved
+    }, { ETag: etag(saved.version) });
+
+  } catch (error) {
+    log.error('Erro ao restaurar registro', { error, duration_ms: log.elapsed() });
+
+    return errorResponse(500, 'Internal Server Error', error.message);
+  }
+};
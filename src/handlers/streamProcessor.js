@@ -0,0 +1,101 @@
+const { eventMessage, publishBatch } = require('../utils/sns');
+const { toDomainEvents, eventAttributes } = require('../utils/domainEvents');
+const { CURRENT_SORT_KEY } = require('../utils/dynamodb');
+const log = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+/**
+ * Lambda Handler: Stream Processor
+ *
+ * Consome o DynamoDB Stream da tabela de dados (NEW_AND_OLD_IMAGES),
+ * converte cada alteração em eventos de domínio (ver
+ * utils/domainEvents) e os publica no tópico SNS, no envelope do
+ * catálogo de eventos (utils/events), com atributos de mensagem
+ * filtráveis (event_type, record_id, dataset, source,
+ * categoria e changed_fields; severity e rule_id nos alertas) e o
+ * correlation_id gravado no item pela escrita de origem.
+ *
+ * Só a versão atual dos registros (sort key CURRENT_SORT_KEY) gera
+ * eventos: as linhas de histórico gravadas a cada alteração pela API
+ * são ignoradas.
+ *
+ * As regras de alerta (src/config/alert-rules.json) são avaliadas
+ * aqui, para toda escrita na tabela: ingestão via S3 (dataProcessor)
+ * ou API (createRecord, updateRecord, batchCreateRecords).
+ *
+ * Os eventos de cada registro do stream são publicados juntos
+ * (PublishBatch, com novas tentativas). Os que ainda assim não forem
+ * publicados vão para a outbox e são reenviados pela função
+ * drainOutbox, sem travar o shard. Só se nem a outbox puder ser
+ * gravada o processamento do lote para e o registro é devolvido em
+ * batchItemFailures: o Lambda reenvia o lote a partir dele, sem
+ * perder a ordem dos eventos de um mesmo registro. Eventos trazem
+ * event_id estável para que consumidores descartem reenvios.
+ *
+ * Eventos rejeitados pelo schema do catálogo (InvalidEvent) não são
+ * reenviados, já que uma nova tentativa falharia igual: o erro é
+ * registrado e o processamento do lote continua.
+ *
+ * @param {Object} event - Evento do DynamoDB Stream
+ * @param {Object} context - Contexto da execução Lambda
+ * @returns {Promise<Object>} { batchItemFailures }
+ */
+exports.handler = async (event, context) => {
+  const records = event.Records || [];
+  log.setContext({ handler: 'streamProcessor', request_id: context.awsRequestId || context.requestId });
+  log.info('Lote do stream recebido', { records: records.length });
+
+  const topicArn = process.env.TOPIC_ARN;
+  const summary = { published: 0, queued: 0, skipped: 0 };
+
+  for (const record of records) {
+    const image = record.dynamodb.NewImage || record.dynamodb.OldImage || {};
+    const sortKey = (record.dynamodb.Keys || image).timestamp;
+    if (sortKey && Number(sortKey.N) !== CURRENT_SORT_KEY) {
+      summary.skipped++;
+      continue;
+    }
+
+    log.addContext({
+      correlation_id: undefined,
+      record_id: image.id && image.id.S,
+      stream_event_id: record.eventID
+    });
+
+    try {
+      const messages = [];
+      toDomainEvents(record).forEach((domainEvent) => {
+        log.addContext({ correlation_id: domainEvent.correlation_id });
+        try {
+          messages.push(eventMessage(domainEvent.event_type, domainEvent.data, {
+            eventId: domainEvent.event_id,
+            correlationId: domainEvent.correlation_id,
+            time: domainEvent.time,
+            attributes: eventAttributes(domainEvent)
+          }));
+        } catch (error) {
+          if (error.code !== 'InvalidEvent') throw error;
+          log.error('Evento descartado', { event_id: domainEvent.event_id, error });
+        }
+      });
+
+      if (topicArn && messages.length > 0) {
+        const result = await publishBatch(topicArn, messages, { outbox: true });
+        summary.published += result.published;
+        summary.queued += result.queued;
+      }
+    } catch (error) {
+      log.error('Erro ao publicar eventos do registro', { error, published: summary.published });
+      metrics.flush();
+
+      return {
+        batchItemFailures: [{ itemIdentifier: record.dynamodb.SequenceNumber }]
+      };
+    }
+  }
+
+  log.addContext({ correlation_id: undefined, record_id: undefined, stream_event_id: undefined });
+  log.info('Eventos publicados', { ...summary, duration_ms: log.elapsed() });
+  metrics.flush();
+  return { batchItemFailures: [] };
+};
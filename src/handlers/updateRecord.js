@@ -0,0 +1,145 @@
+const {
+  getItem, putRecordVersion, isDeleted, isVersionConflict, recordVersion, CURRENT_SORT_KEY
+} = require('../utils/dynamodb');
+const { getSchema, validate, DEFAULT_DATASET } = require('../utils/schema');
+const {
+  response, errorResponse, parseJsonBody, pathParameter, startRequest, identity, requireScope, etag, ifMatches
+} = require('../utils/http');
+const { checkRateLimit } = require('../utils/rateLimit');
+const log = require('../utils/logger');
+
+/**
+ * Lambda Handler: Update Record API
+ *
+ * Endpoints REST para alterar um registro existente:
+ * - PUT /records/{id}: substitui todos os campos do schema
+ *   (campos omitidos voltam ao default ou são removidos)
+ * - PATCH /records/{id}: altera apenas os campos enviados
+ *
+ * O resultado é sempre validado pelo schema do dataset do registro.
+ * Campos de controle (timestamp, dataset, created_at, ...) não
+ * podem ser alterados. Registros removidos precisam ser restaurados
+ * antes (404).
+ *
+ * Concorrência otimista: cada alteração grava uma nova versão
+ * (version + 1, header ETag) e guarda a anterior no histórico
+ * (GET /records/{id}/history). Com If-Match, a versão atual precisa
+ * corresponder ao ETag enviado (412 caso contrário); se outra escrita
+ * alterar o registro entre a leitura e a gravação, a resposta é 409.
+ *
+ * @param {Object} event - Evento API Gateway
+ * @param {Object} context - Contexto da execução Lambda
+ * @returns {Promise<Object>} Resposta HTTP
+ */
+exports.handler = async (event, context) => {
+  const correlationId = startRequest('updateRecord', event, context);
+
+  if (event.httpMethod === 'OPTIONS') {
+    return response(200, { message: 'CORS preflight successful' });
+  }
+
+  const forbidden = requireScope(event, 'records:write');
+  if (forbidden) return forbidden;
+
+  const throttled = await checkRateLimit(event);
+  if (throttled) return throttled;
+
+  try {
+    // 1. Validar método HTTP
+    if (event.httpMethod !== 'PUT' && event.httpMethod !== 'PATCH') {
+      return errorResponse(405, 'Method Not Allowed', 'Apenas PUT e PATCH são permitidos');
+    }
+
+    // 2. Parsear body da requisição
+    const id = pathParameter(event, 'id');
+    const { body, error: bodyError } = parseJsonBody(event);
+    if (bodyError) {
+      return bodyError;
+    }
+
+    if (body.id !== undefined && String(body.id) !== id) {
+      return errorResponse(409, 'Conflict', `Id do body ("${body.id}") difere do id da URL ("${id}")`);
+    }
+
+    // 3. Buscar registro atual
+    const existing = await getItem(id, CURRENT_SORT_KEY);
+    if (!existing || isDeleted(existing)) {
+      return errorResponse(404, 'Not Found', `Registro "${id}" não encontrado`);
+    }
+
+    if (!ifMatches(event, recordVersion(existing))) {
+      return errorResponse(412, 'Precondition Failed', `Registro "${id}" não corresponde ao If-Match`, {
+        current_version: recordVersion(existing)
+      });
+    }
+
+    // 4. Montar e validar nova versão dos campos do schema
+    const schema = getSchema(existing.dataset || DEFAULT_DATASET);
+    const schemaFields = Object.keys(schema.properties);
+
+    const currentValues = {};
+    const controlFields = {};
+    Object.keys(existing).forEach((field) => {
+      if (schemaFields.includes(field)) {
+        currentValues[field] = existing[field];
+      } else {
+        controlFields[field] = existing[field];
+      }
+    });
+
+    const input = event.httpMethod === 'PUT'
+      ? { ...body, id }
+      : { ...currentValues, ...body, id };
+
+    const { valid, value, errors } = validate(schema, input);
+    if (!valid) {
+      return errorResponse(400, 'Validation Error', 'Registro inválido', { details: errors });
+    }
+
+    const item = {
+      ...controlFields,
+      ...value,
+      updated_at: new Date().toISOString(),
+      updated_by: identity(event).principal,
+      correlation_id: correlationId
+    };
+
+    const changedFields = schemaFields.filter(
+      field => JSON.stringify(existing[field]) !== JSON.stringify(item[field])
+    );
+
+    // 5. Salvar nova versão (falha se o registro foi alterado ou
+    // removido nesse intervalo)
+    let saved;
+    try {
+      saved = await putRecordVersion(item, existing, { supersededBy: item.updated_by });
+    } catch (error) {
+      if (isVersionConflict(error)) {
+        return errorResponse(409, 'Conflict', `Registro "${id}" foi alterado por outra requisição`, {
+          expected_version: error.expectedVersion
+        });
+      }
+      throw error;
+    }
+
+    log.info('Registro atualizado', {
+      record_id: id,
+      version: saved.version,
+      changed_fields: changedFields,
+      duration_ms: log.elapsed()
+    });
+
+    return response(200, {
+      message: 'Registro atualizado com sucesso',
+      id,
+      version: saved.version,
+      changed_fields: changedFields,
+      data: saved
+    }, { ETag: etag(saved.version) });
+
+  } catch (error) {
+    log.error('Erro ao atualizar registro', { error, duration_ms: log.elapsed() });
+
+    return errorResponse(500, 'Internal Server Error', error.message);
+  }
+};
@@ -0,0 +1,73 @@
+const { createCsvParser, detectDelimiter, toRecord } = require('../utils/csv');
+const { createUtf8Decoder } = require('../utils/utf8');
+const log = require('../utils/logger');
+
+/**
+ * Leitor de arquivos CSV (RFC 4180)
+ *
+ * Lê o arquivo de forma incremental. O delimitador vem de
+ * CSV_DELIMITER ou é detectado pela primeira linha. Permite
+ * retomar a leitura a partir de um offset em bytes. O arquivo deve
+ * estar em UTF-8 (ver utils/utf8).
+ */
+module.exports = {
+  name: 'csv',
+  extensions: ['.csv'],
+  contentTypes: ['text/csv', 'application/csv'],
+  seekable: true,
+  reportFormat: 'csv',
+
+  /**
+   * Criar parser de registros CSV
+   * @param {Object} options - { resumeAt, state: { headers, delimiter } }
+   * @returns {Object} Parser ({ write, end, state })
+   */
+  createParser({ resumeAt, state = {} }) {
+    const decoder = createUtf8Decoder(resumeAt ? resumeAt.offset : 0);
+    let headers = state.headers || null;
+    let delimiter = state.delimiter || null;
+    let parser = null;
+
+    const toEntries = (rows) => rows.map((row) => {
+      if (!headers) {
+        if (row.error) {
+          throw new Error(`Header inválido (linha ${row.error.line}, coluna ${row.error.column}): ${row.error.message}`);
+        }
+
+        headers = row.fields.map(h => h.trim());
+        log.debug('Headers encontrados', { headers, delimiter });
+        return { line: row.line, record: null, error: null, resumeAt: row.resumeAt };
+      }
+
+      const { record, error } = toRecord(headers, row);
+      return { line: row.line, record, error, columns: headers, raw: row.fields, resumeAt: row.resumeAt };
+    });
+
+    return {
+      write(chunk) {
+        const text = decoder.write(chunk);
+
+        if (!parser) {
+          delimiter = delimiter || process.env.CSV_DELIMITER || detectDelimiter(text);
+          parser = createCsvParser({ delimiter, resumeAt });
+        }
+
+        return toEntries(parser.write(text));
+      },
+
+      end() {
+        const entries = parser ? toEntries([...parser.write(decoder.end()), ...parser.end()]) : [];
+
+        if (!headers) {
+          throw new Error('Arquivo CSV vazio');
+        }
+
+        return entries;
+      },
+
+      state() {
+        return { headers, delimiter };
+      }
+    };
+  }
+};
@@ -0,0 +1,55 @@
+const path = require('path');
+const csvReader = require('./csvReader');
+const ndjsonReader = require('./ndjsonReader');
+const jsonReader = require('./jsonReader');
+const xlsxReader = require('./xlsxReader');
+
+/**
+ * Registro de leitores de formato de arquivo
+ *
+ * Cada leitor transforma um formato em uma sequência uniforme de
+ * entradas { line, record, error, columns, raw, resumeAt }:
+ * - record: objeto com os campos do registro (null em caso de erro)
+ * - error: { line, column, message } se a entrada é inválida
+ * - resumeAt: posição para retomar a leitura após esta entrada
+ * Entradas sem record nem error apenas avançam a posição (ex: header).
+ *
+ * Interface de um leitor:
+ * - name, extensions, contentTypes
+ * - seekable: true se a leitura pode ser retomada por offset em bytes
+ * - reportFormat: formato do relatório de linhas rejeitadas (csv ou ndjson)
+ * - createParser({ resumeAt, state }) → { write(chunk), end(), state() }
+ *
+ * Para suportar um novo formato, basta adicionar o leitor a READERS.
+ */
+const READERS = [csvReader, ndjsonReader, jsonReader, xlsxReader];
+
+/**
+ * Escolher leitor pela extensão do arquivo ou pelo Content-Type
+ * @param {string} key - Chave do objeto
+ * @param {string} contentType - Content-Type do objeto (opcional)
+ * @returns {Object|undefined} Leitor, ou undefined se o formato não é suportado
+ */
+function getReader(key, contentType) {
+  const extension = path.extname(key).toLowerCase();
+  const byExtension = READERS.find(reader => reader.extensions.includes(extension));
+  if (byExtension) {
+    return byExtension;
+  }
+
+  const mimeType = (contentType || '').split(';')[0].trim().toLowerCase();
+  return READERS.find(reader => reader.contentTypes.includes(mimeType));
+}
+
+/**
+ * Listar extensões suportadas
+ * @returns {Array<string>} Extensões (ex: ['.csv', '.json'])
+ */
+function supportedExtensions() {
+  return READERS.flatMap(reader => reader.extensions);
+}
+
+module.exports = {
+  getReader,
+  supportedExtensions
+};
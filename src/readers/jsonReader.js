@@ -0,0 +1,63 @@
+/**
+ * Leitor de arquivos JSON
+ *
+ * Aceita um array de objetos ou um objeto com o array em
+ * "records". O documento precisa ser carregado inteiro antes do
+ * parsing, então a retomada é feita pelo índice do registro.
+ */
+module.exports = {
+  name: 'json',
+  extensions: ['.json'],
+  contentTypes: ['application/json', 'text/json'],
+  seekable: false,
+  reportFormat: 'ndjson',
+
+  /**
+   * Criar parser de registros JSON
+   * @param {Object} options - { resumeAt: { index } }
+   * @returns {Object} Parser ({ write, end, state })
+   */
+  createParser({ resumeAt = {} }) {
+    const chunks = [];
+
+    return {
+      write(chunk) {
+        chunks.push(Buffer.from(chunk));
+        return [];
+      },
+
+      end() {
+        let document;
+        try {
+          document = JSON.parse(Buffer.concat(chunks).toString('utf-8').replace(/^\uFEFF/, ''));
+        } catch (parseError) {
+          throw new Error(`Arquivo JSON inválido: ${parseError.message}`);
+        }
+
+        const records = Array.isArray(document) ? document : document && document.records;
+        if (!Array.isArray(records)) {
+          throw new Error('Arquivo JSON deve conter um array de registros (ou um objeto com "records")');
+        }
+
+        const start = resumeAt.index || 0;
+
+        return records.slice(start).map((record, i) => {
+          const index = start + i;
+          const isObject = record && typeof record === 'object' && !Array.isArray(record);
+
+          return {
+            line: index + 1,
+            record: isObject ? record : null,
+            error: isObject ? null : { line: index + 1, column: null, message: 'Registro deve ser um objeto JSON' },
+            raw: record,
+            resumeAt: { offset: 0, index: index + 1 }
+          };
+        });
+      },
+
+      state() {
+        return {};
+      }
+    };
+  }
+};
@@ -0,0 +1,101 @@
+const { createUtf8Decoder } = require('../utils/utf8');
+
+/**
+ * Leitor de arquivos NDJSON (um objeto JSON por linha)
+ *
+ * Lê o arquivo de forma incremental e permite retomar a leitura
+ * a partir de um offset em bytes. Linhas em branco são ignoradas.
+ * O arquivo deve estar em UTF-8 (ver utils/utf8).
+ */
+module.exports = {
+  name: 'ndjson',
+  extensions: ['.ndjson', '.jsonl'],
+  contentTypes: ['application/x-ndjson', 'application/jsonl', 'application/x-jsonlines'],
+  seekable: true,
+  reportFormat: 'ndjson',
+
+  /**
+   * Criar parser de registros NDJSON
+   * @param {Object} options - { resumeAt }
+   * @returns {Object} Parser ({ write, end, state })
+   */
+  createParser({ resumeAt = {} }) {
+    let buffer = '';
+    let line = resumeAt.line || 1;
+    let offset = resumeAt.offset || 0;
+    const decoder = createUtf8Decoder(offset);
+
+    const parseLine = (text) => {
+      const entry = { line, record: null, error: null, raw: text };
+      offset += Buffer.byteLength(text, 'utf8') + 1;
+      entry.resumeAt = { offset, line: line + 1 };
+      line++;
+
+      const trimmed = text.trim();
+      if (trimmed === '') {
+        return null;
+      }
+
+      try {
+        const record = JSON.parse(trimmed);
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+          entry.error = { line: entry.line, column: 1, message: 'Linha deve conter um objeto JSON' };
+        } else {
+          entry.record = record;
+        }
+      } catch (parseError) {
+        entry.error = { line: entry.line, column: null, message: `JSON inválido: ${parseError.message}` };
+      }
+
+      return entry;
+    };
+
+    const drain = () => {
+      const entries = [];
+      let newline = buffer.indexOf('\n');
+
+      while (newline !== -1) {
+        const entry = parseLine(buffer.slice(0, newline));
+        if (entry) entries.push(entry);
+        buffer = buffer.slice(newline + 1);
+        newline = buffer.indexOf('\n');
+      }
+
+      return entries;
+    };
+
+    return {
+      write(chunk) {
+        buffer += decoder.write(chunk);
+
+        // Remover BOM UTF-8 no início do arquivo
+        if (offset === 0 && buffer.startsWith('\uFEFF')) {
+          buffer = buffer.slice(1);
+          offset += 3;
+        }
+
+        return drain();
+      },
+
+      end() {
+        buffer += decoder.end();
+        const entries = drain();
+
+        if (buffer.length > 0) {
+          const entry = parseLine(buffer);
+          buffer = '';
+          if (entry) {
+            entry.resumeAt.offset--;
+            entries.push(entry);
+          }
+        }
+
+        return entries;
+      },
+
+      state() {
+        return {};
+      }
+    };
+  }
+};
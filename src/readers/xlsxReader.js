@@ -0,0 +1,110 @@
+const ExcelJS = require('exceljs');
+const log = require('../utils/logger');
+
+/**
+ * Leitor de planilhas Excel (.xlsx)
+ *
+ * Lê a primeira planilha do arquivo: a primeira linha contém os
+ * nomes das colunas e as demais, os registros. Como o formato é
+ * um ZIP, o arquivo é carregado inteiro e a retomada é feita pelo
+ * índice do registro.
+ */
+module.exports = {
+  name: 'xlsx',
+  extensions: ['.xlsx'],
+  contentTypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+  seekable: false,
+  reportFormat: 'csv',
+
+  /**
+   * Criar parser de registros XLSX
+   * @param {Object} options - { resumeAt: { index } }
+   * @returns {Object} Parser ({ write, end, state })
+   */
+  createParser({ resumeAt = {} }) {
+    const chunks = [];
+
+    return {
+      write(chunk) {
+        chunks.push(Buffer.from(chunk));
+        return [];
+      },
+
+      async end() {
+        const workbook = new ExcelJS.Workbook();
+        try {
+          await workbook.xlsx.load(Buffer.concat(chunks));
+        } catch (loadError) {
+          throw new Error(`Planilha XLSX inválida: ${loadError.message}`);
+        }
+
+        const sheet = workbook.worksheets[0];
+        if (!sheet || sheet.rowCount === 0) {
+          throw new Error('Planilha XLSX vazia');
+        }
+
+        const headers = [];
+        sheet.getRow(1).eachCell({ includeEmpty: true }, (cell, column) => {
+          headers[column - 1] = String(cellValue(cell.value) ?? '').trim();
+        });
+
+        const start = resumeAt.index || 0;
+        const entries = [];
+        let index = 0;
+
+        sheet.eachRow((row, rowNumber) => {
+          if (rowNumber === 1) return;
+
+          if (index >= start) {
+            const record = {};
+            const raw = [];
+            headers.forEach((header, i) => {
+              const value = cellValue(row.getCell(i + 1).value);
+              raw.push(value);
+              if (header && value !== null && value !== undefined) {
+                record[header] = value;
+              }
+            });
+
+            entries.push({
+              line: rowNumber,
+              record,
+              error: null,
+              columns: headers,
+              raw,
+              resumeAt: { offset: 0, index: index + 1 }
+            });
+          }
+          index++;
+        });
+
+        log.debug('Colunas da planilha', { sheet: sheet.name, headers });
+        return entries;
+      },
+
+      state() {
+        return {};
+      }
+    };
+  }
+};
+
+/**
+ * Normalizar valor de célula do ExcelJS
+ *
+ * Fórmulas viram seu resultado, rich text e hyperlinks viram
+ * texto, datas viram ISO 8601.
+ *
+ * @param {*} value - Valor da célula
+ * @returns {*} Valor simples (string, number, boolean ou null)
+ */
+function cellValue(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value !== 'object') return value;
+  if ('result' in value) return cellValue(value.result);
+  if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+  if ('text' in value) return cellValue(value.text);
+  if ('error' in value) return null;
+  return String(value);
+}
@@ -0,0 +1,157 @@
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * Helper para regras de alerta sobre os registros
+ *
+ * As regras ficam em src/config/alert-rules.json (ou no arquivo
+ * indicado por ALERT_RULES_PATH). Cada regra tem id, severidade,
+ * descrição, dataset opcional e uma lista de condições que precisam
+ * ser todas verdadeiras:
+ *
+ *   { "field": "estoque", "operator": "lt", "value": 10 }
+ *
+ * Operadores de valor (avaliados na imagem nova do registro):
+ * eq, ne, lt, lte, gt, gte, in
+ *
+ * Operadores de variação (comparam as imagens antiga e nova):
+ * - changed: o campo mudou
+ * - change_percent_gt: variação absoluta maior que `value` %
+ *
+ * Regras só com operadores de valor disparam na transição: quando
+ * o registro passa a atender a regra (ou é criado atendendo). Assim
+ * uma atualização que não muda a situação não repete o alerta.
+ */
+
+const DEFAULT_RULES_PATH = path.join(__dirname, '..', 'config', 'alert-rules.json');
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+const VALUE_OPERATORS = {
+  eq: (actual, expected) => actual === expected,
+  ne: (actual, expected) => actual !== expected,
+  lt: (actual, expected) => typeof actual === 'number' && actual < expected,
+  lte: (actual, expected) => typeof actual === 'number' && actual <= expected,
+  gt: (actual, expected) => typeof actual === 'number' && actual > expected,
+  gte: (actual, expected) => typeof actual === 'number' && actual >= expected,
+  in: (actual, expected) => Array.isArray(expected) && expected.includes(actual)
+};
+
+const CHANGE_OPERATORS = {
+  changed: (oldValue, newValue) => JSON.stringify(oldValue) !== JSON.stringify(newValue),
+  change_percent_gt: (oldValue, newValue, expected) => typeof oldValue === 'number'
+    && typeof newValue === 'number'
+    && oldValue > 0
+    && (Math.abs(newValue - oldValue) / oldValue) * 100 > expected
+};
+
+let rulesCache = null;
+
+/**
+ * Validar definição de uma regra
+ * @param {Object} rule - Regra lida do arquivo
+ * @param {number} index - Posição da regra no arquivo
+ * @throws {Error} Se a regra for inválida
+ */
+function validateRule(rule, index) {
+  const label = `Regra de alerta #${index + 1}${rule.id ? ` (${rule.id})` : ''}`;
+
+  if (!rule.id || typeof rule.id !== 'string') {
+    throw new Error(`${label}: "id" é obrigatório`);
+  }
+  if (!SEVERITIES.includes(rule.severity)) {
+    throw new Error(`${label}: "severity" deve ser ${SEVERITIES.join(', ')}`);
+  }
+  if (!Array.isArray(rule.conditions) || rule.conditions.length === 0) {
+    throw new Error(`${label}: "conditions" deve ter ao menos uma condição`);
+  }
+
+  rule.conditions.forEach((condition) => {
+    if (!condition.field) {
+      throw new Error(`${label}: condição sem "field"`);
+    }
+    if (!VALUE_OPERATORS[condition.operator] && !CHANGE_OPERATORS[condition.operator]) {
+      throw new Error(`${label}: operador desconhecido "${condition.operator}"`);
+    }
+  });
+}
+
+/**
+ * Carregar regras de alerta
+ * @returns {Array<Object>} Regras validadas
+ */
+function getRules() {
+  if (!rulesCache) {
+    const rulesPath = process.env.ALERT_RULES_PATH || DEFAULT_RULES_PATH;
+    const { rules = [] } = JSON.parse(fs.readFileSync(rulesPath, 'utf-8'));
+
+    const ids = new Set();
+    rules.forEach((rule, index) => {
+      validateRule(rule, index);
+      if (ids.has(rule.id)) {
+        throw new Error(`Regra de alerta duplicada: ${rule.id}`);
+      }
+      ids.add(rule.id);
+    });
+
+    rulesCache = rules;
+  }
+
+  return rulesCache;
+}
+
+/**
+ * Avaliar uma condição
+ * @param {Object} condition - Condição da regra
+ * @param {Object|null} oldImage - Registro antes da escrita
+ * @param {Object} newImage - Registro após a escrita
+ * @returns {boolean} True se a condição é atendida
+ */
+function conditionMatches(condition, oldImage, newImage) {
+  const { field, operator, value } = condition;
+
+  if (CHANGE_OPERATORS[operator]) {
+    return Boolean(oldImage) && CHANGE_OPERATORS[operator](oldImage[field], newImage[field], value);
+  }
+  return VALUE_OPERATORS[operator](newImage[field], value);
+}
+
+/**
+ * Avaliar as regras de alerta para uma escrita
+ * @param {Object|null} oldImage - Registro antes da escrita (null se novo)
+ * @param {Object} newImage - Registro após a escrita
+ * @param {string} dataset - Dataset do registro
+ * @returns {Array<Object>} Regras disparadas, com os valores avaliados
+ */
+function evaluateRules(oldImage, newImage, dataset) {
+  return getRules()
+    .filter(rule => !rule.dataset || rule.dataset === dataset)
+    .filter((rule) => {
+      if (!rule.conditions.every(condition => conditionMatches(condition, oldImage, newImage))) {
+        return false;
+      }
+
+      // Regras só de valor: disparar apenas se o registro antigo não atendia
+      const edgeTriggered = rule.conditions.every(condition => VALUE_OPERATORS[condition.operator]);
+      return !edgeTriggered || !oldImage
+        || !rule.conditions.every(condition => conditionMatches(condition, null, oldImage));
+    })
+    .map(rule => ({
+      rule_id: rule.id,
+      severity: rule.severity,
+      description: rule.description || rule.id,
+      values: rule.conditions.reduce((values, { field }) => {
+        values[field] = {
+          old: oldImage && oldImage[field] !== undefined ? oldImage[field] : null,
+          new: newImage[field] !== undefined ? newImage[field] : null
+        };
+        return values;
+      }, {})
+    }));
+}
+
+module.exports = {
+  SEVERITIES,
+  getRules,
+  evaluateRules
+};
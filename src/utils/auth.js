@@ -0,0 +1,221 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+/**
+ * Helper para autenticação dos clientes da API
+ *
+ * Dois tipos de credencial, verificados pela função authorizer:
+ *
+ * - API key no header `x-api-key`. Os clientes ficam em
+ *   src/config/api-clients.json (ou no arquivo indicado por
+ *   API_CLIENTS_PATH), com o SHA-256 da chave, nunca a chave em si:
+ *   { "id": "...", "key_sha256": "...", "scopes": ["records:read"] }
+ *
+ * - JWT no header `Authorization: Bearer <token>`, assinado com
+ *   HS256 (segredo em JWT_SECRET) ou RS256 (chave pública PEM em
+ *   JWT_PUBLIC_KEY). exp e nbf são sempre verificados; iss e aud
+ *   quando JWT_ISSUER e JWT_AUDIENCE estão definidos. Os escopos vêm
+ *   de `scope` (separados por espaço) ou `scp` (lista).
+ *
+ * O principal leva o tipo da credencial: `key:<id>` para API keys e
+ * `jwt:<iss>|<sub>` para JWT. Assim um token com `sub` igual ao id de
+ * um cliente de API key não compartilha com ele limites, cotas nem
+ * chaves de idempotência.
+ *
+ * Escopos: records:read, records:write, jobs:read.
+ */
+
+const DEFAULT_CLIENTS_PATH = path.join(__dirname, '..', 'config', 'api-clients.json');
+
+const SCOPES = ['records:read', 'records:write', 'jobs:read'];
+
+// Tolerância de relógio na verificação de exp/nbf (segundos)
+const CLOCK_SKEW_SECONDS = 60;
+
+let clientsCache = null;
+
+/**
+ * Criar erro de autenticação
+ * @param {string} message - Motivo (registrado no log, não devolvido ao cliente)
+ * @returns {Error} Erro com code Unauthorized
+ */
+function unauthorizedError(message) {
+  const error = new Error(message);
+  error.code = 'Unauthorized';
+  return error;
+}
+
+/**
+ * Carregar clientes de API key
+ * @returns {Array<Object>} Clientes validados
+ */
+function getApiClients() {
+  if (!clientsCache) {
+    const clientsPath = process.env.API_CLIENTS_PATH || DEFAULT_CLIENTS_PATH;
+    const { clients = [] } = JSON.parse(fs.readFileSync(clientsPath, 'utf-8'));
+
+    clients.forEach((client, index) => {
+      const label = `Cliente ${client.id || `#${index + 1}`}`;
+      if (!client.id) {
+        throw new Error(`${label}: "id" é obrigatório`);
+      }
+      if (!/^[0-9a-f]{64}$/.test(client.key_sha256 || '')) {
+        throw new Error(`${label}: "key_sha256" deve ser um SHA-256 em hexadecimal`);
+      }
+      const unknown = (client.scopes || []).filter(scope => !SCOPES.includes(scope));
+      if (unknown.length > 0) {
+        throw new Error(`${label}: escopos desconhecidos ${unknown.join(', ')}`);
+      }
+    });
+
+    clientsCache = clients;
+  }
+
+  return clientsCache;
+}
+
+/**
+ * Autenticar por API key
+ * @param {string} apiKey - Valor do header x-api-key
+ * @returns {Object} Identidade { principal, type, scopes }
+ * @throws {Error} Unauthorized se a chave não pertence a nenhum cliente
+ */
+function authenticateApiKey(apiKey) {
+  const hash = crypto.createHash('sha256').update(apiKey).digest();
+  const client = getApiClients().find(({ key_sha256: keyHash }) =>
+    crypto.timingSafeEqual(Buffer.from(keyHash, 'hex'), hash));
+
+  if (!client) {
+    throw unauthorizedError('API key desconhecida');
+  }
+
+  return { principal: `key:${client.id}`, type: 'api_key', scopes: client.scopes || [] };
+}
+
+/**
+ * Decodificar segmento base64url de um JWT
+ * @param {string} segment - Segmento codificado
+ * @returns {Object} JSON decodificado
+ */
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf-8'));
+  } catch (error) {
+    throw unauthorizedError('Token JWT malformado');
+  }
+}
+
+/**
+ * Verificar assinatura de um JWT
+ * @param {string} algorithm - alg do header (HS256 ou RS256)
+ * @param {string} signingInput - "<header>.<payload>" codificados
+ * @param {Buffer} signature - Assinatura decodificada
+ * @returns {boolean} True se a assinatura confere
+ */
+function verifySignature(algorithm, signingInput, signature) {
+  if (algorithm === 'HS256') {
+    if (!process.env.JWT_SECRET) {
+      throw unauthorizedError('JWT HS256 não configurado (JWT_SECRET)');
+    }
+    const expected = crypto.createHmac('sha256', process.env.JWT_SECRET).update(signingInput).digest();
+    return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  }
+
+  if (algorithm === 'RS256') {
+    if (!process.env.JWT_PUBLIC_KEY) {
+      throw unauthorizedError('JWT RS256 não configurado (JWT_PUBLIC_KEY)');
+    }
+    // Variáveis de ambiente costumam trazer a PEM com "\n" literais
+    const publicKey = process.env.JWT_PUBLIC_KEY.replace(/\\n/g, '\n');
+    return crypto.verify('RSA-SHA256', Buffer.from(signingInput), publicKey, signature);
+  }
+
+  throw unauthorizedError(`Algoritmo JWT não suportado: ${algorithm}`);
+}
+
+/**
+ * Autenticar por JWT
+ * @param {string} token - Token JWT (sem o prefixo Bearer)
+ * @returns {Object} Identidade { principal, type, scopes }
+ * @throws {Error} Unauthorized se o token é inválido ou expirou
+ */
+function authenticateJwt(token) {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw unauthorizedError('Token JWT malformado');
+  }
+
+  const [encodedHeader, encodedPayload, encodedSignature] = parts;
+  const header = decodeSegment(encodedHeader);
+  const claims = decodeSegment(encodedPayload);
+
+  const signature = Buffer.from(encodedSignature, 'base64url');
+  if (!verifySignature(header.alg, `${encodedHeader}.${encodedPayload}`, signature)) {
+    throw unauthorizedError('Assinatura JWT inválida');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SECONDS < now) {
+    throw unauthorizedError('Token JWT expirado ou sem exp');
+  }
+  if (typeof claims.nbf === 'number' && claims.nbf - CLOCK_SKEW_SECONDS > now) {
+    throw unauthorizedError('Token JWT ainda não é válido (nbf)');
+  }
+  if (process.env.JWT_ISSUER && claims.iss !== process.env.JWT_ISSUER) {
+    throw unauthorizedError(`Emissor JWT não aceito: ${claims.iss}`);
+  }
+  if (process.env.JWT_AUDIENCE && ![].concat(claims.aud).includes(process.env.JWT_AUDIENCE)) {
+    throw unauthorizedError('Audiência JWT não aceita');
+  }
+  if (!claims.sub) {
+    throw unauthorizedError('Token JWT sem sub');
+  }
+
+  const scopes = typeof claims.scope === 'string'
+    ? claims.scope.split(' ').filter(Boolean)
+    : [].concat(claims.scp || []);
+
+  return {
+    principal: `jwt:${claims.iss || ''}|${claims.sub}`,
+    type: 'jwt',
+    scopes: scopes.filter(scope => SCOPES.includes(scope))
+  };
+}
+
+/**
+ * Autenticar requisição pelos headers
+ *
+ * Um token Bearer tem precedência sobre a API key.
+ *
+ * @param {Object} headers - Headers da requisição
+ * @returns {Object} Identidade { principal, type, scopes }
+ * @throws {Error} Unauthorized se não há credencial ou ela é inválida
+ */
+function authenticate(headers = {}) {
+  const lookup = name => Object.keys(headers)
+    .filter(key => key.toLowerCase() === name)
+    .map(key => headers[key])[0];
+
+  const authorization = lookup('authorization');
+  if (authorization) {
+    const match = /^Bearer\s+(\S+)$/i.exec(authorization);
+    if (!match) {
+      throw unauthorizedError('Header Authorization deve usar o esquema Bearer');
+    }
+    return authenticateJwt(match[1]);
+  }
+
+  const apiKey = lookup('x-api-key');
+  if (apiKey) {
+    return authenticateApiKey(apiKey);
+  }
+
+  throw unauthorizedError('Credencial ausente (Authorization ou x-api-key)');
+}
+
+module.exports = {
+  SCOPES,
+  getApiClients,
+  authenticate
+};
@@ -0,0 +1,24 @@
+/**
+ * Helper para novas tentativas com backoff exponencial
+ *
+ * Usado nas escritas em lote do DynamoDB e nas publicações SNS.
+ */
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Calcular espera com backoff exponencial e jitter completo
+ * @param {number} attempt - Número da tentativa (0-based)
+ * @param {number} baseDelayMs - Espera base
+ * @param {number} maxDelayMs - Espera máxima
+ * @returns {number} Espera em milissegundos
+ */
+function backoffDelay(attempt, baseDelayMs, maxDelayMs) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.floor(Math.random() * ceiling);
+}
+
+module.exports = {
+  sleep,
+  backoffDelay
+};
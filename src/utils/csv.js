@@ -0,0 +1,337 @@
+/**
+ * Parser CSV compatível com a RFC 4180
+ *
+ * Suporta campos entre aspas, delimitadores e quebras de linha
+ * dentro de aspas, aspas escapadas (""), finais de linha LF/CRLF,
+ * delimitador configurável (ex: ";" de exportações do Excel pt-BR)
+ * e remoção de BOM UTF-8.
+ *
+ * Erros de sintaxe não interrompem o parsing: a linha afetada é
+ * marcada com { line, column, position, message } e o restante do
+ * arquivo continua sendo processado. `column` é o número do campo
+ * (1-based), como nos erros de quantidade de campos (toRecord) e de
+ * schema; `position` é o caractere da linha (1-based) onde o erro foi
+ * encontrado.
+ *
+ * Cada linha emitida traz `resumeAt` ({ offset, line, afterCR }),
+ * a posição em bytes logo após ela. Passar essa posição a um novo
+ * parser permite retomar a leitura do arquivo a partir dali. Os
+ * offsets são contados sobre o texto decodificado e só coincidem
+ * com o arquivo se ele for UTF-8 válido (garantido pelo csvReader,
+ * que recusa outras codificações, ver utils/utf8).
+ */
+
+const BOM = '\uFEFF';
+const CANDIDATE_DELIMITERS = [',', ';', '\t', '|'];
+
+// Estados da máquina de parsing
+const FIELD_START = 0;
+const UNQUOTED = 1;
+const QUOTED = 2;
+const QUOTE_IN_QUOTED = 3;
+
+/**
+ * Quantidade de bytes UTF-8 de uma unidade de código UTF-16
+ *
+ * Pares substitutos somam 4 bytes: 4 no primeiro, 0 no segundo.
+ *
+ * @param {number} code - Unidade de código (charCodeAt)
+ * @returns {number} Bytes em UTF-8
+ */
+function utf8Length(code) {
+  if (code < 0x80) return 1;
+  if (code < 0x800) return 2;
+  if (code >= 0xD800 && code <= 0xDBFF) return 4;
+  if (code >= 0xDC00 && code <= 0xDFFF) return 0;
+  return 3;
+}
+
+/**
+ * Criar parser CSV incremental
+ *
+ * Os dados podem ser fornecidos em partes via write(); cada chamada
+ * retorna as linhas completas encontradas até o momento.
+ *
+ * @param {Object} options - Opções do parser
+ * @param {string} options.delimiter - Delimitador de campos (padrão: ",")
+ * @param {Object} options.resumeAt - Posição de retomada ({ offset, line, afterCR })
+ * @returns {{ write: Function, end: Function }} Parser
+ */
+function createCsvParser(options = {}) {
+  const delimiter = options.delimiter || ',';
+
+  if (delimiter.length !== 1 || delimiter === '"' || delimiter === '\r' || delimiter === '\n') {
+    throw new Error(`Delimitador CSV inválido: ${JSON.stringify(delimiter)}`);
+  }
+
+  const resumeAt = options.resumeAt || {};
+
+  let state = FIELD_START;
+  let started = resumeAt.offset > 0;
+  let lastWasCR = Boolean(resumeAt.afterCR);
+
+  // Posição atual no arquivo (linha e caractere 1-based, offset em bytes)
+  let line = resumeAt.line || 1;
+  let position = 0;
+  let offset = resumeAt.offset || 0;
+
+  // Linha em construção
+  let fields = [];
+  let field = '';
+  let fieldQuotedInRow = false;
+  let rowLine = 1;
+  let rowError = null;
+  let quoteLine = 1;
+  let quoteColumn = 1;
+  let quotePosition = 1;
+
+  function markError(message) {
+    if (!rowError) {
+      rowError = { line, column: fields.length + 1, position, message };
+    }
+  }
+
+  function endField() {
+    fields.push(field);
+    field = '';
+    state = FIELD_START;
+  }
+
+  function endRow(rows) {
+    endField();
+
+    // Linhas totalmente vazias são ignoradas
+    const isBlank = fields.length === 1 && fields[0] === '' && !fieldQuotedInRow && !rowError;
+    if (!isBlank) {
+      rows.push({
+        line: rowLine,
+        fields,
+        error: rowError,
+        resumeAt: { offset, line, afterCR: lastWasCR }
+      });
+    }
+
+    fields = [];
+    rowError = null;
+    fieldQuotedInRow = false;
+  }
+
+  function endLine(rows, char) {
+    lastWasCR = char === '\r';
+    line++;
+    position = 0;
+    endRow(rows);
+  }
+
+  function write(chunk) {
+    const rows = [];
+    let text = String(chunk);
+
+    if (!started && text.length > 0) {
+      started = true;
+      if (text.startsWith(BOM)) {
+        text = text.slice(1);
+        offset += utf8Length(BOM.charCodeAt(0));
+      }
+    }
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      offset += utf8Length(text.charCodeAt(i));
+
+      // Segunda metade de um CRLF: a linha já foi encerrada no CR
+      if (lastWasCR) {
+        lastWasCR = false;
+        if (char === '\n' && state !== QUOTED) {
+          continue;
+        }
+      }
+
+      position++;
+
+      if (state === FIELD_START && fields.length === 0 && field === '') {
+        rowLine = line;
+      }
+
+      switch (state) {
+        case FIELD_START:
+          if (char === '"') {
+            state = QUOTED;
+            fieldQuotedInRow = true;
+            quoteLine = line;
+            quoteColumn = fields.length + 1;
+            quotePosition = position;
+          } else if (char === delimiter) {
+            endField();
+          } else if (char === '\n' || char === '\r') {
+            endLine(rows, char);
+          } else {
+            field += char;
+            state = UNQUOTED;
+          }
+          break;
+
+        case UNQUOTED:
+          if (char === delimiter) {
+            endField();
+          } else if (char === '\n' || char === '\r') {
+            endLine(rows, char);
+          } else {
+            if (char === '"') {
+              markError('Aspas em campo não delimitado por aspas');
+            }
+            field += char;
+          }
+          break;
+
+        case QUOTED:
+          if (char === '"') {
+            state = QUOTE_IN_QUOTED;
+          } else {
+            field += char;
+            if (char === '\n') {
+              line++;
+              position = 0;
+            }
+          }
+          break;
+
+        case QUOTE_IN_QUOTED:
+          if (char === '"') {
+            // Aspas escapadas ("")
+            field += '"';
+            state = QUOTED;
+          } else if (char === delimiter) {
+            endField();
+          } else if (char === '\n' || char === '\r') {
+            endLine(rows, char);
+          } else {
+            markError('Caractere inesperado após aspas de fechamento');
+            field += char;
+            state = UNQUOTED;
+          }
+          break;
+      }
+    }
+
+    return rows;
+  }
+
+  function end() {
+    const rows = [];
+
+    if (state === QUOTED) {
+      rowError = rowError || {
+        line: quoteLine,
+        column: quoteColumn,
+        position: quotePosition,
+        message: 'Campo entre aspas não foi fechado'
+      };
+    }
+
+    // Última linha sem quebra de linha final
+    if (state !== FIELD_START || fields.length > 0 || field !== '') {
+      endRow(rows);
+    }
+
+    return rows;
+  }
+
+  return { write, end };
+}
+
+/**
+ * Parsear conteúdo CSV completo
+ * @param {string} content - Conteúdo do arquivo
+ * @param {Object} options - Opções do parser (ver createCsvParser)
+ * @returns {Array<Object>} Linhas no formato { line, fields, error }
+ */
+function parseCsv(content, options = {}) {
+  const parser = createCsvParser(options);
+  return [...parser.write(content), ...parser.end()];
+}
+
+/**
+ * Detectar delimitador pela primeira linha do conteúdo
+ *
+ * Conta os delimitadores candidatos fora de aspas e escolhe
+ * o mais frequente. Em caso de empate, prevalece a vírgula.
+ *
+ * @param {string} sample - Início do conteúdo CSV
+ * @returns {string} Delimitador detectado
+ */
+function detectDelimiter(sample) {
+  const counts = {};
+  let inQuotes = false;
+
+  for (const char of sample.replace(BOM, '')) {
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && (char === '\n' || char === '\r')) {
+      break;
+    } else if (!inQuotes && CANDIDATE_DELIMITERS.includes(char)) {
+      counts[char] = (counts[char] || 0) + 1;
+    }
+  }
+
+  return CANDIDATE_DELIMITERS.reduce(
+    (best, candidate) => ((counts[candidate] || 0) > (counts[best] || 0) ? candidate : best),
+    ','
+  );
+}
+
+/**
+ * Converter linha parseada em objeto usando os headers
+ * @param {Array<string>} headers - Nomes das colunas
+ * @param {Object} row - Linha no formato { line, fields, error }
+ * @returns {{ record: Object|null, error: Object|null }} Registro ou erro
+ */
+function toRecord(headers, row) {
+  if (row.error) {
+    return { record: null, error: row.error };
+  }
+
+  if (row.fields.length !== headers.length) {
+    return {
+      record: null,
+      error: {
+        line: row.line,
+        column: Math.min(row.fields.length, headers.length) + 1,
+        message: `Esperados ${headers.length} campos, encontrados ${row.fields.length}`
+      }
+    };
+  }
+
+  const record = {};
+  headers.forEach((header, index) => {
+    record[header] = row.fields[index];
+  });
+
+  return { record, error: null };
+}
+
+/**
+ * Serializar uma linha CSV (RFC 4180)
+ *
+ * Campos com delimitador, aspas ou quebras de linha são colocados
+ * entre aspas, com aspas internas escapadas ("").
+ *
+ * @param {Array<*>} fields - Valores da linha
+ * @param {string} delimiter - Delimitador de campos (padrão: ",")
+ * @returns {string} Linha CSV terminada em CRLF
+ */
+function formatCsvRow(fields, delimiter = ',') {
+  return fields.map((field) => {
+    const text = field === null || field === undefined ? '' : String(field);
+    const needsQuotes = text.includes(delimiter) || /["\r\n]/.test(text);
+    return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(delimiter) + '\r\n';
+}
+
+module.exports = {
+  createCsvParser,
+  parseCsv,
+  detectDelimiter,
+  toRecord,
+  formatCsvRow
+};
@@ -0,0 +1,68 @@
+/**
+ * Helper para cursores de paginação
+ *
+ * O cursor é o LastEvaluatedKey do DynamoDB (e o índice usado)
+ * serializado em base64url, opaco para o cliente da API.
+ */
+
+/**
+ * Codificar LastEvaluatedKey em cursor opaco
+ * @param {Object} payload - Índice usado e chave de continuação
+ * @returns {string} Cursor (base64url)
+ */
+function encodeCursor(payload) {
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decodificar cursor de continuação
+ * @param {string} cursor - Cursor recebido
+ * @returns {Object} Índice usado e chave de continuação
+ */
+function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+    const { key } = payload || {};
+    if (!key || typeof key !== 'object' || Array.isArray(key)) {
+      throw new Error('Cursor sem chave');
+    }
+    return payload;
+  } catch (parseError) {
+    throw invalidCursorError('Cursor de paginação inválido');
+  }
+}
+
+/**
+ * Verificar se a chave de continuação tem exatamente os atributos
+ * de chave esperados, com os tipos esperados
+ *
+ * Cursores forjados ou de outra listagem seriam recusados pelo
+ * DynamoDB com ValidationException (erro 500 na API).
+ *
+ * @param {Object} key - Chave decodificada do cursor
+ * @param {Object} attributes - Tipo por atributo (ex: { id: 'string', timestamp: 'number' })
+ * @returns {boolean} true se a chave é válida
+ */
+function isValidCursorKey(key, attributes) {
+  const names = Object.keys(key);
+  return names.length === Object.keys(attributes).length
+    && names.every(name => Object.hasOwn(attributes, name) && typeof key[name] === attributes[name]);
+}
+
+/**
+ * Criar erro de cursor inválido (code: 'InvalidCursor')
+ * @param {string} message - Mensagem do erro
+ * @returns {Error} Erro
+ */
+function invalidCursorError(message) {
+  const error = new Error(message);
+  error.code = 'InvalidCursor';
+  return error;
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  isValidCursorKey,
+  invalidCursorError
+};
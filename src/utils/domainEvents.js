@@ -0,0 +1,271 @@
+const AWS = require('aws-sdk');
+const { getSchema, hasSchema, DEFAULT_DATASET } = require('./schema');
+const { evaluateRules } = require('./alertRules');
+
+/**
+ * Helper para eventos de domínio dos registros
+ *
+ * Converte registros do DynamoDB Stream da tabela de dados
+ * (INSERT, MODIFY e REMOVE, com imagens antiga e nova) em eventos
+ * de domínio tipados. É a única origem dos eventos de alteração de
+ * registros, qualquer que seja o caminho da escrita (API ou S3).
+ *
+ * Eventos:
+ * - RECORD_CREATED, RECORD_UPDATED, RECORD_DELETED
+ * - PRICE_CHANGED (preco alterado)
+ * - STOCK_DEPLETED (estoque chegou a zero)
+ * - STOCK_REPLENISHED (estoque voltou a ficar positivo)
+ * - ALERT_TRIGGERED (regra de alerta atendida, ver utils/alertRules)
+ *
+ * Cada evento é { event_type, event_id, correlation_id, time, data },
+ * pronto para publishEvent (utils/sns): `data` segue o schema do
+ * evento no catálogo (src/schemas/events).
+ *
+ * Só os campos de dados (propriedades do schema do dataset) entram
+ * na comparação: alterações apenas em campos de controle, como
+ * processed_at ao reprocessar a mesma linha, não geram eventos.
+ *
+ * Remoções pela API são lógicas (deleted_at, ver utils/dynamodb) e
+ * também não geram eventos: RECORD_DELETED vem do REMOVE do stream,
+ * quando o item é apagado de fato, em geral pelo TTL da tabela
+ * (`expired: true`).
+ */
+
+const DOMAIN_EVENTS = {
+  RECORD_CREATED: 'RECORD_CREATED',
+  RECORD_UPDATED: 'RECORD_UPDATED',
+  RECORD_DELETED: 'RECORD_DELETED',
+  PRICE_CHANGED: 'PRICE_CHANGED',
+  STOCK_DEPLETED: 'STOCK_DEPLETED',
+  STOCK_REPLENISHED: 'STOCK_REPLENISHED',
+  ALERT_TRIGGERED: 'ALERT_TRIGGERED'
+};
+
+// Campos de controle gravados pelos handlers, usados quando o
+// dataset do registro não tem schema
+const CONTROL_FIELDS = [
+  'id', 'timestamp', 'version', 'dataset', 'source', 'source_file',
+  'created_at', 'created_by', 'updated_at', 'updated_by',
+  'processed_at', 'processor_version', 'request_id', 'correlation_id',
+  'deleted_at', 'deleted_by', 'purge_at'
+];
+
+/**
+ * Converter imagem do stream (formato DynamoDB) em objeto
+ * @param {Object} image - NewImage ou OldImage
+ * @returns {Object|null} Registro
+ */
+function unmarshallImage(image) {
+  return image ? AWS.DynamoDB.Converter.unmarshall(image) : null;
+}
+
+/**
+ * Campos de dados de um registro
+ * @param {Object} record - Registro
+ * @returns {Array<string>} Nomes dos campos
+ */
+function dataFields(record) {
+  const dataset = record.dataset || DEFAULT_DATASET;
+  if (hasSchema(dataset)) {
+    return Object.keys(getSchema(dataset).properties).filter(field => field !== 'id');
+  }
+  return Object.keys(record).filter(field => !CONTROL_FIELDS.includes(field));
+}
+
+/**
+ * Comparar imagens antiga e nova de um registro
+ * @param {Object} oldImage - Registro antes da alteração
+ * @param {Object} newImage - Registro após a alteração
+ * @returns {Object} Alterações por campo ({ campo: { old, new } })
+ */
+function diffImages(oldImage, newImage) {
+  const fields = new Set([...dataFields(oldImage), ...dataFields(newImage)]);
+  const changes = {};
+
+  fields.forEach((field) => {
+    if (JSON.stringify(oldImage[field]) !== JSON.stringify(newImage[field])) {
+      changes[field] = {
+        old: oldImage[field] === undefined ? null : oldImage[field],
+        new: newImage[field] === undefined ? null : newImage[field]
+      };
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Montar evento de domínio
+ *
+ * O event_id é derivado do eventID do stream, então reenvios do
+ * mesmo registro do stream geram o mesmo id. A correlação usa o
+ * correlation_id gravado no item (upload S3 ou requisição da API)
+ * ou, em itens anteriores a ele, o request_id da escrita via API.
+ *
+ * @param {string} eventType - Tipo do evento (DOMAIN_EVENTS)
+ * @param {Object} streamRecord - Registro do stream
+ * @param {Object} record - Imagem mais recente do registro
+ * @param {Object} details - Campos específicos do evento
+ * @param {string} idSuffix - Sufixo do event_id (vários eventos do mesmo tipo)
+ * @returns {Object} Evento de domínio
+ */
+function buildEvent(eventType, streamRecord, record, details = {}, idSuffix = '') {
+  const createdAt = streamRecord.dynamodb.ApproximateCreationDateTime;
+
+  return {
+    event_type: eventType,
+    event_id: `${streamRecord.eventID}:${eventType}${idSuffix}`,
+    correlation_id: record.correlation_id || record.request_id || streamRecord.eventID,
+    time: createdAt
+      ? new Date(createdAt * 1000).toISOString()
+      : new Date().toISOString(),
+    data: {
+      record_id: record.id,
+      dataset: record.dataset || DEFAULT_DATASET,
+      source: record.source || null,
+      categoria: record.categoria || null,
+      ...details
+    }
+  };
+}
+
+/**
+ * Eventos de preço e estoque de uma alteração
+ * @param {Object} streamRecord - Registro do stream
+ * @param {Object} newImage - Registro após a alteração
+ * @param {Object} changes - Alterações por campo (ver diffImages)
+ * @returns {Array<Object>} Eventos de domínio
+ */
+function valueEvents(streamRecord, newImage, changes) {
+  const events = [];
+
+  if (changes.preco && typeof changes.preco.old === 'number' && typeof changes.preco.new === 'number') {
+    const { old: oldPrice, new: newPrice } = changes.preco;
+    events.push(buildEvent(DOMAIN_EVENTS.PRICE_CHANGED, streamRecord, newImage, {
+      old_price: oldPrice,
+      new_price: newPrice,
+      change_percent: oldPrice > 0
+        ? Number((((newPrice - oldPrice) / oldPrice) * 100).toFixed(2))
+        : null
+    }));
+  }
+
+  if (changes.estoque) {
+    const oldStock = Number(changes.estoque.old) || 0;
+    const newStock = Number(changes.estoque.new) || 0;
+
+    if (oldStock > 0 && newStock === 0) {
+      events.push(buildEvent(DOMAIN_EVENTS.STOCK_DEPLETED, streamRecord, newImage, {
+        old_stock: oldStock,
+        new_stock: newStock
+      }));
+    } else if (oldStock === 0 && newStock > 0) {
+      events.push(buildEvent(DOMAIN_EVENTS.STOCK_REPLENISHED, streamRecord, newImage, {
+        old_stock: oldStock,
+        new_stock: newStock
+      }));
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Eventos de alerta das regras atendidas por uma escrita
+ * @param {Object} streamRecord - Registro do stream
+ * @param {Object|null} oldImage - Registro antes da escrita
+ * @param {Object} newImage - Registro após a escrita
+ * @returns {Array<Object>} Eventos de domínio
+ */
+function alertEvents(streamRecord, oldImage, newImage) {
+  return evaluateRules(oldImage, newImage, newImage.dataset || DEFAULT_DATASET).map(alert => (
+    buildEvent(DOMAIN_EVENTS.ALERT_TRIGGERED, streamRecord, newImage, alert, `:${alert.rule_id}`)
+  ));
+}
+
+/**
+ * Verificar se a remoção foi feita pelo TTL do DynamoDB
+ * @param {Object} streamRecord - Registro do stream
+ * @returns {boolean} true se o item expirou
+ */
+function isTtlRemoval(streamRecord) {
+  const { userIdentity } = streamRecord;
+  return Boolean(userIdentity
+    && userIdentity.type === 'Service'
+    && userIdentity.principalId === 'dynamodb.amazonaws.com');
+}
+
+/**
+ * Converter registro do DynamoDB Stream em eventos de domínio
+ * @param {Object} streamRecord - Registro do stream (Records[n])
+ * @returns {Array<Object>} Eventos de domínio (vazio se nada mudou)
+ */
+function toDomainEvents(streamRecord) {
+  const oldImage = unmarshallImage(streamRecord.dynamodb.OldImage);
+  const newImage = unmarshallImage(streamRecord.dynamodb.NewImage);
+
+  switch (streamRecord.eventName) {
+    case 'INSERT':
+      return [
+        buildEvent(DOMAIN_EVENTS.RECORD_CREATED, streamRecord, newImage, { data: newImage }),
+        ...alertEvents(streamRecord, null, newImage)
+      ];
+
+    case 'MODIFY': {
+      const changes = diffImages(oldImage, newImage);
+      const changedFields = Object.keys(changes);
+      if (changedFields.length === 0) return [];
+
+      return [
+        buildEvent(DOMAIN_EVENTS.RECORD_UPDATED, streamRecord, newImage, {
+          changed_fields: changedFields,
+          changes
+        }),
+        ...valueEvents(streamRecord, newImage, changes),
+        ...alertEvents(streamRecord, oldImage, newImage)
+      ];
+    }
+
+    case 'REMOVE':
+      return [buildEvent(DOMAIN_EVENTS.RECORD_DELETED, streamRecord, oldImage, {
+        data: oldImage,
+        deleted_at: oldImage.deleted_at || null,
+        deleted_by: oldImage.deleted_by || null,
+        expired: isTtlRemoval(streamRecord)
+      })];
+
+    default:
+      return [];
+  }
+}
+
+/**
+ * Atributos de mensagem SNS de um evento (para filter policies)
+ *
+ * event_type e event_version são incluídos por publishEvent.
+ *
+ * @param {Object} event - Evento de domínio
+ * @returns {Object} Atributos ({ nome: valor })
+ */
+function eventAttributes(event) {
+  const { data } = event;
+  const attributes = {
+    record_id: data.record_id,
+    dataset: data.dataset
+  };
+
+  if (data.source) attributes.source = data.source;
+  if (data.categoria) attributes.categoria = data.categoria;
+  if (data.changed_fields) attributes.changed_fields = data.changed_fields;
+  if (data.severity) attributes.severity = data.severity;
+  if (data.rule_id) attributes.rule_id = data.rule_id;
+
+  return attributes;
+}
+
+module.exports = {
+  DOMAIN_EVENTS,
+  diffImages,
+  toDomainEvents,
+  eventAttributes
+};
@@ -1,4 +1,8 @@
 const AWS = require('aws-sdk');
+const { encodeCursor, decodeCursor, isValidCursorKey, invalidCursorError } = require('./cursor');
+const { sleep, backoffDelay } = require('./backoff');
+const log = require('./logger');
+const { putMetric } = require('./metrics');
 
 /**
  * Helper para operações com DynamoDB
@@ -18,23 +22,497 @@ const dynamoDbConfig = {
 const dynamodb = new AWS.DynamoDB.DocumentClient(dynamoDbConfig);
 const tableName = process.env.TABLE_NAME || 'ProcessedData';
 
+/**
+ * Sort key dos registros com chave determinística
+ *
+ * Registros são identificados apenas pelo id: usar uma sort key
+ * fixa faz com que reprocessar a mesma linha sobrescreva o item
+ * existente em vez de criar uma cópia, e permite à API ler e
+ * alterar um registro conhecendo só o id.
+ *
+ * O item com essa sort key é a versão atual do registro, com o
+ * atributo `version` (1 na criação; itens antigos sem ele contam
+ * como versão 1). Cada alteração pela API (putRecordVersion) grava a
+ * versão substituída como linha de histórico do mesmo id, com
+ * sort key = número da versão:
+ *
+ *   { id, timestamp: 3, version: 3, row_type: 'history', data: {…},
+ *     changes: { preco: { old, new } }, superseded_at, superseded_by }
+ *
+ * Os campos do registro ficam em `data`, então as linhas de histórico
+ * não entram nos GSIs; listagens e o streamProcessor consideram só
+ * a versão atual. A ingestão via S3 também passa por esse fluxo
+ * (upsertRecords): linhas que alteram um registro existente geram
+ * uma nova versão, e linhas sem alteração não são regravadas.
+ *
+ * Remoções pela API são lógicas (softDeleteRecord): a versão atual
+ * ganha deleted_at, deleted_by e purge_at, o atributo TTL da tabela.
+ * O registro fica oculto das leituras, pode ser restaurado
+ * (restoreRecord) e é apagado de fato pelo TTL do DynamoDB depois
+ * de DELETED_RETENTION_DAYS dias, junto com o seu histórico.
+ */
+const CURRENT_SORT_KEY = 0;
+
+const HISTORY_ROW_TYPE = 'history';
+
+// Atributo TTL da tabela de dados (segundos desde epoch)
+const PURGE_ATTRIBUTE = 'purge_at';
+
+// Dias em que um registro removido pode ser restaurado
+const DELETED_RETENTION_DAYS = Number(process.env.DELETED_RETENTION_DAYS || 30);
+
+// Campos que mudam a cada escrita e não contam como alteração do registro
+const VERSION_METADATA_FIELDS = [
+  'timestamp', 'version', 'updated_at', 'updated_by', 'request_id', 'correlation_id',
+  'processed_at', 'processor_version'
+];
+
+// Campos da versão atual mantidos quando uma ingestão a substitui
+const PRESERVED_ON_UPSERT = ['created_at', 'created_by'];
+
+// Tentativas de gravar uma versão quando outra escrita altera o registro antes
+const MAX_UPSERT_ATTEMPTS = 3;
+
+/**
+ * Montar condição de existência para escritas condicionais
+ *
+ * Quando a condição não é atendida, o DynamoDB lança
+ * ConditionalCheckFailedException (ver isConditionalCheckFailed).
+ *
+ * @param {Object} options - Opções de escrita
+ * @param {boolean} options.mustExist - Item precisa existir
+ * @param {boolean} options.mustNotExist - Item não pode existir
+ * @returns {string|undefined} ConditionExpression
+ */
+function existenceCondition(options = {}) {
+  if (options.mustExist) return 'attribute_exists(id)';
+  if (options.mustNotExist) return 'attribute_not_exists(id)';
+  return undefined;
+}
+
+/**
+ * Verificar se o erro é de escrita condicional não atendida
+ * @param {Error} error - Erro do DynamoDB
+ * @returns {boolean} True se a condição falhou
+ */
+function isConditionalCheckFailed(error) {
+  return error.code === 'ConditionalCheckFailedException';
+}
+
+/**
+ * Versão de um registro (itens anteriores ao versionamento contam como 1)
+ * @param {Object} item - Versão atual do registro
+ * @returns {number} Versão
+ */
+function recordVersion(item) {
+  return item.version || 1;
+}
+
+/**
+ * Verificar se um registro foi removido (soft delete)
+ * @param {Object} item - Versão atual do registro
+ * @returns {boolean} true se o registro tem deleted_at
+ */
+function isDeleted(item) {
+  return Boolean(item && item.deleted_at);
+}
+
+/**
+ * Montar condição de versão para escritas na versão atual
+ *
+ * Itens sem o atributo version são tratados como versão 1.
+ *
+ * @param {number} version - Versão que o item precisa ter
+ * @returns {Object} { ConditionExpression, ExpressionAttributeNames, ExpressionAttributeValues }
+ */
+function versionCondition(version) {
+  return {
+    ConditionExpression: version === 1
+      ? 'attribute_exists(id) AND (#version = :expectedVersion OR attribute_not_exists(#version))'
+      : 'attribute_exists(id) AND #version = :expectedVersion',
+    ExpressionAttributeNames: { '#version': 'version' },
+    ExpressionAttributeValues: { ':expectedVersion': version }
+  };
+}
+
+/**
+ * Criar erro de conflito de versão (code: 'VersionConflict')
+ * @param {string} id - Id do registro
+ * @param {number} expectedVersion - Versão esperada pela escrita
+ * @returns {Error} Erro
+ */
+function versionConflictError(id, expectedVersion) {
+  const error = new Error(`Registro "${id}" não está mais na versão ${expectedVersion}`);
+  error.code = 'VersionConflict';
+  error.expectedVersion = expectedVersion;
+  return error;
+}
+
+/**
+ * Verificar se o erro é de conflito de versão
+ * @param {Error} error - Erro lançado pela escrita
+ * @returns {boolean} True se outra escrita alterou o registro antes
+ */
+function isVersionConflict(error) {
+  return error.code === 'VersionConflict';
+}
+
+/**
+ * Comparar duas versões de um registro
+ * @param {Object} previous - Versão anterior
+ * @param {Object} next - Nova versão
+ * @returns {Object} Alterações por campo ({ campo: { old, new } })
+ */
+function diffVersions(previous, next) {
+  const fields = new Set([...Object.keys(previous), ...Object.keys(next)]);
+  const changes = {};
+
+  fields.forEach((field) => {
+    if (VERSION_METADATA_FIELDS.includes(field)) return;
+    if (JSON.stringify(previous[field]) !== JSON.stringify(next[field])) {
+      changes[field] = {
+        old: previous[field] === undefined ? null : previous[field],
+        new: next[field] === undefined ? null : next[field]
+      };
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Executar escrita medindo sua latência (métrica DynamoWriteLatency)
+ * @param {string} operation - Operação DynamoDB (dimensão Operation)
+ * @param {Object} request - Requisição do DocumentClient
+ * @returns {Promise<Object>} Resultado da operação
+ */
+async function timedWrite(operation, request) {
+  const startedAt = Date.now();
+  try {
+    return await request.promise();
+  } finally {
+    putMetric('DynamoWriteLatency', Date.now() - startedAt, 'Milliseconds', { Operation: operation });
+  }
+}
+
+/**
+ * Extrair os motivos de cancelamento de uma transação
+ *
+ * O SDK v2 só expõe os motivos na mensagem: "... [ConditionalCheckFailed, None]".
+ * Os motivos ficam em `error.cancellationReasons`, na ordem dos itens
+ * da transação ('None' para itens sem problema).
+ *
+ * @param {Error} error - Erro TransactionCanceledException
+ * @returns {Array<string>} Motivo de cada item
+ */
+function cancellationReasons(error) {
+  const match = /\[([^\]]*)\]/.exec(error.message);
+  error.cancellationReasons = match ? match[1].split(',').map(reason => reason.trim()) : [];
+  return error.cancellationReasons;
+}
+
 /**
  * Inserir item no DynamoDB
+ *
+ * Com `options.transactItems`, o item é gravado em uma transação com
+ * essas escritas (ex: conclusão da Idempotency-Key); se ela for
+ * cancelada, o erro traz `cancellationReasons`, com o motivo do item
+ * primeiro e depois o de cada escrita extra.
+ *
  * @param {Object} item - Item a ser inserido
+ * @param {Object} options - Condição de existência (ver existenceCondition)
+ * @param {Array<Object>} options.transactItems - Escritas na mesma transação
  * @returns {Promise<Object>} Resultado da operação
  */
-async function putItem(item) {
+async function putItem(item, options = {}) {
+  const { transactItems = [] } = options;
   const params = {
     TableName: tableName,
-    Item: item
+    Item: item,
+    ConditionExpression: existenceCondition(options)
   };
 
   try {
-    await dynamodb.put(params).promise();
-    console.log(`✅ Item inserido no DynamoDB: ${item.id}`);
+    if (transactItems.length > 0) {
+      await timedWrite('TransactWriteItems', dynamodb.transactWrite({
+        TransactItems: [{ Put: params }, ...transactItems]
+      }));
+    } else {
+      await timedWrite('PutItem', dynamodb.put(params));
+    }
+    log.debug('Item inserido no DynamoDB', { record_id: item.id });
     return { success: true, item };
   } catch (error) {
-    console.error('❌ Erro ao inserir item no DynamoDB:', error);
+    if (error.code === 'TransactionCanceledException') {
+      log.warn('Transação cancelada', { record_id: item.id, cancellation_reasons: cancellationReasons(error) });
+    } else if (isConditionalCheckFailed(error)) {
+      log.warn('Condição de escrita não atendida', { record_id: item.id });
+    } else {
+      log.error('Erro ao inserir item no DynamoDB', { record_id: item.id, error });
+    }
+    throw error;
+  }
+}
+
+// Limite de itens por chamada BatchWriteItem
+const BATCH_WRITE_LIMIT = 25;
+
+// Limite de chaves por chamada BatchGetItem
+const BATCH_GET_LIMIT = 100;
+
+// Erros transitórios que justificam nova tentativa
+const RETRYABLE_ERRORS = [
+  'ProvisionedThroughputExceededException',
+  'ThrottlingException',
+  'RequestLimitExceeded',
+  'InternalServerError',
+  'ServiceUnavailable'
+];
+
+/**
+ * Inserir vários itens usando BatchWriteItem
+ *
+ * Divide os itens em lotes de 25, executa até `concurrency` lotes
+ * em paralelo e reenvia os UnprocessedItems com backoff exponencial
+ * e jitter. Itens que não puderam ser gravados são retornados em
+ * `failed`, sem interromper os demais lotes.
+ *
+ * @param {Array<Object>} items - Itens a inserir
+ * @param {Object} options - Opções de escrita
+ * @param {number} options.concurrency - Lotes simultâneos (padrão: 4)
+ * @param {number} options.maxRetries - Tentativas extras por lote (padrão: 5)
+ * @param {number} options.baseDelayMs - Espera base do backoff (padrão: 50)
+ * @param {number} options.maxDelayMs - Espera máxima do backoff (padrão: 2000)
+ * @returns {Promise<Object>} { written, failed: [{ item, error }] }
+ */
+async function batchWriteItems(items, options = {}) {
+  const {
+    concurrency = 4,
+    maxRetries = 5,
+    baseDelayMs = 50,
+    maxDelayMs = 2000
+  } = options;
+
+  const chunks = [];
+  for (let i = 0; i < items.length; i += BATCH_WRITE_LIMIT) {
+    chunks.push(items.slice(i, i + BATCH_WRITE_LIMIT));
+  }
+
+  let written = 0;
+  const failed = [];
+  let nextChunk = 0;
+
+  const worker = async () => {
+    while (nextChunk < chunks.length) {
+      const chunk = chunks[nextChunk++];
+      const result = await writeChunk(chunk, { maxRetries, baseDelayMs, maxDelayMs });
+      written += result.written;
+      failed.push(...result.failed);
+    }
+  };
+
+  const workers = Array.from({ length: Math.min(concurrency, chunks.length) }, worker);
+  await Promise.all(workers);
+
+  if (failed.length > 0) {
+    putMetric('DynamoWriteFailures', failed.length, 'Count', { Operation: 'BatchWriteItem' });
+  }
+
+  log.info('Batch write concluído', { written, failed: failed.length });
+  return { written, failed };
+}
+
+/**
+ * Gravar um lote de até 25 itens, reenviando UnprocessedItems
+ * @param {Array<Object>} chunk - Itens do lote
+ * @param {Object} options - Opções de retry
+ * @returns {Promise<Object>} { written, failed: [{ item, error }] }
+ */
+async function writeChunk(chunk, options) {
+  const { maxRetries, baseDelayMs, maxDelayMs } = options;
+  let pending = chunk.map(item => ({ PutRequest: { Item: item } }));
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const result = await timedWrite('BatchWriteItem', dynamodb.batchWrite({
+        RequestItems: { [tableName]: pending }
+      }));
+
+      pending = (result.UnprocessedItems && result.UnprocessedItems[tableName]) || [];
+      if (pending.length > 0) {
+        putMetric('DynamoUnprocessedItems', pending.length, 'Count');
+      }
+    } catch (error) {
+      const retryable = error.retryable || RETRYABLE_ERRORS.includes(error.code);
+
+      if (!retryable) {
+        // Erro de validação rejeita o lote inteiro: gravar item a item
+        // para isolar os itens inválidos
+        log.warn('Lote rejeitado, gravando itens individualmente', { error_code: error.code });
+        return writeIndividually(chunk.length - pending.length, pending);
+      }
+
+      if (attempt >= maxRetries) {
+        return {
+          written: chunk.length - pending.length,
+          failed: pending.map(request => ({ item: request.PutRequest.Item, error: error.message }))
+        };
+      }
+    }
+
+    if (pending.length === 0) {
+      return { written: chunk.length, failed: [] };
+    }
+
+    if (attempt >= maxRetries) {
+      return {
+        written: chunk.length - pending.length,
+        failed: pending.map(request => ({
+          item: request.PutRequest.Item,
+          error: `Item não processado após ${maxRetries + 1} tentativas`
+        }))
+      };
+    }
+
+    await sleep(backoffDelay(attempt, baseDelayMs, maxDelayMs));
+  }
+}
+
+/**
+ * Gravar itens um a um (fallback para lotes rejeitados)
+ * @param {number} alreadyWritten - Itens do lote já gravados
+ * @param {Array<Object>} requests - PutRequests pendentes
+ * @returns {Promise<Object>} { written, failed: [{ item, error }] }
+ */
+async function writeIndividually(alreadyWritten, requests) {
+  let written = alreadyWritten;
+  const failed = [];
+
+  for (const request of requests) {
+    try {
+      await timedWrite('PutItem', dynamodb.put({ TableName: tableName, Item: request.PutRequest.Item }));
+      written++;
+    } catch (error) {
+      failed.push({ item: request.PutRequest.Item, error: error.message });
+    }
+  }
+
+  return { written, failed };
+}
+
+/**
+ * Executar operação repetindo erros transitórios com backoff exponencial
+ * @param {Function} operation - Função assíncrona a executar
+ * @param {Object} options - maxRetries, baseDelayMs, maxDelayMs (como em batchWriteItems)
+ * @returns {Promise<*>} Resultado da operação
+ */
+async function withRetries(operation, options = {}) {
+  const { maxRetries = 5, baseDelayMs = 50, maxDelayMs = 2000 } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      const retryable = error.retryable || RETRYABLE_ERRORS.includes(error.code);
+      if (!retryable || attempt >= maxRetries) throw error;
+      await sleep(backoffDelay(attempt, baseDelayMs, maxDelayMs));
+    }
+  }
+}
+
+/**
+ * Executar `fn` para cada item, com até `concurrency` execuções simultâneas
+ * @param {Array<Object>} items - Itens
+ * @param {number} concurrency - Execuções simultâneas
+ * @param {Function} fn - Função assíncrona chamada com cada item
+ */
+async function forEachConcurrently(items, concurrency, fn) {
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      await fn(items[next++]);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+}
+
+/**
+ * Inserir vários itens novos, sem sobrescrever ids existentes
+ *
+ * BatchWriteItem não aceita condições: cada item é gravado com um
+ * PutItem condicional (attribute_not_exists), com até `concurrency`
+ * escritas em paralelo. Ids já existentes, inclusive registros
+ * removidos ainda não apagados, voltam em `conflicts`.
+ *
+ * @param {Array<Object>} items - Itens a inserir
+ * @param {Object} options - concurrency (padrão: 4) e opções de retry
+ * @returns {Promise<Object>} { written, conflicts: [item], failed: [{ item, error }] }
+ */
+async function putNewItems(items, options = {}) {
+  const { concurrency = 4 } = options;
+  let written = 0;
+  const conflicts = [];
+  const failed = [];
+
+  await forEachConcurrently(items, concurrency, async (item) => {
+    try {
+      await withRetries(() => timedWrite('PutItem', dynamodb.put({
+        TableName: tableName,
+        Item: item,
+        ConditionExpression: existenceCondition({ mustNotExist: true })
+      })), options);
+      written++;
+    } catch (error) {
+      if (isConditionalCheckFailed(error)) {
+        conflicts.push(item);
+      } else {
+        failed.push({ item, error: error.message });
+      }
+    }
+  });
+
+  if (failed.length > 0) {
+    putMetric('DynamoWriteFailures', failed.length, 'Count', { Operation: 'PutItem' });
+  }
+
+  log.info('Itens novos gravados', { written, conflicts: conflicts.length, failed: failed.length });
+  return { written, conflicts, failed };
+}
+
+/**
+ * Inserir vários itens em uma única transação (tudo ou nada)
+ *
+ * Limitado a 100 itens pelo DynamoDB. Se a transação for cancelada,
+ * o erro lançado traz `cancellationReasons`, com o motivo de cada
+ * item na mesma ordem de `items` ('None' para itens sem problema).
+ *
+ * @param {Array<Object>} items - Itens a inserir
+ * @param {Object} options - Condição de existência (ver existenceCondition)
+ * @returns {Promise<Object>} Resultado da operação
+ */
+async function transactPutItems(items, options = {}) {
+  const params = {
+    TransactItems: items.map(item => ({
+      Put: {
+        TableName: tableName,
+        Item: item,
+        ConditionExpression: existenceCondition(options)
+      }
+    }))
+  };
+
+  try {
+    await timedWrite('TransactWriteItems', dynamodb.transactWrite(params));
+    log.info('Transação concluída', { written: items.length });
+    return { success: true, written: items.length };
+  } catch (error) {
+    if (error.code === 'TransactionCanceledException') {
+      log.warn('Transação cancelada', { cancellation_reasons: cancellationReasons(error) });
+    } else {
+      log.error('Erro na transação', { error });
+    }
     throw error;
   }
 }
@@ -48,14 +526,15 @@ async function putItem(item) {
 async function getItem(id, timestamp) {
   const params = {
     TableName: tableName,
-    Key: { id, timestamp }
+    Key: { id, timestamp },
+    ConsistentRead: true
   };
 
   try {
     const result = await dynamodb.get(params).promise();
     return result.Item;
   } catch (error) {
-    console.error('❌ Erro ao buscar item:', error);
+    log.error('Erro ao buscar item', { error });
     throw error;
   }
 }
@@ -78,7 +557,7 @@ async function queryByIdAsync(id) {
     const result = await dynamodb.query(params).promise();
     return result.Items;
   } catch (error) {
-    console.error('❌ Erro ao fazer query:', error);
+    log.error('Erro ao fazer query', { error });
     throw error;
   }
 }
@@ -96,82 +575,778 @@ async function scanTable(limit = 100) {
 
   try {
     const result = await dynamodb.scan(params).promise();
-    console.log(`📊 Scan retornou ${result.Items.length} items`);
+    log.debug('Scan concluído', { count: result.Items.length });
     return result.Items;
   } catch (error) {
-    console.error('❌ Erro ao fazer scan:', error);
+    log.error('Erro ao fazer scan', { error });
     throw error;
   }
 }
 
 /**
- * Atualizar item existente
+ * Índices secundários globais (GSI) usados nas listagens
+ *
+ * partitionKey: atributo consultado por igualdade
+ * sortKey: atributo de ordenação/intervalo do índice (opcional)
+ *
+ * Filtros sem índice correspondente usam scan filtrado.
+ */
+const RECORD_INDEXES = [
+  { name: 'categoria-index', partitionKey: 'categoria', sortKey: 'preco' },
+  { name: 'source_file-index', partitionKey: 'source_file', sortKey: 'id' },
+  { name: 'source-index', partitionKey: 'source', sortKey: 'id' }
+];
+
+// Tipo dos atributos de chave da tabela e dos GSIs (validação de cursores)
+const KEY_ATTRIBUTE_TYPES = {
+  id: 'string',
+  timestamp: 'number',
+  categoria: 'string',
+  preco: 'number',
+  source_file: 'string',
+  source: 'string'
+};
+
+// Filtros de igualdade aceitos na listagem
+const EQUALITY_FILTERS = ['categoria', 'source', 'source_file', 'dataset'];
+
+// Máximo de chamadas ao DynamoDB para preencher uma página filtrada
+const MAX_PAGE_REQUESTS = 10;
+
+/**
+ * Escolher GSI para uma listagem
+ *
+ * Prefere o índice cuja partition key tem filtro de igualdade
+ * e cuja sort key é o campo de ordenação pedido.
+ *
+ * @param {Object} filters - Filtros da listagem
+ * @param {string} sort - Campo de ordenação (opcional)
+ * @returns {Object|undefined} Índice escolhido
+ */
+function chooseIndex(filters, sort) {
+  const candidates = RECORD_INDEXES.filter(index => filters[index.partitionKey] !== undefined);
+  return candidates.find(index => sort && index.sortKey === sort) || candidates[0];
+}
+
+/**
+ * Atributos da chave de continuação de uma listagem
+ *
+ * Scan devolve a chave da tabela (id, timestamp); Query em um GSI
+ * devolve também a chave do índice.
+ *
+ * @param {Object} index - GSI usado (opcional)
+ * @returns {Object} Tipo por atributo (ver isValidCursorKey)
+ */
+function cursorKeyAttributes(index) {
+  const names = ['id', 'timestamp'];
+  if (index) names.push(index.partitionKey, index.sortKey);
+  return Object.fromEntries(names.map(name => [name, KEY_ATTRIBUTE_TYPES[name]]));
+}
+
+/**
+ * Montar parâmetros de Query (com GSI) ou Scan filtrado
+ * @param {Object} filters - Filtros da listagem
+ * @param {Object} index - GSI escolhido (opcional)
+ * @param {string} order - 'asc' ou 'desc'
+ * @returns {Object} Parâmetros da chamada
+ */
+function buildListParams(filters, index, order) {
+  const names = {};
+  const values = {};
+  const keyConditions = [];
+  const filterConditions = [];
+
+  const addCondition = (conditions, field, operator, value, suffix = '') => {
+    names[`#${field}`] = field;
+    values[`:${field}${suffix}`] = value;
+    conditions.push(`#${field} ${operator} :${field}${suffix}`);
+  };
+
+  EQUALITY_FILTERS.forEach((field) => {
+    if (filters[field] === undefined) return;
+    const target = index && index.partitionKey === field ? keyConditions : filterConditions;
+    addCondition(target, field, '=', filters[field]);
+  });
+
+  // Faixa de preço: condição de chave se o índice é ordenado por preço
+  const priceConditions = index && index.sortKey === 'preco' ? keyConditions : filterConditions;
+  if (filters.preco_min !== undefined && filters.preco_max !== undefined) {
+    names['#preco'] = 'preco';
+    values[':precoMin'] = filters.preco_min;
+    values[':precoMax'] = filters.preco_max;
+    priceConditions.push('#preco BETWEEN :precoMin AND :precoMax');
+  } else if (filters.preco_min !== undefined) {
+    addCondition(priceConditions, 'preco', '>=', filters.preco_min, 'Min');
+  } else if (filters.preco_max !== undefined) {
+    addCondition(priceConditions, 'preco', '<=', filters.preco_max, 'Max');
+  }
+
+  // Só a versão atual dos registros (linhas de histórico têm outra sort key)
+  names['#timestamp'] = 'timestamp';
+  values[':currentSortKey'] = CURRENT_SORT_KEY;
+  filterConditions.push('#timestamp = :currentSortKey');
+
+  if (!filters.include_deleted) {
+    names['#deletedAt'] = 'deleted_at';
+    filterConditions.push('attribute_not_exists(#deletedAt)');
+  }
+
+  const params = { TableName: tableName };
+
+  if (index) {
+    params.IndexName = index.name;
+    params.KeyConditionExpression = keyConditions.join(' AND ');
+    params.ScanIndexForward = order !== 'desc';
+  }
+  params.FilterExpression = filterConditions.join(' AND ');
+  params.ExpressionAttributeNames = names;
+  params.ExpressionAttributeValues = values;
+
+  return params;
+}
+
+/**
+ * Listar registros com paginação por cursor, filtros e ordenação
+ *
+ * Usa Query em um GSI quando há índice para os filtros pedidos e
+ * Scan filtrado caso contrário. A ordenação é global quando o
+ * índice usado é ordenado pelo campo pedido (sort_scope: 'index');
+ * nos demais casos, apenas os itens da página são ordenados
+ * (sort_scope: 'page').
+ *
+ * @param {Object} options - Opções da listagem
+ * @param {number} options.limit - Itens por página (padrão: 100)
+ * @param {string} options.cursor - Cursor retornado pela página anterior
+ * @param {Object} options.filters - categoria, source, source_file, dataset, preco_min, preco_max,
+ *   include_deleted (inclui registros removidos)
+ * @param {string} options.sort - Campo de ordenação (opcional)
+ * @param {string} options.order - 'asc' (padrão) ou 'desc'
+ * @returns {Promise<Object>} { items, page }
+ */
+async function listRecords(options = {}) {
+  const { limit = 100, cursor, filters = {}, sort, order = 'asc' } = options;
+
+  const index = chooseIndex(filters, sort);
+  const params = buildListParams(filters, index, order);
+  const indexName = index ? index.name : null;
+
+  if (cursor) {
+    const payload = decodeCursor(cursor);
+    if (payload.index !== indexName) {
+      throw invalidCursorError('Cursor não corresponde aos filtros informados');
+    }
+    if (!isValidCursorKey(payload.key, cursorKeyAttributes(index))) {
+      throw invalidCursorError('Cursor de paginação inválido');
+    }
+    params.ExclusiveStartKey = payload.key;
+  }
+
+  const items = [];
+  let lastKey;
+
+  try {
+    // Filtros reduzem os itens retornados por chamada: repetir até
+    // preencher a página, com limite de chamadas
+    for (let request = 0; request < MAX_PAGE_REQUESTS; request++) {
+      params.Limit = limit - items.length;
+
+      const result = index
+        ? await dynamodb.query(params).promise()
+        : await dynamodb.scan(params).promise();
+
+      items.push(...result.Items);
+      lastKey = result.LastEvaluatedKey;
+
+      if (!lastKey || items.length >= limit) break;
+      params.ExclusiveStartKey = lastKey;
+    }
+  } catch (error) {
+    log.error('Erro ao listar registros', { error });
+    throw error;
+  }
+
+  const sortScope = sort ? (index && index.sortKey === sort ? 'index' : 'page') : null;
+  if (sortScope === 'page') {
+    const direction = order === 'desc' ? -1 : 1;
+    items.sort((a, b) => {
+      if (a[sort] === b[sort]) return 0;
+      if (a[sort] === undefined) return 1;
+      if (b[sort] === undefined) return -1;
+      return (a[sort] < b[sort] ? -1 : 1) * direction;
+    });
+  }
+
+  log.debug('Listagem concluída', { count: items.length, index: indexName || 'scan' });
+
+  return {
+    items,
+    page: {
+      limit,
+      count: items.length,
+      has_more: Boolean(lastKey),
+      next_cursor: lastKey ? encodeCursor({ index: indexName, key: lastKey }) : null,
+      index: indexName,
+      sort: sort || null,
+      order,
+      sort_scope: sortScope
+    }
+  };
+}
+
+/**
+ * Buscar registros de uma categoria (GSI categoria-index)
+ *
+ * Resultados ordenados por preço, com paginação por cursor.
+ *
+ * @param {string} categoria - Categoria buscada
+ * @param {Object} options - limit, cursor, preco_min, preco_max, order
+ * @returns {Promise<Object>} { items, page }
+ */
+async function queryByCategoria(categoria, options = {}) {
+  const { limit, cursor, order, preco_min, preco_max } = options;
+  return listRecords({
+    limit,
+    cursor,
+    order,
+    sort: 'preco',
+    filters: { categoria, preco_min, preco_max }
+  });
+}
+
+/**
+ * Buscar registros carregados de um arquivo (GSI source_file-index)
+ * @param {string} sourceFile - Chave S3 do arquivo de origem
+ * @param {Object} options - limit, cursor, order
+ * @returns {Promise<Object>} { items, page }
+ */
+async function queryBySourceFile(sourceFile, options = {}) {
+  const { limit, cursor, order } = options;
+  return listRecords({ limit, cursor, order, filters: { source_file: sourceFile } });
+}
+
+/**
+ * Buscar registros por origem, ex: 'S3' ou 'API' (GSI source-index)
+ * @param {string} source - Origem do registro
+ * @param {Object} options - limit, cursor, order
+ * @returns {Promise<Object>} { items, page }
+ */
+async function queryBySource(source, options = {}) {
+  const { limit, cursor, order } = options;
+  return listRecords({ limit, cursor, order, filters: { source } });
+}
+
+/**
+ * Gravar nova versão de um registro (concorrência otimista)
+ *
+ * Em uma transação: substitui a versão atual por `item` com
+ * version + 1, desde que ela ainda esteja na versão lida
+ * (`previous`), e grava `previous` como linha de histórico.
+ * Se outra escrita alterou ou removeu o registro nesse intervalo,
+ * nada é gravado e o erro tem code 'VersionConflict'.
+ *
+ * A linha de histórico não tem condição própria: a condição de
+ * versão já garante uma única escrita por versão, e uma linha antiga
+ * com o mesmo número (registro reingerido via S3 ou recriado depois
+ * da limpeza) é sobrescrita.
+ *
+ * @param {Object} item - Nova versão do registro (sem version)
+ * @param {Object} previous - Versão atual, como foi lida
+ * @param {Object} options - Opções da escrita
+ * @param {string} options.supersededBy - Autor da alteração
+ * @returns {Promise<Object>} Nova versão gravada
+ */
+async function putRecordVersion(item, previous, options = {}) {
+  const previousVersion = recordVersion(previous);
+  const next = { ...item, timestamp: CURRENT_SORT_KEY, version: previousVersion + 1 };
+
+  const historyRow = {
+    id: previous.id,
+    timestamp: previousVersion,
+    version: previousVersion,
+    row_type: HISTORY_ROW_TYPE,
+    data: previous,
+    changes: diffVersions(previous, next),
+    superseded_at: next.updated_at || new Date().toISOString(),
+    superseded_by: options.supersededBy || next.updated_by || null
+  };
+
+  const params = {
+    TransactItems: [
+      { Put: { TableName: tableName, Item: next, ...versionCondition(previousVersion) } },
+      { Put: { TableName: tableName, Item: historyRow } }
+    ]
+  };
+
+  try {
+    await timedWrite('TransactWriteItems', dynamodb.transactWrite(params));
+    log.debug('Nova versão do registro gravada', { record_id: next.id, version: next.version });
+    return next;
+  } catch (error) {
+    if (error.code === 'TransactionCanceledException' && /ConditionalCheckFailed/.test(error.message)) {
+      log.warn('Conflito de versão', { record_id: next.id, expected_version: previousVersion });
+      throw versionConflictError(next.id, previousVersion);
+    }
+    log.error('Erro ao gravar versão do registro', { record_id: next.id, error });
+    throw error;
+  }
+}
+
+/**
+ * Atualizar campos da versão atual de um registro
+ *
+ * Lê a versão atual, aplica `updates` e grava a nova versão com
+ * putRecordVersion (histórico e conflito de versão).
+ *
  * @param {string} id - Partition key
- * @param {number} timestamp - Sort key
  * @param {Object} updates - Campos a atualizar
- * @returns {Promise<Object>} Item atualizado
- */
-async function updateItem(id, timestamp, updates) {
-  // Construir expressão de update dinamicamente
-  const updateExpressionParts = [];
-  const expressionAttributeNames = {};
-  const expressionAttributeValues = {};
-
-  Object.keys(updates).forEach((key, index) => {
-    const placeholder = `#attr${index}`;
-    const valuePlaceholder = `:val${index}`;
-    
-    updateExpressionParts.push(`${placeholder} = ${valuePlaceholder}`);
-    expressionAttributeNames[placeholder] = key;
-    expressionAttributeValues[valuePlaceholder] = updates[key];
+ * @param {Object} options - Opções da escrita
+ * @param {number} options.expectedVersion - Versão que o registro precisa ter (opcional)
+ * @param {string} options.supersededBy - Autor da alteração
+ * @returns {Promise<Object|null>} Nova versão, ou null se o registro não existe
+ */
+async function updateItem(id, updates, options = {}) {
+  const previous = await getItem(id, CURRENT_SORT_KEY);
+  if (!previous) return null;
+
+  if (options.expectedVersion !== undefined && options.expectedVersion !== recordVersion(previous)) {
+    log.warn('Conflito de versão', { record_id: id, expected_version: options.expectedVersion });
+    throw versionConflictError(id, options.expectedVersion);
+  }
+
+  return putRecordVersion({ ...previous, ...updates }, previous, options);
+}
+
+/**
+ * Ler a versão atual de vários registros usando BatchGetItem
+ *
+ * Lotes de até 100 ids com leitura consistente; UnprocessedKeys são
+ * reenviadas com backoff exponencial, como em batchWriteItems.
+ *
+ * @param {Array<string>} ids - Ids dos registros (sem repetição)
+ * @param {Object} options - maxRetries, baseDelayMs, maxDelayMs
+ * @returns {Promise<Map>} Versão atual por id (ids inexistentes ficam de fora)
+ */
+async function batchGetCurrentItems(ids, options = {}) {
+  const { maxRetries = 5, baseDelayMs = 50, maxDelayMs = 2000 } = options;
+  const found = new Map();
+
+  for (let i = 0; i < ids.length; i += BATCH_GET_LIMIT) {
+    let keys = ids.slice(i, i + BATCH_GET_LIMIT).map(id => ({ id, timestamp: CURRENT_SORT_KEY }));
+
+    for (let attempt = 0; keys.length > 0; attempt++) {
+      const result = await withRetries(() => dynamodb.batchGet({
+        RequestItems: { [tableName]: { Keys: keys, ConsistentRead: true } }
+      }).promise(), options);
+
+      (result.Responses[tableName] || []).forEach(item => found.set(item.id, item));
+      keys = (result.UnprocessedKeys && result.UnprocessedKeys[tableName]
+        && result.UnprocessedKeys[tableName].Keys) || [];
+
+      if (keys.length > 0) {
+        if (attempt >= maxRetries) {
+          throw new Error(`Leitura não processada após ${maxRetries + 1} tentativas`);
+        }
+        await sleep(backoffDelay(attempt, baseDelayMs, maxDelayMs));
+      }
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Gravar um registro de ingestão sobre a versão atual lida
+ * @param {Object} item - Registro completo, com version 1
+ * @param {Object} previous - Versão atual, como foi lida
+ * @param {Object} options - supersededBy e opções de retry
+ * @returns {Promise<string>} 'updated', 'unchanged' ou 'deleted' (lança VersionConflict)
+ */
+async function writeIngestedVersion(item, previous, options) {
+  if (isDeleted(previous)) return 'deleted';
+
+  const next = { ...item };
+  PRESERVED_ON_UPSERT.forEach((field) => {
+    if (previous[field] !== undefined) next[field] = previous[field];
+  });
+
+  if (Object.keys(diffVersions(previous, next)).length === 0) {
+    return 'unchanged';
+  }
+
+  await withRetries(() => putRecordVersion(next, previous, options), options);
+  return 'updated';
+}
+
+/**
+ * Gravar um registro de ingestão relendo a versão atual a cada
+ * tentativa (usado quando outra escrita alterou o registro depois
+ * da leitura em lote de upsertRecords)
+ * @param {Object} item - Registro completo, com version 1
+ * @param {Object} options - supersededBy e opções de retry
+ * @returns {Promise<string>} 'created', 'updated', 'unchanged' ou 'deleted'
+ */
+async function upsertRecord(item, options) {
+  for (let attempt = 1; attempt <= MAX_UPSERT_ATTEMPTS; attempt++) {
+    const previous = await withRetries(() => getItem(item.id, CURRENT_SORT_KEY), options);
+
+    try {
+      if (!previous) {
+        await withRetries(() => timedWrite('PutItem', dynamodb.put({
+          TableName: tableName,
+          Item: item,
+          ConditionExpression: existenceCondition({ mustNotExist: true })
+        })), options);
+        return 'created';
+      }
+      return await writeIngestedVersion(item, previous, options);
+    } catch (error) {
+      if (!isConditionalCheckFailed(error) && !isVersionConflict(error)) throw error;
+    }
+  }
+
+  throw new Error(`Registro "${item.id}" alterado por outras escritas durante a gravação`);
+}
+
+/**
+ * Separar itens em rodadas sem ids repetidos, mantendo a ordem
+ *
+ * Um id que aparece duas vezes no mesmo lote é gravado em duas
+ * rodadas: a segunda ocorrência vira uma nova versão da primeira.
+ *
+ * @param {Array<Object>} items - Itens
+ * @returns {Array<Array<Object>>} Rodadas
+ */
+function splitRounds(items) {
+  const rounds = [];
+  const occurrences = new Map();
+
+  items.forEach((item) => {
+    const round = occurrences.get(item.id) || 0;
+    occurrences.set(item.id, round + 1);
+    if (!rounds[round]) rounds[round] = [];
+    rounds[round].push(item);
   });
 
+  return rounds;
+}
+
+/**
+ * Gravar registros de ingestão respeitando as versões
+ *
+ * Lê a versão atual de todos os ids com BatchGetItem e separa os
+ * itens:
+ *
+ * - ids novos são gravados em lote com batchWriteItems (versão 1);
+ * - ids existentes com alteração nos campos do registro substituem
+ *   a versão atual com putRecordVersion (version + 1 e linha de
+ *   histórico), mantendo created_at/created_by, com até
+ *   `concurrency` transações em paralelo;
+ * - linhas sem alteração não são regravadas;
+ * - registros removidos (deleted_at) não são alterados: voltam em
+ *   `deleted`, e só POST /records/{id}/restore os traz de volta.
+ *
+ * Assim, reenviar um arquivo inalterado custa só as leituras em
+ * lote. Se outra escrita alterar um registro entre a leitura e a
+ * transação (VersionConflict), o item é regravado por upsertRecord,
+ * que relê a versão atual. BatchWriteItem não aceita condições: um
+ * id criado pela API entre a leitura e o lote é sobrescrito pela
+ * linha do arquivo.
+ *
+ * @param {Array<Object>} items - Registros completos (com version 1)
+ * @param {Object} options - Opções da escrita
+ * @param {number} options.concurrency - Lotes e transações simultâneos (padrão: 4)
+ * @param {string} options.supersededBy - Autor das novas versões (ex: 'S3')
+ * @returns {Promise<Object>} { written, created, updated, unchanged, deleted: [item], failed: [{ item, error }] }
+ */
+async function upsertRecords(items, options = {}) {
+  const { concurrency = 4 } = options;
+  const counts = { created: 0, updated: 0, unchanged: 0 };
+  const deleted = [];
+  const failed = [];
+  let versionFailures = 0;
+
+  const record = (item, status) => {
+    if (status === 'deleted') {
+      deleted.push(item);
+    } else {
+      counts[status]++;
+    }
+  };
+
+  for (const round of splitRounds(items)) {
+    let current;
+    try {
+      current = await batchGetCurrentItems(round.map(item => item.id), options);
+    } catch (error) {
+      log.error('Erro ao ler versões atuais', { count: round.length, error });
+      round.forEach(item => failed.push({ item, error: error.message }));
+      versionFailures += round.length;
+      continue;
+    }
+
+    const created = round.filter(item => !current.has(item.id));
+    const existing = round.filter(item => current.has(item.id));
+
+    if (created.length > 0) {
+      const result = await batchWriteItems(created, options);
+      counts.created += result.written;
+      failed.push(...result.failed);
+    }
+
+    await forEachConcurrently(existing, concurrency, async (item) => {
+      try {
+        try {
+          record(item, await writeIngestedVersion(item, current.get(item.id), options));
+        } catch (error) {
+          if (!isVersionConflict(error)) throw error;
+          record(item, await upsertRecord(item, options));
+        }
+      } catch (error) {
+        failed.push({ item, error: error.message });
+        versionFailures++;
+      }
+    });
+  }
+
+  // Falhas do lote de ids novos já são contadas por batchWriteItems
+  if (versionFailures > 0) {
+    putMetric('DynamoWriteFailures', versionFailures, 'Count', { Operation: 'Upsert' });
+  }
+
+  const written = counts.created + counts.updated + counts.unchanged;
+  log.info('Registros gravados', { ...counts, deleted: deleted.length, failed: failed.length });
+  return { written, ...counts, deleted, failed };
+}
+
+/**
+ * Listar versões anteriores de um registro, da mais nova para a mais antiga
+ *
+ * Só linhas com row_type = 'history'. Itens gravados antes do
+ * versionamento usavam o instante da gravação (Date.now()) como sort
+ * key; eles não têm version nem superseded_at e ficam de fora do
+ * histórico.
+ *
+ * @param {string} id - Id do registro
+ * @param {Object} options - limit, cursor
+ * @param {boolean} options.consistentRead - Incluir linhas recém-gravadas
+ * @returns {Promise<Object>} { items, page }
+ */
+async function listRecordHistory(id, options = {}) {
+  const { limit = 20, cursor, consistentRead = false } = options;
+
   const params = {
     TableName: tableName,
-    Key: { id, timestamp },
-    UpdateExpression: `SET ${updateExpressionParts.join(', ')}`,
-    ExpressionAttributeNames: expressionAttributeNames,
-    ExpressionAttributeValues: expressionAttributeValues,
-    ReturnValues: 'ALL_NEW'
+    KeyConditionExpression: 'id = :id AND #timestamp > :currentSortKey',
+    FilterExpression: '#rowType = :historyRowType',
+    ExpressionAttributeNames: { '#timestamp': 'timestamp', '#rowType': 'row_type' },
+    ExpressionAttributeValues: {
+      ':id': id,
+      ':currentSortKey': CURRENT_SORT_KEY,
+      ':historyRowType': HISTORY_ROW_TYPE
+    },
+    ScanIndexForward: false,
+    ConsistentRead: consistentRead
   };
 
+  if (cursor) {
+    const payload = decodeCursor(cursor);
+    const { key } = payload;
+    if (payload.index !== HISTORY_ROW_TYPE || !isValidCursorKey(key, cursorKeyAttributes()) || key.id !== id) {
+      throw invalidCursorError('Cursor não corresponde ao histórico deste registro');
+    }
+    params.ExclusiveStartKey = key;
+  }
+
+  const items = [];
+  let lastKey;
+
   try {
-    const result = await dynamodb.update(params).promise();
-    console.log(`✏️ Item atualizado: ${id}`);
-    return result.Attributes;
+    // Itens antigos filtrados reduzem a página: repetir até preenchê-la
+    for (let request = 0; request < MAX_PAGE_REQUESTS; request++) {
+      params.Limit = limit - items.length;
+
+      const result = await dynamodb.query(params).promise();
+      items.push(...result.Items);
+      lastKey = result.LastEvaluatedKey;
+
+      if (!lastKey || items.length >= limit) break;
+      params.ExclusiveStartKey = lastKey;
+    }
+
+    return {
+      items,
+      page: {
+        limit,
+        count: items.length,
+        has_more: Boolean(lastKey),
+        next_cursor: lastKey ? encodeCursor({ index: HISTORY_ROW_TYPE, key: lastKey }) : null
+      }
+    };
   } catch (error) {
-    console.error('❌ Erro ao atualizar item:', error);
+    log.error('Erro ao listar histórico do registro', { record_id: id, error });
     throw error;
   }
 }
 
 /**
- * Deletar item
+ * Marcar ou desmarcar o histórico de um registro para limpeza por TTL
+ * @param {string} id - Id do registro
+ * @param {number|null} purgeAt - Momento da limpeza (segundos desde epoch), ou null para manter
+ * @returns {Promise<number>} Linhas de histórico alteradas
+ */
+async function setHistoryPurge(id, purgeAt) {
+  let updated = 0;
+  let cursor;
+
+  do {
+    // Leitura consistente: a linha gravada pela remoção precisa estar na lista
+    const { items, page } = await listRecordHistory(id, { limit: 100, cursor, consistentRead: true });
+
+    for (const row of items) {
+      await dynamodb.update({
+        TableName: tableName,
+        Key: { id, timestamp: row.timestamp },
+        UpdateExpression: purgeAt === null ? 'REMOVE #purgeAt' : 'SET #purgeAt = :purgeAt',
+        ExpressionAttributeNames: { '#purgeAt': PURGE_ATTRIBUTE },
+        ...(purgeAt === null ? {} : { ExpressionAttributeValues: { ':purgeAt': purgeAt } })
+      }).promise();
+      updated++;
+    }
+
+    cursor = page.next_cursor;
+  } while (cursor);
+
+  return updated;
+}
+
+/**
+ * Remover registro logicamente (soft delete)
+ *
+ * Grava uma nova versão (putRecordVersion) com deleted_at,
+ * deleted_by e purge_at = agora + DELETED_RETENTION_DAYS, e marca o
+ * histórico com o mesmo purge_at. Uma falha ao marcar o histórico só
+ * é registrada: as linhas ficam na tabela além do prazo, sem afetar
+ * o registro.
+ *
+ * @param {Object} previous - Versão atual, como foi lida
+ * @param {Object} options - Opções da escrita
+ * @param {string} options.deletedBy - Autor da remoção
+ * @param {string} options.correlationId - Correlation id da requisição
+ * @returns {Promise<Object>} Nova versão gravada (com deleted_at e purge_at)
+ */
+async function softDeleteRecord(previous, options = {}) {
+  const now = new Date();
+  const purgeAt = Math.floor(now.getTime() / 1000) + DELETED_RETENTION_DAYS * 24 * 60 * 60;
+
+  const saved = await putRecordVersion({
+    ...previous,
+    deleted_at: now.toISOString(),
+    deleted_by: options.deletedBy || null,
+    [PURGE_ATTRIBUTE]: purgeAt,
+    updated_at: now.toISOString(),
+    updated_by: options.deletedBy || null,
+    correlation_id: options.correlationId || previous.correlation_id
+  }, previous, { supersededBy: options.deletedBy });
+
+  try {
+    await setHistoryPurge(previous.id, purgeAt);
+  } catch (error) {
+    log.error('Erro ao marcar histórico para limpeza', { record_id: previous.id, error });
+  }
+
+  return saved;
+}
+
+/**
+ * Restaurar registro removido logicamente
+ *
+ * Desmarca o histórico antes de gravar a nova versão sem deleted_at,
+ * deleted_by e purge_at: se a gravação falhar, o histórico apenas
+ * deixa de ser limpo junto com o registro.
+ *
+ * @param {Object} previous - Versão atual (removida), como foi lida
+ * @param {Object} options - Opções da escrita
+ * @param {string} options.restoredBy - Autor da restauração
+ * @param {string} options.correlationId - Correlation id da requisição
+ * @returns {Promise<Object>} Nova versão gravada
+ */
+async function restoreRecord(previous, options = {}) {
+  await setHistoryPurge(previous.id, null);
+
+  const record = { ...previous };
+  delete record.deleted_at;
+  delete record.deleted_by;
+  delete record[PURGE_ATTRIBUTE];
+
+  return putRecordVersion({
+    ...record,
+    updated_at: new Date().toISOString(),
+    updated_by: options.restoredBy || null,
+    correlation_id: options.correlationId || previous.correlation_id
+  }, previous, { supersededBy: options.restoredBy });
+}
+
+/**
+ * Deletar item definitivamente
+ *
+ * A API remove registros com softDeleteRecord; a remoção definitiva
+ * fica para scripts e para a limpeza por TTL.
+ *
  * @param {string} id - Partition key
  * @param {number} timestamp - Sort key
- * @returns {Promise<Object>} Resultado da operação
+ * @param {Object} options - Condição de existência (ver existenceCondition)
+ * @param {number} options.expectedVersion - Versão que o item precisa ter (opcional)
+ * @returns {Promise<Object>} Item removido
  */
-async function deleteItem(id, timestamp) {
+async function deleteItem(id, timestamp, options = {}) {
   const params = {
     TableName: tableName,
-    Key: { id, timestamp }
+    Key: { id, timestamp },
+    ...(options.expectedVersion !== undefined
+      ? versionCondition(options.expectedVersion)
+      : { ConditionExpression: existenceCondition(options) }),
+    ReturnValues: 'ALL_OLD'
   };
 
   try {
-    await dynamodb.delete(params).promise();
-    console.log(`🗑️ Item deletado: ${id}`);
-    return { success: true };
+    const result = await timedWrite('DeleteItem', dynamodb.delete(params));
+    log.debug('Item deletado', { record_id: id });
+    return { success: true, item: result.Attributes };
   } catch (error) {
-    console.error('❌ Erro ao deletar item:', error);
+    if (isConditionalCheckFailed(error)) {
+      log.warn('Condição de remoção não atendida', { record_id: id });
+    } else {
+      log.error('Erro ao deletar item', { record_id: id, error });
+    }
     throw error;
   }
 }
 
 module.exports = {
+  CURRENT_SORT_KEY,
+  HISTORY_ROW_TYPE,
+  PURGE_ATTRIBUTE,
+  DELETED_RETENTION_DAYS,
+  isConditionalCheckFailed,
+  isVersionConflict,
+  isDeleted,
+  recordVersion,
   putItem,
+  batchWriteItems,
+  putNewItems,
+  transactPutItems,
   getItem,
   queryByIdAsync,
   scanTable,
+  listRecords,
+  queryByCategoria,
+  queryBySourceFile,
+  queryBySource,
+  putRecordVersion,
   updateItem,
+  upsertRecords,
+  listRecordHistory,
+  softDeleteRecord,
+  restoreRecord,
   deleteItem
 };
@@ -0,0 +1,145 @@
+const { Readable } = require('stream');
+const { getObjectStream, putObject, uploadObject, deleteObject, getPresignedUrl } = require('./s3');
+const { formatCsvRow } = require('./csv');
+
+/**
+ * Helper para relatórios de linhas rejeitadas
+ *
+ * Linhas que falham no parsing, na validação ou na gravação são
+ * salvas em errors/<chave-de-origem>.<formato> no mesmo bucket,
+ * com o número da linha original e o motivo da rejeição, para que
+ * os responsáveis pelos dados corrijam e reenviem apenas as falhas.
+ *
+ * Formatos:
+ * - csv: colunas "line" e "error" seguidas das colunas originais
+ *   (arquivos CSV e XLSX)
+ * - ndjson: um objeto { line, error, raw } por linha
+ *   (arquivos JSON e NDJSON)
+ *
+ * Quando o processamento é dividido em várias invocações, cada
+ * checkpoint grava as linhas rejeitadas até ali em uma parte
+ * (errors/<chave>.parts/NNNNN); ao final, as partes são lidas em
+ * stream e enviadas ao relatório em multipart upload, sem carregar o
+ * relatório inteiro em memória, e depois removidas.
+ *
+ * Relatórios CSV usam o delimitador do arquivo de origem
+ * (`report.delimiter`, vindo do estado do leitor).
+ */
+
+const REPORT_PREFIX = 'errors/';
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8'
+};
+
+// Validade do link do relatório enviado na notificação (segundos)
+const REPORT_URL_EXPIRES = parseInt(process.env.ERROR_REPORT_URL_EXPIRES) || 7 * 24 * 60 * 60;
+
+/**
+ * Montar chave do relatório de um arquivo de origem
+ * @param {string} sourceKey - Chave do arquivo de origem
+ * @param {string} format - Formato do relatório (csv ou ndjson)
+ * @returns {string} Chave do relatório
+ */
+function reportKey(sourceKey, format) {
+  return `${REPORT_PREFIX}${sourceKey}.${format}`;
+}
+
+/**
+ * Serializar linhas rejeitadas no formato do relatório
+ * @param {Object} report - Relatório ({ format, columns, delimiter, rows })
+ * @returns {string} Conteúdo (sem cabeçalho)
+ */
+function formatRows(report) {
+  return report.rows.map(({ line, error, raw }) => {
+    if (report.format === 'csv') {
+      const fields = Array.isArray(raw) ? raw : [raw];
+      return formatCsvRow([line, error, ...fields], report.delimiter);
+    }
+    return JSON.stringify({ line, error, raw }) + '\n';
+  }).join('');
+}
+
+/**
+ * Gravar as linhas rejeitadas acumuladas como uma parte do relatório
+ *
+ * A parte é numerada pela quantidade de partes já registradas, então
+ * repetir a gravação após uma falha sobrescreve a mesma parte.
+ *
+ * @param {string} bucket - Bucket do arquivo de origem
+ * @param {string} sourceKey - Chave do arquivo de origem
+ * @param {Object} report - Relatório ({ format, columns, delimiter, rows, parts })
+ */
+async function saveReportPart(bucket, sourceKey, report) {
+  if (report.rows.length === 0) {
+    return;
+  }
+
+  const partKey = `${reportKey(sourceKey, report.format)}.parts/${String(report.parts.length).padStart(5, '0')}`;
+  await putObject(bucket, partKey, formatRows(report), CONTENT_TYPES[report.format]);
+
+  report.parts.push(partKey);
+  report.rows = [];
+}
+
+/**
+ * Gerar o conteúdo do relatório final: cabeçalho, partes salvas em
+ * checkpoints (lidas em stream) e linhas ainda não gravadas
+ * @param {string} bucket - Bucket do arquivo de origem
+ * @param {Object} report - Relatório ({ format, columns, delimiter, rows, parts })
+ * @returns {AsyncGenerator<Buffer>} Trechos do relatório
+ */
+async function* reportContent(bucket, report) {
+  if (report.format === 'csv') {
+    yield Buffer.from(formatCsvRow(['line', 'error', ...(report.columns || [])], report.delimiter));
+  }
+
+  for (const partKey of report.parts) {
+    yield* getObjectStream(bucket, partKey);
+  }
+
+  yield Buffer.from(formatRows(report));
+}
+
+/**
+ * Gravar o relatório final, unindo as partes salvas em checkpoints
+ *
+ * Sem linhas rejeitadas, remove o relatório de um processamento
+ * anterior do mesmo arquivo, se houver.
+ *
+ * @param {string} bucket - Bucket do arquivo de origem
+ * @param {string} sourceKey - Chave do arquivo de origem
+ * @param {Object} report - Relatório ({ format, columns, delimiter, rows, parts })
+ * @param {number} rejectedCount - Total de linhas rejeitadas
+ * @returns {Promise<Object|null>} { bucket, key, uri, url, rows } ou null
+ */
+async function writeErrorReport(bucket, sourceKey, report, rejectedCount) {
+  const key = reportKey(sourceKey, report.format);
+
+  if (rejectedCount === 0) {
+    await deleteObject(bucket, key);
+    return null;
+  }
+
+  await uploadObject(bucket, key, Readable.from(reportContent(bucket, report), { objectMode: false }),
+    CONTENT_TYPES[report.format]);
+
+  for (const partKey of report.parts) {
+    await deleteObject(bucket, partKey);
+  }
+
+  return {
+    bucket,
+    key,
+    uri: `s3://${bucket}/${key}`,
+    url: getPresignedUrl(bucket, key, REPORT_URL_EXPIRES),
+    rows: rejectedCount
+  };
+}
+
+module.exports = {
+  reportKey,
+  saveReportPart,
+  writeErrorReport
+};
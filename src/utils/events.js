@@ -0,0 +1,118 @@
+const path = require('path');
+const fs = require('fs');
+const { validate } = require('./schema');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Catálogo de eventos publicados no SNS
+ *
+ * Cada tipo de evento tem uma versão atual e um schema por versão
+ * em src/schemas/events/<tipo>.v<versão>.json (mesmo subconjunto
+ * de JSON Schema dos datasets, ver utils/schema). O `title` do
+ * schema é usado como assunto da mensagem SNS.
+ *
+ * Mudanças incompatíveis no payload exigem um novo arquivo de
+ * schema e o incremento da versão em EVENT_CATALOG; consumidores
+ * distinguem as versões pelo atributo de mensagem event_version.
+ *
+ * Toda mensagem é publicada em um envelope:
+ * { event_id, event_type, event_version, source, correlation_id, time, data }
+ */
+
+const EVENT_SOURCE = 'data-processing-service';
+
+const EVENTS_SCHEMAS_DIR = path.join(__dirname, '..', 'schemas', 'events');
+
+// Versão atual de cada tipo de evento
+const EVENT_CATALOG = {
+  RECORD_CREATED: 1,
+  RECORD_UPDATED: 1,
+  RECORD_DELETED: 1,
+  PRICE_CHANGED: 1,
+  STOCK_DEPLETED: 1,
+  STOCK_REPLENISHED: 1,
+  ALERT_TRIGGERED: 1,
+  DATA_PROCESSING_COMPLETED: 1,
+  DATA_PROCESSING_FAILED: 1
+};
+
+const schemaCache = {};
+
+/**
+ * Carregar schema de uma versão de evento
+ * @param {string} eventType - Tipo do evento
+ * @param {number} version - Versão do evento
+ * @returns {Object} JSON Schema do payload
+ */
+function getEventSchema(eventType, version) {
+  const id = `${eventType.toLowerCase()}.v${version}`;
+
+  if (!schemaCache[id]) {
+    const schemaPath = path.join(EVENTS_SCHEMAS_DIR, `${id}.json`);
+    if (!fs.existsSync(schemaPath)) {
+      throw new Error(`Schema não encontrado para o evento "${id}"`);
+    }
+    schemaCache[id] = JSON.parse(fs.readFileSync(schemaPath, 'utf-8'));
+  }
+
+  return schemaCache[id];
+}
+
+/**
+ * Criar erro de evento fora do catálogo ou do schema
+ * @param {string} message - Mensagem do erro
+ * @param {Array<Object>} details - Erros por campo
+ * @returns {Error} Erro com code InvalidEvent
+ */
+function invalidEventError(message, details = []) {
+  const error = new Error(message);
+  error.code = 'InvalidEvent';
+  error.details = details;
+  return error;
+}
+
+/**
+ * Validar payload e montar o envelope de um evento
+ * @param {string} eventType - Tipo do evento (chave de EVENT_CATALOG)
+ * @param {Object} data - Payload do evento
+ * @param {Object} options - Opções do envelope
+ * @param {string} options.eventId - Id estável (padrão: UUID novo)
+ * @param {string} options.correlationId - Id de correlação
+ * @param {string} options.time - Momento do evento (padrão: agora)
+ * @returns {{ envelope: Object, schema: Object }} Envelope e schema usado
+ * @throws {Error} InvalidEvent se o tipo não existe ou o payload é inválido
+ */
+function buildEnvelope(eventType, data, options = {}) {
+  const version = EVENT_CATALOG[eventType];
+  if (!version) {
+    throw invalidEventError(`Evento fora do catálogo: ${eventType}`);
+  }
+
+  const schema = getEventSchema(eventType, version);
+  const { valid, value, errors } = validate(schema, data);
+  if (!valid) {
+    throw invalidEventError(
+      `Evento ${eventType} v${version} inválido: ${errors.map(e => e.message).join('; ')}`,
+      errors
+    );
+  }
+
+  return {
+    schema,
+    envelope: {
+      event_id: options.eventId || uuidv4(),
+      event_type: eventType,
+      event_version: version,
+      source: EVENT_SOURCE,
+      correlation_id: options.correlationId || null,
+      time: options.time || new Date().toISOString(),
+      data: value
+    }
+  };
+}
+
+module.exports = {
+  EVENT_CATALOG,
+  getEventSchema,
+  buildEnvelope
+};
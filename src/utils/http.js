@@ -0,0 +1,276 @@
+const log = require('./logger');
+const metrics = require('./metrics');
+
+/**
+ * Helper para respostas HTTP (API Gateway)
+ *
+ * Centraliza headers CORS, montagem de respostas JSON e
+ * parsing do body das requisições
+ */
+
+// Headers CORS para permitir requisições cross-origin
+const CORS_HEADERS = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Api-Key, X-Correlation-Id, Idempotency-Key, If-Match',
+  'Access-Control-Expose-Headers': 'X-Correlation-Id, ETag, Idempotency-Replayed, Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset'
+};
+
+// Headers incluídos em todas as respostas da requisição atual
+// (ex: X-RateLimit-*); zerados em startRequest
+let requestHeaders = {};
+
+/**
+ * Montar resposta HTTP com body JSON
+ *
+ * É o último passo de todo handler da API: registra as métricas
+ * ApiRequests e ApiLatency (dimensão StatusCode) e escreve as
+ * métricas acumuladas na invocação (ver utils/metrics).
+ *
+ * @param {number} statusCode - Status HTTP
+ * @param {Object} body - Corpo da resposta (omitido se undefined)
+ * @param {Object} headers - Headers adicionais
+ * @returns {Object} Resposta no formato API Gateway (com X-Correlation-Id)
+ */
+function response(statusCode, body, headers = {}) {
+  const { correlation_id: correlationId } = log.getContext();
+
+  metrics.putMetric('ApiRequests', 1, 'Count', { StatusCode: statusCode });
+  metrics.putMetric('ApiLatency', log.elapsed(), 'Milliseconds', { StatusCode: statusCode });
+  metrics.flush();
+
+  return {
+    statusCode,
+    headers: {
+      ...CORS_HEADERS,
+      ...(correlationId ? { 'X-Correlation-Id': correlationId } : {}),
+      ...requestHeaders,
+      ...headers
+    },
+    body: body === undefined ? '' : JSON.stringify(body)
+  };
+}
+
+/**
+ * Incluir headers em todas as respostas da requisição atual
+ * @param {Object} headers - Headers
+ */
+function setResponseHeaders(headers) {
+  requestHeaders = { ...requestHeaders, ...headers };
+}
+
+/**
+ * Montar resposta de erro HTTP
+ * @param {number} statusCode - Status HTTP
+ * @param {string} error - Tipo do erro
+ * @param {string} message - Mensagem descritiva
+ * @param {Object} extra - Campos adicionais (ex: details)
+ * @returns {Object} Resposta no formato API Gateway
+ */
+function errorResponse(statusCode, error, message, extra = {}) {
+  return response(statusCode, { error, message, ...extra });
+}
+
+/**
+ * Parsear body JSON da requisição
+ * @param {Object} event - Evento API Gateway
+ * @returns {{ body: Object|null, error: Object|null }} Body ou resposta de erro
+ */
+function parseJsonBody(event) {
+  let body;
+  try {
+    body = typeof event.body === 'string'
+      ? JSON.parse(event.body)
+      : event.body;
+  } catch (parseError) {
+    return {
+      body: null,
+      error: errorResponse(400, 'Invalid JSON', 'Body da requisição não é um JSON válido')
+    };
+  }
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return {
+      body: null,
+      error: errorResponse(400, 'Invalid JSON', 'Body da requisição deve ser um objeto JSON')
+    };
+  }
+
+  return { body, error: null };
+}
+
+/**
+ * Ler parâmetro de path
+ *
+ * O API Gateway já entrega o valor decodificado: decodificar de novo
+ * quebraria ids com "%" literal (ex: 50%off).
+ *
+ * @param {Object} event - Evento API Gateway
+ * @param {string} name - Nome do parâmetro
+ * @returns {string|undefined} Valor do parâmetro
+ */
+function pathParameter(event, name) {
+  return (event.pathParameters || {})[name];
+}
+
+/**
+ * Ler parâmetro de query string
+ * @param {Object} event - Evento API Gateway
+ * @param {string} name - Nome do parâmetro
+ * @returns {string|undefined} Valor do parâmetro
+ */
+function queryParameter(event, name) {
+  return (event.queryStringParameters || {})[name];
+}
+
+/**
+ * Ler header da requisição (sem diferenciar maiúsculas/minúsculas)
+ * @param {Object} event - Evento API Gateway
+ * @param {string} name - Nome do header
+ * @returns {string|undefined} Valor do header
+ */
+function header(event, name) {
+  const headers = event.headers || {};
+  const match = Object.keys(headers).find(key => key.toLowerCase() === name.toLowerCase());
+  return match === undefined ? undefined : headers[match];
+}
+
+/**
+ * Montar ETag de uma versão de registro
+ * @param {number} version - Versão do registro
+ * @returns {string} ETag (ex: "3")
+ */
+function etag(version) {
+  return `"${version}"`;
+}
+
+/**
+ * Verificar o header If-Match contra a versão atual de um registro
+ *
+ * Aceita `*`, uma lista de ETags (`"2", "3"`) e ETags fracas (W/"3").
+ * Sem o header, qualquer versão é aceita.
+ *
+ * @param {Object} event - Evento API Gateway
+ * @param {number} version - Versão atual do registro
+ * @returns {boolean} True se a versão atende ao If-Match
+ */
+function ifMatches(event, version) {
+  const value = header(event, 'If-Match');
+  if (value === undefined || value.trim() === '*') return true;
+
+  return value.split(',')
+    .map(tag => tag.trim().replace(/^W\//, ''))
+    .includes(etag(version));
+}
+
+/**
+ * Ler body da requisição como texto
+ * @param {Object} event - Evento API Gateway
+ * @returns {string} Body (decodificado se vier em base64)
+ */
+function rawBody(event) {
+  if (event.body === undefined || event.body === null) {
+    return '';
+  }
+  if (typeof event.body !== 'string') {
+    return JSON.stringify(event.body);
+  }
+  return event.isBase64Encoded
+    ? Buffer.from(event.body, 'base64').toString('utf-8')
+    : event.body;
+}
+
+/**
+ * Iniciar o contexto de log de uma requisição
+ *
+ * O correlation id vem do header X-Correlation-Id, se o cliente
+ * enviou, ou é o request id da requisição; ele é devolvido na
+ * resposta e propagado para os registros gravados e os eventos SNS.
+ * O evento completo só é registrado em nível debug, com os headers
+ * sensíveis mascarados.
+ *
+ * @param {string} handler - Nome do handler
+ * @param {Object} event - Evento API Gateway
+ * @param {Object} context - Contexto da execução Lambda
+ * @returns {string} Correlation id da requisição
+ */
+function startRequest(handler, event, context) {
+  const requestId = context.awsRequestId || context.requestId;
+  requestHeaders = {};
+  const correlationId = header(event, 'X-Correlation-Id')
+    || (event.requestContext && event.requestContext.requestId)
+    || requestId;
+
+  const client = identity(event);
+
+  log.setContext({
+    handler,
+    request_id: requestId,
+    correlation_id: correlationId,
+    principal: client ? client.principal : undefined
+  });
+  log.info('Requisição recebida', {
+    method: event.httpMethod,
+    path: event.path,
+    path_parameters: event.pathParameters || undefined,
+    query: event.queryStringParameters || undefined
+  });
+  log.debug('Evento recebido', { event });
+
+  return correlationId;
+}
+
+/**
+ * Identidade do cliente autenticado pelo authorizer
+ * @param {Object} event - Evento API Gateway
+ * @returns {Object|null} { principal, authType, scopes } ou null se não autenticado
+ */
+function identity(event) {
+  const authorizer = event.requestContext && event.requestContext.authorizer;
+  const principal = authorizer && (authorizer.principal || authorizer.principalId);
+  if (!principal) return null;
+
+  return {
+    principal,
+    authType: authorizer.auth_type,
+    scopes: (authorizer.scopes || '').split(' ').filter(Boolean)
+  };
+}
+
+/**
+ * Exigir escopo do cliente autenticado para a rota
+ * @param {Object} event - Evento API Gateway
+ * @param {string} scope - Escopo exigido (ex: records:write)
+ * @returns {Object|null} Resposta 401/403, ou null se autorizado
+ */
+function requireScope(event, scope) {
+  const client = identity(event);
+
+  if (!client) {
+    return errorResponse(401, 'Unauthorized', 'Requisição não autenticada');
+  }
+  if (!client.scopes.includes(scope)) {
+    log.warn('Escopo insuficiente', { required_scope: scope, scopes: client.scopes });
+    return errorResponse(403, 'Forbidden', `Escopo "${scope}" necessário para esta operação`);
+  }
+
+  return null;
+}
+
+module.exports = {
+  CORS_HEADERS,
+  response,
+  setResponseHeaders,
+  errorResponse,
+  parseJsonBody,
+  pathParameter,
+  queryParameter,
+  header,
+  etag,
+  ifMatches,
+  rawBody,
+  startRequest,
+  identity,
+  requireScope
+};
@@ -0,0 +1,205 @@
+const AWS = require('aws-sdk');
+const crypto = require('crypto');
+const log = require('./logger');
+
+/**
+ * Helper para requisições idempotentes da API (header Idempotency-Key)
+ *
+ * Cada chave fica na tabela de estado, por cliente
+ * (pk = idempotency#<cliente>, sk = chave), com o hash da requisição
+ * e, depois de concluída, a resposta devolvida:
+ *
+ * - IN_PROGRESS: a primeira requisição com a chave está em execução
+ *   (lease de IDEMPOTENCY_LEASE_MS; após ele outra requisição pode
+ *   assumir a chave, como no ledger de processamento)
+ * - COMPLETED: status_code e response_body da resposta original,
+ *   repetidos em novas requisições com a mesma chave e o mesmo hash
+ *   (gravados na mesma transação da escrita, ver completionTransactItem)
+ *
+ * As chaves expiram após 24 horas (atributo TTL da tabela).
+ */
+
+const dynamoDbConfig = {
+  endpoint: process.env.AWS_ENDPOINT_URL || 'http://localhost:4566',
+  region: process.env.AWS_REGION || 'us-east-1',
+  accessKeyId: process.env.AWS_ACCESS_KEY_ID || 'test',
+  secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY || 'test'
+};
+
+const dynamodb = new AWS.DynamoDB.DocumentClient(dynamoDbConfig);
+const stateTableName = process.env.STATE_TABLE_NAME || 'ProcessingState';
+
+const IDEMPOTENCY_TTL_SECONDS = 24 * 60 * 60;
+
+// Tempo máximo de uma requisição antes que outra possa assumir a chave
+// (acima do timeout das funções da API)
+const IDEMPOTENCY_LEASE_MS = 60 * 1000;
+
+const IDEMPOTENCY_IN_PROGRESS = 'IN_PROGRESS';
+const IDEMPOTENCY_COMPLETED = 'COMPLETED';
+
+/**
+ * Montar chave da entrada de idempotência
+ * @param {string} client - Cliente (principal autenticado)
+ * @param {string} key - Valor do header Idempotency-Key
+ * @returns {Object} Chave primária na tabela de estado
+ */
+function entryKey(client, key) {
+  return { pk: `idempotency#${client}`, sk: key };
+}
+
+/**
+ * Serializar valor com as chaves dos objetos ordenadas
+ * @param {*} value - Valor JSON
+ * @returns {string} JSON canônico
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Calcular hash de uma requisição
+ *
+ * A ordem das chaves e a formatação do JSON não alteram o hash.
+ *
+ * @param {Object} request - Partes relevantes da requisição (ex: { dataset, body })
+ * @returns {string} SHA-256 em hexadecimal
+ */
+function requestHash(request) {
+  return crypto.createHash('sha256').update(canonicalJson(request)).digest('hex');
+}
+
+/**
+ * Adquirir chave de idempotência para executar a requisição
+ *
+ * Só adquire se a chave é nova, expirou ou ficou presa em uma
+ * execução interrompida (lease vencido). Caso contrário, devolve a
+ * entrada existente para o chamador decidir: repetir a resposta
+ * (COMPLETED, mesmo hash), recusar por corpo diferente (hash
+ * diferente) ou por execução em andamento (IN_PROGRESS).
+ *
+ * @param {string} client - Cliente (principal autenticado)
+ * @param {string} key - Valor do header Idempotency-Key
+ * @param {string} hash - Hash da requisição (ver requestHash)
+ * @returns {Promise<{acquired: boolean, entry: Object}>} Resultado e entrada
+ */
+async function acquireIdempotencyKey(client, key, hash) {
+  const now = Date.now();
+  const item = {
+    ...entryKey(client, key),
+    status: IDEMPOTENCY_IN_PROGRESS,
+    request_hash: hash,
+    lease_expires_at: now + IDEMPOTENCY_LEASE_MS,
+    created_at: new Date(now).toISOString(),
+    expires_at: Math.floor(now / 1000) + IDEMPOTENCY_TTL_SECONDS
+  };
+
+  try {
+    await dynamodb.put({
+      TableName: stateTableName,
+      Item: item,
+      ConditionExpression: 'attribute_not_exists(pk) OR expires_at < :nowSeconds '
+        + 'OR (#status = :inProgress AND request_hash = :hash AND lease_expires_at < :nowMs)',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: {
+        ':inProgress': IDEMPOTENCY_IN_PROGRESS,
+        ':hash': hash,
+        ':nowMs': now,
+        ':nowSeconds': Math.floor(now / 1000)
+      }
+    }).promise();
+    return { acquired: true, entry: item };
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      const existing = await dynamodb.get({
+        TableName: stateTableName,
+        Key: entryKey(client, key),
+        ConsistentRead: true
+      }).promise();
+      return { acquired: false, entry: existing.Item };
+    }
+    log.error('Erro ao adquirir chave de idempotência', { idempotency_key: key, error });
+    throw error;
+  }
+}
+
+/**
+ * Montar a conclusão de uma chave para TransactWriteItems
+ *
+ * Gravada na mesma transação da escrita da requisição, a resposta
+ * fica guardada se e somente se a escrita acontecer: não há como a
+ * escrita ser feita e a chave continuar IN_PROGRESS. A condição exige
+ * que a chave ainda seja desta requisição (IN_PROGRESS com o mesmo hash).
+ *
+ * @param {string} client - Cliente (principal autenticado)
+ * @param {string} key - Valor do header Idempotency-Key
+ * @param {string} hash - Hash da requisição (ver requestHash)
+ * @param {number} statusCode - Status HTTP devolvido
+ * @param {Object} body - Corpo da resposta devolvida
+ * @returns {Object} Item de TransactItems
+ */
+function completionTransactItem(client, key, hash, statusCode, body) {
+  return {
+    Update: {
+      TableName: stateTableName,
+      Key: entryKey(client, key),
+      UpdateExpression: 'SET #status = :completed, status_code = :statusCode, '
+        + 'response_body = :body, lease_expires_at = :zero, completed_at = :now',
+      ConditionExpression: '#status = :inProgress AND request_hash = :hash',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: {
+        ':completed': IDEMPOTENCY_COMPLETED,
+        ':inProgress': IDEMPOTENCY_IN_PROGRESS,
+        ':hash': hash,
+        ':statusCode': statusCode,
+        ':body': JSON.stringify(body),
+        ':zero': 0,
+        ':now': new Date().toISOString()
+      }
+    }
+  };
+}
+
+/**
+ * Liberar chave de uma requisição que não deve ser repetida
+ * (erro de validação, conflito ou falha interna), permitindo
+ * nova tentativa com a mesma chave
+ * @param {string} client - Cliente (principal autenticado)
+ * @param {string} key - Valor do header Idempotency-Key
+ * @returns {Promise<Object>} Resultado da operação
+ */
+async function releaseIdempotencyKey(client, key) {
+  try {
+    await dynamodb.delete({
+      TableName: stateTableName,
+      Key: entryKey(client, key),
+      ConditionExpression: '#status = :inProgress',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: { ':inProgress': IDEMPOTENCY_IN_PROGRESS }
+    }).promise();
+    return { success: true };
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return { success: false };
+    }
+    log.error('Erro ao liberar chave de idempotência', { idempotency_key: key, error });
+    throw error;
+  }
+}
+
+module.exports = {
+  IDEMPOTENCY_IN_PROGRESS,
+  IDEMPOTENCY_COMPLETED,
+  requestHash,
+  acquireIdempotencyKey,
+  completionTransactItem,
+  releaseIdempotencyKey
+};
@@ -0,0 +1,246 @@
+const AWS = require('aws-sdk');
+const { encodeCursor, decodeCursor, isValidCursorKey, invalidCursorError } = require('./cursor');
+const log = require('./logger');
+
+/**
+ * Helper para jobs de ingestão
+ *
+ * Cada arquivo processado pelo dataProcessor gera um job na tabela
+ * de jobs (job_id = run_id da execução), atualizado a cada
+ * checkpoint e ao final do processamento. Os jobs são expostos
+ * em GET /jobs e GET /jobs/{id}.
+ *
+ * Índices:
+ * - job_type-index (job_type, started_at): todos os jobs, por início
+ * - state-index (state, started_at): jobs em um estado, por início
+ */
+
+const dynamoDbConfig = {
+  endpoint: process.env.AWS_ENDPOINT_URL || 'http://localhost:4566',
+  region: process.env.AWS_REGION || 'us-east-1',
+  accessKeyId: process.env.AWS_ACCESS_KEY_ID || 'test',
+  secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY || 'test'
+};
+
+const dynamodb = new AWS.DynamoDB.DocumentClient(dynamoDbConfig);
+const jobsTableName = process.env.JOBS_TABLE_NAME || 'IngestionJobs';
+
+// Tipo dos jobs gravados pelo dataProcessor (partition key do job_type-index)
+const INGESTION_JOB_TYPE = 'ingestion';
+
+// Estados de um job
+const JOB_STATES = {
+  RUNNING: 'RUNNING',
+  COMPLETED: 'COMPLETED',
+  FAILED: 'FAILED'
+};
+
+// Máximo de chamadas ao DynamoDB para preencher uma página filtrada
+const MAX_PAGE_REQUESTS = 10;
+
+/**
+ * Criar job de ingestão
+ * @param {Object} job - Dados do job (job_id, state, bucket, file, started_at, ...)
+ * @param {string} requestId - Request id da invocação que iniciou o job
+ * @param {Object} options - Opções de escrita
+ * @param {Array<Object>} options.transactItems - Escritas gravadas na mesma
+ *                                               transação (ex: entrada da outbox)
+ * @returns {Promise<Object>} Job criado
+ */
+async function createJob(job, requestId, options = {}) {
+  const now = new Date().toISOString();
+  const item = {
+    ...job,
+    job_type: INGESTION_JOB_TYPE,
+    request_ids: requestId ? [requestId] : [],
+    created_at: now,
+    updated_at: now
+  };
+
+  const params = {
+    TableName: jobsTableName,
+    Item: item,
+    ConditionExpression: 'attribute_not_exists(job_id)'
+  };
+
+  try {
+    await writeJob('Put', params, options.transactItems);
+    log.info('Job criado', { job_id: item.job_id, state: item.state });
+    return item;
+  } catch (error) {
+    log.error('Erro ao criar job', { error });
+    throw error;
+  }
+}
+
+/**
+ * Atualizar campos de um job
+ * @param {string} jobId - Id do job
+ * @param {Object} fields - Campos a gravar (ex: state, records_processed)
+ * @param {string} requestId - Request id da invocação, adicionado a request_ids (opcional)
+ * @param {Object} options - Opções de escrita
+ * @param {Array<Object>} options.transactItems - Escritas gravadas na mesma
+ *                                               transação (ex: entrada da outbox)
+ * @returns {Promise<Object>} Job atualizado (em transação, só job_id e os campos gravados)
+ */
+async function updateJob(jobId, fields, requestId, options = {}) {
+  const values = { ...fields, updated_at: new Date().toISOString() };
+  const names = {};
+  const expressionValues = {};
+
+  const assignments = Object.keys(values)
+    .filter(field => values[field] !== undefined)
+    .map((field, index) => {
+      names[`#f${index}`] = field;
+      expressionValues[`:v${index}`] = values[field];
+      return `#f${index} = :v${index}`;
+    });
+
+  if (requestId) {
+    names['#requestIds'] = 'request_ids';
+    expressionValues[':requestId'] = [requestId];
+    expressionValues[':empty'] = [];
+    assignments.push('#requestIds = list_append(if_not_exists(#requestIds, :empty), :requestId)');
+  }
+
+  const params = {
+    TableName: jobsTableName,
+    Key: { job_id: jobId },
+    UpdateExpression: `SET ${assignments.join(', ')}`,
+    ConditionExpression: 'attribute_exists(job_id)',
+    ExpressionAttributeNames: names,
+    ExpressionAttributeValues: expressionValues,
+    ReturnValues: 'ALL_NEW'
+  };
+
+  try {
+    const job = await writeJob('Update', params, options.transactItems) || { job_id: jobId, ...values };
+    log.info('Job atualizado', { job_id: jobId, state: job.state });
+    return job;
+  } catch (error) {
+    log.error('Erro ao atualizar job', { job_id: jobId, error });
+    throw error;
+  }
+}
+
+/**
+ * Gravar job, sozinho ou em transação com outras escritas
+ * @param {string} type - Tipo da escrita ('Put' ou 'Update')
+ * @param {Object} params - Parâmetros da escrita
+ * @param {Array<Object>} transactItems - Escritas da mesma transação (opcional)
+ * @returns {Promise<Object|undefined>} Atributos retornados (fora de transação, em Update)
+ */
+async function writeJob(type, params, transactItems = []) {
+  if (transactItems.length === 0) {
+    const result = type === 'Put'
+      ? await dynamodb.put(params).promise()
+      : await dynamodb.update(params).promise();
+    return result.Attributes;
+  }
+
+  const { ReturnValues, ...request } = params;
+  await dynamodb.transactWrite({
+    TransactItems: [{ [type]: request }, ...transactItems]
+  }).promise();
+  return undefined;
+}
+
+/**
+ * Buscar job pelo id
+ * @param {string} jobId - Id do job
+ * @returns {Promise<Object|undefined>} Job encontrado
+ */
+async function getJob(jobId) {
+  try {
+    const result = await dynamodb.get({
+      TableName: jobsTableName,
+      Key: { job_id: jobId }
+    }).promise();
+    return result.Item;
+  } catch (error) {
+    log.error('Erro ao buscar job', { job_id: jobId, error });
+    throw error;
+  }
+}
+
+/**
+ * Listar jobs, do mais recente para o mais antigo
+ *
+ * Com `state`, usa o state-index; caso contrário, o job_type-index.
+ * O filtro por arquivo é aplicado sobre o índice escolhido.
+ *
+ * @param {Object} options - Opções da listagem
+ * @param {number} options.limit - Itens por página (padrão: 50)
+ * @param {string} options.cursor - Cursor retornado pela página anterior
+ * @param {string} options.state - Estado dos jobs (opcional)
+ * @param {string} options.file - Chave do arquivo de entrada (opcional)
+ * @returns {Promise<Object>} { items, page }
+ */
+async function listJobs(options = {}) {
+  const { limit = 50, cursor, state, file } = options;
+
+  const indexName = state ? 'state-index' : 'job_type-index';
+  const params = {
+    TableName: jobsTableName,
+    IndexName: indexName,
+    KeyConditionExpression: '#pk = :pk',
+    ExpressionAttributeNames: { '#pk': state ? 'state' : 'job_type' },
+    ExpressionAttributeValues: { ':pk': state || INGESTION_JOB_TYPE },
+    ScanIndexForward: false
+  };
+
+  if (file) {
+    params.FilterExpression = '#file = :file';
+    params.ExpressionAttributeNames['#file'] = 'file';
+    params.ExpressionAttributeValues[':file'] = file;
+  }
+
+  if (cursor) {
+    const payload = decodeCursor(cursor);
+    if (payload.index !== indexName) {
+      throw invalidCursorError('Cursor não corresponde aos filtros informados');
+    }
+    const keyAttributes = { job_id: 'string', [state ? 'state' : 'job_type']: 'string', started_at: 'string' };
+    if (!isValidCursorKey(payload.key, keyAttributes)) {
+      throw invalidCursorError('Cursor de paginação inválido');
+    }
+    params.ExclusiveStartKey = payload.key;
+  }
+
+  const items = [];
+  let lastKey;
+
+  try {
+    for (let request = 0; request < MAX_PAGE_REQUESTS; request++) {
+      params.Limit = limit - items.length;
+
+      const result = await dynamodb.query(params).promise();
+      items.push(...result.Items);
+      lastKey = result.LastEvaluatedKey;
+
+      if (!lastKey || items.length >= limit) break;
+      params.ExclusiveStartKey = lastKey;
+    }
+  } catch (error) {
+    log.error('Erro ao listar jobs', { error });
+    throw error;
+  }
+
+  return {
+    items,
+    page: {
+      limit,
+      count: items.length,
+      has_more: Boolean(lastKey),
+      next_cursor: lastKey ? encodeCursor({ index: indexName, key: lastKey }) : null
+    }
+  };
+}
+
+module.exports = {
+  JOB_STATES,
+  createJob,
+  updateJob,
+  getJob,
+  listJobs
+};
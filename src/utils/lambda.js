@@ -0,0 +1,43 @@
+const AWS = require('aws-sdk');
+const log = require('./logger');
+
+/**
+ * Helper para invocação de funções Lambda
+ * 
+ * Usado para agendar a continuação de processamentos longos
+ */
+
+const lambdaConfig = {
+  endpoint: process.env.AWS_ENDPOINT_URL || 'http://localhost:4566',
+  region: process.env.AWS_REGION || 'us-east-1',
+  accessKeyId: process.env.AWS_ACCESS_KEY_ID || 'test',
+  secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY || 'test'
+};
+
+const lambda = new AWS.Lambda(lambdaConfig);
+
+/**
+ * Invocar função de forma assíncrona (InvocationType: Event)
+ * @param {string} functionName - Nome da função
+ * @param {Object} payload - Evento a enviar
+ * @returns {Promise<Object>} Resultado da invocação
+ */
+async function invokeAsync(functionName, payload) {
+  const params = {
+    FunctionName: functionName,
+    InvocationType: 'Event',
+    Payload: JSON.stringify(payload)
+  };
+
+  try {
+    log.info('Invocando função de forma assíncrona', { function_name: functionName });
+    return await lambda.invoke(params).promise();
+  } catch (error) {
+    log.error('Erro ao invocar Lambda', { function_name: functionName, error });
+    throw error;
+  }
+}
+
+module.exports = {
+  invokeAsync
+};
@@ -0,0 +1,78 @@
+const { moveObject, putObject, deleteObject } = require('./s3');
+const log = require('./logger');
+
+/**
+ * Helper para o ciclo de vida dos arquivos de entrada no S3
+ *
+ * Cada arquivo passa pelos prefixos:
+ *   input/ → processing/ → processed/ (ou failed/)
+ * mantendo o restante da chave (ex: input/produtos/a.csv →
+ * processed/produtos/a.csv). A cada transição o objeto recebe as
+ * tags run_id e status; ao ser arquivado, um manifesto JSON com o
+ * resumo da execução é gravado ao lado do arquivo
+ * (<chave-arquivada>.manifest.json). Um arquivo em failed/ pode
+ * voltar para processing/ em uma nova tentativa; nesse caso o
+ * manifesto da falha é removido.
+ */
+
+const LIFECYCLE_PREFIXES = {
+  input: 'input/',
+  processing: 'processing/',
+  processed: 'processed/',
+  failed: 'failed/'
+};
+
+/**
+ * Montar a chave de um arquivo em outro estado do ciclo de vida
+ * @param {string} key - Chave atual do objeto
+ * @param {string} state - Estado de destino (input, processing, processed, failed)
+ * @returns {string} Chave no prefixo do estado
+ */
+function lifecycleKey(key, state) {
+  const current = Object.values(LIFECYCLE_PREFIXES).find(prefix => key.startsWith(prefix));
+  const relativeKey = current ? key.slice(current.length) : key;
+  return `${LIFECYCLE_PREFIXES[state]}${relativeKey}`;
+}
+
+/**
+ * Mover arquivo para outro estado do ciclo de vida, com tags da execução
+ * @param {string} bucket - Nome do bucket
+ * @param {string} key - Chave atual do objeto
+ * @param {string} state - Estado de destino
+ * @param {string} runId - Identificador da execução
+ * @returns {Promise<string>} Nova chave do objeto
+ */
+async function transitionObject(bucket, key, state, runId) {
+  const destinationKey = lifecycleKey(key, state);
+
+  await moveObject(bucket, key, destinationKey, {
+    tags: { run_id: runId, status: state }
+  });
+
+  if (key.startsWith(LIFECYCLE_PREFIXES.failed)) {
+    await deleteObject(bucket, `${key}.manifest.json`);
+  }
+
+  log.info('Arquivo movido', { bucket, state, destination_key: destinationKey });
+  return destinationKey;
+}
+
+/**
+ * Gravar manifesto da execução ao lado do arquivo arquivado
+ * @param {string} bucket - Nome do bucket
+ * @param {string} archivedKey - Chave do arquivo arquivado
+ * @param {Object} manifest - Resumo da execução
+ * @returns {Promise<string>} Chave do manifesto
+ */
+async function writeManifest(bucket, archivedKey, manifest) {
+  const manifestKey = `${archivedKey}.manifest.json`;
+  await putObject(bucket, manifestKey, JSON.stringify(manifest, null, 2), 'application/json');
+  return manifestKey;
+}
+
+module.exports = {
+  LIFECYCLE_PREFIXES,
+  lifecycleKey,
+  transitionObject,
+  writeManifest
+};
@@ -0,0 +1,176 @@
+/**
+ * Logger estruturado (JSON lines)
+ *
+ * Cada linha é um objeto JSON com time, level, message e o contexto
+ * da invocação (handler, request_id, correlation_id), mais os campos
+ * informados na chamada (bucket, key, record_id, duration_ms, ...):
+ *
+ *   {"time":"…","level":"info","message":"Arquivo processado",
+ *    "handler":"dataProcessor","request_id":"…","correlation_id":"…",
+ *    "bucket":"…","key":"input/produtos.csv","duration_ms":812}
+ *
+ * O contexto é definido no início de cada handler (setContext) e vale
+ * para todos os módulos até a próxima invocação; um container Lambda
+ * trata uma invocação por vez.
+ *
+ * Configuração:
+ * - LOG_LEVEL: debug, info (padrão), warn ou error
+ * - LOG_REDACT_FIELDS: campos extras a mascarar, separados por vírgula
+ *   (somados aos padrões: authorization, cookie, x-api-key, password,
+ *   token, secret, ...). A comparação ignora maiúsculas/minúsculas e
+ *   vale para campos aninhados.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const DEFAULT_REDACTED_FIELDS = [
+  'authorization',
+  'cookie',
+  'set-cookie',
+  'x-api-key',
+  'x-amz-security-token',
+  'password',
+  'secret',
+  'token',
+  'access_token',
+  'refresh_token',
+  'id_token',
+  'api_key',
+  'apikey',
+  'client_secret'
+];
+
+const REDACTED = '[REDACTED]';
+
+// Profundidade máxima serializada (evita objetos enormes ou cíclicos)
+const MAX_DEPTH = 8;
+
+const redactedFields = new Set([
+  ...DEFAULT_REDACTED_FIELDS,
+  ...(process.env.LOG_REDACT_FIELDS || '').split(',')
+].map(field => field.trim().toLowerCase()).filter(Boolean));
+
+let context = {};
+let startedAt = Date.now();
+
+/**
+ * Nível mínimo configurado
+ * @returns {number} Peso do nível (LEVELS)
+ */
+function minimumLevel() {
+  return LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info;
+}
+
+/**
+ * Copiar valor mascarando campos sensíveis
+ * @param {*} value - Valor a registrar
+ * @param {number} depth - Profundidade atual
+ * @param {WeakSet} seen - Objetos já visitados
+ * @returns {*} Valor seguro para serializar
+ */
+function redact(value, depth = 0, seen = new WeakSet()) {
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      code: value.code,
+      stack: value.stack
+    };
+  }
+  if (!value || typeof value !== 'object') return value;
+  if (seen.has(value)) return '[Circular]';
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1, seen));
+  }
+  if (Buffer.isBuffer(value)) {
+    return `[Buffer ${value.length} bytes]`;
+  }
+
+  const result = {};
+  Object.keys(value).forEach((key) => {
+    result[key] = redactedFields.has(key.toLowerCase())
+      ? REDACTED
+      : redact(value[key], depth + 1, seen);
+  });
+  return result;
+}
+
+/**
+ * Escrever uma linha de log
+ * @param {string} level - Nível (LEVELS)
+ * @param {string} message - Mensagem
+ * @param {Object} fields - Campos adicionais
+ */
+function write(level, message, fields = {}) {
+  if (LEVELS[level] < minimumLevel()) return;
+
+  const line = JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    message,
+    ...context,
+    ...redact(fields)
+  });
+
+  if (level === 'error') {
+    console.error(line);
+  } else if (level === 'warn') {
+    console.warn(line);
+  } else {
+    console.log(line);
+  }
+}
+
+/**
+ * Definir o contexto da invocação (substitui o anterior)
+ *
+ * Também reinicia o relógio usado por elapsed().
+ *
+ * @param {Object} fields - { handler, request_id, correlation_id, ... }
+ */
+function setContext(fields) {
+  context = {};
+  addContext(fields);
+  startedAt = Date.now();
+}
+
+/**
+ * Acrescentar campos ao contexto da invocação
+ * @param {Object} fields - Campos a acrescentar (ex: correlation_id, run_id)
+ */
+function addContext(fields) {
+  context = Object.fromEntries(
+    Object.entries({ ...context, ...fields }).filter(([, value]) => value !== undefined)
+  );
+}
+
+/**
+ * Contexto atual da invocação
+ * @returns {Object} Campos do contexto
+ */
+function getContext() {
+  return { ...context };
+}
+
+/**
+ * Tempo decorrido desde o início da invocação
+ * @returns {number} Milissegundos
+ */
+function elapsed() {
+  return Date.now() - startedAt;
+}
+
+module.exports = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields),
+  setContext,
+  addContext,
+  getContext,
+  elapsed,
+  redact
+};
@@ -0,0 +1,115 @@
+const log = require('./logger');
+
+/**
+ * Métricas no CloudWatch Embedded Metric Format (EMF)
+ *
+ * As métricas são acumuladas durante a invocação e escritas no log
+ * por flush(), uma linha JSON por conjunto de dimensões. O CloudWatch
+ * Logs extrai as métricas dessas linhas sem chamadas a PutMetricData:
+ *
+ *   {"_aws":{"Timestamp":…,"CloudWatchMetrics":[{"Namespace":"DataProcessing",
+ *    "Dimensions":[["Handler","Dataset"]],"Metrics":[{"Name":"RowsProcessed","Unit":"Count"}]}]},
+ *    "Handler":"dataProcessor","Dataset":"produtos","RowsProcessed":500,
+ *    "request_id":"…","correlation_id":"…"}
+ *
+ * Toda métrica tem a dimensão Handler (handler do contexto de log);
+ * request_id e correlation_id vão como propriedades, para localizar
+ * os logs da invocação a partir de um ponto do gráfico.
+ *
+ * Configuração:
+ * - METRICS_NAMESPACE: namespace no CloudWatch (padrão: DataProcessing)
+ * - METRICS_ENABLED: "false" desliga a emissão
+ *
+ * Resumo local: npm run metrics (ver scripts/metrics-summary.js)
+ */
+
+const DEFAULT_NAMESPACE = 'DataProcessing';
+
+// Máximo de valores por métrica em um documento EMF
+const MAX_VALUES_PER_METRIC = 100;
+
+// Documentos pendentes, por conjunto de dimensões
+let buffer = new Map();
+
+/**
+ * Registrar um valor de métrica
+ * @param {string} name - Nome da métrica (ex: RowsProcessed)
+ * @param {number} value - Valor
+ * @param {string} unit - Unidade CloudWatch (Count, Milliseconds, Count/Second, ...)
+ * @param {Object} dimensions - Dimensões além de Handler (ex: { StatusCode: '201' })
+ */
+function putMetric(name, value, unit = 'Count', dimensions = {}) {
+  if (process.env.METRICS_ENABLED === 'false' || !Number.isFinite(value)) return;
+
+  const allDimensions = { Handler: log.getContext().handler || 'unknown' };
+  Object.keys(dimensions).forEach((key) => {
+    if (dimensions[key] !== undefined && dimensions[key] !== null) {
+      allDimensions[key] = String(dimensions[key]);
+    }
+  });
+
+  const key = JSON.stringify(allDimensions);
+  if (!buffer.has(key)) {
+    buffer.set(key, { dimensions: allDimensions, metrics: new Map() });
+  }
+
+  const { metrics } = buffer.get(key);
+  if (!metrics.has(name)) {
+    metrics.set(name, { unit, values: [] });
+  }
+
+  const metric = metrics.get(name);
+  metric.values.push(value);
+
+  if (metric.values.length >= MAX_VALUES_PER_METRIC) {
+    flush();
+  }
+}
+
+/**
+ * Montar documento EMF de um conjunto de dimensões
+ * @param {Object} group - { dimensions, metrics }
+ * @returns {Object} Documento EMF
+ */
+function toDocument({ dimensions, metrics }) {
+  const { request_id: requestId, correlation_id: correlationId } = log.getContext();
+  const document = {
+    _aws: {
+      Timestamp: Date.now(),
+      CloudWatchMetrics: [{
+        Namespace: process.env.METRICS_NAMESPACE || DEFAULT_NAMESPACE,
+        Dimensions: [Object.keys(dimensions)],
+        Metrics: [...metrics].map(([name, { unit }]) => ({ Name: name, Unit: unit }))
+      }]
+    },
+    ...dimensions,
+    request_id: requestId,
+    correlation_id: correlationId
+  };
+
+  metrics.forEach(({ values }, name) => {
+    document[name] = values.length === 1 ? values[0] : values;
+  });
+
+  return document;
+}
+
+/**
+ * Escrever no log as métricas acumuladas e esvaziar o buffer
+ *
+ * Chamado ao fim de cada invocação (http.response nos handlers da
+ * API; bloco finally nos demais).
+ */
+function flush() {
+  const groups = [...buffer.values()];
+  buffer = new Map();
+
+  groups.forEach((group) => {
+    console.log(JSON.stringify(toDocument(group)));
+  });
+}
+
+module.exports = {
+  putMetric,
+  flush
+};
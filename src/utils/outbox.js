@@ -0,0 +1,265 @@
+const AWS = require('aws-sdk');
+const { v4: uuidv4 } = require('uuid');
+const log = require('./logger');
+const { putMetric } = require('./metrics');
+
+/**
+ * Helper para a caixa de saída (outbox) de notificações
+ *
+ * Notificações que não puderam ser publicadas no SNS, mesmo após
+ * as novas tentativas, são guardadas na tabela de estado e
+ * reenviadas depois pela função drainOutbox. Assim uma falha do SNS
+ * nunca faz uma escrita falhar nem perde a notificação.
+ *
+ * Notificações de uma escrita (ex: conclusão de um job) podem ser
+ * gravadas na mesma transação da escrita (outboxTransactItem) e
+ * publicadas logo depois: se a execução cair entre a escrita e a
+ * publicação, a entrada continua na outbox e é reenviada.
+ *
+ * Cada entrada guarda a mensagem já serializada (envelope com
+ * event_id), para que o reenvio publique exatamente o mesmo evento.
+ * As entradas ficam sob a mesma partição, ordenadas pela data de
+ * criação, e não expiram. Após cada falha a entrada só volta a ser
+ * tentada em next_attempt_at (backoff exponencial); após
+ * OUTBOX_MAX_ATTEMPTS falhas ela é movida para a partição
+ * outbox#dead, fora do reenvio automático.
+ */
+
+const dynamoDbConfig = {
+  endpoint: process.env.AWS_ENDPOINT_URL || 'http://localhost:4566',
+  region: process.env.AWS_REGION || 'us-east-1',
+  accessKeyId: process.env.AWS_ACCESS_KEY_ID || 'test',
+  secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY || 'test'
+};
+
+const dynamodb = new AWS.DynamoDB.DocumentClient(dynamoDbConfig);
+const stateTableName = process.env.STATE_TABLE_NAME || 'ProcessingState';
+
+const OUTBOX_PK = 'outbox';
+
+// Partição das notificações que esgotaram as tentativas
+const OUTBOX_DEAD_PK = 'outbox#dead';
+
+// Falhas de publicação antes de mover a entrada para outbox#dead
+const OUTBOX_MAX_ATTEMPTS = parseInt(process.env.OUTBOX_MAX_ATTEMPTS) || 10;
+
+// Espera antes de nova tentativa: dobra a cada falha, até o máximo
+const OUTBOX_BASE_DELAY_MS = 5 * 60 * 1000;
+const OUTBOX_MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+
+// Máximo de chamadas ao DynamoDB para preencher uma listagem
+const MAX_PAGE_REQUESTS = 10;
+
+/**
+ * Montar entrada da outbox
+ * @param {Object} notification - Notificação (ver enqueueNotification)
+ * @param {Object} options - Opções da entrada
+ * @param {number} options.delayMs - Espera antes do primeiro reenvio (padrão: 0)
+ * @returns {Object} Entrada da outbox
+ */
+function outboxEntry(notification, options = {}) {
+  const now = Date.now();
+  const createdAt = new Date(now).toISOString();
+  const id = notification.id || uuidv4();
+
+  return {
+    pk: OUTBOX_PK,
+    sk: `${createdAt}#${id}`,
+    topic_arn: notification.topicArn,
+    message: notification.message,
+    subject: notification.subject,
+    attributes: notification.attributes || {},
+    attempts: 0,
+    last_error: notification.error || null,
+    next_attempt_at: now + (options.delayMs || 0),
+    created_at: createdAt
+  };
+}
+
+/**
+ * Montar escrita de uma entrada da outbox para TransactWriteItems
+ * @param {Object} entry - Entrada da outbox (ver outboxEntry)
+ * @returns {Object} Item de TransactItems
+ */
+function outboxTransactItem(entry) {
+  return {
+    Put: {
+      TableName: stateTableName,
+      Item: entry,
+      ConditionExpression: 'attribute_not_exists(pk)'
+    }
+  };
+}
+
+/**
+ * Guardar notificação pendente na outbox
+ * @param {Object} notification - Notificação não publicada
+ * @param {string} notification.id - Id da mensagem (padrão: UUID novo)
+ * @param {string} notification.topicArn - ARN do tópico
+ * @param {string} notification.message - Mensagem serializada
+ * @param {string} notification.subject - Assunto
+ * @param {Object} notification.attributes - Atributos de mensagem
+ * @param {string} notification.error - Motivo da falha na publicação
+ * @returns {Promise<Object>} Entrada gravada
+ */
+async function enqueueNotification(notification) {
+  const item = outboxEntry(notification);
+
+  try {
+    await dynamodb.put({ TableName: stateTableName, Item: item }).promise();
+    putMetric('OutboxEnqueued', 1, 'Count');
+    log.warn('Notificação guardada na outbox', { outbox_key: item.sk, error: item.last_error });
+    return item;
+  } catch (error) {
+    log.error('Erro ao guardar notificação na outbox', { outbox_key: item.sk, error });
+    throw error;
+  }
+}
+
+/**
+ * Listar notificações pendentes, das mais antigas para as mais novas
+ *
+ * Entradas ainda em espera (next_attempt_at no futuro) são puladas,
+ * paginando a partição até completar o limite.
+ *
+ * @param {number} limit - Máximo de entradas
+ * @returns {Promise<Array<Object>>} Entradas da outbox prontas para reenvio
+ */
+async function listPendingNotifications(limit = 100) {
+  const items = [];
+  let exclusiveStartKey;
+
+  try {
+    for (let request = 0; request < MAX_PAGE_REQUESTS && items.length < limit; request++) {
+      const result = await dynamodb.query({
+        TableName: stateTableName,
+        KeyConditionExpression: 'pk = :pk',
+        FilterExpression: 'attribute_not_exists(next_attempt_at) OR next_attempt_at <= :now',
+        ExpressionAttributeValues: { ':pk': OUTBOX_PK, ':now': Date.now() },
+        ExclusiveStartKey: exclusiveStartKey
+      }).promise();
+
+      items.push(...result.Items);
+      exclusiveStartKey = result.LastEvaluatedKey;
+      if (!exclusiveStartKey) break;
+    }
+    return items.slice(0, limit);
+  } catch (error) {
+    log.error('Erro ao listar a outbox', { error });
+    throw error;
+  }
+}
+
+/**
+ * Remover notificação publicada da outbox
+ * @param {Object} entry - Entrada da outbox
+ * @returns {Promise<Object>} Resultado da operação
+ */
+async function removeNotification(entry) {
+  try {
+    await dynamodb.delete({
+      TableName: stateTableName,
+      Key: { pk: entry.pk, sk: entry.sk }
+    }).promise();
+    return { success: true };
+  } catch (error) {
+    log.error('Erro ao remover notificação da outbox', { outbox_key: entry.sk, error });
+    throw error;
+  }
+}
+
+/**
+ * Registrar nova tentativa sem sucesso de uma notificação
+ *
+ * Agenda o próximo reenvio com backoff exponencial ou, ao atingir
+ * OUTBOX_MAX_ATTEMPTS, move a entrada para outbox#dead.
+ *
+ * @param {Object} entry - Entrada da outbox
+ * @param {string} errorMessage - Motivo da falha
+ * @returns {Promise<Object>} { parked, entry } (entrada atualizada ou movida)
+ */
+async function recordNotificationFailure(entry, errorMessage) {
+  const attempts = (entry.attempts || 0) + 1;
+  const now = Date.now();
+
+  if (attempts >= OUTBOX_MAX_ATTEMPTS) {
+    return { parked: true, entry: await parkNotification(entry, attempts, errorMessage) };
+  }
+
+  const params = {
+    TableName: stateTableName,
+    Key: { pk: entry.pk, sk: entry.sk },
+    UpdateExpression: 'SET last_error = :error, last_attempt_at = :now, attempts = :attempts, '
+      + 'next_attempt_at = :nextAttemptAt',
+    ConditionExpression: 'attribute_exists(pk)',
+    ExpressionAttributeValues: {
+      ':error': errorMessage,
+      ':now': new Date(now).toISOString(),
+      ':attempts': attempts,
+      ':nextAttemptAt': now + Math.min(OUTBOX_MAX_DELAY_MS, OUTBOX_BASE_DELAY_MS * 2 ** (attempts - 1))
+    },
+    ReturnValues: 'ALL_NEW'
+  };
+
+  try {
+    const result = await dynamodb.update(params).promise();
+    return { parked: false, entry: result.Attributes };
+  } catch (error) {
+    log.error('Erro ao atualizar notificação da outbox', { outbox_key: entry.sk, error });
+    throw error;
+  }
+}
+
+/**
+ * Mover notificação que esgotou as tentativas para outbox#dead
+ * (métrica OutboxDeadLettered)
+ * @param {Object} entry - Entrada da outbox
+ * @param {number} attempts - Tentativas feitas
+ * @param {string} errorMessage - Motivo da última falha
+ * @returns {Promise<Object>} Entrada movida
+ */
+async function parkNotification(entry, attempts, errorMessage) {
+  const now = new Date().toISOString();
+  const parked = {
+    ...entry,
+    pk: OUTBOX_DEAD_PK,
+    attempts,
+    last_error: errorMessage,
+    last_attempt_at: now,
+    parked_at: now
+  };
+  delete parked.next_attempt_at;
+
+  try {
+    await dynamodb.transactWrite({
+      TransactItems: [
+        { Put: { TableName: stateTableName, Item: parked } },
+        {
+          Delete: {
+            TableName: stateTableName,
+            Key: { pk: entry.pk, sk: entry.sk },
+            ConditionExpression: 'attribute_exists(pk)'
+          }
+        }
+      ]
+    }).promise();
+    putMetric('OutboxDeadLettered', 1, 'Count');
+    log.error('Notificação movida para outbox#dead', { outbox_key: entry.sk, attempts, error: errorMessage });
+    return parked;
+  } catch (error) {
+    log.error('Erro ao mover notificação para outbox#dead', { outbox_key: entry.sk, error });
+    throw error;
+  }
+}
+
+module.exports = {
+  OUTBOX_PK,
+  OUTBOX_DEAD_PK,
+  OUTBOX_MAX_ATTEMPTS,
+  outboxEntry,
+  outboxTransactItem,
+  enqueueNotification,
+  listPendingNotifications,
+  removeNotification,
+  recordNotificationFailure
+};
@@ -0,0 +1,271 @@
+const AWS = require('aws-sdk');
+const log = require('./logger');
+
+/**
+ * Helper para o estado de processamento de arquivos
+ * 
+ * Guarda na tabela de estado:
+ * - Checkpoints, permitindo que uma invocação interrompida
+ *   (ex: timeout) retome a leitura a partir do último byte confirmado
+ * - O ledger de objetos processados (bucket, key, ETag e versão),
+ *   usado para ignorar entregas duplicadas do mesmo evento S3
+ *
+ * Os objetos de origem são identificados por `source`:
+ * { bucket, key, etag, versionId }
+ */
+
+const dynamoDbConfig = {
+  endpoint: process.env.AWS_ENDPOINT_URL || 'http://localhost:4566',
+  region: process.env.AWS_REGION || 'us-east-1',
+  accessKeyId: process.env.AWS_ACCESS_KEY_ID || 'test',
+  secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY || 'test'
+};
+
+const dynamodb = new AWS.DynamoDB.DocumentClient(dynamoDbConfig);
+const stateTableName = process.env.STATE_TABLE_NAME || 'ProcessingState';
+
+// Checkpoints expiram após 7 dias (atributo TTL da tabela)
+const CHECKPOINT_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Estados do ledger
+const LEDGER_IN_PROGRESS = 'IN_PROGRESS';
+const LEDGER_COMPLETED = 'COMPLETED';
+const LEDGER_FAILED = 'FAILED';
+
+/**
+ * Montar chave do checkpoint de um objeto
+ * @param {Object} source - Objeto de origem
+ * @returns {Object} Chave primária na tabela de estado
+ */
+function checkpointKey(source) {
+  return {
+    pk: `object#${source.bucket}/${source.key}`,
+    sk: `checkpoint#${source.etag}`
+  };
+}
+
+/**
+ * Montar chave do ledger de um objeto
+ *
+ * A mesma key com outra versão ou outro conteúdo (ETag) gera
+ * uma nova entrada, e portanto um novo processamento.
+ *
+ * @param {Object} source - Objeto de origem
+ * @returns {Object} Chave primária na tabela de estado
+ */
+function ledgerKey(source) {
+  return {
+    pk: `object#${source.bucket}/${source.key}`,
+    sk: `ledger#${source.versionId || 'null'}#${source.etag}`
+  };
+}
+
+/**
+ * Buscar checkpoint de processamento
+ * @param {Object} source - Objeto de origem
+ * @returns {Promise<Object|undefined>} Checkpoint salvo, se existir
+ */
+async function getCheckpoint(source) {
+  const params = {
+    TableName: stateTableName,
+    Key: checkpointKey(source)
+  };
+
+  try {
+    const result = await dynamodb.get(params).promise();
+    return result.Item;
+  } catch (error) {
+    log.error('Erro ao buscar checkpoint', { bucket: source.bucket, key: source.key, error });
+    throw error;
+  }
+}
+
+/**
+ * Salvar checkpoint de processamento
+ * @param {Object} source - Objeto de origem
+ * @param {Object} checkpoint - Estado a persistir (offset, contadores, etc.)
+ * @returns {Promise<Object>} Checkpoint salvo
+ */
+async function saveCheckpoint(source, checkpoint) {
+  const item = {
+    ...checkpointKey(source),
+    ...checkpoint,
+    updated_at: new Date().toISOString(),
+    expires_at: Math.floor(Date.now() / 1000) + CHECKPOINT_TTL_SECONDS
+  };
+
+  const params = {
+    TableName: stateTableName,
+    Item: item
+  };
+
+  try {
+    await dynamodb.put(params).promise();
+    log.info('Checkpoint salvo', { bucket: source.bucket, key: source.key, resume_at: checkpoint.resume_at });
+    return item;
+  } catch (error) {
+    log.error('Erro ao salvar checkpoint', { bucket: source.bucket, key: source.key, error });
+    throw error;
+  }
+}
+
+/**
+ * Remover checkpoint após processamento completo
+ * @param {Object} source - Objeto de origem
+ * @returns {Promise<Object>} Resultado da operação
+ */
+async function clearCheckpoint(source) {
+  const params = {
+    TableName: stateTableName,
+    Key: checkpointKey(source)
+  };
+
+  try {
+    await dynamodb.delete(params).promise();
+    return { success: true };
+  } catch (error) {
+    log.error('Erro ao remover checkpoint', { bucket: source.bucket, key: source.key, error });
+    throw error;
+  }
+}
+
+/**
+ * Adquirir entrada do ledger para processar um objeto
+ *
+ * A aquisição é condicional: só é concedida se o objeto nunca foi
+ * processado, se o processamento anterior falhou, ou se a execução
+ * em andamento liberou ou deixou expirar sua concessão (lease).
+ * Objetos já concluídos nunca são reprocessados.
+ *
+ * @param {Object} source - Objeto de origem
+ * @param {number} leaseMs - Duração da concessão em milissegundos
+ * @returns {Promise<Object>} { acquired, entry }
+ */
+async function acquireLedgerEntry(source, leaseMs) {
+  const now = Date.now();
+  const params = {
+    TableName: stateTableName,
+    Key: ledgerKey(source),
+    UpdateExpression: 'SET #status = :inProgress, lease_expires_at = :leaseExpiresAt, '
+      + 'started_at = if_not_exists(started_at, :now), #bucket = :bucket, #key = :key, '
+      + 'etag = :etag, version_id = :versionId, updated_at = :now ADD attempts :one',
+    ConditionExpression: 'attribute_not_exists(pk) OR #status = :failed '
+      + 'OR (#status = :inProgress AND lease_expires_at < :nowMs)',
+    ExpressionAttributeNames: {
+      '#status': 'status',
+      '#bucket': 'bucket',
+      '#key': 'key'
+    },
+    ExpressionAttributeValues: {
+      ':inProgress': LEDGER_IN_PROGRESS,
+      ':failed': LEDGER_FAILED,
+      ':leaseExpiresAt': now + leaseMs,
+      ':nowMs': now,
+      ':now': new Date(now).toISOString(),
+      ':bucket': source.bucket,
+      ':key': source.key,
+      ':etag': source.etag,
+      ':versionId': source.versionId || null,
+      ':one': 1
+    },
+    ReturnValues: 'ALL_NEW'
+  };
+
+  try {
+    const result = await dynamodb.update(params).promise();
+    return { acquired: true, entry: result.Attributes };
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      const existing = await dynamodb.get({
+        TableName: stateTableName,
+        Key: ledgerKey(source)
+      }).promise();
+      return { acquired: false, entry: existing.Item };
+    }
+    log.error('Erro ao adquirir entrada do ledger', { bucket: source.bucket, key: source.key, error });
+    throw error;
+  }
+}
+
+/**
+ * Atualizar status de uma entrada do ledger
+ * @param {Object} source - Objeto de origem
+ * @param {string} status - Novo status
+ * @param {Object} fields - Campos adicionais a gravar
+ * @returns {Promise<Object>} Entrada atualizada
+ */
+async function updateLedgerEntry(source, status, fields = {}) {
+  const values = { ...fields, status, lease_expires_at: 0, updated_at: new Date().toISOString() };
+  const names = {};
+  const expressionValues = {};
+
+  const assignments = Object.keys(values).map((field, index) => {
+    names[`#f${index}`] = field;
+    expressionValues[`:v${index}`] = values[field];
+    return `#f${index} = :v${index}`;
+  });
+
+  const params = {
+    TableName: stateTableName,
+    Key: ledgerKey(source),
+    UpdateExpression: `SET ${assignments.join(', ')}`,
+    ExpressionAttributeNames: names,
+    ExpressionAttributeValues: expressionValues,
+    ReturnValues: 'ALL_NEW'
+  };
+
+  try {
+    const result = await dynamodb.update(params).promise();
+    log.info('Ledger atualizado', { bucket: source.bucket, key: source.key, status });
+    return result.Attributes;
+  } catch (error) {
+    log.error('Erro ao atualizar ledger', { bucket: source.bucket, key: source.key, error });
+    throw error;
+  }
+}
+
+/**
+ * Liberar a concessão sem concluir (processamento será retomado)
+ * @param {Object} source - Objeto de origem
+ * @returns {Promise<Object>} Entrada atualizada
+ */
+async function releaseLedgerEntry(source) {
+  return updateLedgerEntry(source, LEDGER_IN_PROGRESS);
+}
+
+/**
+ * Marcar objeto como processado com sucesso
+ * @param {Object} source - Objeto de origem
+ * @param {Object} summary - Resumo do processamento (contadores)
+ * @returns {Promise<Object>} Entrada atualizada
+ */
+async function completeLedgerEntry(source, summary) {
+  return updateLedgerEntry(source, LEDGER_COMPLETED, {
+    ...summary,
+    completed_at: new Date().toISOString()
+  });
+}
+
+/**
+ * Marcar processamento do objeto como falho (pode ser refeito)
+ * @param {Object} source - Objeto de origem
+ * @param {string} errorMessage - Motivo da falha
+ * @returns {Promise<Object>} Entrada atualizada
+ */
+async function failLedgerEntry(source, errorMessage) {
+  return updateLedgerEntry(source, LEDGER_FAILED, {
+    error: errorMessage,
+    failed_at: new Date().toISOString()
+  });
+}
+
+module.exports = {
+  LEDGER_COMPLETED,
+  getCheckpoint,
+  saveCheckpoint,
+  clearCheckpoint,
+  acquireLedgerEntry,
+  releaseLedgerEntry,
+  completeLedgerEntry,
+  failLedgerEntry
+};
@@ -0,0 +1,349 @@
+const AWS = require('aws-sdk');
+const path = require('path');
+const fs = require('fs');
+const log = require('./logger');
+const { putMetric } = require('./metrics');
+const { errorResponse, setResponseHeaders, identity } = require('./http');
+
+/**
+ * Helper para limite de requisições e cota diária por cliente da API
+ *
+ * Dois controles, guardados na tabela de estado:
+ *
+ * - Token bucket por cliente e rota (pk = ratelimit#<cliente>,
+ *   sk = "<MÉTODO> <rota>"): cada requisição consome um token e o
+ *   bucket é reabastecido continuamente até a capacidade. A leitura e
+ *   a gravação usam escrita condicional em refilled_at, então
+ *   requisições concorrentes não consomem o mesmo token.
+ *
+ * - Cota diária por cliente (pk = quota#<AAAA-MM-DD>, sk = cliente,
+ *   dia em UTC), somando todas as rotas. O contador é incrementado
+ *   com condição de estar abaixo da cota; recusas são contadas em
+ *   rejected_count. Consulta: npm run quotas.
+ *
+ * O cliente é o principal autenticado (key:<id> ou jwt:<iss>|<sub>).
+ * Requisições sem credencial válida são recusadas pelo authorizer (e
+ * por requireScope) antes de chegar ao limitador.
+ *
+ * Respostas liberadas levam X-RateLimit-Limit (capacidade do bucket),
+ * X-RateLimit-Remaining (tokens restantes) e X-RateLimit-Reset
+ * (segundos até o bucket estar cheio de novo); respostas 429 levam
+ * também Retry-After.
+ *
+ * Limites em src/config/rate-limits.json (ou no arquivo indicado por
+ * RATE_LIMITS_PATH). Rotas sem entrada própria usam "default":
+ *
+ *   "POST /records": { "capacity": 10, "refill_per_second": 2 }
+ *
+ * RATE_LIMIT_ENABLED=false desliga os dois controles. Uma falha ao
+ * acessar a tabela de estado libera a requisição (fail open): o
+ * limitador não deve derrubar a API.
+ */
+
+const dynamoDbConfig = {
+  endpoint: process.env.AWS_ENDPOINT_URL || 'http://localhost:4566',
+  region: process.env.AWS_REGION || 'us-east-1',
+  accessKeyId: process.env.AWS_ACCESS_KEY_ID || 'test',
+  secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY || 'test'
+};
+
+const dynamodb = new AWS.DynamoDB.DocumentClient(dynamoDbConfig);
+const stateTableName = process.env.STATE_TABLE_NAME || 'ProcessingState';
+
+const DEFAULT_LIMITS_PATH = path.join(__dirname, '..', 'config', 'rate-limits.json');
+
+// Tentativas de gravar o bucket quando outra requisição o alterou antes
+const MAX_BUCKET_ATTEMPTS = 3;
+
+// Buckets ociosos expiram após 1 dia; contadores de cota após 35 dias
+const BUCKET_TTL_SECONDS = 24 * 60 * 60;
+const QUOTA_TTL_SECONDS = 35 * 24 * 60 * 60;
+
+let limitsCache = null;
+
+/**
+ * Validar limite de um bucket
+ * @param {Object} limit - { capacity, refill_per_second }
+ * @param {string} label - Identificação no erro
+ * @throws {Error} Se o limite for inválido
+ */
+function validateLimit(limit, label) {
+  if (!limit || !(limit.capacity >= 1)) {
+    throw new Error(`${label}: "capacity" deve ser ao menos 1`);
+  }
+  if (!(limit.refill_per_second > 0)) {
+    throw new Error(`${label}: "refill_per_second" deve ser maior que zero`);
+  }
+}
+
+/**
+ * Carregar configuração de limites
+ * @returns {Object} Configuração validada { default, routes, daily_quota }
+ */
+function getLimits() {
+  if (!limitsCache) {
+    const limitsPath = process.env.RATE_LIMITS_PATH || DEFAULT_LIMITS_PATH;
+    const limits = JSON.parse(fs.readFileSync(limitsPath, 'utf-8'));
+
+    validateLimit(limits.default, 'Limite padrão');
+    Object.keys(limits.routes || {}).forEach((route) => {
+      validateLimit(limits.routes[route], `Limite da rota ${route}`);
+    });
+
+    const quota = limits.daily_quota || {};
+    [['padrão', quota.default], ...Object.entries(quota.clients || {})].forEach(([client, value]) => {
+      if (value !== undefined && !(Number.isInteger(value) && value > 0)) {
+        throw new Error(`Cota diária ${client}: deve ser um inteiro positivo`);
+      }
+    });
+    Object.keys(quota.clients || {}).forEach((client) => {
+      if (!/^(key|jwt):/.test(client)) {
+        throw new Error(`Cota diária ${client}: use o principal (key:<id> ou jwt:<iss>|<sub>)`);
+      }
+    });
+
+    limitsCache = { routes: {}, daily_quota: {}, ...limits };
+  }
+
+  return limitsCache;
+}
+
+/**
+ * Identificar a rota da requisição
+ * @param {Object} event - Evento API Gateway
+ * @returns {string} "<MÉTODO> <rota>" (ex: PUT /records/{id})
+ */
+function routeKey(event) {
+  return `${event.httpMethod} ${event.resource || event.path}`;
+}
+
+/**
+ * Cota diária de um cliente
+ * @param {string} client - Cliente
+ * @returns {number|null} Máximo de requisições por dia, ou null se sem cota
+ */
+function dailyQuotaFor(client) {
+  const quota = getLimits().daily_quota;
+  const value = (quota.clients || {})[client] ?? quota.default;
+  return value || null;
+}
+
+/**
+ * Consumir um token do bucket do cliente na rota
+ * @param {string} client - Cliente
+ * @param {string} route - Rota
+ * @param {Object} limit - { capacity, refill_per_second }
+ * @returns {Promise<Object>} { allowed, remaining, retryAfter, resetAfter }
+ */
+async function takeToken(client, route, limit) {
+  const key = { pk: `ratelimit#${client}`, sk: route };
+
+  for (let attempt = 1; attempt <= MAX_BUCKET_ATTEMPTS; attempt++) {
+    const now = Date.now();
+    const { Item: bucket } = await dynamodb.get({
+      TableName: stateTableName,
+      Key: key,
+      ConsistentRead: true
+    }).promise();
+
+    const elapsedSeconds = bucket ? Math.max(0, now - bucket.refilled_at) / 1000 : 0;
+    const tokens = bucket
+      ? Math.min(limit.capacity, bucket.tokens + elapsedSeconds * limit.refill_per_second)
+      : limit.capacity;
+
+    if (tokens < 1) {
+      return {
+        allowed: false,
+        remaining: 0,
+        retryAfter: Math.ceil((1 - tokens) / limit.refill_per_second)
+      };
+    }
+
+    try {
+      await dynamodb.put({
+        TableName: stateTableName,
+        Item: {
+          ...key,
+          tokens: tokens - 1,
+          capacity: limit.capacity,
+          refilled_at: now,
+          expires_at: Math.floor(now / 1000) + BUCKET_TTL_SECONDS
+        },
+        ...(bucket
+          ? { ConditionExpression: 'refilled_at = :previous', ExpressionAttributeValues: { ':previous': bucket.refilled_at } }
+          : { ConditionExpression: 'attribute_not_exists(pk)' })
+      }).promise();
+
+      return {
+        allowed: true,
+        remaining: Math.floor(tokens - 1),
+        retryAfter: 0,
+        resetAfter: Math.ceil((limit.capacity - (tokens - 1)) / limit.refill_per_second)
+      };
+    } catch (error) {
+      if (error.code !== 'ConditionalCheckFailedException') throw error;
+      log.debug('Bucket alterado por outra requisição, nova tentativa', { client, route, attempt });
+    }
+  }
+
+  // Disputa contínua pelo mesmo bucket: o cliente está acima do limite
+  return { allowed: false, remaining: 0, retryAfter: 1 };
+}
+
+/**
+ * Segundos até a próxima meia-noite UTC (renovação da cota)
+ * @param {Date} now - Data atual
+ * @returns {number} Segundos
+ */
+function secondsUntilNextDay(now) {
+  const nextDay = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((nextDay - now.getTime()) / 1000);
+}
+
+/**
+ * Contar uma requisição na cota diária do cliente
+ * @param {string} client - Cliente
+ * @param {number} quota - Máximo de requisições no dia
+ * @returns {Promise<Object>} { allowed, remaining, retryAfter }
+ */
+async function countRequest(client, quota) {
+  const now = new Date();
+  const key = { pk: `quota#${now.toISOString().slice(0, 10)}`, sk: client };
+  const retryAfter = secondsUntilNextDay(now);
+
+  try {
+    const result = await dynamodb.update({
+      TableName: stateTableName,
+      Key: key,
+      UpdateExpression: 'SET daily_quota = :quota, last_request_at = :now, expires_at = :expires ADD request_count :one',
+      ConditionExpression: 'attribute_not_exists(request_count) OR request_count < :quota',
+      ExpressionAttributeValues: {
+        ':quota': quota,
+        ':now': now.toISOString(),
+        ':expires': Math.floor(now.getTime() / 1000) + QUOTA_TTL_SECONDS,
+        ':one': 1
+      },
+      ReturnValues: 'UPDATED_NEW'
+    }).promise();
+
+    return { allowed: true, remaining: quota - result.Attributes.request_count, retryAfter };
+  } catch (error) {
+    if (error.code !== 'ConditionalCheckFailedException') throw error;
+
+    await dynamodb.update({
+      TableName: stateTableName,
+      Key: key,
+      UpdateExpression: 'SET last_rejected_at = :now ADD rejected_count :one',
+      ExpressionAttributeValues: { ':now': now.toISOString(), ':one': 1 }
+    }).promise();
+
+    return { allowed: false, remaining: 0, retryAfter };
+  }
+}
+
+/**
+ * Montar resposta 429
+ * @param {string} error - Tipo do erro (TooManyRequests ou QuotaExceeded)
+ * @param {string} message - Mensagem descritiva
+ * @param {number} limit - Capacidade do bucket ou cota diária
+ * @param {number} retryAfter - Segundos até liberar nova requisição
+ * @returns {Object} Resposta no formato API Gateway
+ */
+function throttledResponse(error, message, limit, retryAfter) {
+  const response = errorResponse(429, error, message, { retry_after: retryAfter });
+  response.headers = {
+    ...response.headers,
+    'Retry-After': String(retryAfter),
+    ...rateLimitHeaders(limit, 0, retryAfter)
+  };
+  return response;
+}
+
+/**
+ * Montar headers X-RateLimit-*
+ * @param {number} limit - Capacidade do bucket ou cota diária
+ * @param {number} remaining - Requisições restantes
+ * @param {number} reset - Segundos até a renovação
+ * @returns {Object} Headers
+ */
+function rateLimitHeaders(limit, remaining, reset) {
+  return {
+    'X-RateLimit-Limit': String(limit),
+    'X-RateLimit-Remaining': String(remaining),
+    'X-RateLimit-Reset': String(reset)
+  };
+}
+
+/**
+ * Aplicar limite de requisições e cota diária à requisição
+ *
+ * Chamado por cada handler da API depois da verificação de escopo
+ * (requireScope), que garante um cliente autenticado. Liberada a
+ * requisição, os headers X-RateLimit-* são incluídos na resposta do
+ * handler (ver setResponseHeaders em utils/http).
+ *
+ * @param {Object} event - Evento API Gateway
+ * @returns {Promise<Object|null>} Resposta 429, ou null se liberada
+ */
+async function checkRateLimit(event) {
+  if (process.env.RATE_LIMIT_ENABLED === 'false') return null;
+
+  const caller = identity(event);
+  if (!caller) return null;
+
+  const client = caller.principal;
+  const route = routeKey(event);
+
+  try {
+    const limits = getLimits();
+    const limit = limits.routes[route] || limits.default;
+
+    const bucket = await takeToken(client, route, limit);
+    if (!bucket.allowed) {
+      log.warn('Limite de requisições excedido', { client, route, retry_after: bucket.retryAfter });
+      putMetric('ApiThrottled', 1, 'Count', { Reason: 'RateLimit' });
+      return throttledResponse(
+        'TooManyRequests',
+        `Limite de ${limit.capacity} requisições excedido para ${route}`,
+        limit.capacity,
+        bucket.retryAfter
+      );
+    }
+
+    setResponseHeaders(rateLimitHeaders(limit.capacity, bucket.remaining, bucket.resetAfter));
+
+    const quota = dailyQuotaFor(client);
+    if (!quota) return null;
+
+    const usage = await countRequest(client, quota);
+    if (!usage.allowed) {
+      log.warn('Cota diária excedida', { client, daily_quota: quota });
+      putMetric('ApiThrottled', 1, 'Count', { Reason: 'DailyQuota' });
+      return throttledResponse(
+        'QuotaExceeded',
+        `Cota diária de ${quota} requisições excedida`,
+        quota,
+        usage.retryAfter
+      );
+    }
+
+    log.debug('Requisição dentro do limite', {
+      client,
+      route,
+      tokens_remaining: bucket.remaining,
+      quota_remaining: usage.remaining
+    });
+    return null;
+
+  } catch (error) {
+    log.error('Erro no limitador de requisições, requisição liberada', { client, route, error });
+    putMetric('RateLimitErrors', 1, 'Count');
+    return null;
+  }
+}
+
+module.exports = {
+  getLimits,
+  dailyQuotaFor,
+  checkRateLimit
+};
@@ -1,4 +1,5 @@
 const AWS = require('aws-sdk');
+const log = require('./logger');
 
 /**
  * Helper para operações com S3
@@ -29,11 +30,58 @@ async function getObject(bucket, key) {
   };
 
   try {
-    console.log(`📥 Lendo arquivo: s3://${bucket}/${key}`);
+    log.debug('Lendo arquivo', { bucket, key });
     const result = await s3.getObject(params).promise();
     return result.Body.toString('utf-8');
   } catch (error) {
-    console.error('❌ Erro ao ler objeto do S3:', error);
+    log.error('Erro ao ler objeto do S3', { bucket, key, error });
+    throw error;
+  }
+}
+
+/**
+ * Abrir stream de leitura de um objeto do S3
+ *
+ * Permite processar arquivos grandes sem carregá-los inteiros
+ * em memória. Com `start`, a leitura começa no byte informado
+ * (ranged GET), o que permite retomar um processamento parcial.
+ *
+ * @param {string} bucket - Nome do bucket
+ * @param {string} key - Chave do objeto
+ * @param {Object} options - Opções de leitura
+ * @param {number} options.start - Byte inicial (padrão: 0)
+ * @returns {stream.Readable} Stream com o conteúdo do objeto
+ */
+function getObjectStream(bucket, key, options = {}) {
+  const params = {
+    Bucket: bucket,
+    Key: key
+  };
+
+  if (options.start > 0) {
+    params.Range = `bytes=${options.start}-`;
+  }
+
+  log.debug('Abrindo stream', { bucket, key, range: params.Range });
+  return s3.getObject(params).createReadStream();
+}
+
+/**
+ * Buscar metadados de um objeto (ETag, tamanho, versão)
+ * @param {string} bucket - Nome do bucket
+ * @param {string} key - Chave do objeto
+ * @returns {Promise<Object>} Metadados do objeto
+ */
+async function headObject(bucket, key) {
+  const params = {
+    Bucket: bucket,
+    Key: key
+  };
+
+  try {
+    return await s3.headObject(params).promise();
+  } catch (error) {
+    log.error('Erro ao buscar metadados do objeto', { bucket, key, error });
     throw error;
   }
 }
@@ -55,16 +103,94 @@ async function putObject(bucket, key, body, contentType = 'text/plain') {
   };
 
   try {
-    console.log(`📤 Fazendo upload: s3://${bucket}/${key}`);
     const result = await s3.putObject(params).promise();
-    console.log(`✅ Upload concluído: ${key}`);
+    log.info('Upload concluído', { bucket, key });
+    return result;
+  } catch (error) {
+    log.error('Erro ao fazer upload para S3', { bucket, key, error });
+    throw error;
+  }
+}
+
+/**
+ * Upload de conteúdo em stream, de tamanho desconhecido
+ *
+ * Usa o upload gerenciado do SDK: o conteúdo é enviado em partes
+ * (multipart upload) à medida que é lido, sem ser carregado inteiro
+ * em memória.
+ *
+ * @param {string} bucket - Nome do bucket
+ * @param {string} key - Chave do objeto
+ * @param {stream.Readable} body - Stream com o conteúdo
+ * @param {string} contentType - MIME type
+ * @returns {Promise<Object>} Resultado do upload
+ */
+async function uploadObject(bucket, key, body, contentType = 'text/plain') {
+  const params = {
+    Bucket: bucket,
+    Key: key,
+    Body: body,
+    ContentType: contentType
+  };
+
+  try {
+    const result = await s3.upload(params).promise();
+    log.info('Upload concluído', { bucket, key });
     return result;
   } catch (error) {
-    console.error('❌ Erro ao fazer upload para S3:', error);
+    log.error('Erro ao fazer upload para S3', { bucket, key, error });
+    throw error;
+  }
+}
+
+/**
+ * Copiar objeto dentro do bucket
+ *
+ * Com `tags`, as tags do objeto de origem são substituídas pelas
+ * informadas; sem `tags`, são copiadas junto com o objeto.
+ *
+ * @param {string} bucket - Nome do bucket
+ * @param {string} sourceKey - Chave do objeto de origem
+ * @param {string} destinationKey - Chave do objeto de destino
+ * @param {Object} options - Opções da cópia
+ * @param {Object} options.tags - Tags do objeto de destino ({ nome: valor })
+ * @returns {Promise<Object>} Resultado da cópia
+ */
+async function copyObject(bucket, sourceKey, destinationKey, options = {}) {
+  const params = {
+    Bucket: bucket,
+    Key: destinationKey,
+    CopySource: `${bucket}/${encodeURIComponent(sourceKey).replace(/%2F/g, '/')}`
+  };
+
+  if (options.tags) {
+    params.Tagging = new URLSearchParams(options.tags).toString();
+    params.TaggingDirective = 'REPLACE';
+  }
+
+  try {
+    log.debug('Copiando objeto', { bucket, source_key: sourceKey, destination_key: destinationKey });
+    return await s3.copyObject(params).promise();
+  } catch (error) {
+    log.error('Erro ao copiar objeto no S3', { bucket, source_key: sourceKey, destination_key: destinationKey, error });
     throw error;
   }
 }
 
+/**
+ * Mover objeto dentro do bucket (cópia seguida de remoção da origem)
+ * @param {string} bucket - Nome do bucket
+ * @param {string} sourceKey - Chave do objeto de origem
+ * @param {string} destinationKey - Chave do objeto de destino
+ * @param {Object} options - Opções da cópia (ver copyObject)
+ * @returns {Promise<Object>} Resultado da cópia
+ */
+async function moveObject(bucket, sourceKey, destinationKey, options = {}) {
+  const result = await copyObject(bucket, sourceKey, destinationKey, options);
+  await deleteObject(bucket, sourceKey);
+  return result;
+}
+
 /**
  * Listar objetos em um bucket
  * @param {string} bucket - Nome do bucket
@@ -79,10 +205,10 @@ async function listObjects(bucket, prefix = '') {
 
   try {
     const result = await s3.listObjectsV2(params).promise();
-    console.log(`📋 Encontrados ${result.Contents.length} objetos`);
+    log.debug('Objetos listados', { bucket, prefix, count: result.Contents.length });
     return result.Contents;
   } catch (error) {
-    console.error('❌ Erro ao listar objetos:', error);
+    log.error('Erro ao listar objetos', { bucket, prefix, error });
     throw error;
   }
 }
@@ -101,14 +227,29 @@ async function deleteObject(bucket, key) {
 
   try {
     await s3.deleteObject(params).promise();
-    console.log(`🗑️ Objeto deletado: ${key}`);
+    log.info('Objeto deletado', { bucket, key });
     return { success: true };
   } catch (error) {
-    console.error('❌ Erro ao deletar objeto:', error);
+    log.error('Erro ao deletar objeto', { bucket, key, error });
     throw error;
   }
 }
 
+/**
+ * Gerar URL pré-assinada para download de um objeto
+ * @param {string} bucket - Nome do bucket
+ * @param {string} key - Chave do objeto
+ * @param {number} expiresIn - Validade em segundos (padrão: 7 dias)
+ * @returns {string} URL de download
+ */
+function getPresignedUrl(bucket, key, expiresIn = 7 * 24 * 60 * 60) {
+  return s3.getSignedUrl('getObject', {
+    Bucket: bucket,
+    Key: key,
+    Expires: expiresIn
+  });
+}
+
 /**
  * Verificar se bucket existe
  * @param {string} bucket - Nome do bucket
@@ -128,8 +269,14 @@ async function bucketExists(bucket) {
 
 module.exports = {
   getObject,
+  getObjectStream,
+  headObject,
   putObject,
+  uploadObject,
+  copyObject,
+  moveObject,
   listObjects,
   deleteObject,
+  getPresignedUrl,
   bucketExists
 };
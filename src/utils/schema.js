@@ -0,0 +1,228 @@
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * Helper para validação de registros por schema
+ *
+ * Cada dataset tem um JSON Schema em src/schemas/<dataset>.json.
+ * Adicionar um novo tipo de dataset significa apenas adicionar
+ * um novo arquivo de schema, sem alterar os handlers.
+ *
+ * Subconjunto suportado do JSON Schema:
+ * - type: string, number, integer, boolean, object, array
+ * - required, default, enum, pattern
+ * - minimum, maximum, exclusiveMinimum, exclusiveMaximum
+ * - minLength, maxLength
+ * - additionalProperties: false
+ *
+ * Valores vindos como texto (ex: CSV) são convertidos para o tipo
+ * declarado. Valores inválidos geram erro por campo, nunca um
+ * valor padrão silencioso.
+ */
+
+const SCHEMAS_DIR = path.join(__dirname, '..', 'schemas');
+const DEFAULT_DATASET = process.env.DEFAULT_DATASET || 'produtos';
+
+const schemaCache = {};
+
+/**
+ * Carregar schema de um dataset
+ * @param {string} dataset - Nome do dataset
+ * @returns {Object} JSON Schema do dataset
+ */
+function getSchema(dataset) {
+  if (!/^[a-z0-9_-]+$/i.test(dataset)) {
+    throw new Error(`Nome de dataset inválido: ${dataset}`);
+  }
+
+  if (!schemaCache[dataset]) {
+    const schemaPath = path.join(SCHEMAS_DIR, `${dataset}.json`);
+    if (!fs.existsSync(schemaPath)) {
+      throw new Error(`Schema não encontrado para o dataset "${dataset}"`);
+    }
+    schemaCache[dataset] = JSON.parse(fs.readFileSync(schemaPath, 'utf-8'));
+  }
+
+  return schemaCache[dataset];
+}
+
+/**
+ * Verificar se existe schema para um dataset
+ * @param {string} dataset - Nome do dataset
+ * @returns {boolean} True se existe
+ */
+function hasSchema(dataset) {
+  return /^[a-z0-9_-]+$/i.test(dataset)
+    && fs.existsSync(path.join(SCHEMAS_DIR, `${dataset}.json`));
+}
+
+/**
+ * Descobrir dataset a partir da chave S3
+ *
+ * Arquivos em input/<dataset>/... usam o schema do dataset;
+ * os demais usam o dataset padrão (DEFAULT_DATASET).
+ *
+ * @param {string} key - Chave do objeto
+ * @returns {string} Nome do dataset
+ */
+function datasetFromKey(key) {
+  const parts = key.split('/');
+  if (parts.length > 2 && hasSchema(parts[1])) {
+    return parts[1];
+  }
+  return DEFAULT_DATASET;
+}
+
+/**
+ * Converter valor para o tipo declarado no schema
+ * @param {*} value - Valor recebido
+ * @param {string} type - Tipo do schema
+ * @returns {{ value: *, error: string|null }} Valor convertido ou erro
+ */
+function coerce(value, type) {
+  const text = typeof value === 'string' ? value.trim() : value;
+
+  switch (type) {
+    case 'string':
+      if (typeof value === 'string') return { value, error: null };
+      if (typeof value === 'number' || typeof value === 'boolean') return { value: String(value), error: null };
+      return { value, error: 'deve ser um texto' };
+
+    case 'number':
+      if (typeof value === 'number' && Number.isFinite(value)) return { value, error: null };
+      // Aceita ponto ou vírgula decimal (ex: "8500.00" ou "8500,00")
+      if (typeof text === 'string' && /^[+-]?\d+([.,]\d+)?$/.test(text)) {
+        return { value: Number(text.replace(',', '.')), error: null };
+      }
+      return { value, error: 'deve ser um número' };
+
+    case 'integer':
+      if (Number.isInteger(value)) return { value, error: null };
+      if (typeof text === 'string' && /^[+-]?\d+$/.test(text)) {
+        return { value: Number(text), error: null };
+      }
+      return { value, error: 'deve ser um número inteiro' };
+
+    case 'boolean':
+      if (typeof value === 'boolean') return { value, error: null };
+      if (text === 'true' || text === '1') return { value: true, error: null };
+      if (text === 'false' || text === '0') return { value: false, error: null };
+      return { value, error: 'deve ser verdadeiro ou falso' };
+
+    // Objetos e arrays não são convertidos nem validados por dentro
+    case 'object':
+      if (value && typeof value === 'object' && !Array.isArray(value)) return { value, error: null };
+      return { value, error: 'deve ser um objeto' };
+
+    case 'array':
+      if (Array.isArray(value)) return { value, error: null };
+      return { value, error: 'deve ser uma lista' };
+
+    default:
+      return { value, error: null };
+  }
+}
+
+/**
+ * Validar um campo contra sua definição no schema
+ * @param {*} value - Valor já convertido
+ * @param {Object} definition - Definição do campo
+ * @returns {string|null} Mensagem de erro ou null
+ */
+function checkConstraints(value, definition) {
+  if (definition.enum && !definition.enum.includes(value)) {
+    return `deve ser um de: ${definition.enum.join(', ')}`;
+  }
+
+  if (typeof value === 'number') {
+    if (definition.minimum !== undefined && value < definition.minimum) {
+      return `deve ser maior ou igual a ${definition.minimum}`;
+    }
+    if (definition.maximum !== undefined && value > definition.maximum) {
+      return `deve ser menor ou igual a ${definition.maximum}`;
+    }
+    if (definition.exclusiveMinimum !== undefined && value <= definition.exclusiveMinimum) {
+      return `deve ser maior que ${definition.exclusiveMinimum}`;
+    }
+    if (definition.exclusiveMaximum !== undefined && value >= definition.exclusiveMaximum) {
+      return `deve ser menor que ${definition.exclusiveMaximum}`;
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (definition.minLength !== undefined && value.length < definition.minLength) {
+      return `deve ter pelo menos ${definition.minLength} caractere(s)`;
+    }
+    if (definition.maxLength !== undefined && value.length > definition.maxLength) {
+      return `deve ter no máximo ${definition.maxLength} caractere(s)`;
+    }
+    if (definition.pattern && !new RegExp(definition.pattern).test(value)) {
+      return `não corresponde ao formato ${definition.pattern}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validar e converter um registro de acordo com o schema
+ *
+ * Campos ausentes (ou texto vazio) recebem o `default` do schema,
+ * se houver; campos obrigatórios ausentes geram erro.
+ *
+ * @param {Object} schema - JSON Schema do dataset
+ * @param {Object} data - Registro recebido
+ * @returns {{ valid: boolean, value: Object, errors: Array<Object> }}
+ *          Registro convertido e erros no formato { field, message }
+ */
+function validate(schema, data) {
+  const properties = schema.properties || {};
+  const required = schema.required || [];
+  const value = {};
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { valid: false, value, errors: [{ field: null, message: 'Registro deve ser um objeto' }] };
+  }
+
+  Object.keys(properties).forEach((field) => {
+    const definition = properties[field];
+    const raw = data[field];
+    const missing = raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === '');
+
+    if (missing) {
+      if (definition.default !== undefined) {
+        value[field] = definition.default;
+      } else if (required.includes(field)) {
+        errors.push({ field, message: `Campo "${field}" é obrigatório` });
+      }
+      return;
+    }
+
+    const coerced = coerce(raw, definition.type);
+    const error = coerced.error || checkConstraints(coerced.value, definition);
+
+    if (error) {
+      errors.push({ field, message: `Campo "${field}" ${error} (recebido: ${JSON.stringify(raw)})` });
+      return;
+    }
+
+    value[field] = coerced.value;
+  });
+
+  if (schema.additionalProperties === false) {
+    Object.keys(data)
+      .filter(field => !(field in properties))
+      .forEach(field => errors.push({ field, message: `Campo "${field}" não é permitido` }));
+  }
+
+  return { valid: errors.length === 0, value, errors };
+}
+
+module.exports = {
+  DEFAULT_DATASET,
+  getSchema,
+  hasSchema,
+  datasetFromKey,
+  validate
+};
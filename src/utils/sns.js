@@ -1,9 +1,28 @@
 const AWS = require('aws-sdk');
+const { buildEnvelope } = require('./events');
+const {
+  outboxEntry,
+  enqueueNotification,
+  removeNotification,
+  recordNotificationFailure
+} = require('./outbox');
+const { sleep, backoffDelay } = require('./backoff');
+const log = require('./logger');
+const { putMetric } = require('./metrics');
 
 /**
  * Helper para notificações SNS
  * 
  * Simplifica publicação de mensagens em tópicos SNS
+ *
+ * Falhas transitórias são repetidas com backoff exponencial. Com a
+ * opção `outbox`, mensagens que ainda assim não forem publicadas são
+ * guardadas na outbox (utils/outbox) para reenvio pela função
+ * drainOutbox, em vez de lançar erro.
+ *
+ * Para notificar uma escrita sem risco de perder o evento, monte a
+ * entrada com outboxEvent, grave-a na mesma transação da escrita
+ * (utils/outbox outboxTransactItem) e publique com publishOutboxEntry.
  */
 
 const snsConfig = {
@@ -15,41 +34,354 @@ const snsConfig = {
 
 const sns = new AWS.SNS(snsConfig);
 
+// Limite de mensagens por chamada PublishBatch
+const PUBLISH_BATCH_LIMIT = 10;
+
+// Erros transitórios que justificam nova tentativa
+const RETRYABLE_ERRORS = [
+  'Throttling',
+  'ThrottlingException',
+  'KMSThrottling',
+  'InternalError',
+  'InternalErrorException',
+  'ServiceUnavailable'
+];
+
+// Espera antes que a drainOutbox reenvie uma entrada gravada junto
+// com a escrita (tempo para a publicação imediata por quem a gravou)
+const OUTBOX_PUBLISH_GRACE_MS = 2 * 60 * 1000;
+
+const DEFAULT_RETRY_OPTIONS = {
+  maxRetries: 3,
+  baseDelayMs: 100,
+  maxDelayMs: 2000
+};
+
+/**
+ * Montar atributos de mensagem SNS
+ *
+ * Arrays viram String.Array, que as filter policies do SNS comparam
+ * elemento a elemento.
+ *
+ * @param {Object} attributes - Atributos ({ nome: string ou array de strings })
+ * @returns {Object} MessageAttributes
+ */
+function messageAttributes(attributes = {}) {
+  const result = {};
+
+  Object.keys(attributes).forEach((key) => {
+    const value = attributes[key];
+    result[key] = Array.isArray(value)
+      ? { DataType: 'String.Array', StringValue: JSON.stringify(value) }
+      : { DataType: 'String', StringValue: String(value) };
+  });
+
+  return result;
+}
+
+/**
+ * Verificar se o erro do SNS é transitório
+ * @param {Error} error - Erro do SNS
+ * @returns {boolean} True se vale tentar de novo
+ */
+function isRetryable(error) {
+  return Boolean(error.retryable) || RETRYABLE_ERRORS.includes(error.code);
+}
+
+/**
+ * Serializar mensagem
+ * @param {string|Object} message - Mensagem
+ * @returns {string} Mensagem em texto
+ */
+function serialize(message) {
+  return typeof message === 'object' ? JSON.stringify(message) : message;
+}
+
 /**
  * Publicar mensagem em tópico SNS
  * @param {string} topicArn - ARN do tópico
- * @param {string} message - Mensagem a publicar
+ * @param {string|Object} message - Mensagem a publicar
  * @param {string} subject - Assunto da mensagem
- * @param {Object} attributes - Atributos adicionais
- * @returns {Promise<Object>} Resultado da publicação
+ * @param {Object} attributes - Atributos adicionais (string ou array de strings)
+ * @param {Object} options - Opções de publicação
+ * @param {number} options.maxRetries - Tentativas extras (padrão: 3)
+ * @param {number} options.baseDelayMs - Espera base do backoff (padrão: 100)
+ * @param {number} options.maxDelayMs - Espera máxima do backoff (padrão: 2000)
+ * @param {boolean} options.outbox - Guardar na outbox se não publicar
+ * @param {string} options.id - Id da mensagem na outbox
+ * @returns {Promise<Object>} Resultado da publicação ({ MessageId } ou { queued: true })
  */
-async function publishMessage(topicArn, message, subject = 'Notification', attributes = {}) {
+async function publishMessage(topicArn, message, subject = 'Notification', attributes = {}, options = {}) {
+  const { maxRetries, baseDelayMs, maxDelayMs } = { ...DEFAULT_RETRY_OPTIONS, ...options };
   const params = {
     TopicArn: topicArn,
-    Message: typeof message === 'object' ? JSON.stringify(message) : message,
+    Message: serialize(message),
     Subject: subject,
-    MessageAttributes: {}
+    MessageAttributes: messageAttributes(attributes)
   };
 
-  // Adicionar atributos customizados
-  Object.keys(attributes).forEach((key) => {
-    params.MessageAttributes[key] = {
-      DataType: 'String',
-      StringValue: String(attributes[key])
-    };
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const result = await timedPublish('Publish', sns.publish(params));
+      putMetric('SnsPublished', 1, 'Count');
+      log.info('Mensagem publicada no SNS', { topic_arn: topicArn, message_id: result.MessageId });
+      return result;
+    } catch (error) {
+      if (isRetryable(error) && attempt < maxRetries) {
+        putMetric('SnsPublishRetries', 1, 'Count');
+        log.warn('Falha ao publicar, nova tentativa', { error_code: error.code, attempt: attempt + 1, max_retries: maxRetries });
+        await sleep(backoffDelay(attempt, baseDelayMs, maxDelayMs));
+        continue;
+      }
+
+      putMetric('SnsPublishFailures', 1, 'Count');
+      log.error('Erro ao publicar mensagem SNS', { topic_arn: topicArn, error });
+      if (!options.outbox) throw error;
+
+      await enqueueNotification({
+        id: options.id,
+        topicArn,
+        message: params.Message,
+        subject,
+        attributes,
+        error: error.message
+      });
+      return { queued: true };
+    }
+  }
+}
+
+/**
+ * Publicar várias mensagens usando PublishBatch
+ *
+ * Divide as mensagens em lotes de 10 e repete, com backoff, as
+ * entradas que falharam por erro transitório (SenderFault falso).
+ * Com a opção `outbox`, as mensagens não publicadas são guardadas
+ * na outbox e retornadas em `queued`; sem ela, em `failed`.
+ *
+ * @param {string} topicArn - ARN do tópico
+ * @param {Array<Object>} messages - Mensagens { id, message, subject, attributes }
+ * @param {Object} options - Opções de publicação (ver publishMessage)
+ * @returns {Promise<Object>} { published, queued, failed: [{ message, error }] }
+ */
+async function publishBatch(topicArn, messages, options = {}) {
+  const summary = { published: 0, queued: 0, failed: [] };
+
+  for (let i = 0; i < messages.length; i += PUBLISH_BATCH_LIMIT) {
+    const result = await publishChunk(topicArn, messages.slice(i, i + PUBLISH_BATCH_LIMIT), options);
+    summary.published += result.published;
+    summary.failed.push(...result.failed);
+  }
+
+  putMetric('SnsPublished', summary.published, 'Count');
+  if (summary.failed.length > 0) {
+    putMetric('SnsPublishFailures', summary.failed.length, 'Count');
+  }
+
+  if (options.outbox) {
+    for (const { message, error } of summary.failed) {
+      await enqueueNotification({
+        id: message.id,
+        topicArn,
+        message: serialize(message.message),
+        subject: message.subject,
+        attributes: message.attributes,
+        error
+      });
+      summary.queued++;
+    }
+    summary.failed = [];
+  }
+
+  log.info('Publish batch concluído', {
+    topic_arn: topicArn,
+    published: summary.published,
+    queued: summary.queued,
+    failed: summary.failed.length
+  });
+  return summary;
+}
+
+/**
+ * Executar publicação medindo sua latência (métrica SnsPublishLatency)
+ * @param {string} operation - Operação SNS (dimensão Operation)
+ * @param {Object} request - Requisição do SDK
+ * @returns {Promise<Object>} Resultado da operação
+ */
+async function timedPublish(operation, request) {
+  const startedAt = Date.now();
+  try {
+    return await request.promise();
+  } finally {
+    putMetric('SnsPublishLatency', Date.now() - startedAt, 'Milliseconds', { Operation: operation });
+  }
+}
+
+/**
+ * Publicar um lote de até 10 mensagens, repetindo as que falharem
+ * @param {string} topicArn - ARN do tópico
+ * @param {Array<Object>} chunk - Mensagens do lote
+ * @param {Object} options - Opções de retry
+ * @returns {Promise<Object>} { published, failed: [{ message, error }] }
+ */
+async function publishChunk(topicArn, chunk, options) {
+  const { maxRetries, baseDelayMs, maxDelayMs } = { ...DEFAULT_RETRY_OPTIONS, ...options };
+  const failed = [];
+  let published = 0;
+  let pending = chunk.map((message, index) => ({ entryId: `m${index}`, message }));
+
+  for (let attempt = 0; pending.length > 0; attempt++) {
+    let retry = [];
+
+    try {
+      const result = await timedPublish('PublishBatch', sns.publishBatch({
+        TopicArn: topicArn,
+        PublishBatchRequestEntries: pending.map(({ entryId, message }) => ({
+          Id: entryId,
+          Message: serialize(message.message),
+          Subject: message.subject,
+          MessageAttributes: messageAttributes(message.attributes)
+        }))
+      }));
+
+      published += (result.Successful || []).length;
+
+      (result.Failed || []).forEach((failure) => {
+        const entry = pending.find(({ entryId }) => entryId === failure.Id);
+        if (failure.SenderFault) {
+          failed.push({ message: entry.message, error: `${failure.Code}: ${failure.Message}` });
+        } else {
+          retry.push({ ...entry, error: `${failure.Code}: ${failure.Message}` });
+        }
+      });
+    } catch (error) {
+      if (!isRetryable(error)) {
+        log.error('Erro ao publicar lote no SNS', { topic_arn: topicArn, error });
+        failed.push(...pending.map(({ message }) => ({ message, error: error.message })));
+        return { published, failed };
+      }
+      retry = pending.map(entry => ({ ...entry, error: error.message }));
+    }
+
+    if (retry.length > 0 && attempt >= maxRetries) {
+      failed.push(...retry.map(({ message, error }) => ({ message, error })));
+      return { published, failed };
+    }
+
+    pending = retry;
+    if (pending.length > 0) {
+      putMetric('SnsPublishRetries', pending.length, 'Count');
+      await sleep(backoffDelay(attempt, baseDelayMs, maxDelayMs));
+    }
+  }
+
+  return { published, failed };
+}
+
+/**
+ * Montar mensagem SNS de um evento do catálogo
+ *
+ * O payload é validado pelo schema da versão atual do evento (ver
+ * utils/events) e publicado dentro do envelope padrão. Os atributos
+ * event_type e event_version são sempre incluídos, para uso em
+ * filter policies das assinaturas, assim como correlation_id, para
+ * rastrear a mensagem até a requisição ou o upload de origem. Sem
+ * options.correlationId, vale o correlation id do contexto de log.
+ *
+ * @param {string} eventType - Tipo do evento (EVENT_CATALOG)
+ * @param {Object} data - Payload do evento
+ * @param {Object} options - Opções do envelope (ver buildEnvelope)
+ * @param {Object} options.attributes - Atributos adicionais
+ * @returns {Object} Mensagem { id, message, subject, attributes } (ver publishBatch)
+ * @throws {Error} InvalidEvent se o payload não atende o schema
+ */
+function eventMessage(eventType, data, options = {}) {
+  const { envelope, schema } = buildEnvelope(eventType, data, {
+    ...options,
+    correlationId: options.correlationId || log.getContext().correlation_id
   });
 
+  return {
+    id: envelope.event_id,
+    message: envelope,
+    subject: schema.title,
+    attributes: {
+      ...options.attributes,
+      event_type: envelope.event_type,
+      event_version: String(envelope.event_version),
+      ...(envelope.correlation_id ? { correlation_id: envelope.correlation_id } : {})
+    }
+  };
+}
+
+/**
+ * Publicar evento do catálogo em tópico SNS
+ * @param {string} topicArn - ARN do tópico
+ * @param {string} eventType - Tipo do evento (EVENT_CATALOG)
+ * @param {Object} data - Payload do evento
+ * @param {Object} options - Opções do envelope (ver eventMessage) e de
+ *                           publicação (ver publishMessage)
+ * @returns {Promise<Object>} Resultado da publicação
+ * @throws {Error} InvalidEvent se o payload não atende o schema
+ */
+async function publishEvent(topicArn, eventType, data, options = {}) {
+  const { id, message, subject, attributes } = eventMessage(eventType, data, options);
+  return publishMessage(topicArn, message, subject, attributes, { ...options, id });
+}
+
+/**
+ * Montar entrada da outbox para um evento do catálogo, a ser gravada
+ * na mesma transação da escrita que o originou
+ * @param {string} topicArn - ARN do tópico
+ * @param {string} eventType - Tipo do evento (EVENT_CATALOG)
+ * @param {Object} data - Payload do evento
+ * @param {Object} options - Opções do envelope (ver eventMessage)
+ * @returns {Object} Entrada da outbox
+ * @throws {Error} InvalidEvent se o payload não atende o schema
+ */
+function outboxEvent(topicArn, eventType, data, options = {}) {
+  const { id, message, subject, attributes } = eventMessage(eventType, data, options);
+  return outboxEntry(
+    { id, topicArn, message: serialize(message), subject, attributes },
+    { delayMs: OUTBOX_PUBLISH_GRACE_MS }
+  );
+}
+
+/**
+ * Publicar entrada já gravada na outbox
+ *
+ * Publicada, a entrada é removida; se a publicação falhar, fica na
+ * outbox (com a falha registrada) para a drainOutbox.
+ *
+ * @param {Object} entry - Entrada da outbox
+ * @param {Object} options - Opções de retry (ver publishMessage)
+ * @returns {Promise<Object>} Resultado da publicação ({ MessageId } ou { queued: true })
+ */
+async function publishOutboxEntry(entry, options = {}) {
+  let result;
+  try {
+    result = await publishMessage(entry.topic_arn, entry.message, entry.subject, entry.attributes, {
+      ...options,
+      outbox: false
+    });
+  } catch (error) {
+    await recordNotificationFailure(entry, error.message);
+    return { queued: true };
+  }
+
   try {
-    console.log(`📤 Publicando mensagem no SNS: ${topicArn}`);
-    const result = await sns.publish(params).promise();
-    console.log(`✅ Mensagem publicada com ID: ${result.MessageId}`);
-    return result;
+    await removeNotification(entry);
   } catch (error) {
-    console.error('❌ Erro ao publicar mensagem SNS:', error);
-    throw error;
+    // Já registrado no log; a drainOutbox publicará o mesmo evento de novo
   }
+  return result;
 }
 
 module.exports = {
-  publishMessage
+  publishMessage,
+  publishBatch,
+  eventMessage,
+  publishEvent,
+  outboxEvent,
+  publishOutboxEntry
 };
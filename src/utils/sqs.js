@@ -0,0 +1,102 @@
+const AWS = require('aws-sdk');
+const log = require('./logger');
+
+/**
+ * Helper para filas SQS
+ *
+ * Usado pela dead-letter queue de ingestões que falharam
+ */
+
+const sqsConfig = {
+  endpoint: process.env.AWS_ENDPOINT_URL || 'http://localhost:4566',
+  region: process.env.AWS_REGION || 'us-east-1',
+  accessKeyId: process.env.AWS_ACCESS_KEY_ID || 'test',
+  secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY || 'test'
+};
+
+const sqs = new AWS.SQS(sqsConfig);
+
+/**
+ * Enviar mensagem para uma fila
+ * @param {string} queueUrl - URL da fila
+ * @param {Object|string} message - Corpo da mensagem
+ * @param {Object} attributes - Atributos da mensagem ({ nome: valor })
+ * @returns {Promise<Object>} Resultado do envio
+ */
+async function sendMessage(queueUrl, message, attributes = {}) {
+  const params = {
+    QueueUrl: queueUrl,
+    MessageBody: typeof message === 'object' ? JSON.stringify(message) : message,
+    MessageAttributes: {}
+  };
+
+  Object.keys(attributes).forEach((key) => {
+    params.MessageAttributes[key] = {
+      DataType: 'String',
+      StringValue: String(attributes[key])
+    };
+  });
+
+  try {
+    const result = await sqs.sendMessage(params).promise();
+    log.info('Mensagem enviada para a fila', { queue_url: queueUrl, message_id: result.MessageId });
+    return result;
+  } catch (error) {
+    log.error('Erro ao enviar mensagem SQS', { queue_url: queueUrl, error });
+    throw error;
+  }
+}
+
+/**
+ * Receber mensagens de uma fila
+ * @param {string} queueUrl - URL da fila
+ * @param {Object} options - Opções do recebimento
+ * @param {number} options.maxMessages - Máximo de mensagens (1-10, padrão: 10)
+ * @param {number} options.visibilityTimeout - Segundos em que as mensagens ficam ocultas
+ * @param {number} options.waitTimeSeconds - Long polling (padrão: 0)
+ * @returns {Promise<Array<Object>>} Mensagens recebidas
+ */
+async function receiveMessages(queueUrl, options = {}) {
+  const params = {
+    QueueUrl: queueUrl,
+    MaxNumberOfMessages: options.maxMessages || 10,
+    WaitTimeSeconds: options.waitTimeSeconds || 0,
+    MessageAttributeNames: ['All']
+  };
+
+  if (options.visibilityTimeout !== undefined) {
+    params.VisibilityTimeout = options.visibilityTimeout;
+  }
+
+  try {
+    const result = await sqs.receiveMessage(params).promise();
+    return result.Messages || [];
+  } catch (error) {
+    log.error('Erro ao receber mensagens SQS', { queue_url: queueUrl, error });
+    throw error;
+  }
+}
+
+/**
+ * Remover mensagem da fila após o processamento
+ * @param {string} queueUrl - URL da fila
+ * @param {string} receiptHandle - Receipt handle da mensagem recebida
+ * @returns {Promise<Object>} Resultado da operação
+ */
+async function deleteMessage(queueUrl, receiptHandle) {
+  try {
+    return await sqs.deleteMessage({
+      QueueUrl: queueUrl,
+      ReceiptHandle: receiptHandle
+    }).promise();
+  } catch (error) {
+    log.error('Erro ao remover mensagem SQS', { queue_url: queueUrl, error });
+    throw error;
+  }
+}
+
+module.exports = {
+  sendMessage,
+  receiveMessages,
+  deleteMessage
+};
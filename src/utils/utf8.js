@@ -0,0 +1,60 @@
+/**
+ * Helper para decodificar arquivos UTF-8 lidos via stream
+ *
+ * Os leitores que retomam a leitura por offset (CSV, NDJSON) contam
+ * os bytes a partir do texto decodificado, o que só é exato para
+ * UTF-8 válido: um byte inválido (ex: arquivo salvo em Windows-1252)
+ * viraria U+FFFD, contado como 3 bytes, e deslocaria todos os
+ * checkpoints seguintes. Por isso a entrada inválida é recusada em
+ * vez de substituída.
+ */
+
+/**
+ * Criar erro de arquivo fora de UTF-8
+ * @param {number} start - Offset do primeiro byte do trecho inválido
+ * @param {number} end - Offset logo após o trecho inválido
+ * @returns {Error} Erro com code InvalidEncoding
+ */
+function invalidEncodingError(start, end) {
+  const error = new Error(
+    `Arquivo não está em UTF-8: sequência inválida entre os bytes ${start} e ${end} (salve o arquivo como UTF-8)`
+  );
+  error.code = 'InvalidEncoding';
+  return error;
+}
+
+/**
+ * Criar decodificador UTF-8 incremental e estrito
+ *
+ * Sequências divididas entre chunks são montadas como no
+ * StringDecoder; o BOM é mantido no texto (removido pelos leitores).
+ *
+ * @param {number} startOffset - Offset do primeiro byte lido (retomada)
+ * @returns {Object} Decodificador ({ write(chunk), end() })
+ * @throws {Error} InvalidEncoding ao encontrar bytes fora de UTF-8
+ */
+function createUtf8Decoder(startOffset = 0) {
+  const decoder = new TextDecoder('utf-8', { fatal: true, ignoreBOM: true });
+  let offset = startOffset;
+
+  const decode = (chunk, stream) => {
+    const length = chunk ? chunk.length : 0;
+    try {
+      const text = decoder.decode(chunk, { stream });
+      offset += length;
+      return text;
+    } catch (error) {
+      // Sequência incompleta de um chunk anterior pode ser a inválida
+      throw invalidEncodingError(Math.max(startOffset, offset - 3), offset + length);
+    }
+  };
+
+  return {
+    write: chunk => decode(chunk, true),
+    end: () => decode(undefined, false)
+  };
+}
+
+module.exports = {
+  createUtf8Decoder
+};
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const rulesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'alert-rules-test-'));
+const MODULE_PATH = require.resolve('../../src/utils/alertRules');
+
+/**
+ * Carregar alertRules com as regras informadas (módulo novo, sem cache)
+ * @param {Array<Object>} rules - Regras
+ * @returns {Object} Módulo alertRules
+ */
+function loadRules(rules) {
+  const rulesPath = path.join(rulesDir, `rules-${Date.now()}-${Math.random()}.json`);
+  fs.writeFileSync(rulesPath, JSON.stringify({ rules }));
+  process.env.ALERT_RULES_PATH = rulesPath;
+  delete require.cache[MODULE_PATH];
+  return require(MODULE_PATH);
+}
+
+const RULES = [
+  {
+    id: 'estoque-baixo',
+    severity: 'warning',
+    dataset: 'produtos',
+    conditions: [
+      { field: 'categoria', operator: 'eq', value: 'Periféricos' },
+      { field: 'estoque', operator: 'lt', value: 10 }
+    ]
+  },
+  {
+    id: 'variacao-preco',
+    severity: 'critical',
+    description: 'Preço variou mais de 20%',
+    conditions: [{ field: 'preco', operator: 'change_percent_gt', value: 20 }]
+  },
+  {
+    id: 'status-bloqueado',
+    severity: 'info',
+    dataset: 'pedidos',
+    conditions: [{ field: 'status', operator: 'in', value: ['bloqueado', 'cancelado'] }]
+  }
+];
+
+const { evaluateRules } = loadRules(RULES);
+const ids = alerts => alerts.map(alert => alert.rule_id);
+
+test('regras de valor disparam na criação que já atende a regra', () => {
+  const alerts = evaluateRules(null, { categoria: 'Periféricos', estoque: 3 }, 'produtos');
+  assert.deepEqual(alerts, [{
+    rule_id: 'estoque-baixo',
+    severity: 'warning',
+    description: 'estoque-baixo',
+    values: {
+      categoria: { old: null, new: 'Periféricos' },
+      estoque: { old: null, new: 3 }
+    }
+  }]);
+});
+
+test('regras de valor disparam só na transição', () => {
+  const before = { categoria: 'Periféricos', estoque: 12 };
+  assert.deepEqual(ids(evaluateRules(before, { ...before, estoque: 5 }, 'produtos')), ['estoque-baixo']);
+  assert.deepEqual(ids(evaluateRules({ ...before, estoque: 5 }, { ...before, estoque: 2 }, 'produtos')), []);
+});
+
+test('todas as condições precisam ser atendidas', () => {
+  assert.deepEqual(ids(evaluateRules(null, { categoria: 'Monitores', estoque: 1 }, 'produtos')), []);
+  assert.deepEqual(ids(evaluateRules(null, { categoria: 'Periféricos', estoque: '1' }, 'produtos')), []);
+});
+
+test('change_percent_gt compara as imagens e exige imagem antiga', () => {
+  assert.deepEqual(ids(evaluateRules({ preco: 100 }, { preco: 125 }, 'produtos')), ['variacao-preco']);
+  assert.deepEqual(ids(evaluateRules({ preco: 100 }, { preco: 75 }, 'produtos')), ['variacao-preco']);
+  assert.deepEqual(ids(evaluateRules({ preco: 100 }, { preco: 120 }, 'produtos')), []);
+  assert.deepEqual(ids(evaluateRules({ preco: 0 }, { preco: 50 }, 'produtos')), []);
+  assert.deepEqual(ids(evaluateRules(null, { preco: 500 }, 'produtos')), []);
+});
+
+test('regras com dataset valem só para ele', () => {
+  assert.deepEqual(ids(evaluateRules(null, { status: 'bloqueado' }, 'pedidos')), ['status-bloqueado']);
+  assert.deepEqual(ids(evaluateRules(null, { status: 'bloqueado' }, 'produtos')), []);
+  // Regra sem dataset vale para todos
+  assert.deepEqual(ids(evaluateRules({ preco: 10 }, { preco: 20 }, 'pedidos')), ['variacao-preco']);
+});
+
+test('arquivo de regras inválido é recusado ao carregar', () => {
+  const invalid = [
+    [[{ severity: 'info', conditions: [{ field: 'a', operator: 'eq', value: 1 }] }], /"id" é obrigatório/],
+    [[{ id: 'r', severity: 'alta', conditions: [{ field: 'a', operator: 'eq' }] }], /"severity"/],
+    [[{ id: 'r', severity: 'info', conditions: [] }], /ao menos uma condição/],
+    [[{ id: 'r', severity: 'info', conditions: [{ field: 'a', operator: 'like' }] }], /operador desconhecido "like"/],
+    [[RULES[1], RULES[1]], /Regra de alerta duplicada: variacao-preco/]
+  ];
+
+  invalid.forEach(([rules, message]) => {
+    assert.throws(() => loadRules(rules).getRules(), message);
+  });
+});
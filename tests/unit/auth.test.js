@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Clientes de teste (o arquivo é lido na primeira autenticação)
+const clientsPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-')), 'api-clients.json');
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+fs.writeFileSync(clientsPath, JSON.stringify({
+  clients: [
+    { id: 'leitor', key_sha256: sha256('chave-leitor'), scopes: ['records:read'] },
+    { id: 'escritor', key_sha256: sha256('chave-escritor'), scopes: ['records:read', 'records:write'] }
+  ]
+}));
+process.env.API_CLIENTS_PATH = clientsPath;
+process.env.JWT_SECRET = 'segredo-de-teste';
+
+const { authenticate } = require('../../src/utils/auth');
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+process.env.JWT_PUBLIC_KEY = publicKey.export({ type: 'spki', format: 'pem' });
+
+const now = () => Math.floor(Date.now() / 1000);
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+/**
+ * Assinar JWT de teste
+ * @param {Object} claims - Payload
+ * @param {Object} options - alg (HS256 ou RS256), secret
+ * @returns {string} Token
+ */
+function sign(claims, options = {}) {
+  const alg = options.alg || 'HS256';
+  const signingInput = `${encode({ alg, typ: 'JWT' })}.${encode(claims)}`;
+  const signature = alg === 'RS256'
+    ? crypto.sign('RSA-SHA256', Buffer.from(signingInput), privateKey)
+    : crypto.createHmac('sha256', options.secret || process.env.JWT_SECRET).update(signingInput).digest();
+  return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+const bearer = token => ({ Authorization: `Bearer ${token}` });
+const validClaims = (extra = {}) => ({ sub: 'user-1', exp: now() + 300, scope: 'records:read', ...extra });
+
+/**
+ * Verificar que a autenticação falha com o motivo esperado
+ * @param {Object} headers - Headers da requisição
+ * @param {RegExp} reason - Mensagem esperada
+ */
+function assertUnauthorized(headers, reason) {
+  assert.throws(() => authenticate(headers), (error) => {
+    assert.equal(error.code, 'Unauthorized');
+    assert.match(error.message, reason);
+    return true;
+  });
+}
+
+test('API key válida identifica o cliente e seus escopos', () => {
+  assert.deepEqual(authenticate({ 'X-Api-Key': 'chave-escritor' }), {
+    principal: 'key:escritor',
+    type: 'api_key',
+    scopes: ['records:read', 'records:write']
+  });
+});
+
+test('API key desconhecida ou ausente é recusada', () => {
+  assertUnauthorized({ 'x-api-key': 'chave-errada' }, /API key desconhecida/);
+  assertUnauthorized({}, /Credencial ausente/);
+});
+
+test('JWT HS256 válido devolve sub e escopos conhecidos', () => {
+  const token = sign(validClaims({ scope: 'records:read records:write admin' }));
+  assert.deepEqual(authenticate(bearer(token)), {
+    principal: 'jwt:|user-1',
+    type: 'jwt',
+    scopes: ['records:read', 'records:write']
+  });
+});
+
+test('escopos também podem vir em scp (lista)', () => {
+  const token = sign(validClaims({ scope: undefined, scp: ['jobs:read'] }));
+  assert.deepEqual(authenticate(bearer(token)).scopes, ['jobs:read']);
+});
+
+test('JWT tem precedência sobre a API key', () => {
+  const headers = { ...bearer(sign(validClaims())), 'x-api-key': 'chave-escritor' };
+  assert.equal(authenticate(headers).principal, 'jwt:|user-1');
+});
+
+test('assinatura HS256 com outro segredo ou payload alterado é recusada', () => {
+  assertUnauthorized(bearer(sign(validClaims(), { secret: 'outro-segredo' })), /Assinatura JWT inválida/);
+
+  const [header, , signature] = sign(validClaims()).split('.');
+  const tampered = `${header}.${encode(validClaims({ sub: 'admin' }))}.${signature}`;
+  assertUnauthorized(bearer(tampered), /Assinatura JWT inválida/);
+});
+
+test('JWT RS256 é verificado com a chave pública', () => {
+  assert.equal(authenticate(bearer(sign(validClaims(), { alg: 'RS256' }))).principal, 'jwt:|user-1');
+
+  const [header, payload] = sign(validClaims(), { alg: 'RS256' }).split('.');
+  const forged = `${header}.${payload}.${Buffer.from('assinatura').toString('base64url')}`;
+  assertUnauthorized(bearer(forged), /Assinatura JWT inválida/);
+});
+
+test('alg none e algoritmos desconhecidos são recusados', () => {
+  const unsigned = `${encode({ alg: 'none' })}.${encode(validClaims())}.`;
+  assertUnauthorized(bearer(unsigned), /Algoritmo JWT não suportado: none/);
+});
+
+test('exp é obrigatório e verificado com tolerância de 60 segundos', () => {
+  assertUnauthorized(bearer(sign(validClaims({ exp: undefined }))), /expirado ou sem exp/);
+  assertUnauthorized(bearer(sign(validClaims({ exp: now() - 120 }))), /expirado ou sem exp/);
+  assert.equal(authenticate(bearer(sign(validClaims({ exp: now() - 30 })))).principal, 'jwt:|user-1');
+});
+
+test('nbf no futuro é recusado além da tolerância', () => {
+  assertUnauthorized(bearer(sign(validClaims({ nbf: now() + 120 }))), /ainda não é válido/);
+  assert.equal(authenticate(bearer(sign(validClaims({ nbf: now() + 30 })))).principal, 'jwt:|user-1');
+});
+
+test('iss e aud são verificados quando configurados', (t) => {
+  process.env.JWT_ISSUER = 'https://auth.exemplo';
+  process.env.JWT_AUDIENCE = 'data-api';
+  t.after(() => {
+    delete process.env.JWT_ISSUER;
+    delete process.env.JWT_AUDIENCE;
+  });
+
+  const claims = validClaims({ iss: 'https://auth.exemplo', aud: ['outra-api', 'data-api'] });
+  assert.equal(authenticate(bearer(sign(claims))).principal, 'jwt:https://auth.exemplo|user-1');
+  assertUnauthorized(bearer(sign({ ...claims, iss: 'https://outro' })), /Emissor JWT não aceito/);
+  assertUnauthorized(bearer(sign({ ...claims, aud: 'outra-api' })), /Audiência JWT não aceita/);
+});
+
+test('tokens malformados, sem sub ou fora do esquema Bearer são recusados', () => {
+  assertUnauthorized(bearer('abc.def'), /malformado/);
+  assertUnauthorized(bearer('!!!.???.sig'), /malformado/);
+  assertUnauthorized(bearer(sign(validClaims({ sub: undefined }))), /sem sub/);
+  assertUnauthorized({ Authorization: 'Basic dXNlcjpzZW5oYQ==' }, /esquema Bearer/);
+});
+
+test('principal de JWT não coincide com o de uma API key de mesmo id', () => {
+  const fromKey = authenticate({ 'x-api-key': 'chave-escritor' }).principal;
+  const fromToken = authenticate(bearer(sign(validClaims({ sub: 'escritor' })))).principal;
+
+  assert.equal(fromKey, 'key:escritor');
+  assert.equal(fromToken, 'jwt:|escritor');
+  assert.equal(authenticate(bearer(sign(validClaims({ sub: 'escritor', iss: 'https://a' })))).principal, 'jwt:https://a|escritor');
+});
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDynamoDB } = require('./helpers/fakeDynamoDB');
+const { apiEvent, lambdaContext } = require('./helpers/apiEvent');
+
+process.env.LOG_LEVEL = 'error';
+process.env.METRICS_ENABLED = 'false';
+process.env.RATE_LIMIT_ENABLED = 'false';
+
+const fake = installFakeDynamoDB();
+const { handler } = require('../../src/handlers/batchCreateRecords');
+
+/**
+ * Enviar lote para POST /records/batch
+ * @param {*} body - Corpo (array ou texto NDJSON)
+ * @param {Object} options - mode e headers
+ * @returns {Promise<Object>} { statusCode, body }
+ */
+async function postBatch(body, options = {}) {
+  const result = await handler(apiEvent({
+    method: 'POST',
+    resource: '/records/batch',
+    query: options.mode ? { mode: options.mode } : null,
+    headers: options.headers || { 'Content-Type': 'application/json' },
+    body
+  }), lambdaContext);
+  return { statusCode: result.statusCode, body: JSON.parse(result.body) };
+}
+
+const product = (id, fields = {}) => ({ id, nome: `Produto ${id}`, preco: 10, ...fields });
+const current = id => fake.get('ProcessedData', { id, timestamp: 0 });
+const statuses = body => body.results.map(result => result.status);
+
+test.beforeEach(() => fake.reset());
+
+test('modo parcial grava os itens válidos e reporta os demais', async () => {
+  fake.seed('ProcessedData', [{ id: 'existente', timestamp: 0, version: 3, nome: 'Original', preco: 1 }]);
+
+  const { statusCode, body } = await postBatch([
+    product('a'),
+    product('b', { preco: -1 }),
+    product('existente'),
+    product('a')
+  ]);
+
+  assert.equal(statusCode, 207);
+  assert.deepEqual(statuses(body), ['created', 'invalid', 'conflict', 'invalid']);
+  assert.equal(body.results[2].error, 'Registro "existente" já existe');
+  assert.equal(body.results[3].error, 'Id duplicado na requisição');
+  assert.deepEqual({ created: body.created, rejected: body.rejected }, { created: 1, rejected: 3 });
+
+  assert.equal(current('a').source, 'API');
+  assert.equal(current('a').created_by, 'key:test-client');
+  assert.equal(current('a').request_id, 'lambda-request-id');
+  assert.equal(current('b'), undefined);
+  // O registro existente não é sobrescrito
+  assert.deepEqual([current('existente').version, current('existente').nome], [3, 'Original']);
+});
+
+test('modo parcial responde 409 quando todos os ids já existem, inclusive removidos', async () => {
+  fake.seed('ProcessedData', [
+    { id: 'a', timestamp: 0, nome: 'A', preco: 1 },
+    { id: 'b', timestamp: 0, nome: 'B', preco: 1, deleted_at: '2024-01-01T00:00:00.000Z' }
+  ]);
+
+  const { statusCode, body } = await postBatch([product('a'), product('b')]);
+
+  assert.equal(statusCode, 409);
+  assert.deepEqual(statuses(body), ['conflict', 'conflict']);
+  assert.equal(current('b').deleted_at, '2024-01-01T00:00:00.000Z');
+});
+
+test('itens que não são objetos são recusados', async () => {
+  const { statusCode, body } = await postBatch([null, 42, 'abc', [product('x')], product('ok')]);
+
+  assert.equal(statusCode, 207);
+  assert.deepEqual(body.results.slice(0, 4), [0, 1, 2, 3].map(index => ({
+    index,
+    id: null,
+    status: 'invalid',
+    error: 'Registro deve ser um objeto'
+  })));
+  assert.equal(body.results[4].status, 'created');
+  assert.equal(fake.items('ProcessedData').length, 1);
+});
+
+test('NDJSON reporta linhas inválidas sem impedir as demais', async () => {
+  const ndjson = [JSON.stringify(product('a')), '{quebrado', '', 'null', JSON.stringify(product('b'))].join('\n');
+
+  const { statusCode, body } = await postBatch(ndjson, { headers: { 'Content-Type': 'application/x-ndjson' } });
+
+  assert.equal(statusCode, 207);
+  assert.deepEqual(statuses(body), ['created', 'invalid', 'invalid', 'created']);
+  assert.equal(body.results[1].error, 'Linha 2: JSON inválido');
+  assert.equal(body.results[2].error, 'Registro deve ser um objeto');
+});
+
+test('modo atômico grava todos os itens em uma transação', async () => {
+  const { statusCode, body } = await postBatch([product('a'), product('b')], { mode: 'atomic' });
+
+  assert.equal(statusCode, 200);
+  assert.deepEqual(statuses(body), ['created', 'created']);
+  assert.equal(fake.count('transactWrite'), 1);
+  assert.equal(fake.count('put') + fake.count('batchWrite'), 0);
+});
+
+test('modo atômico não grava nada se houver item inválido', async () => {
+  const { statusCode, body } = await postBatch([product('a'), product('b', { nome: '' })], { mode: 'atomic' });
+
+  assert.equal(statusCode, 400);
+  assert.deepEqual(statuses(body), ['skipped', 'invalid']);
+  assert.equal(fake.items('ProcessedData').length, 0);
+  assert.equal(fake.count('transactWrite'), 0);
+});
+
+test('modo atômico cancela tudo se um id já existe', async () => {
+  fake.seed('ProcessedData', [{ id: 'b', timestamp: 0, nome: 'B', preco: 1 }]);
+
+  const { statusCode, body } = await postBatch([product('a'), product('b')], { mode: 'atomic' });
+
+  assert.equal(statusCode, 409);
+  assert.deepEqual(statuses(body), ['skipped', 'conflict']);
+  assert.equal(current('a'), undefined);
+  assert.equal(current('b').nome, 'B');
+});
+
+test('modo atômico aceita no máximo 100 itens', async () => {
+  const items = Array.from({ length: 101 }, (_, i) => product(`p${i}`));
+
+  const { statusCode } = await postBatch(items, { mode: 'atomic' });
+
+  assert.equal(statusCode, 400);
+  assert.equal(fake.calls.length, 0);
+});
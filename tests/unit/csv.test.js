@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCsvParser, parseCsv, detectDelimiter, toRecord, formatCsvRow } = require('../../src/utils/csv');
+
+/**
+ * Ler conteúdo em partes de `chunkSize` caracteres
+ * @param {string|Buffer} content - Conteúdo (a partir da posição de retomada)
+ * @param {Object} options - Opções do parser
+ * @param {number} chunkSize - Tamanho de cada parte
+ * @returns {Array<Object>} Linhas emitidas
+ */
+function parseInChunks(content, options, chunkSize) {
+  const parser = createCsvParser(options);
+  const text = String(content);
+  const rows = [];
+  for (let i = 0; i < text.length; i += chunkSize) {
+    rows.push(...parser.write(text.slice(i, i + chunkSize)));
+  }
+  return [...rows, ...parser.end()];
+}
+
+test('campos entre aspas, aspas escapadas e quebras de linha', () => {
+  const rows = parseCsv('id,nome\n1,"Mouse, sem fio"\n2,"Monitor ""4K"""\n3,"linha\nnova"\n');
+
+  assert.deepEqual(rows.map(row => row.fields), [
+    ['id', 'nome'],
+    ['1', 'Mouse, sem fio'],
+    ['2', 'Monitor "4K"'],
+    ['3', 'linha\nnova']
+  ]);
+  assert.deepEqual(rows.map(row => row.line), [1, 2, 3, 4]);
+  assert.ok(rows.every(row => row.error === null));
+});
+
+test('CRLF, BOM, linhas vazias e última linha sem quebra', () => {
+  const rows = parseCsv('﻿id;nome\r\n\r\n1;Teclado\r\n2;Mouse', { delimiter: ';' });
+
+  assert.deepEqual(rows.map(row => row.fields), [['id', 'nome'], ['1', 'Teclado'], ['2', 'Mouse']]);
+  assert.deepEqual(rows.map(row => row.line), [1, 3, 4]);
+});
+
+test('erros de sintaxe marcam só a linha afetada', () => {
+  const rows = parseCsv('a,b\n1,x"y\n2,"ok"z\n3,"aberto\n');
+
+  assert.equal(rows[0].error, null);
+  assert.deepEqual(rows[1].error, { line: 2, column: 2, position: 4, message: 'Aspas em campo não delimitado por aspas' });
+  assert.equal(rows[2].error.message, 'Caractere inesperado após aspas de fechamento');
+  assert.deepEqual(rows[3].error, { line: 4, column: 2, position: 3, message: 'Campo entre aspas não foi fechado' });
+});
+
+test('column é o número do campo, como nos erros de quantidade de campos', () => {
+  const [, quoted, multiline] = parseCsv('a,b,c\n1,2,x"y\n"várias\nlinhas",2,"aberto');
+
+  assert.deepEqual([quoted.error.column, quoted.error.position], [3, 6]);
+  assert.deepEqual([multiline.error.line, multiline.error.column, multiline.error.position], [4, 3, 11]);
+});
+
+test('resumeAt aponta o byte seguinte ao fim de cada linha, inclusive com multibyte', () => {
+  const content = '﻿id,nome\n1,Café\r\n2,"Ação\r\nlonga"\r\n3,😀\n';
+  const bytes = Buffer.from(content, 'utf-8');
+  const rows = parseCsv(content);
+
+  assert.equal(rows[rows.length - 1].resumeAt.offset, bytes.length);
+  rows.forEach(({ resumeAt }) => {
+    // Em CRLF a linha termina no CR, e afterCR descarta o LF na retomada
+    assert.equal(bytes[resumeAt.offset - 1], resumeAt.afterCR ? 0x0d : 0x0a);
+  });
+  assert.deepEqual(rows.map(row => row.resumeAt.afterCR), [false, true, true, false]);
+});
+
+test('retomar de qualquer linha produz as mesmas linhas restantes', () => {
+  const content = 'id,nome,preco\r\n1,Café,10\r\n2,"Ação\r\nlonga",20\r\n3,😀,30\r\n4,"a,b",40';
+  const bytes = Buffer.from(content, 'utf-8');
+  const all = parseCsv(content);
+
+  all.forEach((row, index) => {
+    const { resumeAt } = row;
+    const rest = parseInChunks(bytes.subarray(resumeAt.offset).toString('utf-8'), { resumeAt }, 3);
+
+    assert.deepEqual(
+      rest.map(({ line, fields }) => ({ line, fields })),
+      all.slice(index + 1).map(({ line, fields }) => ({ line, fields }))
+    );
+    assert.deepEqual(rest.map(r => r.resumeAt), all.slice(index + 1).map(r => r.resumeAt));
+  });
+});
+
+test('CR e LF em partes diferentes não geram linha vazia nem deslocam o offset', () => {
+  const content = 'a,b\r\n1,2\r\n3,4\r\n';
+  const whole = parseCsv(content);
+
+  for (let size = 1; size <= content.length; size++) {
+    const rows = parseInChunks(content, {}, size);
+    assert.deepEqual(rows, whole, `partes de ${size} caracteres`);
+  }
+});
+
+test('retomada logo após um CR não conta o LF seguinte como linha', () => {
+  const content = 'a\r\nb\r\n';
+  // Posição após o CR da primeira linha, como emitida em uma parte terminada em "\r"
+  const parser = createCsvParser();
+  const [first] = parser.write('a\r');
+  assert.equal(first.resumeAt.afterCR, true);
+
+  const rest = createCsvParser({ resumeAt: first.resumeAt });
+  const rows = [...rest.write(Buffer.from(content).subarray(first.resumeAt.offset).toString()), ...rest.end()];
+  assert.deepEqual(rows.map(row => [row.line, row.fields]), [[2, ['b']]]);
+});
+
+test('delimitador inválido é recusado', () => {
+  assert.throws(() => createCsvParser({ delimiter: '"' }), /Delimitador CSV inválido/);
+  assert.throws(() => createCsvParser({ delimiter: ';;' }), /Delimitador CSV inválido/);
+});
+
+test('detectDelimiter ignora delimitadores entre aspas', () => {
+  assert.equal(detectDelimiter('id;nome;preco\n1;a;2'), ';');
+  assert.equal(detectDelimiter('"a;b;c",x,y\n'), ',');
+  assert.equal(detectDelimiter('a\tb\tc'), '\t');
+  assert.equal(detectDelimiter('sem delimitador'), ',');
+});
+
+test('toRecord confere a quantidade de campos', () => {
+  assert.deepEqual(toRecord(['id', 'nome'], { line: 2, fields: ['1', 'a'], error: null }), {
+    record: { id: '1', nome: 'a' },
+    error: null
+  });
+  assert.deepEqual(toRecord(['id', 'nome'], { line: 3, fields: ['1'], error: null }).error, {
+    line: 3,
+    column: 2,
+    message: 'Esperados 2 campos, encontrados 1'
+  });
+});
+
+test('formatCsvRow gera linhas que o parser lê de volta', () => {
+  const fields = ['1', 'Mouse, "sem fio"', 'linha\nnova', null];
+  const [row] = parseCsv(formatCsvRow(fields));
+  assert.deepEqual(row.fields, ['1', 'Mouse, "sem fio"', 'linha\nnova', '']);
+});
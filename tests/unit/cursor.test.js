@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeCursor, decodeCursor, isValidCursorKey } = require('../../src/utils/cursor');
+
+const raw = value => Buffer.from(value).toString('base64url');
+
+test('cursor codificado é decodificado sem alteração', () => {
+  const payload = { index: 'categoria-index', key: { id: 'a', timestamp: 0, categoria: 'Monitores', preco: 10 } };
+  const cursor = encodeCursor(payload);
+
+  assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+  assert.deepEqual(decodeCursor(cursor), payload);
+});
+
+test('cursores sem chave de continuação válida são recusados', () => {
+  const invalid = [
+    'não é base64',
+    raw('{json inválido'),
+    raw('null'),
+    raw('"texto"'),
+    encodeCursor({ index: null }),
+    encodeCursor({ index: null, key: null }),
+    encodeCursor({ index: null, key: 'a' }),
+    encodeCursor({ index: null, key: ['a', 0] })
+  ];
+
+  invalid.forEach((cursor) => {
+    assert.throws(() => decodeCursor(cursor), (error) => {
+      assert.equal(error.code, 'InvalidCursor');
+      assert.equal(error.message, 'Cursor de paginação inválido');
+      return true;
+    }, cursor);
+  });
+});
+
+test('chave de continuação precisa ter exatamente os atributos e tipos esperados', () => {
+  const attributes = { id: 'string', timestamp: 'number' };
+
+  assert.equal(isValidCursorKey({ id: 'a', timestamp: 0 }, attributes), true);
+  assert.equal(isValidCursorKey({ id: 'a' }, attributes), false);
+  assert.equal(isValidCursorKey({ id: 'a', timestamp: '0' }, attributes), false);
+  assert.equal(isValidCursorKey({ id: 'a', timestamp: 0, preco: 1 }, attributes), false);
+  assert.equal(isValidCursorKey({ id: 'a', toString: 0 }, attributes), false);
+});
@@ -0,0 +1,160 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AWS = require('aws-sdk');
+const { installFakeDynamoDB } = require('./helpers/fakeDynamoDB');
+const { installFakeS3 } = require('./helpers/fakeS3');
+
+process.env.LOG_LEVEL = 'error';
+process.env.METRICS_ENABLED = 'false';
+process.env.CHECKPOINT_INTERVAL = '2';
+process.env.WRITE_BUFFER_SIZE = '2';
+process.env.TOPIC_ARN = 'arn:aws:sns:us-east-1:000000000000:DataProcessingTopic';
+delete process.env.DLQ_URL;
+delete process.env.CSV_DELIMITER;
+
+const dynamo = installFakeDynamoDB();
+const s3 = installFakeS3({ chunkSize: 7 });
+const { handler } = require('../../src/handlers/dataProcessor');
+
+// Stubs do Lambda (continuações) e do SNS (notificações)
+const invocations = [];
+const published = [];
+
+Object.getPrototypeOf(new AWS.Lambda({ region: 'us-east-1' })).invoke = params => ({
+  promise: async () => {
+    invocations.push(JSON.parse(params.Payload));
+    return { StatusCode: 202 };
+  }
+});
+
+Object.getPrototypeOf(new AWS.SNS({ region: 'us-east-1' })).publish = params => ({
+  promise: async () => {
+    published.push(JSON.parse(params.Message));
+    return { MessageId: `msg-${published.length}` };
+  }
+});
+
+const BUCKET = 'data-bucket';
+
+// Linhas 3 (sem preço) e 6 (sem nome) são rejeitadas pelo schema
+const FILE = [
+  'id;nome;preco',
+  'p1;Café;10',
+  'p2;Chá;',
+  'p3;Açaí;12.5',
+  'p4;Pão;3',
+  'p5;;4',
+  'p6;Suco;7',
+  ''
+].join('\n');
+
+/**
+ * Montar evento de criação de objeto no S3
+ * @param {string} key - Chave do objeto
+ * @returns {Object} Evento S3
+ */
+function s3Event(key) {
+  return { Records: [{ s3: { bucket: { name: BUCKET }, object: { key } } }] };
+}
+
+/**
+ * Montar contexto Lambda cujo tempo restante se esgota após `rows` linhas
+ * @param {number} rows - Linhas lidas antes do fim do tempo (padrão: sem limite)
+ * @returns {Object} Contexto
+ */
+function lambdaContext(rows = Infinity) {
+  let calls = 0;
+  return {
+    awsRequestId: `request-${rows}`,
+    functionName: 'dataProcessor',
+    // A primeira chamada define o lease do ledger; as demais vêm de cada linha
+    getRemainingTimeInMillis: () => (++calls <= rows ? 60000 : 1000)
+  };
+}
+
+const currentRecords = () => dynamo.items('ProcessedData').filter(item => item.timestamp === 0);
+const stateItems = prefix => dynamo.items('ProcessingState').filter(item => item.sk.startsWith(prefix));
+
+test.beforeEach(() => {
+  dynamo.reset();
+  s3.reset();
+  invocations.length = 0;
+  published.length = 0;
+});
+
+test('interrupção salva checkpoint e a continuação retoma do byte seguinte', async () => {
+  s3.put(BUCKET, 'input/produtos.csv', FILE, 'text/csv');
+
+  // 1ª invocação: tempo esgota após 3 linhas de dados
+  const first = await handler(s3Event('input/produtos.csv'), lambdaContext(3));
+
+  assert.equal(first.statusCode, 202);
+  assert.deepEqual(currentRecords().map(item => item.id).sort(), ['p1', 'p3']);
+
+  const [checkpoint] = stateItems('checkpoint#');
+  const resumeOffset = Buffer.byteLength(FILE.split('\n').slice(0, 4).join('\n') + '\n');
+  assert.equal(checkpoint.resume_at.offset, resumeOffset);
+  assert.equal(checkpoint.records_processed, 2);
+  assert.equal(checkpoint.records_failed, 1);
+  assert.equal(checkpoint.reader_state.delimiter, ';');
+
+  const [continuation] = invocations;
+  assert.equal(continuation.continuation.current_key, 'processing/produtos.csv');
+  assert.equal(dynamo.get('IngestionJobs', { job_id: continuation.continuation.run_id }).state, 'RUNNING');
+
+  // 2ª invocação: continua do checkpoint, lendo só o restante do arquivo
+  s3.calls.length = 0;
+  const second = await handler(continuation, lambdaContext());
+  const body = JSON.parse(second.body);
+
+  assert.equal(second.statusCode, 200);
+  assert.deepEqual(
+    { processed: body.records_processed, failed: body.records_failed, total: body.total_records },
+    { processed: 4, failed: 2, total: 6 }
+  );
+  assert.equal(s3.calls.find(call => call.operation === 'getObject').params.Range, `bytes=${resumeOffset}-`);
+
+  // Cada linha gravada uma única vez, na versão 1
+  assert.deepEqual(currentRecords().map(item => [item.id, item.version]).sort(), [
+    ['p1', 1], ['p3', 1], ['p4', 1], ['p6', 1]
+  ]);
+  assert.equal(dynamo.items('ProcessedData').length, 4);
+
+  // Relatório une as partes das duas invocações, no delimitador do arquivo
+  const report = s3.body(BUCKET, 'errors/input/produtos.csv.csv').split('\r\n');
+  assert.equal(report[0], 'line;error;id;nome;preco');
+  assert.deepEqual(report.slice(1, -1).map(row => row.split(';')[0]), ['3', '6']);
+  assert.ok(report[1].endsWith(';p2;Chá;'));
+  assert.ok(report[2].endsWith(';p5;;4'));
+  assert.equal(s3.keys(BUCKET).filter(key => key.includes('.parts/')).length, 0);
+
+  // Arquivo arquivado, checkpoint removido, job e ledger concluídos
+  assert.ok(s3.keys(BUCKET).includes('processed/produtos.csv'));
+  assert.ok(s3.keys(BUCKET).includes('processed/produtos.csv.manifest.json'));
+  assert.equal(stateItems('checkpoint#').length, 0);
+  assert.equal(stateItems('ledger#')[0].status, 'COMPLETED');
+
+  const job = dynamo.get('IngestionJobs', { job_id: continuation.continuation.run_id });
+  assert.equal(job.state, 'COMPLETED');
+  assert.equal(job.continuations, 1);
+  assert.equal(job.records_processed, 4);
+
+  // Notificação publicada e removida da outbox gravada com o job
+  assert.deepEqual(published.map(message => message.event_type), ['DATA_PROCESSING_COMPLETED']);
+  assert.equal(published[0].data.records_processed, 4);
+  assert.equal(dynamo.items('ProcessingState').filter(item => item.pk === 'outbox').length, 0);
+});
+
+test('evento repetido do mesmo objeto é ignorado pelo ledger', async () => {
+  s3.put(BUCKET, 'input/produtos.csv', FILE, 'text/csv');
+  await handler(s3Event('input/produtos.csv'), lambdaContext());
+
+  // Mesmo conteúdo enviado de novo: apenas arquivado
+  s3.put(BUCKET, 'input/produtos.csv', FILE, 'text/csv');
+  dynamo.calls.length = 0;
+  const repeated = await handler(s3Event('input/produtos.csv'), lambdaContext());
+
+  assert.equal(JSON.parse(repeated.body).skipped, true);
+  assert.equal(dynamo.count('batchWrite') + dynamo.count('batchGet'), 0);
+  assert.ok(!s3.keys(BUCKET).includes('input/produtos.csv'));
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeS3 } = require('./helpers/fakeS3');
+
+process.env.LOG_LEVEL = 'error';
+
+const fake = installFakeS3();
+const { saveReportPart, writeErrorReport } = require('../../src/utils/errorReport');
+
+const BUCKET = 'data-bucket';
+
+/**
+ * Montar relatório vazio
+ * @param {Object} fields - Campos do relatório
+ * @returns {Object} Relatório ({ format, columns, delimiter, rows, parts })
+ */
+function emptyReport(fields = {}) {
+  return { format: 'csv', columns: ['id', 'nome'], delimiter: undefined, rows: [], parts: [], ...fields };
+}
+
+test.beforeEach(() => fake.reset());
+
+test('relatório CSV une as partes em stream, no delimitador do arquivo', async () => {
+  const report = emptyReport({ delimiter: ';' });
+
+  report.rows.push({ line: 2, error: 'preco: obrigatório', raw: ['1', 'Café; torrado'] });
+  await saveReportPart(BUCKET, 'input/produtos.csv', report);
+  report.rows.push({ line: 5, error: 'id: obrigatório', raw: ['', 'Chá'] });
+  await saveReportPart(BUCKET, 'input/produtos.csv', report);
+  report.rows.push({ line: 9, error: 'JSON inválido', raw: ['3'] });
+
+  const result = await writeErrorReport(BUCKET, 'input/produtos.csv', report, 3);
+
+  assert.equal(result.key, 'errors/input/produtos.csv.csv');
+  assert.equal(result.rows, 3);
+  assert.equal(fake.body(BUCKET, result.key), [
+    'line;error;id;nome',
+    '2;preco: obrigatório;1;"Café; torrado"',
+    '5;id: obrigatório;;Chá',
+    '9;JSON inválido;3',
+    ''
+  ].join('\r\n'));
+
+  // Partes lidas em stream e enviadas com upload gerenciado, depois removidas
+  assert.equal(fake.calls.filter(call => call.operation === 'upload').length, 1);
+  assert.equal(fake.calls.filter(call => call.operation === 'getObject').length, 2);
+  assert.deepEqual(fake.keys(BUCKET), [result.key]);
+});
+
+test('relatório NDJSON mantém as partes na ordem', async () => {
+  const report = emptyReport({ format: 'ndjson', columns: null });
+
+  report.rows.push({ line: 1, error: 'a', raw: '{"id":' });
+  await saveReportPart(BUCKET, 'input/p.ndjson', report);
+  report.rows.push({ line: 7, error: 'b', raw: '[]' });
+
+  const result = await writeErrorReport(BUCKET, 'input/p.ndjson', report, 2);
+
+  assert.deepEqual(
+    fake.body(BUCKET, result.key).trim().split('\n').map(line => JSON.parse(line).line),
+    [1, 7]
+  );
+});
+
+test('sem linhas rejeitadas o relatório anterior é removido', async () => {
+  fake.put(BUCKET, 'errors/input/produtos.csv.csv', 'antigo');
+
+  const result = await writeErrorReport(BUCKET, 'input/produtos.csv', emptyReport(), 0);
+
+  assert.equal(result, null);
+  assert.deepEqual(fake.keys(BUCKET), []);
+});
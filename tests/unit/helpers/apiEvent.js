@@ -0,0 +1,52 @@
+/**
+ * Eventos API Gateway para os testes dos handlers
+ *
+ * O contexto do authorizer segue o formato gravado por
+ * src/handlers/authorizer.js (principal, auth_type e scopes).
+ */
+
+/**
+ * Montar evento API Gateway autenticado
+ * @param {Object} options - Partes da requisição
+ * @param {string} options.method - Método HTTP (padrão: GET)
+ * @param {string} options.resource - Rota (ex: /records/{id})
+ * @param {Object} options.pathParameters - Parâmetros de caminho
+ * @param {Object} options.query - Query string
+ * @param {Object} options.headers - Headers
+ * @param {*} options.body - Corpo (objetos são serializados em JSON)
+ * @param {string} options.principal - Cliente autenticado (null para sem autenticação)
+ * @param {string} options.scopes - Escopos separados por espaço
+ * @returns {Object} Evento
+ */
+function apiEvent(options = {}) {
+  const {
+    method = 'GET',
+    resource = '/records',
+    pathParameters = null,
+    query = null,
+    headers = {},
+    body = null,
+    principal = 'key:test-client',
+    scopes = 'records:read records:write'
+  } = options;
+
+  return {
+    httpMethod: method,
+    resource,
+    path: resource,
+    pathParameters,
+    queryStringParameters: query,
+    headers,
+    body: body === null || typeof body === 'string' ? body : JSON.stringify(body),
+    requestContext: {
+      requestId: 'api-request-id',
+      identity: { sourceIp: '10.0.0.1' },
+      authorizer: principal ? { principal, auth_type: 'api_key', scopes } : undefined
+    }
+  };
+}
+
+// Contexto Lambda mínimo
+const lambdaContext = { awsRequestId: 'lambda-request-id' };
+
+module.exports = { apiEvent, lambdaContext };
@@ -0,0 +1,525 @@
+const AWS = require('aws-sdk');
+
+/**
+ * DynamoDB em memória para os testes unitários
+ *
+ * Substitui os métodos de AWS.DynamoDB.DocumentClient.prototype, então
+ * vale também para os clientes criados pelos módulos em src/utils.
+ * Avalia as expressões usadas no projeto (condições, KeyCondition,
+ * Filter e Update com SET/REMOVE/ADD), índices secundários e a
+ * semântica de Limit/ExclusiveStartKey de Query e Scan.
+ *
+ * Cada chamada fica em `calls` ({ operation, params }); `failWith`
+ * faz a próxima chamada de uma operação lançar o erro informado.
+ */
+
+const TABLES = {
+  ProcessedData: {
+    key: ['id', 'timestamp'],
+    indexes: {
+      'categoria-index': ['categoria', 'preco'],
+      'source_file-index': ['source_file', 'id'],
+      'source-index': ['source', 'id']
+    }
+  },
+  ProcessingState: { key: ['pk', 'sk'], indexes: {} },
+  IngestionJobs: {
+    key: ['job_id'],
+    indexes: {
+      'job_type-index': ['job_type', 'started_at'],
+      'state-index': ['state', 'started_at']
+    }
+  }
+};
+
+const KEYWORDS = ['AND', 'OR', 'NOT', 'BETWEEN', 'IN', 'SET', 'REMOVE', 'ADD', 'DELETE'];
+
+/**
+ * Criar erro no formato do SDK
+ * @param {string} code - Código do erro
+ * @param {string} message - Mensagem
+ * @returns {Error} Erro
+ */
+function awsError(code, message) {
+  return Object.assign(new Error(message), { code, retryable: false });
+}
+
+/**
+ * Separar expressão em tokens
+ * @param {string} expression - Expressão DynamoDB
+ * @returns {Array<string>} Tokens
+ */
+function tokenize(expression) {
+  const pattern = /\s*(#\w+|:\w+|<>|<=|>=|[=<>(),+-]|[A-Za-z_][\w.]*)/y;
+  const tokens = [];
+  let match;
+
+  while (pattern.lastIndex < expression.trimEnd().length && (match = pattern.exec(expression))) {
+    tokens.push(match[1]);
+  }
+  if (pattern.lastIndex < expression.trimEnd().length) {
+    throw awsError('ValidationException', `Expressão não suportada: ${expression}`);
+  }
+  return tokens;
+}
+
+/**
+ * Leitor de tokens com acesso aos nomes e valores da requisição
+ */
+class Parser {
+  constructor(expression, params) {
+    this.tokens = tokenize(expression);
+    this.position = 0;
+    this.names = params.ExpressionAttributeNames || {};
+    this.values = params.ExpressionAttributeValues || {};
+  }
+
+  peek() {
+    return this.tokens[this.position];
+  }
+
+  next() {
+    return this.tokens[this.position++];
+  }
+
+  accept(token) {
+    if (this.peek() && this.peek().toUpperCase() === token) {
+      this.position++;
+      return true;
+    }
+    return false;
+  }
+
+  expect(token) {
+    if (!this.accept(token)) {
+      throw awsError('ValidationException', `Esperado "${token}", encontrado "${this.peek()}"`);
+    }
+  }
+
+  path() {
+    const token = this.next();
+    const name = token.startsWith('#') ? this.names[token] : token;
+    if (name === undefined) throw awsError('ValidationException', `Nome não definido: ${token}`);
+    return name;
+  }
+
+  // Operando: valor, atributo ou função; devolve função (item) => valor
+  operand() {
+    const token = this.peek();
+
+    if (token.startsWith(':')) {
+      this.next();
+      if (!(token in this.values)) throw awsError('ValidationException', `Valor não definido: ${token}`);
+      const value = this.values[token];
+      return () => value;
+    }
+
+    if (this.tokens[this.position + 1] === '(') {
+      const name = this.next();
+      this.expect('(');
+      const args = [this.operandOrPath()];
+      while (this.accept(',')) args.push(this.operandOrPath());
+      this.expect(')');
+      return this.func(name, args);
+    }
+
+    const path = this.path();
+    return item => (item ? item[path] : undefined);
+  }
+
+  operandOrPath() {
+    const start = this.position;
+    const operand = this.operand();
+    const token = this.tokens[start];
+    operand.path = token.startsWith(':') ? undefined : (token.startsWith('#') ? this.names[token] : token);
+    return operand;
+  }
+
+  func(name, args) {
+    switch (name) {
+      case 'attribute_exists': return item => Boolean(item) && item[args[0].path] !== undefined;
+      case 'attribute_not_exists': return item => !item || item[args[0].path] === undefined;
+      case 'begins_with': return item => String(args[0](item) ?? '').startsWith(args[1](item));
+      case 'size': return item => (args[0](item) || '').length;
+      case 'if_not_exists': return item => (args[0](item) !== undefined ? args[0](item) : args[1](item));
+      case 'list_append': return item => [...(args[0](item) || []), ...(args[1](item) || [])];
+      default: throw awsError('ValidationException', `Função não suportada: ${name}`);
+    }
+  }
+}
+
+/**
+ * Comparar dois valores do DynamoDB
+ * @returns {number|null} -1, 0, 1 ou null se não comparáveis
+ */
+function compare(a, b) {
+  if (a === undefined || b === undefined) return null;
+  if (typeof a === 'object' || typeof b === 'object') {
+    return JSON.stringify(a) === JSON.stringify(b) ? 0 : null;
+  }
+  if (typeof a !== typeof b) return null;
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+}
+
+/**
+ * Compilar condição (ConditionExpression, KeyCondition ou Filter)
+ * @param {string} expression - Expressão
+ * @param {Object} params - Parâmetros da requisição (nomes e valores)
+ * @returns {Function} (item) => boolean
+ */
+function compileCondition(expression, params) {
+  const parser = new Parser(expression, params);
+
+  const primary = () => {
+    if (parser.accept('(')) {
+      const inner = or();
+      parser.expect(')');
+      return inner;
+    }
+
+    const left = parser.operand();
+    const operator = parser.peek() && parser.peek().toUpperCase();
+
+    if (operator === 'BETWEEN') {
+      parser.next();
+      const low = parser.operand();
+      parser.expect('AND');
+      const high = parser.operand();
+      return item => compare(left(item), low(item)) >= 0 && compare(left(item), high(item)) <= 0
+        && compare(left(item), low(item)) !== null && compare(left(item), high(item)) !== null;
+    }
+
+    if (operator === 'IN') {
+      parser.next();
+      parser.expect('(');
+      const options = [parser.operand()];
+      while (parser.accept(',')) options.push(parser.operand());
+      parser.expect(')');
+      return item => options.some(option => compare(left(item), option(item)) === 0);
+    }
+
+    if (['=', '<>', '<', '<=', '>', '>='].includes(operator)) {
+      parser.next();
+      const right = parser.operand();
+      return (item) => {
+        const result = compare(left(item), right(item));
+        if (operator === '<>') return result !== 0;
+        if (result === null) return false;
+        return { '=': result === 0, '<': result < 0, '<=': result <= 0, '>': result > 0, '>=': result >= 0 }[operator];
+      };
+    }
+
+    // Função booleana (attribute_exists, begins_with…)
+    return left;
+  };
+
+  const not = () => {
+    if (parser.accept('NOT')) {
+      const inner = not();
+      return item => !inner(item);
+    }
+    return primary();
+  };
+
+  const and = () => {
+    let condition = not();
+    while (parser.accept('AND')) {
+      const left = condition;
+      const right = not();
+      condition = item => left(item) && right(item);
+    }
+    return condition;
+  };
+
+  const or = () => {
+    let condition = and();
+    while (parser.accept('OR')) {
+      const left = condition;
+      const right = and();
+      condition = item => left(item) || right(item);
+    }
+    return condition;
+  };
+
+  const condition = or();
+  if (parser.peek() !== undefined) {
+    throw awsError('ValidationException', `Expressão não suportada: ${expression}`);
+  }
+  return condition;
+}
+
+/**
+ * Aplicar UpdateExpression a um item
+ * @param {Object} item - Item atual (ou só a chave, se não existir)
+ * @param {Object} params - Parâmetros do update
+ * @returns {Object} Item atualizado
+ */
+function applyUpdate(item, params) {
+  const parser = new Parser(params.UpdateExpression, params);
+  const original = structuredClone(item);
+  const updated = structuredClone(item);
+
+  while (parser.peek() !== undefined) {
+    const clause = parser.next().toUpperCase();
+
+    do {
+      const path = parser.path();
+
+      if (clause === 'SET') {
+        parser.expect('=');
+        let value = parser.operand();
+        if (parser.peek() === '+' || parser.peek() === '-') {
+          const sign = parser.next() === '+' ? 1 : -1;
+          const left = value;
+          const right = parser.operand();
+          value = current => left(current) + sign * right(current);
+        }
+        updated[path] = structuredClone(value(original));
+      } else if (clause === 'REMOVE') {
+        delete updated[path];
+      } else if (clause === 'ADD') {
+        const value = parser.operand()(original);
+        updated[path] = (updated[path] || 0) + value;
+      } else {
+        throw awsError('ValidationException', `Cláusula não suportada: ${clause}`);
+      }
+    } while (parser.accept(',') && !KEYWORDS.includes((parser.peek() || '').toUpperCase()));
+  }
+
+  return updated;
+}
+
+/**
+ * Instalar o DynamoDB em memória
+ * @returns {Object} Controle do fake: tables, calls, failWith, reset, items, keyOf
+ */
+function installFakeDynamoDB() {
+  const tables = new Map();
+  const calls = [];
+  const failures = [];
+
+  const schemaOf = (tableName) => {
+    const schema = TABLES[tableName];
+    if (!schema) throw awsError('ResourceNotFoundException', `Tabela desconhecida: ${tableName}`);
+    return schema;
+  };
+
+  const keyOf = (tableName, item, attributes = schemaOf(tableName).key) => (
+    JSON.stringify(attributes.map(attribute => item[attribute]))
+  );
+
+  const tableOf = (tableName) => {
+    schemaOf(tableName);
+    if (!tables.has(tableName)) tables.set(tableName, new Map());
+    return tables.get(tableName);
+  };
+
+  const check = (params, current) => {
+    if (params.ConditionExpression && !compileCondition(params.ConditionExpression, params)(current)) {
+      throw awsError('ConditionalCheckFailedException', 'The conditional request failed');
+    }
+  };
+
+  const operations = {
+    get(params) {
+      const item = tableOf(params.TableName).get(keyOf(params.TableName, params.Key));
+      return item ? { Item: structuredClone(item) } : {};
+    },
+
+    put(params) {
+      const table = tableOf(params.TableName);
+      const key = keyOf(params.TableName, params.Item);
+      check(params, table.get(key));
+      table.set(key, structuredClone(params.Item));
+      return {};
+    },
+
+    update(params) {
+      const table = tableOf(params.TableName);
+      const key = keyOf(params.TableName, params.Key);
+      const current = table.get(key);
+      check(params, current);
+      const updated = applyUpdate(current || params.Key, params);
+      table.set(key, updated);
+      return params.ReturnValues ? { Attributes: structuredClone(updated) } : {};
+    },
+
+    delete(params) {
+      const table = tableOf(params.TableName);
+      const key = keyOf(params.TableName, params.Key);
+      const current = table.get(key);
+      check(params, current);
+      table.delete(key);
+      return params.ReturnValues === 'ALL_OLD' && current ? { Attributes: current } : {};
+    },
+
+    query(params) {
+      return read(params, compileCondition(params.KeyConditionExpression, params));
+    },
+
+    scan(params) {
+      return read(params, () => true);
+    },
+
+    batchGet(params) {
+      const Responses = {};
+      Object.entries(params.RequestItems).forEach(([tableName, request]) => {
+        Responses[tableName] = request.Keys
+          .map(key => tableOf(tableName).get(keyOf(tableName, key)))
+          .filter(Boolean)
+          .map(item => structuredClone(item));
+      });
+      return { Responses, UnprocessedKeys: {} };
+    },
+
+    batchWrite(params) {
+      Object.entries(params.RequestItems).forEach(([tableName, requests]) => {
+        requests.forEach((request) => {
+          if (request.PutRequest) {
+            tableOf(tableName).set(keyOf(tableName, request.PutRequest.Item), structuredClone(request.PutRequest.Item));
+          } else {
+            tableOf(tableName).delete(keyOf(tableName, request.DeleteRequest.Key));
+          }
+        });
+      });
+      return { UnprocessedItems: {} };
+    },
+
+    transactWrite(params) {
+      const reasons = params.TransactItems.map((action) => {
+        const [type, request] = Object.entries(action)[0];
+        const key = keyOf(request.TableName, type === 'Put' ? request.Item : request.Key);
+        try {
+          check(request, tableOf(request.TableName).get(key));
+          return 'None';
+        } catch (error) {
+          return 'ConditionalCheckFailed';
+        }
+      });
+
+      if (reasons.some(reason => reason !== 'None')) {
+        throw awsError(
+          'TransactionCanceledException',
+          `Transaction cancelled, please refer cancellation reasons for specific reasons [${reasons.join(', ')}]`
+        );
+      }
+
+      params.TransactItems.forEach((action) => {
+        const [type, request] = Object.entries(action)[0];
+        const { ConditionExpression, ...unconditional } = request;
+        if (type === 'Put') operations.put(unconditional);
+        if (type === 'Update') operations.update(unconditional);
+        if (type === 'Delete') operations.delete(unconditional);
+      });
+      return {};
+    }
+  };
+
+  // Query/Scan com índice, ordenação, Limit, ExclusiveStartKey e filtro
+  function read(params, keyCondition) {
+    const schema = schemaOf(params.TableName);
+    const keyAttributes = params.IndexName ? schema.indexes[params.IndexName] : schema.key;
+    const pageAttributes = [...new Set([...keyAttributes, ...schema.key])];
+    const pageKey = item => Object.fromEntries(pageAttributes.map(attribute => [attribute, item[attribute]]));
+    const direction = params.ScanIndexForward === false ? -1 : 1;
+    const order = (a, b) => direction * pageAttributes
+      .reduce((result, attribute) => result || compare(a[attribute], b[attribute]) || 0, 0);
+
+    let items = [...tableOf(params.TableName).values()]
+      .filter(item => keyAttributes.every(attribute => item[attribute] !== undefined))
+      .filter(keyCondition)
+      .sort(order);
+
+    if (params.ExclusiveStartKey) {
+      items = items.filter(item => order(item, params.ExclusiveStartKey) > 0);
+    }
+
+    let lastKey;
+    if (params.Limit && items.length > params.Limit) {
+      items = items.slice(0, params.Limit);
+      lastKey = pageKey(items[items.length - 1]);
+    }
+
+    const filter = params.FilterExpression ? compileCondition(params.FilterExpression, params) : () => true;
+    const result = { Items: items.filter(filter).map(item => structuredClone(item)), Count: 0 };
+    result.Count = result.Items.length;
+    if (lastKey) result.LastEvaluatedKey = lastKey;
+    return result;
+  }
+
+  Object.keys(operations).forEach((operation) => {
+    AWS.DynamoDB.DocumentClient.prototype[operation] = params => ({
+      promise: async () => {
+        calls.push({ operation, params });
+        const index = failures.findIndex(failure => failure.operation === operation);
+        if (index >= 0) {
+          const [failure] = failures.splice(index, 1);
+          throw failure.error;
+        }
+        return operations[operation](params);
+      }
+    });
+  });
+
+  return {
+    tables,
+    calls,
+
+    /**
+     * Fazer a próxima chamada de uma operação falhar
+     * @param {string} operation - Operação (ex: 'transactWrite')
+     * @param {Error} error - Erro lançado
+     */
+    failWith(operation, error) {
+      failures.push({ operation, error });
+    },
+
+    /**
+     * Itens de uma tabela
+     * @param {string} tableName - Tabela
+     * @returns {Array<Object>} Itens
+     */
+    items(tableName) {
+      return [...tableOf(tableName).values()];
+    },
+
+    /**
+     * Buscar um item pela chave
+     * @param {string} tableName - Tabela
+     * @param {Object} key - Chave primária
+     * @returns {Object|undefined} Item
+     */
+    get(tableName, key) {
+      return tableOf(tableName).get(keyOf(tableName, key));
+    },
+
+    /**
+     * Gravar itens diretamente, sem passar pelo código testado
+     * @param {string} tableName - Tabela
+     * @param {Array<Object>} items - Itens
+     */
+    seed(tableName, items) {
+      items.forEach(item => tableOf(tableName).set(keyOf(tableName, item), structuredClone(item)));
+    },
+
+    /**
+     * Contar chamadas de uma operação
+     * @param {string} operation - Operação
+     * @returns {number} Chamadas
+     */
+    count(operation) {
+      return calls.filter(call => call.operation === operation).length;
+    },
+
+    reset() {
+      tables.clear();
+      calls.length = 0;
+      failures.length = 0;
+    },
+
+    awsError
+  };
+}
+
+module.exports = { installFakeDynamoDB, awsError };
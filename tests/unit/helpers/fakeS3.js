@@ -0,0 +1,152 @@
+const AWS = require('aws-sdk');
+const { Readable } = require('stream');
+const { awsError } = require('./fakeDynamoDB');
+
+/**
+ * S3 em memória para os testes unitários
+ *
+ * Substitui os métodos do protótipo do cliente S3, então vale também
+ * para o cliente criado por src/utils/s3. Cobre as operações usadas
+ * no projeto: getObject (com Range e createReadStream), headObject,
+ * putObject, upload (Body em stream, lido em chunks), copyObject,
+ * deleteObject e listObjectsV2. getSignedUrl não é substituído (a
+ * assinatura é calculada localmente).
+ *
+ * Cada chamada fica em `calls` ({ operation, params }).
+ */
+
+/**
+ * Instalar o S3 em memória
+ * @param {Object} options - Opções
+ * @param {number} options.chunkSize - Tamanho dos chunks de createReadStream (padrão: 16)
+ * @returns {Object} Controle do fake ({ objects, calls, put, body, keys, reset })
+ */
+function installFakeS3(options = {}) {
+  const { chunkSize = 16 } = options;
+  const prototype = Object.getPrototypeOf(new AWS.S3({ region: 'us-east-1' }));
+  const objects = new Map();
+  const calls = [];
+
+  const pathOf = (bucket, key) => `${bucket}/${key}`;
+
+  const find = (params) => {
+    const object = objects.get(pathOf(params.Bucket, params.Key));
+    if (!object) throw Object.assign(awsError('NoSuchKey', 'The specified key does not exist.'), { statusCode: 404 });
+    return object;
+  };
+
+  const ranged = (params) => {
+    const { body } = find(params);
+    const match = /^bytes=(\d+)-$/.exec(params.Range || '');
+    return match ? body.subarray(Number(match[1])) : body;
+  };
+
+  const store = (params, body) => {
+    objects.set(pathOf(params.Bucket, params.Key), {
+      body: Buffer.isBuffer(body) ? body : Buffer.from(body || ''),
+      contentType: params.ContentType,
+      tagging: params.Tagging || null
+    });
+  };
+
+  const operations = {
+    getObject: params => ({ Body: ranged(params), ContentType: find(params).contentType }),
+
+    headObject: (params) => {
+      const object = find(params);
+      return { ContentLength: object.body.length, ContentType: object.contentType, ETag: `"${object.body.length}"` };
+    },
+
+    putObject: (params) => {
+      store(params, params.Body);
+      return { ETag: '"etag"' };
+    },
+
+    copyObject: (params) => {
+      const [bucket, ...key] = params.CopySource.split('/');
+      const source = find({ Bucket: bucket, Key: decodeURIComponent(key.join('/')) });
+      store({ ...params, ContentType: source.contentType, Tagging: params.Tagging || source.tagging }, source.body);
+      return { CopyObjectResult: {} };
+    },
+
+    deleteObject: (params) => {
+      objects.delete(pathOf(params.Bucket, params.Key));
+      return {};
+    },
+
+    listObjectsV2: params => ({
+      Contents: [...objects.keys()]
+        .filter(path => path.startsWith(pathOf(params.Bucket, params.Prefix || '')))
+        .map(path => ({ Key: path.slice(params.Bucket.length + 1), Size: objects.get(path).body.length }))
+    })
+  };
+
+  Object.keys(operations).forEach((operation) => {
+    prototype[operation] = params => ({
+      promise: async () => {
+        calls.push({ operation, params });
+        return operations[operation](params);
+      },
+      createReadStream: () => {
+        calls.push({ operation, params });
+        const body = ranged(params);
+        const chunks = [];
+        for (let i = 0; i < body.length; i += chunkSize) chunks.push(body.subarray(i, i + chunkSize));
+        return Readable.from(chunks);
+      }
+    });
+  });
+
+  prototype.upload = params => ({
+    promise: async () => {
+      calls.push({ operation: 'upload', params });
+      const chunks = [];
+      for await (const chunk of params.Body) chunks.push(Buffer.from(chunk));
+      store(params, Buffer.concat(chunks));
+      return { Bucket: params.Bucket, Key: params.Key };
+    }
+  });
+
+  return {
+    objects,
+    calls,
+
+    /**
+     * Gravar objeto diretamente, sem passar pelo código testado
+     * @param {string} bucket - Bucket
+     * @param {string} key - Chave
+     * @param {string|Buffer} body - Conteúdo
+     * @param {string} contentType - MIME type
+     */
+    put(bucket, key, body, contentType = 'text/plain') {
+      store({ Bucket: bucket, Key: key, ContentType: contentType }, body);
+    },
+
+    /**
+     * Conteúdo de um objeto em texto
+     * @param {string} bucket - Bucket
+     * @param {string} key - Chave
+     * @returns {string|undefined} Conteúdo
+     */
+    body(bucket, key) {
+      const object = objects.get(pathOf(bucket, key));
+      return object ? object.body.toString('utf8') : undefined;
+    },
+
+    /**
+     * Chaves dos objetos de um bucket
+     * @param {string} bucket - Bucket
+     * @returns {Array<string>} Chaves
+     */
+    keys(bucket) {
+      return [...objects.keys()].filter(path => path.startsWith(`${bucket}/`)).map(path => path.slice(bucket.length + 1));
+    },
+
+    reset() {
+      objects.clear();
+      calls.length = 0;
+    }
+  };
+}
+
+module.exports = { installFakeS3 };
@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AWS = require('aws-sdk');
+const { installFakeDynamoDB, awsError } = require('./helpers/fakeDynamoDB');
+const { apiEvent, lambdaContext } = require('./helpers/apiEvent');
+
+process.env.LOG_LEVEL = 'error';
+process.env.METRICS_ENABLED = 'false';
+process.env.RATE_LIMIT_ENABLED = 'false';
+
+const fake = installFakeDynamoDB();
+const { requestHash } = require('../../src/utils/idempotency');
+const { handler } = require('../../src/handlers/createRecord');
+
+/**
+ * Enviar POST /records com Idempotency-Key
+ * @param {Object} body - Registro
+ * @param {string} key - Idempotency-Key
+ * @returns {Promise<Object>} { statusCode, headers, body }
+ */
+async function postRecord(body, key = 'chave-1') {
+  const result = await handler(apiEvent({
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Idempotency-Key': key },
+    body
+  }), lambdaContext);
+  return { statusCode: result.statusCode, headers: result.headers, body: JSON.parse(result.body) };
+}
+
+const product = { nome: 'Mouse', preco: 10 };
+const keyEntry = key => fake.get('ProcessingState', { pk: 'idempotency#key:test-client', sk: key });
+
+test.beforeEach(() => fake.reset());
+
+test('hash não depende da ordem das chaves', () => {
+  const a = requestHash({ dataset: 'produtos', body: { id: '1', nome: 'Mouse', tags: { cor: 'preto', usb: true } } });
+  const b = requestHash({ body: { tags: { usb: true, cor: 'preto' }, nome: 'Mouse', id: '1' }, dataset: 'produtos' });
+
+  assert.match(a, /^[0-9a-f]{64}$/);
+  assert.equal(a, b);
+});
+
+test('hash muda quando o conteúdo muda', () => {
+  const base = { dataset: 'produtos', body: { id: '1', preco: 10 } };
+
+  assert.notEqual(requestHash(base), requestHash({ ...base, dataset: 'pedidos' }));
+  assert.notEqual(requestHash(base), requestHash({ ...base, body: { id: '1', preco: '10' } }));
+  assert.notEqual(requestHash(base), requestHash({ ...base, body: { id: '1', preco: 10, extra: null } }));
+});
+
+test('ordem dos itens de listas é relevante', () => {
+  const records = [{ id: '1', b: 2, a: 1 }, { id: '2' }];
+
+  assert.equal(
+    requestHash({ body: records }),
+    requestHash({ body: [{ a: 1, b: 2, id: '1' }, { id: '2' }] })
+  );
+  assert.notEqual(requestHash({ body: records }), requestHash({ body: [...records].reverse() }));
+});
+
+test('resposta é guardada na mesma transação que cria o registro', async () => {
+  const first = await postRecord(product);
+
+  assert.equal(first.statusCode, 201);
+  assert.equal(fake.count('transactWrite'), 1);
+  assert.equal(fake.calls.filter(call => call.params.TableName === 'ProcessedData').length, 0);
+  assert.equal(keyEntry('chave-1').status, 'COMPLETED');
+
+  const replay = await postRecord(product);
+  assert.equal(replay.statusCode, 201);
+  assert.equal(replay.headers['Idempotency-Replayed'], 'true');
+  assert.deepEqual(replay.body, first.body);
+});
+
+test('falha na escrita não cria o registro e libera a chave', async () => {
+  fake.failWith('transactWrite', awsError('InternalServerError', 'Falha interna'));
+
+  const failed = await postRecord(product);
+  assert.equal(failed.statusCode, 500);
+  assert.equal(fake.items('ProcessedData').length, 0);
+  assert.equal(keyEntry('chave-1'), undefined);
+
+  const retry = await postRecord(product);
+  assert.equal(retry.statusCode, 201);
+  assert.equal(retry.headers['Idempotency-Replayed'], undefined);
+});
+
+test('chave presa em andamento por execução interrompida é assumida após o lease', async () => {
+  const hash = requestHash({ dataset: 'produtos', body: product });
+  fake.seed('ProcessingState', [{
+    pk: 'idempotency#key:test-client',
+    sk: 'chave-1',
+    status: 'IN_PROGRESS',
+    request_hash: hash,
+    lease_expires_at: Date.now() - 1,
+    expires_at: Math.floor(Date.now() / 1000) + 3600
+  }]);
+
+  const retry = await postRecord(product);
+
+  assert.equal(retry.statusCode, 201);
+  assert.equal(keyEntry('chave-1').status, 'COMPLETED');
+});
+
+test('id já existente responde 409 e libera a chave', async () => {
+  fake.seed('ProcessedData', [{ id: 'p1', timestamp: 0, version: 1, nome: 'Outro', preco: 1 }]);
+
+  const conflict = await postRecord({ ...product, id: 'p1' });
+
+  assert.equal(conflict.statusCode, 409);
+  assert.match(conflict.body.message, /já existe/);
+  assert.equal(keyEntry('chave-1'), undefined);
+  assert.equal(fake.get('ProcessedData', { id: 'p1', timestamp: 0 }).nome, 'Outro');
+});
+
+test('chave assumida por outra requisição não é liberada', async () => {
+  // Outra requisição assumiu a chave entre a reserva e a escrita
+  const { transactWrite } = AWS.DynamoDB.DocumentClient.prototype;
+  AWS.DynamoDB.DocumentClient.prototype.transactWrite = params => ({
+    promise: async () => {
+      fake.seed('ProcessingState', [{ ...keyEntry('chave-1'), request_hash: 'outra', lease_expires_at: Date.now() + 60000 }]);
+      return transactWrite(params).promise();
+    }
+  });
+
+  try {
+    const result = await postRecord(product);
+
+    assert.equal(result.statusCode, 409);
+    assert.match(result.body.message, /em andamento/);
+    assert.equal(keyEntry('chave-1').request_hash, 'outra');
+    assert.equal(fake.items('ProcessedData').length, 0);
+  } finally {
+    AWS.DynamoDB.DocumentClient.prototype.transactWrite = transactWrite;
+  }
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDynamoDB } = require('./helpers/fakeDynamoDB');
+const { apiEvent, lambdaContext } = require('./helpers/apiEvent');
+
+process.env.LOG_LEVEL = 'error';
+process.env.METRICS_ENABLED = 'false';
+process.env.RATE_LIMIT_ENABLED = 'false';
+
+const fake = installFakeDynamoDB();
+const { listRecords } = require('../../src/utils/dynamodb');
+const { encodeCursor } = require('../../src/utils/cursor');
+const { handler } = require('../../src/handlers/listRecords');
+
+const records = Array.from({ length: 7 }, (_, i) => ({
+  id: `p${i}`,
+  timestamp: 0,
+  version: 1,
+  categoria: i % 2 ? 'Monitores' : 'Periféricos',
+  preco: 100 - i * 10,
+  source: 'S3'
+}));
+
+test.beforeEach(() => {
+  fake.reset();
+  fake.seed('ProcessedData', [
+    ...records,
+    { id: 'p0', timestamp: 1, version: 1, row_type: 'history', data: {} },
+    { id: 'removido', timestamp: 0, categoria: 'Monitores', preco: 1, source: 'S3', deleted_at: '2024-01-01' }
+  ]);
+});
+
+/**
+ * Percorrer todas as páginas de uma listagem
+ * @param {Object} options - Opções de listRecords
+ * @returns {Promise<Array<string>>} Ids, na ordem das páginas
+ */
+async function allIds(options) {
+  const ids = [];
+  let cursor;
+  do {
+    const { items, page } = await listRecords({ ...options, cursor });
+    ids.push(...items.map(item => item.id));
+    cursor = page.next_cursor;
+  } while (cursor);
+  return ids;
+}
+
+test('paginação por scan percorre só as versões atuais não removidas', async () => {
+  const ids = await allIds({ limit: 2 });
+  assert.deepEqual(ids.sort(), records.map(record => record.id).sort());
+});
+
+test('paginação no GSI mantém a ordem do índice entre páginas', async () => {
+  const ids = await allIds({ limit: 2, sort: 'preco', filters: { categoria: 'Monitores' } });
+  assert.deepEqual(ids, ['p5', 'p3', 'p1']);
+
+  const { page } = await listRecords({ limit: 1, sort: 'preco', filters: { categoria: 'Monitores' } });
+  assert.equal(page.index, 'categoria-index');
+  assert.equal(page.sort_scope, 'index');
+});
+
+test('cursor com chave que não corresponde ao índice é recusado antes da consulta', async () => {
+  const forged = [
+    { index: null, key: { id: 'p1' } },
+    { index: null, key: { id: 'p1', timestamp: '0' } },
+    { index: null, key: { id: 'p1', timestamp: 0, extra: 'x' } },
+    { index: 'categoria-index', key: { id: 'p1', timestamp: 0 } },
+    { index: 'categoria-index', key: { id: 'p1', timestamp: 0, categoria: 'Monitores', preco: '10' } },
+    { index: 'source-index', key: { id: 'p1', timestamp: 0, categoria: 'Monitores' } }
+  ];
+
+  for (const payload of forged) {
+    const filters = payload.index === 'categoria-index' ? { categoria: 'Monitores' }
+      : payload.index === 'source-index' ? { source: 'S3' } : {};
+    fake.calls.length = 0;
+
+    await assert.rejects(listRecords({ cursor: encodeCursor(payload), filters }), {
+      code: 'InvalidCursor',
+      message: 'Cursor de paginação inválido'
+    }, JSON.stringify(payload));
+    assert.equal(fake.calls.length, 0);
+  }
+});
+
+test('GET /records responde 400 para cursor inválido', async () => {
+  const cursors = [
+    encodeCursor({ index: null, key: { id: 1, timestamp: 0 } }),
+    encodeCursor({ index: 'categoria-index', key: { id: 'p1', timestamp: 0, categoria: 'Monitores', preco: 10 } }),
+    'não é um cursor'
+  ];
+
+  for (const cursor of cursors) {
+    const result = await handler(apiEvent({ query: { cursor } }), lambdaContext);
+    assert.equal(result.statusCode, 400, cursor);
+    assert.equal(JSON.parse(result.body).error, 'Validation Error');
+  }
+});
+
+test('include_deleted inclui registros removidos', async () => {
+  const result = await handler(apiEvent({ query: { include_deleted: 'true', categoria: 'Monitores' } }), lambdaContext);
+  const body = JSON.parse(result.body);
+
+  assert.equal(result.statusCode, 200);
+  assert.ok(body.items.some(item => item.id === 'removido'));
+});
@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AWS = require('aws-sdk');
+const { installFakeDynamoDB, awsError } = require('./helpers/fakeDynamoDB');
+const { lambdaContext } = require('./helpers/apiEvent');
+
+process.env.LOG_LEVEL = 'error';
+process.env.METRICS_ENABLED = 'false';
+
+const fake = installFakeDynamoDB();
+const {
+  OUTBOX_PK,
+  OUTBOX_DEAD_PK,
+  OUTBOX_MAX_ATTEMPTS,
+  outboxEntry,
+  outboxTransactItem,
+  listPendingNotifications
+} = require('../../src/utils/outbox');
+const { publishOutboxEntry } = require('../../src/utils/sns');
+const { updateJob } = require('../../src/utils/jobs');
+const { handler } = require('../../src/handlers/drainOutbox');
+
+const TOPIC_ARN = 'arn:aws:sns:us-east-1:000000000000:DataProcessingTopic';
+
+// Stub do SNS: mensagens com "falha" no texto são recusadas
+const snsPrototype = Object.getPrototypeOf(new AWS.SNS({ region: 'us-east-1' }));
+const published = [];
+
+snsPrototype.publish = params => ({
+  promise: async () => {
+    if (params.Message.includes('falha')) throw awsError('InvalidParameter', 'Mensagem recusada');
+    published.push(params.Message);
+    return { MessageId: `msg-${published.length}` };
+  }
+});
+
+snsPrototype.publishBatch = params => ({
+  promise: async () => {
+    const result = { Successful: [], Failed: [] };
+    params.PublishBatchRequestEntries.forEach((entry) => {
+      if (entry.Message.includes('falha')) {
+        result.Failed.push({ Id: entry.Id, Code: 'InvalidParameter', Message: 'Mensagem recusada', SenderFault: true });
+      } else {
+        published.push(entry.Message);
+        result.Successful.push({ Id: entry.Id, MessageId: `msg-${published.length}` });
+      }
+    });
+    return result;
+  }
+});
+
+/**
+ * Montar entrada da outbox
+ * @param {string} message - Mensagem
+ * @param {Object} fields - Campos da entrada
+ * @returns {Object} Entrada
+ */
+function pending(message, fields = {}) {
+  return { ...outboxEntry({ id: message, topicArn: TOPIC_ARN, message, subject: 'Teste' }), ...fields };
+}
+
+const outbox = pk => fake.items('ProcessingState').filter(item => item.pk === pk);
+
+test.beforeEach(() => {
+  fake.reset();
+  published.length = 0;
+});
+
+test('listagem pula entradas em backoff e mantém a ordem de criação', async () => {
+  const future = Date.now() + 60 * 60 * 1000;
+  fake.seed('ProcessingState', [
+    pending('a', { sk: '2024-01-01T00:00:00.000Z#a', next_attempt_at: future }),
+    pending('b', { sk: '2024-01-01T00:00:01.000Z#b' }),
+    pending('c', { sk: '2024-01-01T00:00:02.000Z#c', next_attempt_at: future }),
+    pending('d', { sk: '2024-01-01T00:00:03.000Z#d' }),
+    // Entrada anterior ao backoff: sem next_attempt_at
+    { ...pending('e', { sk: '2024-01-01T00:00:04.000Z#e' }), next_attempt_at: undefined }
+  ]);
+
+  const entries = await listPendingNotifications(2);
+  assert.deepEqual(entries.map(entry => entry.message), ['b', 'd']);
+
+  const all = await listPendingNotifications();
+  assert.deepEqual(all.map(entry => entry.message), ['b', 'd', 'e']);
+});
+
+test('drain publica e remove, adia as falhas e move as esgotadas para outbox#dead', async () => {
+  fake.seed('ProcessingState', [
+    pending('ok'),
+    pending('falha nova'),
+    pending('falha final', { attempts: OUTBOX_MAX_ATTEMPTS - 1 })
+  ]);
+
+  const result = await handler({}, lambdaContext);
+
+  assert.equal(result.statusCode, 200);
+  assert.deepEqual(JSON.parse(result.body), {
+    message: 'Outbox processada',
+    pending: 3,
+    published: 1,
+    failed: 1,
+    dead: 1
+  });
+  assert.deepEqual(published, ['ok']);
+
+  const [retry] = outbox(OUTBOX_PK);
+  assert.equal(retry.message, 'falha nova');
+  assert.equal(retry.attempts, 1);
+  assert.equal(retry.last_error, 'InvalidParameter: Mensagem recusada');
+  assert.ok(retry.next_attempt_at > Date.now());
+
+  const [dead] = outbox(OUTBOX_DEAD_PK);
+  assert.equal(dead.message, 'falha final');
+  assert.equal(dead.attempts, OUTBOX_MAX_ATTEMPTS);
+  assert.ok(dead.parked_at);
+
+  // A entrada adiada não é tentada de novo antes do backoff
+  const again = await handler({}, lambdaContext);
+  assert.equal(JSON.parse(again.body).pending, 0);
+});
+
+test('entrada gravada com o job é publicada e removida da outbox', async () => {
+  fake.seed('IngestionJobs', [{ job_id: 'run-1', state: 'RUNNING' }]);
+  const entry = pending('concluído');
+
+  await updateJob('run-1', { state: 'COMPLETED' }, undefined, { transactItems: [outboxTransactItem(entry)] });
+
+  assert.equal(fake.get('IngestionJobs', { job_id: 'run-1' }).state, 'COMPLETED');
+  assert.equal(outbox(OUTBOX_PK).length, 1);
+
+  await publishOutboxEntry(entry);
+
+  assert.deepEqual(published, ['concluído']);
+  assert.equal(outbox(OUTBOX_PK).length, 0);
+});
+
+test('falha na publicação imediata deixa a entrada para a drainOutbox', async () => {
+  fake.seed('IngestionJobs', [{ job_id: 'run-1', state: 'RUNNING' }]);
+  const entry = pending('falha no SNS');
+
+  await updateJob('run-1', { state: 'COMPLETED' }, undefined, { transactItems: [outboxTransactItem(entry)] });
+  const result = await publishOutboxEntry(entry, { maxRetries: 0 });
+
+  assert.deepEqual(result, { queued: true });
+  const [stored] = outbox(OUTBOX_PK);
+  assert.equal(stored.attempts, 1);
+  assert.equal(stored.last_error, 'Mensagem recusada');
+});
+
+test('job inexistente cancela a transação sem gravar a notificação', async () => {
+  await assert.rejects(
+    updateJob('run-x', { state: 'FAILED' }, undefined, { transactItems: [outboxTransactItem(pending('x'))] }),
+    { code: 'TransactionCanceledException' }
+  );
+  assert.equal(outbox(OUTBOX_PK).length, 0);
+});
@@ -0,0 +1,168 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AWS = require('aws-sdk');
+
+const limitsPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'rate-limits-test-')), 'rate-limits.json');
+fs.writeFileSync(limitsPath, JSON.stringify({
+  default: { capacity: 5, refill_per_second: 1 },
+  routes: { 'POST /records': { capacity: 2, refill_per_second: 0.5 } },
+  daily_quota: { default: 100, clients: { 'key:cliente-cota': 3 } }
+}));
+
+process.env.RATE_LIMITS_PATH = limitsPath;
+process.env.LOG_LEVEL = 'error';
+process.env.METRICS_ENABLED = 'false';
+
+// Tabela de estado em memória no lugar do DynamoDB
+const table = new Map();
+let failure = null;
+const itemKey = key => `${key.pk}|${key.sk}`;
+const conditionFailed = () => Object.assign(new Error('The conditional request failed'), {
+  code: 'ConditionalCheckFailedException'
+});
+
+const DocumentClient = AWS.DynamoDB.DocumentClient.prototype;
+DocumentClient.get = params => ({
+  promise: async () => {
+    if (failure) throw failure;
+    return { Item: table.get(itemKey(params.Key)) };
+  }
+});
+DocumentClient.put = params => ({
+  promise: async () => {
+    const current = table.get(itemKey(params.Item));
+    const expected = params.ExpressionAttributeValues;
+    if (expected ? !current || current.refilled_at !== expected[':previous'] : current) throw conditionFailed();
+    table.set(itemKey(params.Item), params.Item);
+    return {};
+  }
+});
+DocumentClient.update = params => ({
+  promise: async () => {
+    const current = table.get(itemKey(params.Key)) || { ...params.Key };
+    const values = params.ExpressionAttributeValues;
+    if (params.ConditionExpression && current.request_count >= values[':quota']) throw conditionFailed();
+
+    const counter = params.UpdateExpression.includes('request_count') ? 'request_count' : 'rejected_count';
+    const updated = { ...current, [counter]: (current[counter] || 0) + 1 };
+    table.set(itemKey(params.Key), updated);
+    return { Attributes: updated };
+  }
+});
+
+const { getLimits, dailyQuotaFor, checkRateLimit } = require('../../src/utils/rateLimit');
+const { response, startRequest } = require('../../src/utils/http');
+
+/**
+ * Montar evento API Gateway de um cliente autenticado
+ * @param {string} principal - Cliente
+ * @param {string} method - Método HTTP
+ * @param {string} resource - Rota
+ * @returns {Object} Evento
+ */
+function apiEvent(principal, method = 'POST', resource = '/records') {
+  return {
+    httpMethod: method,
+    resource,
+    requestContext: { authorizer: { principal }, identity: { sourceIp: '10.0.0.1' } }
+  };
+}
+
+test.beforeEach(() => {
+  table.clear();
+  failure = null;
+  delete process.env.RATE_LIMIT_ENABLED;
+});
+
+test('limites da rota e cota por cliente vêm da configuração', () => {
+  assert.deepEqual(getLimits().routes['POST /records'], { capacity: 2, refill_per_second: 0.5 });
+  assert.equal(dailyQuotaFor('key:cliente-cota'), 3);
+  assert.equal(dailyQuotaFor('outro'), 100);
+});
+
+test('bucket vazio responde 429 com Retry-After', async () => {
+  assert.equal(await checkRateLimit(apiEvent('key:cliente-a')), null);
+  assert.equal(await checkRateLimit(apiEvent('key:cliente-a')), null);
+
+  const response = await checkRateLimit(apiEvent('key:cliente-a'));
+  assert.equal(response.statusCode, 429);
+  assert.equal(JSON.parse(response.body).error, 'TooManyRequests');
+  assert.equal(response.headers['Retry-After'], '2');
+  assert.equal(response.headers['X-RateLimit-Limit'], '2');
+  assert.equal(response.headers['X-RateLimit-Remaining'], '0');
+});
+
+test('buckets são separados por cliente e por rota', async () => {
+  await checkRateLimit(apiEvent('key:cliente-a'));
+  await checkRateLimit(apiEvent('key:cliente-a'));
+
+  assert.equal(await checkRateLimit(apiEvent('key:cliente-b')), null);
+  assert.equal(await checkRateLimit(apiEvent('jwt:|cliente-a')), null);
+  assert.equal(await checkRateLimit(apiEvent('key:cliente-a', 'GET', '/records')), null);
+  assert.equal((await checkRateLimit(apiEvent('key:cliente-a'))).statusCode, 429);
+});
+
+test('bucket é reabastecido com o tempo', async () => {
+  await checkRateLimit(apiEvent('key:cliente-a'));
+  await checkRateLimit(apiEvent('key:cliente-a'));
+
+  const bucket = table.get('ratelimit#key:cliente-a|POST /records');
+  table.set('ratelimit#key:cliente-a|POST /records', { ...bucket, refilled_at: bucket.refilled_at - 2000 });
+
+  assert.equal(await checkRateLimit(apiEvent('key:cliente-a')), null);
+  assert.equal((await checkRateLimit(apiEvent('key:cliente-a'))).statusCode, 429);
+});
+
+test('cota diária excedida responde QuotaExceeded e conta a recusa', async () => {
+  for (let i = 0; i < 3; i++) {
+    assert.equal(await checkRateLimit(apiEvent('key:cliente-cota', 'GET', '/records')), null);
+  }
+
+  const response = await checkRateLimit(apiEvent('key:cliente-cota', 'GET', '/records'));
+  assert.equal(response.statusCode, 429);
+  assert.equal(JSON.parse(response.body).error, 'QuotaExceeded');
+  assert.equal(response.headers['X-RateLimit-Limit'], '3');
+
+  const [counter] = [...table.values()].filter(item => item.pk.startsWith('quota#'));
+  assert.equal(counter.request_count, 3);
+  assert.equal(counter.rejected_count, 1);
+});
+
+test('requisição liberada leva os headers X-RateLimit-* na resposta do handler', async () => {
+  startRequest('teste', apiEvent('key:cliente-a'), {});
+  assert.equal(await checkRateLimit(apiEvent('key:cliente-a')), null);
+
+  const { headers } = response(201, {});
+  assert.equal(headers['X-RateLimit-Limit'], '2');
+  assert.equal(headers['X-RateLimit-Remaining'], '1');
+  assert.equal(headers['X-RateLimit-Reset'], '2');
+
+  // Cada requisição começa sem os headers da anterior
+  startRequest('teste', apiEvent('key:cliente-a'), {});
+  assert.equal(response(200, {}).headers['X-RateLimit-Limit'], undefined);
+});
+
+test('requisição sem cliente autenticado não consome buckets', async () => {
+  const event = { httpMethod: 'POST', resource: '/records', requestContext: { identity: { sourceIp: '10.0.0.9' } } };
+
+  assert.equal(await checkRateLimit(event), null);
+  assert.equal(table.size, 0);
+});
+
+test('falha na tabela de estado libera a requisição', async () => {
+  failure = Object.assign(new Error('Tabela indisponível'), { code: 'ResourceNotFoundException' });
+
+  assert.equal(await checkRateLimit(apiEvent('key:cliente-a')), null);
+});
+
+test('RATE_LIMIT_ENABLED=false desliga os controles', async () => {
+  process.env.RATE_LIMIT_ENABLED = 'false';
+
+  for (let i = 0; i < 5; i++) {
+    assert.equal(await checkRateLimit(apiEvent('key:cliente-a')), null);
+  }
+  assert.equal(table.size, 0);
+});
@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+
+process.env.LOG_LEVEL = 'error';
+
+const csvReader = require('../../src/readers/csvReader');
+const ndjsonReader = require('../../src/readers/ndjsonReader');
+const jsonReader = require('../../src/readers/jsonReader');
+const xlsxReader = require('../../src/readers/xlsxReader');
+const { getReader } = require('../../src/readers');
+
+/**
+ * Ler um arquivo inteiro com um leitor, em chunks de tamanho fixo
+ * @param {Object} reader - Leitor (ver src/readers)
+ * @param {Buffer} file - Conteúdo do arquivo
+ * @param {Object} options - resumeAt, state e chunkSize
+ * @returns {Promise<Array<Object>>} Entradas emitidas pelo parser (registros e erros)
+ */
+async function readEntries(reader, file, options = {}) {
+  const { chunkSize = 4, resumeAt = {}, state } = options;
+  const parser = reader.createParser({ resumeAt, state });
+  const entries = [];
+
+  for (let i = resumeAt.offset || 0; i < file.length; i += chunkSize) {
+    entries.push(...parser.write(file.subarray(i, i + chunkSize)));
+  }
+  entries.push(...await parser.end());
+
+  return entries.filter(entry => entry.record || entry.error);
+}
+
+/**
+ * Ler apenas os registros válidos de um arquivo (ver readEntries)
+ * @param {Object} reader - Leitor (ver src/readers)
+ * @param {Buffer} file - Conteúdo do arquivo
+ * @param {Object} options - resumeAt, state e chunkSize
+ * @returns {Promise<Array<Object>>} Entradas com record
+ */
+async function readAll(reader, file, options = {}) {
+  return (await readEntries(reader, file, options)).filter(entry => entry.record);
+}
+
+/**
+ * Montar planilha XLSX em memória
+ * @param {Array<Array<*>>} rows - Linhas da primeira planilha (header incluso)
+ * @returns {Promise<Buffer>} Conteúdo do arquivo
+ */
+async function workbook(rows) {
+  const book = new ExcelJS.Workbook();
+  const sheet = book.addWorksheet('Produtos');
+  rows.forEach(row => sheet.addRow(row));
+  return Buffer.from(await book.xlsx.writeBuffer());
+}
+
+test('offsets do CSV batem com os bytes do arquivo, com acentos entre chunks', async () => {
+  const file = Buffer.from('id;nome\n1;Café\n2;Pão de queijo 🧀\n3;Açaí\n', 'utf8');
+
+  const entries = await readAll(csvReader, file);
+  assert.deepEqual(entries.map(entry => entry.record.nome), ['Café', 'Pão de queijo 🧀', 'Açaí']);
+
+  // Cada offset aponta para o início da linha seguinte no arquivo
+  entries.forEach((entry) => {
+    const { offset } = entry.resumeAt;
+    assert.ok(offset === file.length || file[offset - 1] === 0x0a);
+  });
+
+  // Retomar do offset da primeira linha lê exatamente as demais
+  const [first] = entries;
+  const resumed = await readAll(csvReader, file, { resumeAt: first.resumeAt, state: { headers: ['id', 'nome'], delimiter: ';' } });
+  assert.deepEqual(resumed.map(entry => entry.record.id), ['2', '3']);
+});
+
+test('CSV fora de UTF-8 é recusado com InvalidEncoding', async () => {
+  // "Café" em Windows-1252: é = 0xE9
+  const file = Buffer.concat([Buffer.from('id,nome\n1,Caf'), Buffer.from([0xe9]), Buffer.from('\n2,Outro\n')]);
+
+  await assert.rejects(() => readAll(csvReader, file), (error) => {
+    assert.equal(error.code, 'InvalidEncoding');
+    assert.match(error.message, /UTF-8/);
+    return true;
+  });
+});
+
+test('offsets do NDJSON batem com os bytes do arquivo e entrada fora de UTF-8 é recusada', async () => {
+  const file = Buffer.from('\uFEFF{"id":"1","nome":"Café"}\n{"id":"2","nome":"Açaí 🍇"}\n{"id":"3"}', 'utf8');
+
+  const entries = await readAll(ndjsonReader, file, { chunkSize: 3 });
+  assert.deepEqual(entries.map(entry => entry.record.id), ['1', '2', '3']);
+  assert.equal(file[entries[0].resumeAt.offset - 1], 0x0a);
+  assert.equal(file[entries[1].resumeAt.offset - 1], 0x0a);
+  assert.equal(entries[2].resumeAt.offset, file.length);
+
+  const resumed = await readAll(ndjsonReader, file, { resumeAt: entries[0].resumeAt });
+  assert.deepEqual(resumed.map(entry => entry.record.id), ['2', '3']);
+
+  const latin1 = Buffer.from('{"id":"1","nome":"Açaí"}\n', 'latin1');
+  await assert.rejects(() => readAll(ndjsonReader, latin1), { code: 'InvalidEncoding' });
+});
+
+test('NDJSON ignora linhas em branco e rejeita linhas que não são objetos', async () => {
+  const file = Buffer.from('{"id":"1"}\n\n[1,2]\n{"id":\n{"id":"5"}\n', 'utf8');
+
+  const entries = await readEntries(ndjsonReader, file);
+
+  assert.deepEqual(entries.map(entry => [entry.line, entry.record && entry.record.id]), [
+    [1, '1'], [3, null], [4, null], [5, '5']
+  ]);
+  assert.deepEqual(entries[1].error, { line: 3, column: 1, message: 'Linha deve conter um objeto JSON' });
+  assert.match(entries[2].error.message, /^JSON inválido/);
+  assert.equal(entries[2].raw, '{"id":');
+});
+
+test('JSON aceita array ou "records" e retoma pelo índice do registro', async () => {
+  const records = [{ id: '1' }, 'texto', { id: '3' }];
+
+  const entries = await readEntries(jsonReader, Buffer.from(`\uFEFF${JSON.stringify(records)}`, 'utf8'));
+  assert.deepEqual(entries.map(entry => [entry.line, entry.record, entry.resumeAt.index]), [
+    [1, { id: '1' }, 1], [2, null, 2], [3, { id: '3' }, 3]
+  ]);
+  assert.equal(entries[1].error.message, 'Registro deve ser um objeto JSON');
+
+  const resumed = await readEntries(jsonReader, Buffer.from(JSON.stringify({ records })), {
+    resumeAt: { index: 2 }
+  });
+  assert.deepEqual(resumed.map(entry => entry.record.id), ['3']);
+
+  await assert.rejects(() => readEntries(jsonReader, Buffer.from('[{"id":')), /^Error: Arquivo JSON inválido/);
+  await assert.rejects(() => readEntries(jsonReader, Buffer.from('{"id":"1"}')), /array de registros/);
+});
+
+test('XLSX usa a primeira linha como header e normaliza as células', async () => {
+  const file = await workbook([
+    ['id', 'nome', 'preco', 'total', 'lancamento'],
+    ['1', 'Mouse', 10, { formula: 'C2*2', result: 20 }, new Date('2024-03-01T00:00:00.000Z')],
+    ['2', { richText: [{ text: 'Tec' }, { text: 'lado' }] }, null, null, null],
+    ['3', 'Monitor', 900]
+  ]);
+
+  const entries = await readAll(xlsxReader, file);
+
+  assert.deepEqual(entries.map(entry => entry.record), [
+    { id: '1', nome: 'Mouse', preco: 10, total: 20, lancamento: '2024-03-01T00:00:00.000Z' },
+    { id: '2', nome: 'Teclado' },
+    { id: '3', nome: 'Monitor', preco: 900 }
+  ]);
+  assert.deepEqual(entries.map(entry => entry.line), [2, 3, 4]);
+  assert.deepEqual(entries[0].columns, ['id', 'nome', 'preco', 'total', 'lancamento']);
+
+  // Retomada pelo índice: a linha 2 da planilha é o registro de índice 0
+  const resumed = await readAll(xlsxReader, file, { resumeAt: { index: 2 } });
+  assert.deepEqual(resumed.map(entry => entry.record.id), ['3']);
+
+  await assert.rejects(() => readAll(xlsxReader, Buffer.from('não é um zip')), /Planilha XLSX inválida/);
+});
+
+test('leitor escolhido pela extensão ou, sem ela, pelo Content-Type', () => {
+  assert.equal(getReader('input/produtos.CSV').name, 'csv');
+  assert.equal(getReader('input/produtos.jsonl').name, 'ndjson');
+  assert.equal(getReader('input/produtos.xlsx', 'text/csv').name, 'xlsx');
+  assert.equal(getReader('input/produtos', 'application/json; charset=utf-8').name, 'json');
+  assert.equal(getReader('input/produtos.txt', 'text/plain'), undefined);
+});
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDynamoDB } = require('./helpers/fakeDynamoDB');
+const { apiEvent, lambdaContext } = require('./helpers/apiEvent');
+
+process.env.LOG_LEVEL = 'error';
+process.env.METRICS_ENABLED = 'false';
+process.env.RATE_LIMIT_ENABLED = 'false';
+delete process.env.DELETED_RETENTION_DAYS;
+
+const fake = installFakeDynamoDB();
+const { CURRENT_SORT_KEY } = require('../../src/utils/dynamodb');
+const deleteRecord = require('../../src/handlers/deleteRecord');
+const restoreRecord = require('../../src/handlers/restoreRecord');
+const getRecord = require('../../src/handlers/getRecord');
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+/**
+ * Chamar um handler de /records/{id}
+ * @param {Object} module - Módulo do handler
+ * @param {string} method - Método HTTP
+ * @param {string} resource - Rota
+ * @param {Object} options - id, headers e query
+ * @returns {Promise<Object>} { statusCode, headers, body }
+ */
+async function call(module, method, resource, options = {}) {
+  const { id = 'p1', headers = {}, query = null } = options;
+  const result = await module.handler(apiEvent({ method, resource, pathParameters: { id }, headers, query }), lambdaContext);
+  return { statusCode: result.statusCode, headers: result.headers, body: result.body ? JSON.parse(result.body) : null };
+}
+
+const remove = options => call(deleteRecord, 'DELETE', '/records/{id}', options);
+const restore = options => call(restoreRecord, 'POST', '/records/{id}/restore', options);
+const read = options => call(getRecord, 'GET', '/records/{id}', options);
+
+const current = id => fake.get('ProcessedData', { id, timestamp: CURRENT_SORT_KEY });
+const history = id => fake.items('ProcessedData').filter(item => item.id === id && item.timestamp > 0);
+
+test.beforeEach(() => {
+  fake.reset();
+
+  // Registro na versão 2, com a versão 1 no histórico
+  const v1 = { id: 'p1', timestamp: CURRENT_SORT_KEY, version: 1, nome: 'Mouse', preco: 10 };
+  fake.seed('ProcessedData', [
+    { ...v1, nome: 'Mouse sem fio', version: 2 },
+    { id: 'p1', timestamp: 1, version: 1, row_type: 'history', data: v1, changes: {} }
+  ]);
+});
+
+test('DELETE grava nova versão removida e marca o histórico para limpeza', async () => {
+  const before = Math.floor(Date.now() / 1000);
+  const result = await remove();
+
+  assert.equal(result.statusCode, 204);
+
+  const removed = current('p1');
+  assert.equal(removed.version, 3);
+  assert.equal(removed.deleted_by, 'key:test-client');
+  assert.ok(removed.deleted_at);
+  assert.ok(removed.purge_at >= before + 30 * DAY_SECONDS);
+  assert.ok(removed.purge_at <= Math.floor(Date.now() / 1000) + 30 * DAY_SECONDS);
+
+  // A versão 2 vai para o histórico; todo o histórico expira junto com o registro
+  assert.deepEqual(history('p1').map(row => [row.version, row.purge_at]), [
+    [1, removed.purge_at],
+    [2, removed.purge_at]
+  ]);
+  assert.equal(history('p1')[1].superseded_by, 'key:test-client');
+});
+
+test('registro removido some das leituras e não é removido de novo', async () => {
+  await remove();
+
+  assert.equal((await read()).statusCode, 404);
+  assert.equal((await remove()).statusCode, 404);
+
+  const included = await read({ query: { include_deleted: 'true' } });
+  assert.equal(included.statusCode, 200);
+  assert.equal(current('p1').version, 3);
+});
+
+test('DELETE com If-Match de outra versão retorna 412 sem alterar o registro', async () => {
+  const result = await remove({ headers: { 'If-Match': '"1"' } });
+
+  assert.equal(result.statusCode, 412);
+  assert.equal(result.body.current_version, 2);
+  assert.equal(current('p1').deleted_at, undefined);
+  assert.equal(history('p1').length, 1);
+
+  assert.equal((await remove({ headers: { 'If-Match': 'W/"2"' } })).statusCode, 204);
+});
+
+test('restaurar grava nova versão sem a remoção e desmarca o histórico', async () => {
+  await remove();
+  const result = await restore({ headers: { 'If-Match': '"3"' } });
+
+  assert.equal(result.statusCode, 200);
+  assert.equal(result.headers.ETag, '"4"');
+  assert.equal(result.body.version, 4);
+
+  const restored = current('p1');
+  assert.equal(restored.nome, 'Mouse sem fio');
+  assert.deepEqual(
+    [restored.deleted_at, restored.deleted_by, restored.purge_at],
+    [undefined, undefined, undefined]
+  );
+  assert.equal(restored.updated_by, 'key:test-client');
+
+  // A remoção fica registrada no histórico, que não expira mais
+  assert.deepEqual(history('p1').map(row => row.version), [1, 2, 3]);
+  assert.ok(history('p1').every(row => row.purge_at === undefined));
+  assert.ok(history('p1')[2].data.deleted_at);
+
+  assert.equal((await read()).statusCode, 200);
+});
+
+test('restaurar registro que não está removido ou não existe', async () => {
+  assert.equal((await restore()).statusCode, 409);
+  assert.equal((await restore({ id: 'inexistente' })).statusCode, 404);
+
+  await remove();
+  const stale = await restore({ headers: { 'If-Match': '"2"' } });
+
+  assert.equal(stale.statusCode, 412);
+  assert.equal(stale.body.current_version, 3);
+  assert.ok(current('p1').deleted_at);
+});
@@ -0,0 +1,187 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AWS = require('aws-sdk');
+const { installFakeDynamoDB, awsError } = require('./helpers/fakeDynamoDB');
+
+process.env.LOG_LEVEL = 'error';
+process.env.METRICS_ENABLED = 'false';
+process.env.TOPIC_ARN = 'arn:aws:sns:us-east-1:000000000000:DataProcessingTopic';
+delete process.env.ALERT_RULES_PATH;
+
+const fake = installFakeDynamoDB();
+const { toDomainEvents, eventAttributes } = require('../../src/utils/domainEvents');
+const { handler } = require('../../src/handlers/streamProcessor');
+
+// Stub do SNS: eventos com tipo em `rejected` falham como erro do cliente
+const batches = [];
+const rejected = new Set();
+
+Object.getPrototypeOf(new AWS.SNS({ region: 'us-east-1' })).publishBatch = params => ({
+  promise: async () => {
+    batches.push(params);
+    const entries = params.PublishBatchRequestEntries;
+    const isRejected = entry => rejected.has(JSON.parse(entry.Message).event_type);
+    return {
+      Successful: entries.filter(entry => !isRejected(entry)).map(entry => ({ Id: entry.Id, MessageId: entry.Id })),
+      Failed: entries.filter(isRejected).map(entry => ({
+        Id: entry.Id, Code: 'InvalidParameter', Message: 'rejeitada', SenderFault: true
+      }))
+    };
+  }
+});
+
+const marshall = item => (item ? AWS.DynamoDB.Converter.marshall(item) : undefined);
+
+/**
+ * Montar registro do DynamoDB Stream (NEW_AND_OLD_IMAGES)
+ * @param {string} eventName - INSERT, MODIFY ou REMOVE
+ * @param {Object} oldImage - Item antes da escrita
+ * @param {Object} newImage - Item após a escrita
+ * @param {Object} fields - Campos adicionais (eventID, userIdentity)
+ * @returns {Object} Registro do stream
+ */
+function streamRecord(eventName, oldImage, newImage, fields = {}) {
+  const image = newImage || oldImage;
+  return {
+    eventID: `evt-${image.id}-${image.timestamp}-${eventName}`,
+    eventName,
+    dynamodb: {
+      ApproximateCreationDateTime: 1700000000,
+      Keys: marshall({ id: image.id, timestamp: image.timestamp }),
+      OldImage: marshall(oldImage),
+      NewImage: marshall(newImage),
+      SequenceNumber: `seq-${image.id}-${image.timestamp}`
+    },
+    ...fields
+  };
+}
+
+const mouse = {
+  id: 'p1',
+  timestamp: 0,
+  version: 1,
+  nome: 'Mouse',
+  categoria: 'Periféricos',
+  preco: 100,
+  estoque: 20,
+  source: 'API',
+  correlation_id: 'corr-1'
+};
+
+const publishedTypes = () => batches.flatMap(batch => batch.PublishBatchRequestEntries
+  .map(entry => JSON.parse(entry.Message).event_type));
+
+test.beforeEach(() => {
+  fake.reset();
+  batches.length = 0;
+  rejected.clear();
+});
+
+test('alteração de preço e estoque gera eventos de valor e alertas', () => {
+  const updated = { ...mouse, version: 2, preco: 130, estoque: 0, processed_at: 'agora' };
+  const record = streamRecord('MODIFY', mouse, updated);
+
+  const events = toDomainEvents(record);
+
+  assert.deepEqual(events.map(event => event.event_id), [
+    `${record.eventID}:RECORD_UPDATED`,
+    `${record.eventID}:PRICE_CHANGED`,
+    `${record.eventID}:STOCK_DEPLETED`,
+    `${record.eventID}:ALERT_TRIGGERED:estoque-baixo-perifericos`,
+    `${record.eventID}:ALERT_TRIGGERED:estoque-esgotado`,
+    `${record.eventID}:ALERT_TRIGGERED:variacao-preco-20`
+  ]);
+
+  const [updatedEvent, priceEvent] = events;
+  assert.deepEqual(updatedEvent.data.changed_fields, ['preco', 'estoque']);
+  assert.deepEqual(updatedEvent.data.changes.estoque, { old: 20, new: 0 });
+  assert.equal(updatedEvent.correlation_id, 'corr-1');
+  assert.equal(updatedEvent.time, '2023-11-14T22:13:20.000Z');
+  assert.equal(priceEvent.data.change_percent, 30);
+
+  assert.deepEqual(eventAttributes(events[3]), {
+    record_id: 'p1',
+    dataset: 'produtos',
+    source: 'API',
+    categoria: 'Periféricos',
+    severity: 'warning',
+    rule_id: 'estoque-baixo-perifericos'
+  });
+});
+
+test('campos de controle e remoção lógica não geram eventos', () => {
+  const reprocessed = { ...mouse, processed_at: 'depois', correlation_id: 'corr-2' };
+  const softDeleted = { ...mouse, version: 2, deleted_at: '2024-01-01T00:00:00.000Z', deleted_by: 'key:x', purge_at: 1 };
+
+  assert.deepEqual(toDomainEvents(streamRecord('MODIFY', mouse, reprocessed)), []);
+  assert.deepEqual(toDomainEvents(streamRecord('MODIFY', mouse, softDeleted)), []);
+});
+
+test('remoção pelo TTL gera RECORD_DELETED expirado', () => {
+  const softDeleted = { ...mouse, deleted_at: '2024-01-01T00:00:00.000Z', deleted_by: 'key:x' };
+  const ttl = { userIdentity: { type: 'Service', principalId: 'dynamodb.amazonaws.com' } };
+
+  const [event] = toDomainEvents(streamRecord('REMOVE', softDeleted, null, ttl));
+
+  assert.equal(event.event_type, 'RECORD_DELETED');
+  assert.deepEqual(
+    [event.data.deleted_at, event.data.deleted_by, event.data.expired],
+    ['2024-01-01T00:00:00.000Z', 'key:x', true]
+  );
+  assert.equal(toDomainEvents(streamRecord('REMOVE', mouse, null))[0].data.expired, false);
+});
+
+test('stream publica eventos da versão atual e ignora o histórico', async () => {
+  const historyRow = { id: 'p1', timestamp: 1, version: 1, row_type: 'history', data: mouse };
+
+  const result = await handler({
+    Records: [
+      streamRecord('INSERT', null, mouse),
+      streamRecord('INSERT', null, historyRow),
+      streamRecord('MODIFY', mouse, { ...mouse, version: 2, nome: 'Mouse sem fio' })
+    ]
+  }, { awsRequestId: 'stream-request' });
+
+  assert.deepEqual(result, { batchItemFailures: [] });
+  assert.deepEqual(publishedTypes(), ['RECORD_CREATED', 'RECORD_UPDATED']);
+
+  // Atributos filtráveis e correlação gravada pela escrita de origem
+  const attributes = batches[1].PublishBatchRequestEntries[0].MessageAttributes;
+  assert.equal(attributes.event_type.StringValue, 'RECORD_UPDATED');
+  assert.equal(attributes.categoria.StringValue, 'Periféricos');
+  assert.equal(attributes.correlation_id.StringValue, 'corr-1');
+});
+
+test('evento não publicado vai para a outbox sem travar o lote', async () => {
+  rejected.add('RECORD_CREATED');
+
+  const result = await handler({
+    Records: [
+      streamRecord('INSERT', null, mouse),
+      streamRecord('MODIFY', mouse, { ...mouse, version: 2, nome: 'Mouse sem fio' })
+    ]
+  }, { awsRequestId: 'stream-request' });
+
+  assert.deepEqual(result, { batchItemFailures: [] });
+
+  // Só o evento rejeitado fica na outbox; o registro seguinte é publicado
+  assert.deepEqual(publishedTypes(), ['RECORD_CREATED', 'RECORD_UPDATED']);
+  const entries = fake.items('ProcessingState').filter(item => item.pk === 'outbox');
+  assert.equal(entries.length, 1);
+  assert.equal(JSON.parse(entries[0].message).event_type, 'RECORD_CREATED');
+  assert.equal(entries[0].last_error, 'InvalidParameter: rejeitada');
+});
+
+test('falha ao gravar a outbox devolve o registro para reprocessamento', async () => {
+  rejected.add('RECORD_CREATED');
+  fake.failWith('put', awsError('ProvisionedThroughputExceededException', 'Rate exceeded'));
+
+  const first = streamRecord('INSERT', null, mouse);
+  const result = await handler({
+    Records: [first, streamRecord('MODIFY', mouse, { ...mouse, version: 2, nome: 'Mouse sem fio' })]
+  }, { awsRequestId: 'stream-request' });
+
+  // O lote para no registro com falha, preservando a ordem dos eventos
+  assert.deepEqual(result, { batchItemFailures: [{ itemIdentifier: first.dynamodb.SequenceNumber }] });
+  assert.equal(batches.length, 1);
+});
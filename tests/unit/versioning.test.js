@@ -0,0 +1,207 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AWS = require('aws-sdk');
+const { installFakeDynamoDB, awsError } = require('./helpers/fakeDynamoDB');
+
+process.env.LOG_LEVEL = 'error';
+process.env.METRICS_ENABLED = 'false';
+
+const fake = installFakeDynamoDB();
+const {
+  CURRENT_SORT_KEY,
+  upsertRecords,
+  putRecordVersion,
+  updateItem,
+  getItem,
+  listRecordHistory
+} = require('../../src/utils/dynamodb');
+
+/**
+ * Montar registro como o dataProcessor grava (versão 1)
+ * @param {string} id - Id do registro
+ * @param {Object} fields - Campos do registro
+ * @returns {Object} Registro
+ */
+function ingested(id, fields = {}) {
+  return {
+    id,
+    timestamp: CURRENT_SORT_KEY,
+    version: 1,
+    nome: `Produto ${id}`,
+    preco: 10,
+    source: 'S3',
+    source_file: 'input/produtos.csv',
+    processed_at: new Date().toISOString(),
+    ...fields
+  };
+}
+
+const current = id => fake.get('ProcessedData', { id, timestamp: CURRENT_SORT_KEY });
+const history = id => fake.items('ProcessedData').filter(item => item.id === id && item.timestamp > 0);
+
+test.beforeEach(() => fake.reset());
+
+test('ids novos são gravados em lote, sem escrita por item', async () => {
+  const items = Array.from({ length: 30 }, (_, i) => ingested(`p${i}`));
+
+  const result = await upsertRecords(items, { supersededBy: 'S3' });
+
+  assert.deepEqual(
+    { written: result.written, created: result.created, updated: result.updated, deleted: result.deleted },
+    { written: 30, created: 30, updated: 0, deleted: [] }
+  );
+  assert.equal(fake.count('batchGet'), 1);
+  assert.equal(fake.count('batchWrite'), 2);
+  assert.equal(fake.count('put') + fake.count('get') + fake.count('transactWrite'), 0);
+  assert.equal(current('p7').version, 1);
+});
+
+test('reenvio sem alterações só lê as versões atuais', async () => {
+  await upsertRecords([ingested('a'), ingested('b')]);
+  fake.calls.length = 0;
+
+  const result = await upsertRecords([
+    ingested('a', { processed_at: '2030-01-01T00:00:00.000Z' }),
+    ingested('b')
+  ]);
+
+  assert.equal(result.unchanged, 2);
+  assert.equal(result.written, 2);
+  assert.deepEqual(fake.calls.map(call => call.operation), ['batchGet']);
+  assert.equal(current('a').version, 1);
+});
+
+test('linha alterada gera nova versão e linha de histórico', async () => {
+  fake.seed('ProcessedData', [ingested('a', { created_at: '2024-01-01T00:00:00.000Z', created_by: 'api-client' })]);
+
+  const result = await upsertRecords([ingested('a', { preco: 12 }), ingested('b')], { supersededBy: 'S3' });
+
+  assert.equal(result.updated, 1);
+  assert.equal(result.created, 1);
+
+  const record = current('a');
+  assert.equal(record.version, 2);
+  assert.equal(record.preco, 12);
+  assert.equal(record.created_at, '2024-01-01T00:00:00.000Z');
+  assert.equal(record.created_by, 'api-client');
+
+  const [row] = history('a');
+  assert.equal(row.timestamp, 1);
+  assert.equal(row.version, 1);
+  assert.equal(row.row_type, 'history');
+  assert.equal(row.superseded_by, 'S3');
+  assert.equal(row.data.preco, 10);
+  assert.deepEqual(row.changes, { preco: { old: 10, new: 12 } });
+});
+
+test('id repetido no mesmo lote vira duas versões, na ordem do arquivo', async () => {
+  const result = await upsertRecords([ingested('a'), ingested('b'), ingested('a', { preco: 20 })]);
+
+  assert.equal(result.created, 2);
+  assert.equal(result.updated, 1);
+  assert.equal(current('a').version, 2);
+  assert.equal(current('a').preco, 20);
+  assert.equal(history('a').length, 1);
+});
+
+test('registro removido não é alterado pela ingestão', async () => {
+  fake.seed('ProcessedData', [ingested('a', { deleted_at: '2024-01-01T00:00:00.000Z', purge_at: 1 })]);
+  const item = ingested('a', { preco: 99 });
+
+  const result = await upsertRecords([item]);
+
+  assert.deepEqual(result.deleted, [item]);
+  assert.equal(result.written, 0);
+  assert.equal(current('a').preco, 10);
+  assert.equal(current('a').deleted_at, '2024-01-01T00:00:00.000Z');
+});
+
+test('escrita concorrente entre a leitura e a transação relê o registro', async () => {
+  fake.seed('ProcessedData', [ingested('a')]);
+
+  // Outra escrita grava a versão 2 logo depois da leitura em lote
+  const { batchGet } = AWS.DynamoDB.DocumentClient.prototype;
+  AWS.DynamoDB.DocumentClient.prototype.batchGet = params => ({
+    promise: async () => {
+      const result = await batchGet(params).promise();
+      fake.seed('ProcessedData', [ingested('a', { version: 2, nome: 'Alterado pela API' })]);
+      return result;
+    }
+  });
+
+  try {
+    const result = await upsertRecords([ingested('a', { preco: 15 })], { supersededBy: 'S3' });
+
+    assert.equal(result.updated, 1);
+    assert.equal(current('a').version, 3);
+    assert.equal(current('a').preco, 15);
+    assert.equal(history('a')[0].timestamp, 2);
+  } finally {
+    AWS.DynamoDB.DocumentClient.prototype.batchGet = batchGet;
+  }
+});
+
+test('falha da leitura em lote devolve os itens em failed', async () => {
+  fake.failWith('batchGet', awsError('ValidationException', 'Tabela indisponível'));
+
+  const result = await upsertRecords([ingested('a'), ingested('b')]);
+
+  assert.equal(result.written, 0);
+  assert.deepEqual(result.failed.map(({ item, error }) => [item.id, error]), [
+    ['a', 'Tabela indisponível'],
+    ['b', 'Tabela indisponível']
+  ]);
+});
+
+test('putRecordVersion recusa versão desatualizada com VersionConflict', async () => {
+  fake.seed('ProcessedData', [ingested('a', { version: 3 })]);
+  const stale = ingested('a', { version: 2 });
+
+  await assert.rejects(putRecordVersion({ ...stale, preco: 1 }, stale), (error) => {
+    assert.equal(error.code, 'VersionConflict');
+    assert.equal(error.expectedVersion, 2);
+    return true;
+  });
+  assert.equal(current('a').version, 3);
+  assert.equal(history('a').length, 0);
+});
+
+test('registros sem version contam como versão 1', async () => {
+  const legacy = ingested('a');
+  delete legacy.version;
+  fake.seed('ProcessedData', [legacy]);
+
+  const saved = await updateItem('a', { preco: 11 }, { expectedVersion: 1, supersededBy: 'api-client' });
+
+  assert.equal(saved.version, 2);
+  assert.equal((await getItem('a', CURRENT_SORT_KEY)).preco, 11);
+  assert.equal(history('a')[0].superseded_by, 'api-client');
+});
+
+test('updateItem recusa expectedVersion diferente da atual', async () => {
+  fake.seed('ProcessedData', [ingested('a', { version: 2 })]);
+
+  await assert.rejects(updateItem('a', { preco: 11 }, { expectedVersion: 1 }), { code: 'VersionConflict' });
+  assert.equal(await updateItem('inexistente', { preco: 1 }), null);
+});
+
+test('histórico lista só linhas de histórico, da mais nova para a mais antiga', async () => {
+  fake.seed('ProcessedData', [
+    ingested('a', { version: 3 }),
+    { id: 'a', timestamp: 1, version: 1, row_type: 'history', data: { preco: 8 } },
+    { id: 'a', timestamp: 2, version: 2, row_type: 'history', data: { preco: 9 } },
+    // Item anterior ao versionamento: sort key = Date.now()
+    { id: 'a', timestamp: 1704067200000, nome: 'Produto a', preco: 7 }
+  ]);
+
+  const { items, page } = await listRecordHistory('a');
+  assert.deepEqual(items.map(item => item.version), [2, 1]);
+  assert.equal(page.has_more, false);
+
+  const first = await listRecordHistory('a', { limit: 1 });
+  assert.deepEqual(first.items.map(item => item.version), [2]);
+  const second = await listRecordHistory('a', { limit: 1, cursor: first.page.next_cursor });
+  assert.deepEqual(second.items.map(item => item.version), [1]);
+
+  await assert.rejects(listRecordHistory('b', { cursor: first.page.next_cursor }), { code: 'InvalidCursor' });
+});